@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/*
+* audit and update saved floorplans from the command line, with the same rules the editor uses, eg:
+*   floorspace validate archive/*.json
+*   floorspace convert --units si -o plan_si.json plan.json
+* uses the headless build of the editor, see src/headless.js
+*/
+const fs = require('fs');
+const path = require('path');
+
+const usage = [
+  'usage: floorspace <command> [options] <plan.json>...',
+  '',
+  'commands:',
+  '  validate   check plans against the schema and for invalid geometry',
+  '  upgrade    update plans saved by older versions, dropping references to geometry that does not exist',
+  '  stats      print the number of spaces and the floor area of each story',
+  '  convert    convert plans to other units, requires --units',
+  '',
+  'options:',
+  '  --units <ip|si>    units to convert to',
+  '  -o, --out <file>   write the result of upgrade or convert to a file, rather than printing it',
+  '  --in-place         overwrite each plan with the result of upgrade or convert',
+  '  --verbose          show the log messages of the editor',
+].join('\n');
+
+const commands = ['validate', 'upgrade', 'stats', 'convert'];
+
+function parseArgs([command, ...rest]) {
+  const args = { command, files: [], out: null, inPlace: false, units: null, verbose: false };
+  while (rest.length) {
+    const arg = rest.shift();
+    if (arg === '-o' || arg === '--out') {
+      args.out = rest.shift();
+    } else if (arg === '--units') {
+      args.units = rest.shift();
+    } else if (arg === '--in-place') {
+      args.inPlace = true;
+    } else if (arg === '--verbose') {
+      args.verbose = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`unrecognized option: ${arg}`);
+    } else {
+      args.files.push(arg);
+    }
+  }
+
+  if (!commands.includes(args.command)) {
+    throw new Error(args.command ? `unrecognized command: ${args.command}` : 'expected a command');
+  }
+  if (!args.files.length) {
+    throw new Error('expected at least one floorplan');
+  }
+  if (args.command === 'convert' && args.units !== 'ip' && args.units !== 'si') {
+    throw new Error('convert requires --units ip or --units si');
+  }
+  if (args.out && args.files.length > 1) {
+    throw new Error('--out can only be used with a single floorplan, use --in-place to update several');
+  }
+  return args;
+}
+
+const formatError = error => `  ${[error.path, error.message].filter(Boolean).join(': ')}`;
+const formatArea = area => area.toFixed(2);
+
+// write an upgraded or converted floorplan where the options ask for it
+function writeFloorplan(args, file, floorplan) {
+  const json = JSON.stringify(floorplan);
+  if (args.inPlace) {
+    fs.writeFileSync(file, json);
+  } else if (args.out) {
+    fs.writeFileSync(args.out, json);
+  } else {
+    process.stdout.write(`${json}\n`);
+  }
+}
+
+// each command resolves with whether the floorplan was ok
+const run = {
+  validate: (floorspace, args, file, data) => floorspace.validateFloorplan(data).then((errors) => {
+    process.stdout.write(`${file}: ${errors.length ? `${errors.length} problem(s)` : 'ok'}\n`);
+    errors.forEach(e => process.stdout.write(`${formatError(e)}\n`));
+    return !errors.length;
+  }),
+  upgrade: (floorspace, args, file, data) => floorspace.upgradeFloorplan(data).then((result) => {
+    if (result.errors.length) {
+      process.stderr.write(`${file}: dropped ${result.errors.length} invalid reference(s)\n`);
+    }
+    result.errors.forEach(e => process.stderr.write(`${formatError(e)}\n`));
+    writeFloorplan(args, file, result.floorplan);
+    return true;
+  }),
+  convert: (floorspace, args, file, data) => floorspace.convertFloorplan(data, args.units).then((floorplan) => {
+    writeFloorplan(args, file, floorplan);
+    return true;
+  }),
+  stats: (floorspace, args, file, data) => floorspace.loadFloorplan(data, { strict: false }).then((api) => {
+    const
+      stats = floorspace.floorplanStats(api),
+      unit = stats.units === 'ip' ? 'ft2' : 'm2';
+    process.stdout.write(`${file}\n`);
+    stats.stories.forEach((story) => {
+      process.stdout.write(
+        `  ${story.name}: ${story.spaces} space(s), ${story.shading} shading, ` +
+        `${story.windows} window(s), ${story.doors} door(s), ` +
+        `${formatArea(story.area)} ${unit}${story.multiplier > 1 ? ` x ${story.multiplier}` : ''}\n`);
+    });
+    process.stdout.write(`  total: ${formatArea(stats.area)} ${unit}\n`);
+    return true;
+  }),
+};
+
+function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    process.stderr.write(`${err.message}\n\n${usage}\n`);
+    process.exit(2);
+  }
+
+  let floorspace;
+  try {
+    // the headless build is only there once it has been built
+    floorspace = require('..'); // eslint-disable-line global-require, import/no-unresolved
+  } catch (err) {
+    process.stderr.write('unable to load the headless build of floorspace, run `npm run build-node` first\n');
+    process.exit(2);
+  }
+  // the editor logs what it is doing, which would be mixed in with the output
+  if (!args.verbose) {
+    ['log', 'info', 'warn'].forEach((level) => { console[level] = () => {}; });
+  }
+
+  // plans are processed one at a time, so that one failure doesn't stop the rest
+  let allOk = true;
+  args.files.reduce(
+    (previous, file) => previous
+      .then(() => run[args.command](floorspace, args, file, fs.readFileSync(path.resolve(file), 'utf-8')))
+      .then((ok) => {
+        allOk = allOk && ok;
+      }, (err) => {
+        allOk = false;
+        const errors = Array.isArray(err) ? err : [{ message: err.message }];
+        process.stderr.write(`${file}: ${args.command} failed\n`);
+        errors.forEach(e => process.stderr.write(`${formatError(e)}\n`));
+      }),
+    Promise.resolve())
+    .then(() => {
+      process.exitCode = allOk ? 0 : 1;
+    });
+}
+
+main(process.argv.slice(2));
@@ -1,4 +1,5 @@
 const { readFileSync, writeFileSync } = require('fs');
+const config = require('../config');
 const distPath = './dist';
 const srcPath = './src';
 
@@ -38,8 +39,18 @@ const standaloneHtml = baseHtml + `
 writeFileSync(distPath + '/standalone_geometry_editor.html', standaloneHtml);
 console.log(`Loading floorspace.js API script from: ${srcPath + '/api.js'}\n\n`);
 const apiScripts = readFileSync(srcPath + '/api.js', { encoding: 'utf-8' });
+console.log(`Loading floorspace.js postMessage bridge from: ${srcPath + '/bridge.js'}\n\n`);
+const bridgeScripts = readFileSync(srcPath + '/bridge.js', { encoding: 'utf-8' });
 const lodash = readFileSync('./node_modules/lodash/lodash.min.js', { encoding: 'utf-8' });
 
+// pages built for hosts on other origins start themselves, as those hosts can only reach them through the bridge
+const { allowedOrigins } = config.build;
+const startScript = allowedOrigins.length ? `
+    <script>
+      window.api.setConfig({ allowedOrigins: ${JSON.stringify(allowedOrigins)} });
+      window.api.init();
+    </script>` : '';
+
 const embeddableHtml = baseHtml + `
     <script>
         ${lodash}
@@ -50,6 +61,7 @@ const embeddableHtml = baseHtml + `
       }
     </script>
     <script> ${apiScripts} </script>
+    <script> ${bridgeScripts} </script>${startScript}
     </body>
 </html>`;
 
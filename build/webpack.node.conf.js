@@ -0,0 +1,47 @@
+var path = require('path')
+var webpack = require('webpack')
+var projectRoot = path.resolve(__dirname, '../')
+// vue is bundled, see the DefinePlugin below
+var dependencies = Object.keys(require('../package.json').dependencies).filter(function (d) { return d !== 'vue' })
+
+// the editor's data store and geometry engine, without the user interface, for use in Node. see src/headless.js
+module.exports = {
+  entry: {
+    'floorspace-node': './src/headless.js'
+  },
+  target: 'node',
+  output: {
+    path: path.resolve(__dirname, '../dist'),
+    filename: '[name].js',
+    libraryTarget: 'commonjs2'
+  },
+  resolve: {
+    extensions: ['', '.js', '.json'],
+    fallback: [path.join(__dirname, '../node_modules')]
+  },
+  resolveLoader: {
+    fallback: [path.join(__dirname, '../node_modules')]
+  },
+  module: {
+    loaders: [
+      {
+        test: /\.js$/,
+        loader: 'babel',
+        include: projectRoot,
+        exclude: /node_modules/
+      },
+      {
+        test: /\.json$/,
+        loader: 'json'
+      }
+    ]
+  },
+  // dependencies are required from node_modules at runtime, rather than bundled
+  externals: dependencies,
+  plugins: [
+    // vue defers updates with a MessageChannel when it can't find a native setImmediate, which keeps node from exiting
+    new webpack.DefinePlugin({
+      'typeof MessageChannel': JSON.stringify('undefined')
+    })
+  ]
+}
@@ -14,7 +14,11 @@ module.exports = {
     // Before setting to `true`, make sure to:
     // npm install --save-dev compression-webpack-plugin
     productionGzip: false,
-    productionGzipExtensions: ['js', 'css']
+    productionGzipExtensions: ['js', 'css'],
+    // origins allowed to drive the embeddable editor through postMessage (see src/bridge.js), which the
+    // embeddable page starts itself with as config.allowedOrigins when they are set,
+    // eg: ALLOWED_ORIGINS="https://example.com https://example.org" npm run openstudio-build
+    allowedOrigins: (process.env.ALLOWED_ORIGINS || '').split(/[\s,]+/).filter(Boolean)
   },
   dev: {
     env: require('./dev.env'),
@@ -1,85 +1,482 @@
 /* eslint-disable */
 
-window.api = {
-  config: null,
-  initAlreadyRun: false,
-  openFloorplan: function openFloorplan(data, _options) {
-    var options = _options || { noReloadGrid: false };
-    try {
-      window.application.$store.dispatch('importFloorplan', {
-        clientWidth: document.getElementById('svg-grid').clientWidth,
-        clientHeight: document.getElementById('svg-grid').clientHeight,
-        data: JSON.parse(data),
+var _ = typeof window !== 'undefined' && window._ ? window._ : require('lodash');
+
+/*
+* create the api for one editor.
+* options.start is called by init to mount the editor, it receives the api and returns the root Vue instance.
+* the embeddable page has a single editor, controlled by window.api (see the end of this file),
+* createFloorspace (src/floorspace.js) creates an api for each editor on a page
+*/
+function createApi(options) {
+  var api = {
+    config: null,
+    initAlreadyRun: false,
+    listeners: {},
+    // incremented whenever the floorplan changes, unless config.onChange is replaced
+    versionNumber: 0,
+    // the root Vue instance and data store of the editor, once it has been started
+    application: null,
+    store: null,
+    /*
+    * subscribe to change events, eg: api.on('spaceCreated', function (e) { ... })
+    * the callback receives an object naming the affected object, eg:
+    * { event: 'spaceChanged', type: 'spaces', id: '12', story_id: '3', keys: ['thermal_zone_id'], action: 'models/updateSpaceWithData' }
+    * events are emitted once per user action, after all of its changes have been made.
+    * 'change' receives every event for an action at once: { action: 'importFloorplan', events: [...] }
+    * 'undo' and 'redo' receive the action being undone or redone: { action: 'geometry/createFaceFromPoints', events: [...] }
+    */
+    on: function on(eventName, callback) {
+      if (typeof callback !== 'function') {
+        throw new Error('expected a function to call on ' + eventName + ', received ' + callback);
+      }
+      api.listeners[eventName] = (api.listeners[eventName] || []).concat([callback]);
+    },
+    /*
+    * unsubscribe a callback from an event, or all callbacks for that event if none is given
+    */
+    off: function off(eventName, callback) {
+      if (callback === undefined) {
+        delete api.listeners[eventName];
+        return;
+      }
+      api.listeners[eventName] = _.without(api.listeners[eventName], callback);
+    },
+    emit: function emit(eventName, payload) {
+      _.each(api.listeners[eventName], function (callback) {
+        try {
+          callback(payload);
+        } catch (err) {
+          // a misbehaving listener shouldn't break the application
+          console.error(err);
+        }
+      });
+    },
+    /*
+    * open a floorplan from a JSON string, replacing the current floorplan
+    * returns a Promise which resolves with { success: true, errors: [] } once the floorplan has been displayed.
+    * if the floorplan is invalid, it rejects with a list of schema violations and dangling references, eg:
+    * [{ type: 'reference', path: 'stories[0].spaces[1].face_id', message: 'space 12 references face 30, which does not exist' }]
+    * with { strict: false }, whatever is valid is imported and the Promise resolves with the errors that were found
+    */
+    openFloorplan: function openFloorplan(data, _options) {
+      var options = _.assign({ noReloadGrid: false, strict: true }, _options);
+      var floorplan;
+      try {
+        floorplan = JSON.parse(data);
+      } catch (err) {
+        return Promise.reject([{ type: 'parse', path: '', message: err.message }]);
+      }
+      return api.store.dispatch('importFloorplan', {
+        data: floorplan,
         options: options
       });
-    } catch (err) {
-      console.error(err);
-      return false;
-    }
-    return true;
-  },
-  importLibrary: function importLibrary(data) {
-    try {
-      window.application.$store.dispatch('importLibrary', { data: JSON.parse(data) });
-    } catch (err) {
-      console.error(err);
-      return false;
-    }
-    return true;
-  },
-  exportFloorplan: function exportFloorplan() {
-    return window.application.$store.getters['exportData'];
-  },
-  setConfig: function setConfig(config) {
-    if (window.api.initAlreadyRun) {
-      throw new Error('The application has already been started, configuration cannot be changed.');
-    }
+    },
+    /*
+    * import the text of a library JSON file, or of an OpenStudio model (.osm) to import its space types,
+    * thermal zones, building units and construction sets
+    */
+    importLibrary: function importLibrary(data) {
+      try {
+        if (/^\s*[{[]/.test(data)) {
+          api.store.dispatch('importLibrary', { data: JSON.parse(data) });
+        } else {
+          api.store.dispatch('importOsmLibrary', { data: data });
+        }
+      } catch (err) {
+        console.error(err);
+        return false;
+      }
+      return true;
+    },
+    /*
+    * the floorplan as it is saved, with the bulge of its arc edges. for tools which only read polygons,
+    * options.tessellationTolerance replaces the arcs with straight edges no further than the tolerance from them
+    */
+    exportFloorplan: function exportFloorplan(options) {
+      if (options && options.tessellationTolerance) {
+        return api.store.getters['exportTessellatedData'](options.tessellationTolerance);
+      }
+      return api.store.getters['exportData'];
+    },
+    /*
+    * the floorplan as the text of a DXF file, with layers for the spaces, shading, thermal zones,
+    * windows and doors of each story
+    */
+    exportDxf: function exportDxf() {
+      return api.store.getters['exportDxf'];
+    },
+    /*
+    * the spaces and shading of a story (the current story by default) as a GeoJSON FeatureCollection,
+    * placed on the earth where the floorplan was placed on the map
+    */
+    exportGeoJSON: function exportGeoJSON(storyId) {
+      return api.store.getters['exportGeoJSON'](storyId || api.store.getters['application/currentStory'].id);
+    },
+    /*
+    * a printable report as the text of a PDF file: a page for each story, drawn by space type, thermal zone,
+    * building unit and construction set, with a table of its spaces
+    */
+    exportReport: function exportReport() {
+      return api.store.getters['exportReport'];
+    },
+    /*
+    * the floorplan as the text of a gbXML file, with each story's spaces extruded to their heights,
+    * and their windows and doors placed on their walls
+    */
+    exportGbXML: function exportGbXML() {
+      return api.store.getters['exportGbXML'];
+    },
+    /*
+    * a 3D preview of the floorplan as a three.js scene, in the JSON object format read by THREE.ObjectLoader.
+    * spaces are extruded with their windows, doors, shading and pitched roofs, and the userData of each object
+    * carries the ids and handles of the stories, spaces, windows and doors it was extruded from
+    */
+    exportThreeScene: function exportThreeScene() {
+      return api.store.getters['exportThreeScene'];
+    },
+    /*
+    * place GeoJSON building footprints on the current story, as spaces or shading (options.type)
+    * returns a Promise resolving to { success: true, spaces (or shading): [ids], errors }
+    */
+    importGeoJSON: function importGeoJSON(data, options) {
+      var geojson;
+      try {
+        geojson = JSON.parse(data);
+      } catch (err) {
+        return Promise.resolve({ success: false, error: err.message });
+      }
+      return api.store.dispatch('importGeoJSON', {
+        data: geojson,
+        type: (options && options.type) || 'spaces'
+      });
+    },
+    /*
+    * place the spaces of a gbXML or IFC file as stories, grouped by the elevation of their floors,
+    * with their thermal zones and space types
+    * returns a Promise resolving to { success: true, stories: [ids], spaces: [ids], errors }
+    */
+    importGbXML: function importGbXML(data) {
+      return api.store.dispatch('importGbXML', { data: data });
+    },
+    importIfc: function importIfc(data) {
+      return api.store.dispatch('importIfc', { data: data });
+    },
+    /*
+    * the table of a library type (eg 'thermal_zones') or of the spaces of all stories ('spaces') as the text of a CSV file
+    */
+    exportCsv: function exportCsv(type) {
+      return api.store.getters['exportCsv'](type);
+    },
+    /*
+    * set the values of a table edited in a spreadsheet, from the text of a CSV file written by exportCsv
+    * rows with any invalid values are skipped, including their valid cells, the rest are changed
+    * returns a Promise resolving to { success: true, changes: number of values changed, errors: [{ row, message }] }
+    */
+    importCsv: function importCsv(type, data) {
+      return api.store.dispatch('importCsv', { type: type, data: data });
+    },
+
+    /*
+    * programmatic editing
+    * each method returns a Promise resolving to { success: true, ...ids of what was changed }
+    * or, if the edit was invalid, { success: false, error: 'reason' }. Nothing is shown to the user.
+    */
+    addStory: function addStory() {
+      var store = api.store;
+      return store.dispatch('models/initStory').then(function () {
+        var story = _.last(store.state.models.stories);
+        return { success: true, story_id: story.id, space_id: story.spaces[0].id };
+      });
+    },
+    /*
+    * draw a face from points ([{ x, y }, ...], in project units) on a story. a point with a bulge ({ x, y, bulge })
+    * starts an arc edge to the next point, see store/modules/geometry/arcs.js. holes lists the points around
+    * each hole in the face, for courtyards and the like.
+    * the face is added to spaceId if it is provided, otherwise a new space is created for it
+    */
+    createSpace: function createSpace(options) {
+      var
+        store = api.store,
+        story = _.find(store.state.models.stories, { id: options.storyId }),
+        space;
+      if (!story) {
+        return Promise.resolve({ success: false, error: 'Story not found' });
+      }
+      if (options.spaceId && !_.find(story.spaces, { id: options.spaceId })) {
+        return Promise.resolve({ success: false, error: 'Space not found on story ' + story.id });
+      }
+
+      store.dispatch('application/setCurrentStoryId', { id: story.id });
+      if (!options.spaceId) {
+        store.dispatch('models/initSpace', { story: story });
+      }
+      space = options.spaceId ? _.find(story.spaces, { id: options.spaceId }) : _.last(story.spaces);
+      if (options.name) {
+        store.dispatch('models/updateSpaceWithData', { space: space, name: options.name });
+      }
+
+      return store.dispatch('geometry/createFaceFromPoints', { model_id: space.id, points: options.points, holes: options.holes })
+        .then(function (result) {
+          if (!result.success) {
+            // don't leave behind a space for geometry that couldn't be drawn
+            if (!options.spaceId) {
+              store.dispatch('models/destroySpace', { story: story, space: space });
+            }
+            return result;
+          }
+          return { success: true, story_id: story.id, space_id: space.id, face_id: result.face_id };
+        });
+    },
+    /*
+    * move a face by dx, dy (in project units). Faces overlapped by the moved face are trimmed
+    */
+    moveFace: function moveFace(options) {
+      var
+        store = api.store,
+        geometry = _.find(store.state.geometry, function (g) { return _.find(g.faces, { id: options.faceId }); }),
+        story = geometry && _.find(store.state.models.stories, { geometry_id: geometry.id });
+      if (!story) {
+        return Promise.resolve({ success: false, error: 'Face not found' });
+      }
+      if (!_.isFinite(options.dx) || !_.isFinite(options.dy)) {
+        return Promise.resolve({ success: false, error: 'dx and dy must be numbers' });
+      }
+
+      store.dispatch('application/setCurrentStoryId', { id: story.id });
+      return store.dispatch('geometry/moveFaceByOffset', { face_id: options.faceId, dx: options.dx, dy: options.dy })
+        .then(function (result) {
+          return result.success ? { success: true, story_id: story.id, face_id: options.faceId } : result;
+        });
+    },
+    deleteSpace: function deleteSpace(options) {
+      var
+        store = api.store,
+        story = _.find(store.state.models.stories, function (s) { return _.find(s.spaces, { id: options.spaceId }); });
+      if (!story) {
+        return Promise.resolve({ success: false, error: 'Space not found' });
+      }
+
+      store.dispatch('application/setCurrentStoryId', { id: story.id });
+      return store.dispatch('models/destroySpace', { story: story, space: { id: options.spaceId } })
+        .then(function () {
+          return { success: true, story_id: story.id, space_id: options.spaceId };
+        });
+    },
+    /*
+    * place a window at alpha (a number from 0 to 1) along an edge
+    */
+    placeWindow: function placeWindow(options) {
+      var
+        store = api.store,
+        geometry = _.find(store.state.geometry, function (g) { return _.find(g.edges, { id: options.edgeId }); }),
+        story = geometry && _.find(store.state.models.stories, { geometry_id: geometry.id }),
+        result;
+      if (!story) {
+        return Promise.resolve({ success: false, error: 'Edge not found' });
+      }
+      if (!_.isFinite(options.alpha) || options.alpha < 0 || options.alpha > 1) {
+        return Promise.resolve({ success: false, error: 'alpha must be a number between 0 and 1' });
+      }
+
+      try {
+        result = store.dispatch('models/createWindow', {
+          story_id: story.id,
+          edge_id: options.edgeId,
+          window_definition_id: options.definitionId,
+          alpha: options.alpha,
+        });
+      } catch (err) {
+        // createWindow throws on invalid input
+        return Promise.resolve({ success: false, error: err.message });
+      }
+      return result.then(function () {
+        return { success: true, story_id: story.id, window_id: _.last(story.windows).id };
+      });
+    },
+    /*
+    * assign a building unit, thermal zone, space type, construction set, or pitched roof to a space
+    * to remove an assignment, pass propertyId: null along with the type, eg: { spaceId: '12', type: 'thermal_zones', propertyId: null }
+    */
+    assignProperty: function assignProperty(options) {
+      var
+        store = api.store,
+        keys = {
+          building_units: 'building_unit_id',
+          thermal_zones: 'thermal_zone_id',
+          space_types: 'space_type_id',
+          construction_sets: 'construction_set_id',
+          pitched_roofs: 'pitched_roof_id',
+        },
+        space = _.find(store.getters['models/allSpaces'], { id: options.spaceId }),
+        type = options.type || _.findKey(keys, function (key, t) {
+          return _.find(store.state.models.library[t], { id: options.propertyId });
+        }),
+        payload = { space: space };
+      if (!space) {
+        return Promise.resolve({ success: false, error: 'Space not found' });
+      }
+      if (!keys[type]) {
+        return Promise.resolve({ success: false, error: 'Unable to find an assignable property with id ' + options.propertyId });
+      }
+      if (options.propertyId !== null && !_.find(store.state.models.library[type], { id: options.propertyId })) {
+        return Promise.resolve({ success: false, error: 'Unable to find ' + type + ' with id ' + options.propertyId });
+      }
+
+      payload[keys[type]] = options.propertyId;
+      return store.dispatch('models/updateSpaceWithData', payload).then(function () {
+        return { success: true, space_id: space.id, type: type, property_id: options.propertyId };
+      });
+    },
+    setConfig: function setConfig(config) {
+      if (api.initAlreadyRun) {
+        throw new Error('The application has already been started, use updateConfig to change the configuration.');
+      }
+
+      if (config === undefined) {
+        config = {}; // eslint-disable-line
+      }
+      api.validateConfig(config);
+      api.config = _.assign({
+        showImportExport: true,
+        units: 'si',
+        unitsEditable: true,
+        showMapDialogOnStart: false,
+        online: true,
+        initialGridSize: 50,
+        initialNorthAxis: 0,
+        defaultLocation: {
+          latitude: 39.7653,
+          longitude: -104.9863,
+        },
+        snapMode: 'grid-strict',
+        readOnly: false,
+        // origins allowed to call the api through postMessage, see bridge.js. only scripts on the page can set them
+        allowedOrigins: [],
+        onChange: function onChange() {
+          api.versionNumber += 1;
+        },
+      }, config);
+    },
+    validateConfig: function validateConfig(config) {
+      if (config.snapMode && !_.includes(['grid-strict', 'grid-verts-edges'], config.snapMode)) {
+        throw new Error('unrecognized value for snapMode: ' + config.snapMode + '. expected \'grid-strict\' or \'grid-verts-edges\'');
+      }
+      _.each(['enabledTools', 'enabledModes', 'enabledComponentTypes'], function (key) {
+        if (config[key] && !_.isArray(config[key])) {
+          throw new Error('expected ' + key + ' to be a list, received ' + config[key]);
+        }
+      });
+      if (config.allowedOrigins && !_.isArray(config.allowedOrigins)) {
+        throw new Error('expected allowedOrigins to be a list of origins, eg: [\'https://example.com\']');
+      }
+      if (config.units && !_.includes(['ip', 'si'], config.units)) {
+        throw new Error('unrecognized value for units: ' + config.units + '. expected \'ip\' or \'si\'');
+      }
+    },
+    /*
+    * change the configuration of a running application, eg: api.updateConfig({ units: 'ip', snapMode: 'grid-verts-edges' })
+    * only the keys provided are changed. Changing units converts any existing geometry and library objects.
+    */
+    updateConfig: function updateConfig(partialConfig) {
+      if (!api.initAlreadyRun) {
+        api.setConfig(_.assign({}, api.config, partialConfig));
+        return;
+      }
+      api.validateConfig(partialConfig);
 
-    if (config === undefined) {
-      config = {}; // eslint-disable-line
-    }
-    if (config.snapMode && !_.includes(['grid-strict', 'grid-verts-edges'], config.snapMode)) {
-      throw new Error('unrecognized value for snapMode: ' + config.snapMode + '. expected \'grid-strict\' or \'grid-verts-edges\'');
-    }
-    window.api.config = _.assign({
-      showImportExport: true,
-      units: 'si',
-      unitsEditable: true,
-      showMapDialogOnStart: false,
-      online: true,
-      initialGridSize: 50,
-      initialNorthAxis: 0,
-      defaultLocation: {
-        latitude: 39.7653,
-        longitude: -104.9863,
-      },
-      snapMode: 'grid-strict',
-      onChange: function onChange() {
-        window.versionNumber += 1;
-      },
-    }, config);
-  },
-  init: function init() {
-    if (window.api.initAlreadyRun) {
-      throw new Error('This method can only be run once!');
-    }
-    window.versionNumber = 0;
-    window.startApp();
-    delete window.startApp;
+      var store = api.store;
+      api.config = _.assign({}, api.config, partialConfig);
+      if (partialConfig.units && partialConfig.units !== store.state.project.config.units) {
+        store.dispatch('changeUnits', { newUnits: partialConfig.units });
+      }
+      if ('unitsEditable' in partialConfig) {
+        store.commit('project/setUnits', { editable: partialConfig.unitsEditable });
+      }
+      api.applyConfig(partialConfig);
+    },
+    /*
+    * dispatch the actions for each config key, other than units, which is handled differently by init and updateConfig
+    */
+    applyConfig: function applyConfig(config) {
+      var store = api.store;
+      if ('showImportExport' in config) {
+        store.dispatch('project/setShowImportExport', config.showImportExport);
+      }
+      if ('initialGridSize' in config) {
+        store.dispatch('project/setSpacing', { spacing: config.initialGridSize });
+      }
+      if ('initialNorthAxis' in config) {
+        store.dispatch('project/setNorthAxis', { north_axis: config.initialNorthAxis });
+      }
+      if ('showMapDialogOnStart' in config) {
+        store.dispatch('project/setMapEnabled', { enabled: config.showMapDialogOnStart });
+        store.dispatch('project/setMapVisible', { visible: config.showMapDialogOnStart });
+      }
+      if ('defaultLocation' in config) {
+        store.dispatch('project/setMapLatitude', { latitude: config.defaultLocation.latitude });
+        store.dispatch('project/setMapLongitude', { longitude: config.defaultLocation.longitude });
+      }
+      if ('snapMode' in config) {
+        store.dispatch('application/setCurrentSnapMode', { snapMode: config.snapMode });
+      }
+      if ('readOnly' in config) {
+        store.dispatch('application/setReadOnly', { readOnly: config.readOnly });
+      }
+      // when these are left out, everything is enabled
+      if (config.enabledModes) {
+        store.dispatch('application/setEnabledModes', { modes: config.enabledModes });
+      }
+      if (config.enabledTools) {
+        store.dispatch('application/setEnabledTools', { tools: config.enabledTools });
+      }
+      if (config.enabledComponentTypes) {
+        store.dispatch('application/setEnabledComponentTypes', { componentTypes: config.enabledComponentTypes });
+      }
+    },
+    init: function init() {
+      if (api.initAlreadyRun) {
+        throw new Error('This method can only be run once!');
+      }
+      api.versionNumber = 0;
+      api.application = options.start(api);
+      api.store = api.application.$store;
 
-    // don't dispatch actions until the application and data store are instantiated
-    window.application.$store.dispatch('project/setUnits', { units: window.api.config.units, editable: window.api.config.unitsEditable });
-    window.application.$store.dispatch('project/setShowImportExport', window.api.config.showImportExport);
-    window.application.$store.dispatch('project/setSpacing', { spacing: window.api.config.initialGridSize });
-    window.application.$store.dispatch('project/setNorthAxis', { north_axis: window.api.config.initialNorthAxis });
+      // don't dispatch actions until the application and data store are instantiated
+      api.store.dispatch('project/setUnits', { units: api.config.units, editable: api.config.unitsEditable });
+      api.applyConfig(api.config);
+      api.initAlreadyRun = true;
+    },
+  };
 
-    window.application.$store.dispatch('project/setMapEnabled', { enabled: window.api.config.showMapDialogOnStart });
-    window.application.$store.dispatch('project/setMapVisible', { visible: window.api.config.showMapDialogOnStart });
+  // the programmatic editing methods resolve with an error while the floorplan is read only
+  _.each(['addStory', 'createSpace', 'moveFace', 'deleteSpace', 'placeWindow', 'assignProperty', 'importCsv'], function (name) {
+    var method = api[name];
+    api[name] = function () {
+      if (api.store.state.application.readOnly) {
+        return Promise.resolve({ success: false, error: 'The floorplan is read only' });
+      }
+      return method.apply(api, arguments);
+    };
+  });
 
-    window.application.$store.dispatch('project/setMapLatitude', { latitude: window.api.config.defaultLocation.latitude });
-    window.application.$store.dispatch('project/setMapLongitude', { longitude: window.api.config.defaultLocation.longitude });
+  return api;
+}
 
-    window.application.$store.dispatch('application/setCurrentSnapMode', { snapMode: window.api.config.snapMode });
-    window.api.initAlreadyRun = true;
-  },
-};
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = createApi;
+} else {
+  // the embeddable page, where the bundled application is wrapped in window.startApp
+  window.api = createApi({
+    start: function start() {
+      window.startApp();
+      delete window.startApp;
+      return window.application;
+    },
+  });
+  // hosts read the version number from window
+  Object.defineProperty(window, 'versionNumber', {
+    get: function () { return window.api.versionNumber; },
+    set: function (value) { window.api.versionNumber = value; },
+  });
+}
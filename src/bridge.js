@@ -0,0 +1,127 @@
+/* eslint-disable */
+
+var _ = typeof window !== 'undefined' && window._ ? window._ : require('lodash');
+
+/*
+* postMessage bridge to the api of an editor, so that a page on another origin can drive the embedded app.
+* the host sends requests to the iframe:
+*   iframe.contentWindow.postMessage({ floorspace: 'request', id: 1, method: 'openFloorplan', args: [data] }, '*')
+* and receives a response with the same id once the method has returned (or its Promise has settled):
+*   { floorspace: 'response', id: 1, result: { success: true, errors: [] } }
+*   { floorspace: 'response', id: 1, error: [...] }
+* calling 'on' with an event name forwards that event to the host, until it calls 'off':
+*   { floorspace: 'event', event: 'spaceCreated', payload: { ... } }
+*
+* requests are only accepted from the origins in config.allowedOrigins, which only scripts on the page can set,
+* and hosts can only call the methods which open, edit and export floorplans, so they can't change the configuration.
+* the embeddable page has a bridge to window.api (see the end of this file)
+*/
+function createBridge(api) {
+  var bridge = {
+    // hosts listening to events: [{ source, origin, eventName, callback }]
+    subscriptions: [],
+    // methods of the api that hosts can call, other than on and off
+    methods: [
+      'openFloorplan', 'importLibrary', 'importGeoJSON', 'importGbXML', 'importIfc', 'importCsv',
+      'addStory', 'createSpace', 'moveFace', 'deleteSpace', 'placeWindow', 'assignProperty',
+      'exportFloorplan', 'exportDxf', 'exportGeoJSON', 'exportReport', 'exportGbXML', 'exportThreeScene', 'exportCsv',
+    ],
+    allowedOrigins: function allowedOrigins() {
+      return (api.config && api.config.allowedOrigins) || [];
+    },
+    isAllowed: function isAllowed(event) {
+      return _.includes(bridge.allowedOrigins(), event.origin);
+    },
+    post: function post(event, message) {
+      var response = _.assign({ floorspace: 'response', id: event.data.id }, message);
+      try {
+        event.source.postMessage(response, event.origin);
+      } catch (err) {
+        // the result couldn't be cloned, eg: it contains functions
+        event.source.postMessage({ floorspace: 'response', id: event.data.id, error: err.message }, event.origin);
+      }
+    },
+    subscribe: function subscribe(event, eventName) {
+      var existing = _.find(bridge.subscriptions, function (s) {
+        return s.source === event.source && s.origin === event.origin && s.eventName === eventName;
+      });
+      if (existing) {
+        return;
+      }
+      var subscription = {
+        source: event.source,
+        origin: event.origin,
+        eventName: eventName,
+        callback: function callback(payload) {
+          event.source.postMessage({ floorspace: 'event', event: eventName, payload: payload }, event.origin);
+        },
+      };
+      bridge.subscriptions.push(subscription);
+      api.on(eventName, subscription.callback);
+    },
+    unsubscribe: function unsubscribe(event, eventName) {
+      _.remove(bridge.subscriptions, function (s) {
+        var matches = s.source === event.source && s.origin === event.origin && (eventName === undefined || s.eventName === eventName);
+        if (matches) {
+          api.off(s.eventName, s.callback);
+        }
+        return matches;
+      });
+    },
+    handleMessage: function handleMessage(event) {
+      var request = event.data;
+      // ignore messages meant for someone else
+      if (!request || request.floorspace !== 'request') { return; }
+      if (!bridge.isAllowed(event)) {
+        console.warn('floorspace ignored a request from ' + event.origin + ', which is not in allowedOrigins');
+        return;
+      }
+
+      var args = request.args || [];
+      if (request.method === 'on' && typeof args[0] !== 'string') {
+        bridge.post(event, { error: 'expected an event name, received ' + args[0] });
+        return;
+      }
+      if (request.method === 'on') {
+        bridge.subscribe(event, args[0]);
+        bridge.post(event, { result: true });
+        return;
+      }
+      if (request.method === 'off') {
+        bridge.unsubscribe(event, args[0]);
+        bridge.post(event, { result: true });
+        return;
+      }
+      if (typeof api[request.method] !== 'function') {
+        bridge.post(event, { error: 'unknown method: ' + request.method });
+        return;
+      }
+      if (!_.includes(bridge.methods, request.method)) {
+        bridge.post(event, { error: request.method + ' can\'t be called through postMessage' });
+        return;
+      }
+
+      // errors may be Error objects, which can't always be posted, or plain data like the list from openFloorplan
+      var toError = function (err) { return err instanceof Error ? err.message : err; };
+      var result;
+      try {
+        result = api[request.method].apply(api, args);
+      } catch (err) {
+        bridge.post(event, { error: toError(err) });
+        return;
+      }
+      Promise.resolve(result).then(
+        function (value) { bridge.post(event, { result: value }); },
+        function (err) { bridge.post(event, { error: toError(err) }); });
+    },
+  };
+  return bridge;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = createBridge;
+} else {
+  // the embeddable page, see build/build-embeddable.js
+  window.bridge = createBridge(window.api);
+  window.addEventListener('message', window.bridge.handleMessage);
+}
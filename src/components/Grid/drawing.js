@@ -5,6 +5,7 @@ import {
   distanceBetweenPoints, unitPerpVector, unitVector,
   edgeDirection, repeatingWindowCenters,
 } from './../../store/modules/geometry/helpers';
+import { arcTangent, tessellateArc } from './../../store/modules/geometry/arcs';
 
 function boxAroundWindow({ xScale, yScale, edge, offset }) {
   const
@@ -124,7 +125,7 @@ function drawSingleWindow(xScale, yScale, el, datum) {
 
 
 function drawRepeatingWindows(xScale, yScale, el, datum) {
-  const { start, end, width, spacing } = datum;
+  const { start, end, width, spacing, bulge } = datum;
   d3.select(el)
     .selectAll('.window-wall-ratio, .single-window')
     .remove();
@@ -148,16 +149,20 @@ function drawRepeatingWindows(xScale, yScale, el, datum) {
 
   const
     direction = unitVector(start, end),
-    centers = repeatingWindowCenters({ start, end, spacing, width });
-  const
-    widthX = direction.dx * width,
-    widthY = direction.dy * width;
-  const windows = centers.map(thisCenter => ({
-    ...datum,
-    center: thisCenter,
-    start: { x: thisCenter.x - widthX / 2, y: thisCenter.y - widthY / 2 },
-    end: { x: thisCenter.x + widthX / 2, y: thisCenter.y + widthY / 2 },
-  }));
+    centers = repeatingWindowCenters({ start, end, spacing, width, bulge });
+  const windows = centers.map((thisCenter) => {
+    // windows along arcs are drawn along the tangent at their center
+    const
+      { dx, dy } = bulge ? arcTangent(start, end, bulge, thisCenter.alpha) : direction,
+      widthX = dx * width,
+      widthY = dy * width;
+    return {
+      ...datum,
+      center: thisCenter,
+      start: { x: thisCenter.x - widthX / 2, y: thisCenter.y - widthY / 2 },
+      end: { x: thisCenter.x + widthX / 2, y: thisCenter.y + widthY / 2 },
+    };
+  });
   const windw = rw.select('.sub-windows')
     .selectAll('.sub-window')
     .data(windows);
@@ -499,11 +504,11 @@ export function drawImage() {
       moveable = d3.drag()
       .on('start', function() {
         d3.event.sourceEvent.stopPropagation(); // don't zoom when I'm draggin' an image!
-        [startX, startY] = d3.mouse(document.querySelector('#grid svg'));
+        [startX, startY] = d3.mouse(this.ownerSVGElement);
         currX = currY = undefined;
       })
       .on('drag', function(d) {
-        [currX, currY] = d3.mouse(document.querySelector('#grid svg'));
+        [currX, currY] = d3.mouse(this.ownerSVGElement);
         const { dx, dy } = offset(d);
         d3.select(this)
           .attr('transform', `translate(${dx}, ${dy})`);
@@ -556,11 +561,11 @@ export function drawImage() {
       resizeable = d3.drag()
         .on('start', function() {
           d3.event.sourceEvent.stopPropagation();
-          [startX, startY] = d3.mouse(document.querySelector('#grid svg'));
+          [startX, startY] = d3.mouse(this.ownerSVGElement);
           currX = currY = undefined;
         })
         .on('drag', function(d) {
-          [currX, currY] = d3.mouse(document.querySelector('#grid svg'));
+          [currX, currY] = d3.mouse(this.ownerSVGElement);
           d3.select(this.parentNode.parentNode)
             .attr('transform', scaleTransform(d));
         })
@@ -592,11 +597,11 @@ export function drawImage() {
       rotateable = d3.drag()
         .on('start', function() {
           d3.event.sourceEvent.stopPropagation();
-          [startX, startY] = d3.mouse(document.querySelector('#grid svg'));
+          [startX, startY] = d3.mouse(this.ownerSVGElement);
           currX = currY = undefined;
         })
         .on('drag', function(d) {
-          [currX, currY] = d3.mouse(document.querySelector('#grid svg'));
+          [currX, currY] = d3.mouse(this.ownerSVGElement);
           d3.select(this.parentNode.parentNode)
             .attr('transform', `rotate(${rotationAngle(d)})`);
         })
@@ -728,9 +733,12 @@ export function drawWall() {
 
     const wall = selection.merge(wallE);
 
+    // walls with thickness are drawn as bands around their edge, closed like polygons
     wall
-      .attr('d', d => line([d.start, d.end]))
-      .attr('class', d => `wall ${d.interior ? 'interior' : 'exterior'}`)
+      .attr('d', d => (d.bands.length ?
+        d.bands.map(band => `${line(band)}Z`).join('') :
+        line(tessellateArc(d.start, d.end, d.bulge))))
+      .attr('class', d => `wall ${d.interior ? 'interior' : 'exterior'}${d.bands.length ? ' thick' : ''}`)
       .attr('data-edge-id', d => d.id);
   }
 
@@ -747,6 +755,37 @@ export function drawWall() {
   return chart;
 }
 
+/*
+* underlay lines are only for tracing, they ignore the mouse so that they can't be selected or edited
+*/
+export function drawUnderlayLine() {
+  let
+    xScale = _.identity,
+    yScale = _.identity;
+  const line = d3.line()
+    .x(d => xScale(d.x))
+    .y(d => yScale(d.y));
+  function chart(selection) {
+    selection.exit().remove();
+    const underlayE = selection.enter().append('path').attr('class', 'underlay-line');
+
+    selection.merge(underlayE)
+      .attr('d', d => line(d.points))
+      .attr('data-layer', d => d.layer);
+  }
+
+  chart.xScale = function (_) {
+    if (!arguments.length) return xScale;
+    xScale = _;
+    return chart;
+  };
+  chart.yScale = function (_) {
+    if (!arguments.length) return yScale;
+    yScale = _;
+    return chart;
+  };
+  return chart;
+}
 
 export default function drawMethods({ xScale, yScale, updateImage, selectImage }) {
 
@@ -771,5 +810,8 @@ export default function drawMethods({ xScale, yScale, updateImage, selectImage }
     drawWall: drawWall()
       .xScale(xScale)
       .yScale(yScale),
+    drawUnderlayLine: drawUnderlayLine()
+      .xScale(xScale)
+      .yScale(yScale),
   };
 }
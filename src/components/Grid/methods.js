@@ -6,11 +6,11 @@
 // THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER, THE UNITED STATES GOVERNMENT, OR ANY CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
 
 import * as d3 from 'd3';
-import polylabel from 'polylabel';
 import _ from 'lodash';
-import { snapTargets, snapWindowToEdge, snapToVertexWithinFace, findClosestEdge, findClosestWindow, gridSnapTargets, vertexSnapTargets } from './snapping';
-import geometryHelpers, { distanceBetweenPoints, fitToAspectRatio, projectionOfPointToLine } from './../../store/modules/geometry/helpers';
+import { snapTargets, snapWindowToEdge, snapToVertexWithinFace, findClosestEdge, findClosestWindow, gridSnapTargets, vertexSnapTargets, underlayEdgeTargets } from './snapping';
+import geometryHelpers, { distanceBetweenPoints, fitToAspectRatio, projectionOfPointToLine, polygonLabelPosition } from './../../store/modules/geometry/helpers';
 import modelHelpers from './../../store/modules/models/helpers';
+import { pointsAroundFace, tessellatePolygon, arcsThroughPoints } from './../../store/modules/geometry/arcs';
 
 function ticksInRange(start, stop, spacing) {
   return _.range(
@@ -40,7 +40,7 @@ export default {
   */
   gridClicked() {
     if (this.currentTool === 'Eraser' ||
-    ((this.currentTool === 'Rectangle' || this.currentTool === 'Polygon') && (this.currentSpace || this.currentShading))) {
+    (_.includes(['Rectangle', 'Polygon', 'Split'], this.currentTool) && (this.currentSpace || this.currentShading))) {
       this.addPoint();
     }
     if (this.currentTool === 'Place Component') {
@@ -52,27 +52,44 @@ export default {
     if (this.currentTool === 'Apply Property') {
       this.assignProperty();
     }
+    if (this.currentTool === 'Merge') {
+      this.toggleMergeSpace();
+    }
   },
-  assignProperty() {
-    if (!this.currentSpaceProperty) { return; }
+  // the space on the current story under the mouse, if there is one
+  spaceAtMouse() {
     const
       gridCoords = d3.mouse(this.$refs.grid),
       gridPoint = { x: gridCoords[0], y: gridCoords[1] },
-      rwuPoint = this.gridPointToRWU(gridPoint),
-      space = this.currentStory.spaces.find((sp) => {
-        const face = _.find(this.denormalizedGeometry.faces, { id: sp.face_id });
-        if (!face) {
-          // this space has no geometry. It can't be the one that was clicked.
-          return false;
-        }
-        return geometryHelpers.pointInFace(rwuPoint, face.vertices);
-      });
+      rwuPoint = this.gridPointToRWU(gridPoint);
+    return this.currentStory.spaces.find((sp) => {
+      const face = _.find(this.denormalizedGeometry.faces, { id: sp.face_id });
+      if (!face) {
+        // this space has no geometry. It can't be the one that was clicked.
+        return false;
+      }
+      const [outline, ...holes] = [face, ...face.holes].map(ring => tessellatePolygon(pointsAroundFace(ring)));
+      return geometryHelpers.pointInFace(rwuPoint, outline, holes);
+    });
+  },
+  assignProperty() {
+    if (!this.currentSpaceProperty) { return; }
+    const space = this.spaceAtMouse();
     if (!space) { return; }
     this.$store.dispatch('models/updateSpaceWithData', {
       space,
       [this.spacePropertyKey]: this.currentSpaceProperty.id,
     });
   },
+  // add the clicked space to the spaces selected to be merged, or take it out if it was already selected
+  toggleMergeSpace() {
+    const space = this.spaceAtMouse();
+    if (!space) { return; }
+    const ids = this.$store.state.application.currentSelections.merge_ids;
+    this.$store.dispatch('application/setMergeIds', {
+      ids: _.includes(ids, space.id) ? _.without(ids, space.id) : [...ids, space.id],
+    });
+  },
   deselectImages() {
     this.$store.dispatch('application/setCurrentSubSelectionId', this.currentStory.spaces[0]);
   },
@@ -178,9 +195,9 @@ export default {
   },
   raiseOrLowerImages() {
     if (this.currentTool === 'Image') {
-      d3.select('#grid svg .images').raise();
+      d3.select(this.$refs.grid).select('.images').raise();
     } else {
-      d3.select('#grid svg .images').lower();
+      d3.select(this.$refs.grid).select('.images').lower();
     }
   },
   placeDaylightingControl() {
@@ -209,6 +226,7 @@ export default {
   * If the grid is clicked when a drawing tool or the eraser tool is active, add a point to the component
   * if the new point completes a face being drawn, save the face
   * if the new point completes an eraser selection, call the eraseRectangularSelection method
+  * if the last point of a split line is clicked again, split the face along the line
   */
   addPoint() {
     // location of the mouse in grid units
@@ -223,9 +241,21 @@ export default {
       return;
     }
 
-    // create the point
-    const newPoint = snapTarget.type === 'edge' ? snapTarget.projection : snapTarget;
-    this.points.push(newPoint);
+    const
+      newPoint = snapTarget.type === 'edge' ? snapTarget.projection : snapTarget,
+      lastPoint = _.last(this.points);
+
+    // if the last point of the line being drawn in Split mode is clicked again, split along the line
+    if (this.currentTool === 'Split' && this.points.length >= 2 &&
+      this.distanceBetweenPoints(newPoint, lastPoint) < this.$store.getters['project/snapTolerance']) {
+      this.splitAlongLine();
+      return;
+    }
+
+    // create the point. with the alt key held, the Polygon tool draws an arc through the point instead,
+    // from the point before it to the point after it
+    const through = this.currentTool === 'Polygon' && d3.event && d3.event.altKey && lastPoint && !lastPoint.through;
+    this.points.push(through ? { ...newPoint, through } : newPoint);
     this.drawPoints();
     // if the Rectangle or Eraser tool is active and two points have been drawn (to define a rectangle)
     // complete the corresponding operation for the tool
@@ -235,7 +265,7 @@ export default {
 
   /*
   * When a mousemove event is triggered on the grid and
-  * the 'Rectangle' or 'Polygon' tool is active and a space or shading is selected or the 'Eraser' tool is active
+  * the 'Rectangle', 'Polygon' or 'Split' tool is active and a space or shading is selected or the 'Eraser' tool is active
   * look up the snap target for the location of the event, highlight it, and render a guide point
   * if there is no snap target, use the event location
   */
@@ -243,7 +273,7 @@ export default {
     // only highlight snap targets in drawing modes when a space or shading has been selected
     if (!(this.currentTool === 'Eraser' ||
     (this.currentTool === 'Place Component' && this.currentComponentDefinition) ||
-    ((this.currentTool === 'Rectangle' || this.currentTool === 'Polygon') && (this.currentSpace || this.currentShading)))) { return; }
+    (_.includes(['Rectangle', 'Polygon', 'Split'], this.currentTool) && (this.currentSpace || this.currentShading)))) { return; }
 
     // unhighlight expired snap targets
     this.clearHighlights();
@@ -279,7 +309,7 @@ export default {
 
     // if snapping to an edisting edge or radius, draw a larger point, if snapping to the grid or just displaying the location of the pointer, create a small point
     if (snapTarget.type === 'vertex') {
-      d3.select('#grid svg')
+      d3.select(this.$refs.grid)
       .append('ellipse')
       .attr('cx', this.rwuToGrid(ellipsePoint.x, 'x'))
       .attr('cy', this.rwuToGrid(ellipsePoint.y, 'y'))
@@ -289,7 +319,7 @@ export default {
       .attr('data-transform-plz', '')
       .attr('vector-effect', 'non-scaling-stroke');
     } else {
-      d3.select('#grid svg')
+      d3.select(this.$refs.grid)
       .append('ellipse')
       .attr('cx', this.rwuToGrid(ellipsePoint.x, 'x'))
       .attr('cy', this.rwuToGrid(ellipsePoint.y, 'y'))
@@ -302,7 +332,7 @@ export default {
 
     // in drawing modes, highlight edges that would be snapped to
     if (snapTarget.type === 'edge' && this.currentTool !== 'Eraser') {
-      d3.select('#grid svg')
+      d3.select(this.$refs.grid)
       .append('line')
       .attr('x1', this.rwuToGrid(snapTarget.v1GridCoords.x, 'x'))
       .attr('y1', this.rwuToGrid(snapTarget.v1GridCoords.y, 'y'))
@@ -319,11 +349,11 @@ export default {
   },
 
   clearHighlights() {
-    d3.selectAll('#grid .highlight, #grid .gridpoint, #grid .guideline').remove();
+    d3.select(this.$refs.grid).selectAll('.highlight, .gridpoint, .guideline').remove();
     this.componentFacingSelection = null;
   },
   clearComponentHighlights() {
-    d3.selectAll('#grid .highlight, #grid .component-guideline').remove();
+    d3.select(this.$refs.grid).selectAll('.highlight, .component-guideline').remove();
     this.componentFacingSelection = null;
   },
   highlightComponentToPlaceOrSelect(gridPoint) {
@@ -368,7 +398,7 @@ export default {
       // "Am I selecting or replacing that one?"
       return;
     }
-    d3.select('#grid svg')
+    d3.select(this.$refs.grid)
       .append('g')
       .classed('highlight', true)
       .selectAll('.window')
@@ -393,7 +423,7 @@ export default {
 
     if (!loc) { return; }
 
-    d3.select('#grid svg')
+    d3.select(this.$refs.grid)
       .append('g')
       .classed('highlight', true)
       .selectAll('.window')
@@ -408,7 +438,7 @@ export default {
     this.highlightWindowGuideline(loc);
   },
   highlightWindowGuideline(loc) {
-    d3.select('#grid svg')
+    d3.select(this.$refs.grid)
       .append('g')
       .classed('guideline', true)
       .selectAll('.window-guideline')
@@ -424,7 +454,7 @@ export default {
         this.spacing,
       );
     if (!loc) { return; }
-    d3.select('#grid svg')
+    d3.select(this.$refs.grid)
       .append('g')
       .classed('highlight', true)
       .selectAll('.daylighting-control')
@@ -438,7 +468,7 @@ export default {
       face = _.find(this.denormalizedGeometry.faces, { id: loc.face_id }),
       windows = this.windowsOnFace(face),
       nearestEdge = findClosestWindow(windows, loc) || findClosestEdge(face.edges, loc);
-    d3.select('#grid svg')
+    d3.select(this.$refs.grid)
       .append('g')
       .classed('guideline', true)
       .selectAll('.daylighting-control-guideline')
@@ -461,7 +491,15 @@ export default {
     // if the polygon tool is active, draw a line connecting the last point in the polygon to the guide point
     // if the rectangle or eraser tool is active, infer a rectangle from the first point that was drawn and the guide point
     if (this.currentTool === 'Polygon') {
-      guidelinePoints = [guidePoint, this.points[this.points.length - 1]];
+      const lastPoint = this.points[this.points.length - 1];
+      guidelinePoints = lastPoint.through ?
+        // the arc through the last point, from the point before it to the guide point
+        tessellatePolygon(arcsThroughPoints([..._.takeRight(this.points, 2), guidePoint], false), undefined, false) :
+        [guidePoint, lastPoint];
+      guidelinePaths = [[guidePoint, lastPoint]];
+    } else if (this.currentTool === 'Split') {
+      // split lines have no area, only their length
+      guidelinePoints = [guidePoint, _.last(this.points)];
       guidelinePaths = [guidelinePoints];
     } else if (this.currentTool === 'Rectangle' || this.currentTool === 'Eraser') {
       guidelinePoints = [
@@ -479,9 +517,12 @@ export default {
     }
 
     const
-      guidelineArea = this.currentTool === 'Polygon' ? [...this.points, guidePoint, this.points[0]] : guidelinePoints,
-      guidelinePolys = [guidelineArea, this.points],
-      svg = d3.select('#grid svg');
+      guidelineArea = this.currentTool === 'Polygon' ?
+        [...tessellatePolygon(arcsThroughPoints([...this.points, guidePoint])), this.points[0]] :
+        guidelinePoints,
+      guidelinePolys = this.currentTool === 'Split' ? [] :
+        [guidelineArea, tessellatePolygon(arcsThroughPoints(this.points, false), undefined, false)],
+      svg = d3.select(this.$refs.grid);
 
     // render a guideline or rectangle
     svg.selectAll('.guideline-line')
@@ -564,13 +605,13 @@ export default {
       .raise();
     }
 
-    d3.selectAll('.vertical, .horizontal').lower();
+    d3.select(this.$refs.grid).selectAll('.vertical, .horizontal').lower();
   },
   /*
   * Erase any drawn guidelines
   */
   eraseGuidelines() {
-    d3.selectAll('#grid .guideline').remove();
+    d3.select(this.$refs.grid).selectAll('.guideline').remove();
   },
   /*
   * Handle escape key presses to cancel current drawing operation
@@ -579,20 +620,30 @@ export default {
     if (e.code === 'Escape' || e.which === 27) {
       this.points = [];
       this.clearHighlights();
-      d3.selectAll('#grid .point-path').remove();
+      d3.select(this.$refs.grid).selectAll('.point-path').remove();
     }
   },
   // ****************** SAVING FACES ****************** //
+  /*
+  * geometry actions return { success, error }, let the user know when one fails
+  */
+  showErrorOnFailure(result) {
+    if (result && !result.success) {
+      this.$store.eventBus.$emit('error', result.error);
+    }
+  },
+
   /*
   * The origin of the polygon being drawn was clicked, create a polygon face from all points on the grid
   * translate the points into RWU and save the face for the selected space or shading
   */
-  savePolygonFace() {
+  savePolygonFace(holes = []) {
     this.clearHighlights();
-    d3.selectAll('#grid .point-path').remove();
+    d3.select(this.$refs.grid).selectAll('.point-path').remove();
 
     const payload = {
-      points: [...this.points],
+      points: arcsThroughPoints(this.points),
+      holes,
     };
 
     if (this.currentSpace) {
@@ -601,7 +652,8 @@ export default {
       payload.model_id = this.currentShading.id;
     }
 
-    this.$store.dispatch('geometry/createFaceFromPoints', payload);
+    this.$store.dispatch('geometry/createFaceFromPoints', payload)
+      .then(this.showErrorOnFailure);
 
     // clear points from the grid
     this.points = [];
@@ -613,7 +665,7 @@ export default {
   */
   saveRectangularFace() {
     this.clearHighlights();
-    d3.selectAll('#grid .point-path').remove();
+    d3.select(this.$refs.grid).selectAll('.point-path').remove();
 
     // infer 4 corners of the rectangle based on the two points that have been drawn
     const payload = {};
@@ -630,7 +682,25 @@ export default {
     } else if (this.currentShading) {
       payload.model_id = this.currentShading.id;
     }
-    this.$store.dispatch('geometry/createFaceFromPoints', payload);
+    this.$store.dispatch('geometry/createFaceFromPoints', payload)
+      .then(this.showErrorOnFailure);
+
+    // clear points from the grid
+    this.points = [];
+  },
+
+  /*
+  * the last point of the line being drawn with the split tool was clicked again, split the face of the selected
+  * space or shading along the line
+  */
+  splitAlongLine() {
+    this.clearHighlights();
+    d3.select(this.$refs.grid).selectAll('.point-path').remove();
+
+    this.$store.dispatch('geometry/splitFace', {
+      model_id: (this.currentSpace || this.currentShading).id,
+      points: this.points,
+    }).then(this.showErrorOnFailure);
 
     // clear points from the grid
     this.points = [];
@@ -645,7 +715,7 @@ export default {
   eraseRectangularSelection() {
     // infer 4 corners of the rectangle based on the two points that have been drawn
     this.clearHighlights();
-    d3.selectAll('#grid .point-path').remove();
+    d3.select(this.$refs.grid).selectAll('.point-path').remove();
 
     const payload = {
       points: [
@@ -669,10 +739,10 @@ export default {
   */
   drawPoints() {
     // remove expired points and guidelines
-    d3.selectAll('#grid .point-path').remove();
+    d3.select(this.$refs.grid).selectAll('.point-path').remove();
 
     // draw points
-    const pointPath = d3.select('#grid svg')
+    const pointPath = d3.select(this.$refs.grid)
     .selectAll('ellipse.point-path').data(this.points);
 
     pointPath.merge(
@@ -687,9 +757,9 @@ export default {
     .attr('vector-effect', 'non-scaling-stroke')
     .attr('fill', (d, ix) => (ix === 0 ? 'none' : ''));
 
-    // connect the points for the face being drawn with a line
-    d3.select('#grid svg').append('path').attr('class', 'point-path')
-    .datum(this.points)
+    // connect the points for the face being drawn with a line, along the arcs drawn through points
+    d3.select(this.$refs.grid).append('path').attr('class', 'point-path')
+    .datum(tessellatePolygon(arcsThroughPoints(this.points, false), undefined, false))
     .attr('fill', 'none')
     .attr('vector-effect', 'non-scaling-stroke')
     .attr('data-transform-plz', '')
@@ -698,10 +768,10 @@ export default {
     .lower();
 
     // keep grid lines under polygon edges
-    d3.selectAll('.vertical, .horizontal').lower();
+    d3.select(this.$refs.grid).selectAll('.vertical, .horizontal').lower();
   },
   registerDrag() {
-    const polygons = d3.select('#grid svg').selectAll('polygon');
+    const polygons = d3.select(this.$refs.grid).selectAll('polygon, path.face');
 
     this.deregisterD3Events(polygons);
     if (this.currentTool === 'Select') {
@@ -720,7 +790,8 @@ export default {
     polygons.on('click', (d) => {
       if (this.currentSpace || this.currentShading) {
         this.points = [...d.points];
-        this.savePolygonFace();
+        // the filled face keeps the holes of the face clicked
+        this.savePolygonFace(d.holes);
       }
     });
   },
@@ -754,6 +825,12 @@ export default {
           face_id: d.face_id,
           dx: this.gridToRWU(endX, 'x') - this.gridToRWU(startX, 'x'),
           dy: this.gridToRWU(endY, 'y') - this.gridToRWU(startY, 'y'),
+        }).then((result) => {
+          if (!result.success) {
+            this.showErrorOnFailure(result);
+            // put the dragged polygon back where it was
+            this.$store.eventBus.$emit('reload-grid');
+          }
         });
       });
     polygons.call(drag);
@@ -765,12 +842,12 @@ export default {
   drawPolygons() {
     this.recalcScales();
     // remove expired polygons
-    let poly = d3.select('#grid svg .polygons').selectAll('g.poly')
+    let poly = d3.select(this.$refs.grid).select('.polygons').selectAll('g.poly')
       .data(this.polygons, d => d.face_id);
 
     poly.exit().remove();
     const polyEnter = poly.enter().append('g').attr('class', 'poly');
-    polyEnter.append('polygon');
+    polyEnter.append('path').classed('face', true);
     polyEnter.append('text').attr('class', 'polygon-text');
     polyEnter.append('g').attr('class', 'windows');
     polyEnter.append('g').attr('class', 'doors');
@@ -780,15 +857,20 @@ export default {
     poly = polyEnter
       .merge(poly)
       .classed('current', d => d.current)
+      .classed('merging', d => d.merging)
       .classed('previousStory', d => d.previous_story)
       .classed('poly', true)
       .attr('data-model-type', d => d.modelType)
       .attr('id', p => `poly-${p.face_id}`)
       .attr('transform', null);
 
-    poly.select('polygon')
+    // faces are drawn as a path around their outline and each of their holes, which the even-odd rule leaves unfilled
+    poly.select('path.face')
       .attr('id', d => `face-${d.face_id}`)
-      .attr('points', d => d.points.map(p => [this.rwuToGrid(p.x, 'x'), this.rwuToGrid(p.y, 'y')].join(',')).join(' '))
+      .attr('d', d => [d.outline, ...d.holeOutlines]
+        .map(ring => `M${ring.map(p => [this.rwuToGrid(p.x, 'x'), this.rwuToGrid(p.y, 'y')].join(',')).join('L')}Z`)
+        .join(' '))
+      .attr('fill-rule', 'evenodd')
       .attr('fill', d => d.color)
       .attr('vector-effect', 'non-scaling-stroke');
 
@@ -826,23 +908,29 @@ export default {
     poly.order();
   },
   drawWalls() {
-    d3.select('#grid svg .walls').selectAll('.wall')
+    d3.select(this.$refs.grid).select('.walls').selectAll('.wall')
       .data(this.walls, d => d.id)
       .call(this.drawWall);
   },
+  drawUnderlays() {
+    d3.select(this.$refs.grid).select('.underlays').selectAll('.underlay-line')
+      .data(this.underlayLines, d => d.id)
+      .call(this.drawUnderlayLine);
+  },
   drawImages() {
-    d3.select('#grid svg .images').selectAll('.image-group')
+    d3.select(this.$refs.grid).select('.images').selectAll('.image-group')
       .data(this.images, d => d.id)
       .call(this.drawImage);
   },
 
   draw({ zoomEnd } = {}) {
     this.transformAtLastRender = { ...this.transform };
-    d3.selectAll('[data-transform-plz]')
+    d3.select(this.$refs.grid).selectAll('[data-transform-plz]')
       .attr('transform', '');
 
     this.drawPolygons();
     this.drawWalls();
+    this.drawUnderlays();
     this.drawImages();
     this.raiseOrLowerImages();
 
@@ -872,8 +960,9 @@ export default {
     if (this.snapMode === 'grid-verts-edges') {
       const realPoint = this.gridPointToRWU(gridPoint);
       const targets = [
-        ...vertexSnapTargets(this.currentStoryGeometry.vertices, this.spacing, realPoint),
+        ...vertexSnapTargets([...this.currentStoryGeometry.vertices, ...this.underlayVertices], this.spacing, realPoint),
         ...this.snappingEdgeData(realPoint),
+        ...underlayEdgeTargets(this.underlaySegments, realPoint, this.$store.getters['project/snapTolerance']),
         ...gridSnapTargets(this.spacing, realPoint),
         ...this.polygonOriginPoint(),
       ].map(
@@ -907,8 +996,11 @@ export default {
     const snappingVertex = this.snappingVertexData(rwuPoint);
     if (snappingVertex) { return snappingVertex; }
 
-    const snappingEdge = this.snappingEdgeData(rwuPoint);
-    if (snappingEdge.length > 0) { return snappingEdge[0]; }
+    const snappingEdge = _.minBy([
+      ...this.snappingEdgeData(rwuPoint),
+      ...underlayEdgeTargets(this.underlaySegments, rwuPoint, this.$store.getters['project/snapTolerance']),
+    ], 'dist');
+    if (snappingEdge) { return snappingEdge; }
 
     // grid is active and no vertices or edges are within snapping range, calculate the closest grid point to snap to
     if (this.gridVisible) {
@@ -992,6 +1084,7 @@ export default {
     const snappableVertices = [
       ...this.currentStoryGeometry.vertices,
       ...(this.previousStoryGeometry ? this.previousStoryGeometry.vertices : []),
+      ...this.underlayVertices,
       ...this.polygonOriginPoint(),
     ];
 
@@ -1005,7 +1098,7 @@ export default {
   snappingVertexData(point) {
     // build a list of vertices (in RWU) available for snapping
     // deep copy all vertices on the current story
-    let snappableVertices = [...this.currentStoryGeometry.vertices];
+    let snappableVertices = [...this.currentStoryGeometry.vertices, ...this.underlayVertices];
 
     // TODO: conditionally combine this list with vertices from the next story down if it is visible
     if (this.previousStoryGeometry) {
@@ -1219,7 +1312,7 @@ export default {
     [this.min_x, this.max_x] = xExtent;
     [this.min_y, this.max_y] = yExtent;
     _.defer(() => {
-      window.eventBus.$emit('boundsResolved');
+      this.$store.eventBus.$emit('boundsResolved');
     });
   },
   nullTransform() {
@@ -1289,7 +1382,7 @@ export default {
       width = this.$refs.gridParent.clientWidth,
       height = this.$refs.gridParent.clientHeight;
     const
-      svg = d3.select('#grid svg'),
+      svg = d3.select(this.$refs.grid),
       // keep font size and stroke width visually consistent
       strokeWidth = 1,
       fontSize = '14px';
@@ -1389,7 +1482,7 @@ export default {
       y = (yExtent[0] + yExtent[1]) / 2,
       scale = 0.9 / Math.max(dx / width, dy / height),
       translate = [width / 2 - scale * x, height / 2 - scale * y],
-      svg = d3.select('#grid svg'),
+      svg = d3.select(this.$refs.grid),
       transform = d3.zoomIdentity.translate(...translate).scale(scale);
 
     svg.call(this.zoomBehavior.transform, transform);
@@ -1418,7 +1511,7 @@ export default {
     // let elements opt-in and say "I would like to be translated when the user
     // pans, plz".
 
-    d3.selectAll('[data-transform-plz]')
+    d3.select(this.$refs.grid).selectAll('[data-transform-plz]')
       .attr('transform', transformDiff(this.transformAtLastRender, d3.event.transform));
   },
   showOrHideAxes() {
@@ -1519,13 +1612,9 @@ export default {
   /*
   * determine label x,y for given polygon
   */
-  polygonLabelPosition(pointsIn) {
-    const
-      points = [pointsIn.map(p => [p.x, p.y])],
-      area = Math.abs(Math.round(geometryHelpers.areaOfSelection(pointsIn))), // calculate area in RWU, not grid units
-      [x, y] = area ? polylabel(points, 1.0) : [null, null];
-
-    return { x, y, area };
+  polygonLabelPosition(pointsIn, holes) {
+    // calculated in RWU, not grid units
+    return polygonLabelPosition(pointsIn, holes);
   },
 
   /*
@@ -1,5 +1,6 @@
 import _ from 'lodash';
 import { distanceBetweenPoints, pointDistanceToSegment, edgeDirection, vertInRing } from '../../store/modules/geometry/helpers';
+import { pointDistanceToArc, pointOnArc, arcTangent, arcLength } from '../../store/modules/geometry/arcs';
 
 export function gridSnapTargets(gridSpacing, { x, y }) {
   return [
@@ -45,12 +46,28 @@ export function expandWindowAlongEdge(edge, center, { width, spacing, window_def
       alpha: 0.5,
       start: edge.v1,
       end: edge.v2,
+      bulge: edge.bulge,
       window_definition_mode,
       width,
       spacing,
       texture,
     };
   }
+  if (edge.bulge) {
+    // windows on arcs are drawn along the tangent to the arc at their center
+    const
+      { alpha } = pointDistanceToArc(center, { start: edge.v1, end: edge.v2, bulge: edge.bulge }),
+      { dx, dy } = arcTangent(edge.v1, edge.v2, edge.bulge, alpha);
+    return {
+      edge_id: edge.id,
+      center,
+      edge_start: edge.v1,
+      alpha,
+      start: { x: center.x - ((width * dx) / 2), y: center.y - ((width * dy) / 2) },
+      end: { x: center.x + ((width * dx) / 2), y: center.y + ((width * dy) / 2) },
+      window_definition_mode,
+    };
+  }
   const
     theta = edgeDirection({ start: edge.v1, end: edge.v2 }),
     windowDeltaX = (width * Math.cos(theta)) / 2,
@@ -79,12 +96,45 @@ export function findClosestEdge(edges, cursor) {
   const
     withDistance = edges.map(e => ({
       ...e,
-      ...pointDistanceToSegment(cursor, { start: e.v1, end: e.v2 }),
+      ...(e.bulge ?
+        _.pick(pointDistanceToArc(cursor, { start: e.v1, end: e.v2, bulge: e.bulge }), ['dist', 'proj']) :
+        pointDistanceToSegment(cursor, { start: e.v1, end: e.v2 })),
     })),
     closestEdge = _.minBy(withDistance, 'dist');
   return closestEdge;
 }
 
+/*
+* the segments of the visible underlays of a story, as { v1, v2 } in real world units
+*/
+export function underlaySegments(underlays) {
+  return _.flatMap(
+    _.filter(underlays, 'visible'),
+    u => _.flatMap(u.lines, line => _.zip(_.initial(line.points), _.tail(line.points)))
+      .map(([v1, v2]) => ({ v1, v2 })));
+}
+
+/*
+* underlays can't be edited, so snapping to them only gives the location of their vertices
+* and the closest point on their segments, not ids of geometry.
+* returns [] or a single target for the segment closest to cursor, if it is within snapTolerance
+*/
+export function underlayEdgeTargets(segments, cursor, snapTolerance) {
+  const closestEdge = findClosestEdge(segments, cursor);
+  if (!closestEdge || closestEdge.dist >= snapTolerance) {
+    return [];
+  }
+  return [{
+    type: 'edge',
+    dist: closestEdge.dist,
+    projection: closestEdge.proj,
+    v1GridCoords: closestEdge.v1,
+    v2GridCoords: closestEdge.v2,
+    x: closestEdge.proj.x,
+    y: closestEdge.proj.y,
+  }];
+}
+
 export function findClosestWindow(windows, cursor) {
   const withDistance = windows.map((w) => {
     // single windows calculate distance to center,
@@ -120,6 +170,15 @@ function snapWindowToEdgeAtGridIntervals(edges, cursor, windowDefn, maxSnapDist,
     return null;
   }
 
+  if (closestEdge.bulge) {
+    // windows on arcs are snapped at grid intervals along the arc
+    const
+      { v1, v2, bulge } = closestEdge,
+      length = arcLength(v1, v2, bulge),
+      { alpha } = pointDistanceToArc(closestEdge.proj, { start: v1, end: v2, bulge }),
+      roundedAlpha = _.clamp((Math.round((alpha * length) / gridSpacing) * gridSpacing) / length, 0, 1);
+    return expandWindowAlongEdge(closestEdge, pointOnArc(v1, v2, bulge, roundedAlpha), windowDefn);
+  }
   const
     dist = distanceBetweenPoints(closestEdge.v1, closestEdge.proj),
     roundedDist = Math.round(dist / gridSpacing) * gridSpacing,
@@ -148,7 +207,8 @@ export function snapToVertexWithinFace(snapMode, faces, cursor, gridSpacing) {
   return _.chain(snapTargets(existingVerts, gridSpacing, cursor))
     .map(g => ({
       ...g,
-      face_id: _.find(faces, f => vertInRing(g, f.vertices)),
+      // points in the holes of a face aren't in it
+      face_id: _.find(faces, f => vertInRing(g, f.vertices) && !_.some(f.holes, hole => vertInRing(g, hole.vertices))),
     }))
     .filter('face_id')
     .map(g => ({ ...g, face_id: g.face_id.id }))
@@ -159,6 +219,9 @@ export function snapToVertexWithinFace(snapMode, faces, cursor, gridSpacing) {
 export function windowLocation(edge, windw) {
   const alpha = windw.alpha || 0.5; // if not given, assume center
   // (this is useful for repeating window groups and window-wall-ratios
+  if (edge.bulge) {
+    return pointOnArc(edge.v1, edge.v2, edge.bulge, alpha);
+  }
   return {
     x: edge.v1.x + (alpha * (edge.v2.x - edge.v1.x)),
     y: edge.v1.y + (alpha * (edge.v2.y - edge.v1.y)),
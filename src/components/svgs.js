@@ -1,6 +1,15 @@
 import openFloorplanSvg from './../assets/svg-icons/open_floorplan.svg';
 import saveFloorplanSvg from './../assets/svg-icons/save_floorplan.svg';
 import importLibrarySvg from './../assets/svg-icons/import_library.svg';
+import importDxfSvg from './../assets/svg-icons/import_dxf.svg';
+import exportDxfSvg from './../assets/svg-icons/export_dxf.svg';
+import importGeoJSONSvg from './../assets/svg-icons/import_geojson.svg';
+import exportGeoJSONSvg from './../assets/svg-icons/export_geojson.svg';
+import exportImageSvg from './../assets/svg-icons/export_image.svg';
+import exportReportSvg from './../assets/svg-icons/export_report.svg';
+import importGbXMLSvg from './../assets/svg-icons/import_gbxml.svg';
+import exportGbXMLSvg from './../assets/svg-icons/export_gbxml.svg';
+import exportThreeSvg from './../assets/svg-icons/export_three.svg';
 
 import undoSvg from './../assets/svg-icons/undo.svg';
 import redoSvg from './../assets/svg-icons/redo.svg';
@@ -13,6 +22,8 @@ import componentsTabSvg from './../assets/svg-icons/tab_components.svg';
 import toolDrawRectangleSvg from './../assets/svg-icons/tool_draw_rectangle.svg';
 import toolDrawPolygonSvg from './../assets/svg-icons/tool_draw_polygon.svg';
 import toolEraseSvg from './../assets/svg-icons/tool_erase.svg';
+import toolSplitSvg from './../assets/svg-icons/tool_split.svg';
+import toolMergeSvg from './../assets/svg-icons/tool_merge.svg';
 import toolMoveSizeSvg from './../assets/svg-icons/tool_move_size.svg';
 import toolColorSvg from './../assets/svg-icons/tool_color.svg';
 import toolImageSvg from './../assets/svg-icons/image_icon.svg';
@@ -76,6 +87,15 @@ export default {
   'open-floorplan-svg': openFloorplanSvg,
   'save-floorplan-svg': saveFloorplanSvg,
   'import-library-svg': importLibrarySvg,
+  'import-dxf-svg': importDxfSvg,
+  'export-dxf-svg': exportDxfSvg,
+  'import-geojson-svg': importGeoJSONSvg,
+  'export-geojson-svg': exportGeoJSONSvg,
+  'export-image-svg': exportImageSvg,
+  'export-report-svg': exportReportSvg,
+  'import-gbxml-svg': importGbXMLSvg,
+  'export-gbxml-svg': exportGbXMLSvg,
+  'export-three-svg': exportThreeSvg,
   'undo-svg': undoSvg,
   'redo-svg': redoSvg,
   'tab-floorplan-svg': floorplanTabSvg,
@@ -87,6 +107,8 @@ export default {
   'tool-draw-rectangle-svg': toolDrawRectangleSvg,
   'tool-draw-polygon-svg': toolDrawPolygonSvg,
   'tool-erase-svg': toolEraseSvg,
+  'tool-split-svg': toolSplitSvg,
+  'tool-merge-svg': toolMergeSvg,
   'tool-move-size-svg': toolMoveSizeSvg,
   'tool-image-svg': toolImageSvg,
   'tool-fill-svg': toolFillSvg,
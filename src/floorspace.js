@@ -0,0 +1,36 @@
+import Vue from 'vue';
+import { createStore } from './store/index';
+import createTimetravel from './store/timetravel';
+import createApi from './api';
+import App from './App.vue';
+
+/*
+* mount an editor on element (a DOM element or a selector), with its own data store, event bus, id generator
+* and undo history. api is the api controlling the editor, if any.
+* returns the root Vue instance, its store is at application.$store
+*/
+export function mountFloorspace(element, api = null) {
+  const store = createStore({ eventBus: new Vue(), api });
+  const application = new Vue({
+    store,
+    el: element,
+    template: '<App/>',
+    components: { App },
+  });
+  createTimetravel().init(store);
+  return application;
+}
+
+/*
+* start an editor on element, independent of any other editors on the page
+* config is the same as for api.setConfig, eg: createFloorspace(document.getElementById('plan-a'), { units: 'ip' })
+* returns the api for the new editor, see api.js
+*/
+export default function createFloorspace(element, config = {}) {
+  const api = createApi({
+    start: instanceApi => mountFloorspace(element, instanceApi),
+  });
+  api.setConfig(config);
+  api.init();
+  return api;
+}
@@ -0,0 +1,123 @@
+import _ from 'lodash';
+import { createStore } from './store/index';
+import createApi from './api';
+import checkGeometry from './utilities/checkGeometry';
+import geometryHelpers from './store/modules/geometry/helpers';
+import { spaceArea, storyWalls, tessellateFloorplan } from './store/utilities/export';
+
+const toJSON = data => (_.isString(data) ? data : JSON.stringify(data));
+
+/*
+* the data store and geometry engine of the editor without its user interface, so that floorplans can be
+* loaded, edited, validated and exported in Node with the same rules the editor uses, eg:
+*   const { loadFloorplan } = require('floorspace.js');
+*   loadFloorplan(json)
+*     .then(floorplan => floorplan.createSpace({ storyId: '1', points }).then(() => floorplan.exportFloorplan()));
+* build it with npm run build-node
+*/
+
+/*
+* create an empty floorplan with one story.
+* config is the same as for api.setConfig, returns the api for the floorplan (see api.js), which has no
+* user interface, so change events aren't emitted.
+*/
+export function createFloorplan(config = {}) {
+  const api = createApi({
+    start: instanceApi => ({ $store: createStore({ api: instanceApi }) }),
+  });
+  api.setConfig(config);
+  api.init();
+  api.store.dispatch('models/initStory');
+  return api;
+}
+
+/*
+* load a saved floorplan, as a JSON string or an object.
+* returns a Promise which resolves with the api for the floorplan, or rejects like api.openFloorplan
+*/
+export function loadFloorplan(data, options = {}) {
+  const api = createFloorplan();
+  return api.openFloorplan(toJSON(data), { ...options, noReloadGrid: true })
+    .then(() => api);
+}
+
+/*
+* everything wrong with a saved floorplan: schema violations, dangling references, and geometry that the
+* editor wouldn't create, like duplicate vertices or edges.
+* returns a Promise which resolves with a list of errors like { type: 'geometry', path: 'stories[0].geometry', message }
+*/
+export function validateFloorplan(data) {
+  const api = createFloorplan();
+  return api.openFloorplan(toJSON(data), { strict: false, noReloadGrid: true })
+    .then((result) => {
+      const { state, getters } = api.store;
+      const geometryErrors = _.flatMap(getters['geometry/denormalized'], (geometry) => {
+        const storyIndex = _.findIndex(state.models.stories, { geometry_id: geometry.id });
+        return checkGeometry(geometry).map(message => ({
+          type: 'geometry',
+          path: `stories[${storyIndex}].geometry`,
+          message,
+        }));
+      });
+      return [...result.errors, ...geometryErrors];
+    }, errors => errors);
+}
+
+/*
+* update a floorplan saved by an older version, the same way the editor does when it is opened.
+* references to geometry that doesn't exist are dropped.
+* returns a Promise which resolves with { floorplan, errors }, where errors lists what was dropped
+*/
+export function upgradeFloorplan(data) {
+  const api = createFloorplan();
+  return api.openFloorplan(toJSON(data), { strict: false, noReloadGrid: true })
+    .then(result => ({ floorplan: api.exportFloorplan(), errors: result.errors }));
+}
+
+/*
+* convert a floorplan and its library to units ('ip' or 'si').
+* returns a Promise which resolves with the converted floorplan, or rejects like api.openFloorplan
+*/
+export function convertFloorplan(data, units) {
+  return loadFloorplan(data).then((api) => {
+    api.updateConfig({ units });
+    return api.exportFloorplan();
+  });
+}
+
+/*
+* count the objects on each story of a loaded floorplan, and add up the area of its spaces, in project units,
+* measured as in reports and gbXML to the face of their walls set by the area_basis of the project, along the
+* segments arc walls are exported as.
+* returns { units, area, stories: [{ id, name, multiplier, spaces, shading, windows, doors, area }] }
+*/
+export function floorplanStats(api) {
+  const
+    { state, getters } = api.store,
+    floorplan = tessellateFloorplan(getters.exportData);
+
+  const stories = floorplan.stories.map((story) => {
+    const walls = storyWalls(story, floorplan);
+    return {
+      id: story.id,
+      name: story.name,
+      multiplier: story.multiplier,
+      spaces: story.spaces.length,
+      shading: story.shading.length,
+      windows: story.windows.length,
+      doors: story.doors.length,
+      area: _.sumBy(story.spaces, space => spaceArea(space, story, floorplan, walls)),
+    };
+  });
+  return {
+    units: state.project.config.units,
+    area: _.sumBy(stories, 'area'),
+    stories,
+  };
+}
+
+export { createStore, geometryHelpers };
+export { schemaErrors, removeDanglingReferences } from './store/utilities/validateFloorplan';
+export { convertState, convertLibrary } from './store/utilities/unitConversion';
+export { validateFaceGeometry, newGeometriesOfOverlappedFaces } from './store/modules/geometry/actions/createFaceFromPoints';
+export { default as checkGeometry } from './utilities/checkGeometry';
@@ -9,24 +9,18 @@
 // (runtime-only or standalone) has been set in webpack.base.conf with an alias.
 import 'babel-polyfill';
 import Vue from 'vue';
-import store from './store/index';
-
-import timetravel from './store/timetravel';
-import App from './App.vue';
+import createFloorspace, { mountFloorspace } from './floorspace';
 import PrettySelect from './components/PrettySelect.vue';
 import GenericInput from './components/GenericInput.vue';
 
 Vue.component('pretty-select', PrettySelect);
 Vue.component('generic-input', GenericInput);
 
-window.eventBus = new Vue();
-
-// mount the root vue instance
-window.application = new Vue({
-  store,
-  el: '#app',
-  template: '<App/>',
-  components: { App },
-});
+// pages can start more editors with window.createFloorspace(element, config)
+window.createFloorspace = createFloorspace;
 
-timetravel.init(store);
+// mount the root vue instance, controlled by window.api on the embeddable page
+if (document.getElementById('app')) {
+  window.application = mountFloorspace('#app', window.api || null);
+  window.eventBus = window.application.$store.eventBus;
+}
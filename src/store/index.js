@@ -7,28 +7,51 @@ import project from './modules/project/index';
 import geometry from './modules/geometry/index';
 import models from './modules/models/index';
 
-import exportData from './utilities/export';
+import exportData, { exportTessellatedData } from './utilities/export';
+import exportDxf from './utilities/exportDxf';
+import exportGeoJSON from './utilities/exportGeoJSON';
+import exportReport from './utilities/exportReport';
+import exportGbXML from './utilities/exportGbXML';
+import exportThreeScene from './utilities/exportThreeScene';
 import importFloorplan from './utilities/importFloorplan';
-import importLibrary from './utilities/importLibrary';
+import importLibrary, { importOsmLibrary } from './utilities/importLibrary';
+import importDxf from './utilities/importDxf';
+import importGeoJSON from './utilities/importGeoJSON';
+import importBuildingModel, { importGbXML, importIfc } from './utilities/importBuildingModel';
+import { tableToCsv, importCsv } from './utilities/tableCsv';
 import { convertState } from './utilities/unitConversion';
+import blockedWhenReadOnly from './utilities/readOnly';
+import { createIdFactory } from './utilities/generateId';
 import mutations from './mutations';
 
 Vue.use(Vuex);
 
-const store = new Vuex.Store({
+const storeOptions = {
   strict: process.env.NODE_ENV !== 'production',
   modules: {
     application,
     project,
-    geometry,
-    models,
+    // editing actions are blocked in read only mode, trimGeometry is allowed so that floorplans can be imported
+    geometry: { ...geometry, actions: blockedWhenReadOnly(geometry.actions, ['trimGeometry']) },
+    models: { ...models, actions: blockedWhenReadOnly(models.actions, ['selectStory']) },
   },
   getters: {
     exportData,
+    exportTessellatedData,
+    exportDxf,
+    exportGeoJSON,
+    exportReport,
+    exportGbXML,
+    exportThreeScene,
+    // the table of a library type or of the spaces as the text of a CSV file
+    exportCsv: state => type => tableToCsv(state, type),
   },
   actions: {
     importFloorplan,
     importLibrary,
+    importOsmLibrary,
+    importCsv,
+    ...blockedWhenReadOnly({ importDxf, importGeoJSON, importBuildingModel, importGbXML, importIfc }),
     changeUnits(context, { newUnits }) {
       const oldUnits = context.state.project.config.units;
       console.log(`moving from ${oldUnits} to ${newUnits}`);
@@ -44,10 +67,28 @@ const store = new Vuex.Store({
           context.state,
           oldUnits,
           newUnits));
-      context.dispatch('project/setUnits', { units: newUnits });
+      // commit rather than dispatch, the project/setUnits action destroys all stories
+      context.commit('project/setUnits', { units: newUnits });
     },
   },
   mutations,
-});
+};
 
-export default store;
+/*
+* create a data store for one editor.
+* store.eventBus is the Vue instance used to show errors and messages to the user, and to signal the grid,
+* store.api is the api controlling the editor, if any (see api.js), and store.idFactory generates the ids of its objects.
+* actions can reach both through `this`, which Vuex binds to the store.
+*/
+export function createStore({ eventBus = new Vue(), api = null } = {}) {
+  const idFactory = createIdFactory();
+  const store = new Vuex.Store({
+    ...storeOptions,
+    // objects are created with ids from the store's own generator, see idsOf in utilities/generateId.js
+    getters: { ...storeOptions.getters, idFactory: () => idFactory },
+  });
+  store.eventBus = eventBus;
+  store.api = api;
+  store.idFactory = idFactory;
+  return store;
+}
@@ -1,5 +1,5 @@
 import _ from 'lodash';
-import { assignableProperties } from './appconfig';
+import { assignableProperties, allModes, allTools, componentTypes } from './appconfig';
 import { componentInstanceById, spacePropertyById } from './helpers';
 
 export default {
@@ -21,6 +21,12 @@ export default {
     }
   },
 
+  // select spaces on the current story to be merged, ids of anything else are left out
+  setMergeIds(context, payload) {
+    const spaceIds = context.getters.currentStory ? _.map(context.getters.currentStory.spaces, 'id') : [];
+    context.commit('setMergeIds', { ids: _.intersection(_.uniq(payload.ids), spaceIds) });
+  },
+
   setCurrentComponentId(context, payload) {
     const { id } = payload;
     if (context.getters.currentStory && (
@@ -74,13 +80,44 @@ export default {
 
   setCurrentMode(context, payload) {
     const { mode } = payload;
-    if (mode === 'spaces' || _.includes(assignableProperties, mode)) {
+    if (!_.includes(context.state.modes, mode)) {
+      console.error(`${mode} is not enabled`);
+    } else if (mode === 'spaces' || _.includes(assignableProperties, mode)) {
       context.commit('setCurrentMode', { mode });
     } else {
       console.error(`unrecognized view-by option: ${mode}`);
     }
   },
 
+  /*
+  * limit the modes, tools and component types available to the user
+  */
+  setEnabledModes(context, { modes }) {
+    const unknown = _.difference(modes, allModes);
+    if (unknown.length) {
+      throw new Error(`unrecognized modes: ${unknown.join(', ')}. expected some of ${allModes.join(', ')}`);
+    }
+    context.commit('setEnabledModes', { modes });
+  },
+  setEnabledTools(context, { tools }) {
+    const unknown = _.difference(tools, allTools);
+    if (unknown.length) {
+      throw new Error(`unrecognized tools: ${unknown.join(', ')}. expected some of ${allTools.join(', ')}`);
+    }
+    context.commit('setEnabledTools', { tools });
+  },
+  setEnabledComponentTypes(context, { componentTypes: types }) {
+    const unknown = _.difference(types, componentTypes);
+    if (unknown.length) {
+      throw new Error(`unrecognized component types: ${unknown.join(', ')}. expected some of ${componentTypes.join(', ')}`);
+    }
+    context.commit('setEnabledComponentTypes', { componentTypes: types });
+  },
+
+  setReadOnly(context, { readOnly }) {
+    context.commit('setReadOnly', { readOnly: !!readOnly });
+  },
+
   setCurrentSpacePropertyId(context, payload) {
     const { id } = payload;
     if (!id || spacePropertyById(context.rootState.models.library, id)) {
@@ -2,6 +2,9 @@
 export const assignableProperties = ['building_units', 'thermal_zones', 'space_types', 'construction_sets', 'pitched_roofs'];
 export const componentTypes = ['window_definitions', 'daylighting_control_definitions', 'door_definitions'];
 export const libraryTypes = [...assignableProperties, ...componentTypes];
+// everything the application supports, embedding applications may enable a subset of these
+export const allModes = ['spaces', 'shading', 'images', ...assignableProperties];
+export const allTools = ['Pan', 'Drag', 'Rectangle', 'Polygon', 'Eraser', 'Split', 'Merge', 'Select', 'Map', 'Fill', 'Place Component', 'Image', 'Apply Property'];
 export const textures = [
   'circles-2', 'circles-5', 'circles-8', 'diagonal-stripe-1',
   'diagonal-stripe-4', 'diagonal-stripe-6', 'dots-5', 'dots-8',
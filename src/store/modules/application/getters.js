@@ -35,6 +35,13 @@ export default {
   currentShading(state, getters) { return getters.currentSubSelectionType === 'shading' ? getters.currentSubSelection : null; },
   currentImage(state, getters) { return getters.currentSubSelectionType === 'images' ? getters.currentSubSelection : null; },
 
+  // spaces on the current story selected to be merged with the Merge tool
+  mergeSpaces(state, getters) {
+    const currentStory = getters['currentStory'];
+    if (!currentStory) { return []; }
+    return _.compact(state.currentSelections.merge_ids.map(id => _.find(currentStory.spaces, { id })));
+  },
+
   // full component definition (window_definition or daylighting_control_definition) instance for the component_definition_id
   // this will be stored in the top level library
   currentComponent(state, getters, rootState) {
@@ -1,10 +1,41 @@
 import _ from 'lodash';
-import map, { assignableProperties } from './appconfig';
+import map, { assignableProperties, allModes, componentTypes } from './appconfig';
 
 export function displayNameForMode(mode) {
   return map.modes[mode];
 }
 
+/*
+* whether objects of a type (eg: 'shading' or 'window_definitions') are enabled in the application state
+* types that can't be disabled, like stories, are always enabled
+*/
+export function typeEnabled(application, type) {
+  if (_.includes(allModes, type)) { return _.includes(application.modes, type); }
+  if (_.includes(componentTypes, type)) { return _.includes(application.componentTypes, type); }
+  return true;
+}
+
+/*
+* warn about objects of disabled types in an imported floorplan or library
+* returns a list of warnings like { type: 'disabled', path: 'shading', message: 'shading is disabled, but 2 were imported' }
+*/
+export function disabledTypeWarnings(application, data) {
+  return [...allModes, ...componentTypes]
+    .filter(type => !typeEnabled(application, type))
+    .map(type => ({
+      type,
+      count: _.includes(['spaces', 'shading', 'images'], type) ?
+        _.sumBy(data.stories, s => (s[type] || []).length) :
+        (data[type] || []).length,
+    }))
+    .filter(({ count }) => count > 0)
+    .map(({ type, count }) => ({
+      type: 'disabled',
+      path: type,
+      message: `${type} is disabled, but ${count} were imported`,
+    }));
+}
+
 const helpers = {
   // TODO: refactor
   // returns the displayName for a given mode
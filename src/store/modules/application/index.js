@@ -1,17 +1,20 @@
 import actions from './actions';
 import mutations from './mutations';
 import getters from './getters';
+import { allModes, allTools, componentTypes } from './appconfig';
 
 const d3 = require('d3');
 
 export default {
   namespaced: true,
-  state: {
+  // a function, so that each store gets its own copy
+  state: () => ({
     currentSelections: {
       // models currently being edited
       story: null,
       story_id: null,
       subselection_ids: {}, // story_id -> space, shading, or image id.
+      merge_ids: [], // spaces on the current story selected to be merged with the Merge tool
 
       component_id: null,
       component_definition_id: null,
@@ -26,14 +29,18 @@ export default {
       modeTab: 'floorplan',
       subselectionType: 'spaces',
     },
-    modes: ['spaces', 'shading', 'building_units', 'thermal_zones', 'pitched_roofs', 'space_types', 'images'],
-    tools: ['Pan', 'Drag', 'Rectangle', 'Polygon', 'Eraser', 'Select', 'Map', 'Fill', 'Place Component', 'Image', 'Apply Property'],
+    // when true, the floorplan can be viewed but not edited
+    readOnly: false,
+    // enabled modes, tools and component types
+    modes: [...allModes],
+    tools: [...allTools],
+    componentTypes: [...componentTypes],
     // d3 scale functions px -> rwu
     scale: {
       x: d3.scaleLinear().range([0, 0]).domain([0, 0]),
       y: d3.scaleLinear().range([0, 0]).domain([0, 0]),
     },
-  },
+  }),
   actions,
   mutations,
   getters,
@@ -12,6 +12,7 @@ export default {
       [storyId]: payload.id,
     };
   },
+  setMergeIds(state, payload) { state.currentSelections.merge_ids = payload.ids; },
 
   setCurrentComponentId(state, payload) { state.currentSelections.component_id = payload.id; },
   setCurrentComponentDefinitionId(state, payload) { state.currentSelections.component_definition_id = payload.id; },
@@ -27,6 +28,11 @@ export default {
   setCurrentTool(state, payload) { state.currentSelections.tool = payload.tool; },
   setCurrentMode(state, payload) { state.currentSelections.mode = payload.mode; },
 
+  setReadOnly(state, payload) { state.readOnly = payload.readOnly; },
+  setEnabledModes(state, payload) { state.modes = payload.modes; },
+  setEnabledTools(state, payload) { state.tools = payload.tools; },
+  setEnabledComponentTypes(state, payload) { state.componentTypes = payload.componentTypes; },
+
   // d3 scaling functions
   setScaleX(state, payload) { state.scale.x = payload.scaleX; },
   setScaleY(state, payload) { state.scale.y = payload.scaleY; },
@@ -1,11 +1,15 @@
 import _ from 'lodash';
 import factory from './../factory';
-import geometryHelpers, { distanceBetweenPoints } from './../helpers';
+import geometryHelpers, { distanceBetweenPoints, faceRings } from './../helpers';
 import createFaceFromPoints, { eraseSelection, newGeometriesOfOverlappedFaces, validateFaceGeometry } from './createFaceFromPoints';
+import splitFace from './splitFace';
+import mergeFaces from './mergeFaces';
 import { withPreservedComponents } from './componentPreservationSociety';
+import { sameBulge } from './../arcs';
+import { idsOf } from './../../../utilities/generateId';
 
-export function getOrCreateVertex(geometry, coords) {
-  return geometryHelpers.vertexForCoordinates(coords, geometry) || factory.Vertex(coords.x, coords.y);
+export function getOrCreateVertex(geometry, coords, ids) {
+  return geometryHelpers.vertexForCoordinates(coords, geometry) || factory.Vertex(coords.x, coords.y, ids);
 }
 
 export default {
@@ -14,7 +18,7 @@ export default {
   */
   initGeometry(context, payload) {
     const { story_id } = payload;
-    const geometry = new factory.Geometry();
+    const geometry = new factory.Geometry(idsOf(context));
     context.commit('initGeometry', { geometry });
 
     // set a reference to the new geometry set for the story it belongs to
@@ -39,8 +43,8 @@ export default {
     withPreservedComponents(context, geometry_id, () => {
       const eraseResult = eraseSelection(points, context);
 
-      if (!eraseResult) {
-        window.eventBus.$emit('error', 'Operation cancelled - no split faces');
+      if (!eraseResult.success) {
+        this.eventBus.$emit('error', eraseResult.error);
       }
     });
 
@@ -51,34 +55,35 @@ export default {
   * Given a dx, dy, and face
   * clone the face with all points adjusted by the delta and destroy the original
   * this will trigger all set operations
+  * returns { success: true, face_id } or { success: false, error } if the face could not be moved
   */
   moveFaceByOffset(context, payload) {
     const
       { face_id, dx, dy } = payload,
       currentStoryGeometry = context.rootGetters['application/currentStoryGeometry'],
       face = geometryHelpers.faceForId(face_id, currentStoryGeometry),
-      movedPoints = geometryHelpers.verticesForFaceId(face.id, currentStoryGeometry).map(v => ({
-        x: v.x + dx,
-        y: v.y + dy,
-      })),
+      // the holes of the face move with it
+      [movedPoints, ...movedHoles] = geometryHelpers.ringsForFaceId(face.id, currentStoryGeometry)
+        .map(ring => ring.map(p => ({
+          ...p,
+          x: p.x + dx,
+          y: p.y + dy,
+        }))),
       newGeoms = newGeometriesOfOverlappedFaces(
         movedPoints,
         // Don't consider face we're modifying as a reason to disqualify the action.
         geometryHelpers.exceptFace(currentStoryGeometry, face_id),
+        movedHoles,
+        idsOf(context),
       );
 
     if (newGeoms.error) {
-      window.eventBus.$emit('error', `Operation cancelled - ${newGeoms.error}`);
-
-      window.eventBus.$emit('reload-grid');
-      return;
+      return { success: false, error: `Operation cancelled - ${newGeoms.error}` };
     }
 
-    const movedGeom = validateFaceGeometry(movedPoints, currentStoryGeometry);
+    const movedGeom = validateFaceGeometry(movedPoints, currentStoryGeometry, movedHoles, idsOf(context));
     if (!movedGeom.success) {
-      window.eventBus.$emit('error', movedGeom.error);
-      window.eventBus.$emit('reload-grid');
-      return;
+      return movedGeom;
     }
 
     const movementsByFaceId = { [face_id]: { dx, dy } };
@@ -91,12 +96,14 @@ export default {
         face_id,
         vertices: movedGeom.vertices,
         edges: movedGeom.edges,
+        holes: movedGeom.holes,
         dx,
         dy,
       });
     });
 
     context.dispatch('trimGeometry', { geometry_id: currentStoryGeometry.id });
+    return { success: true, face_id };
   },
   /*
   * create a face and associated edges and vertices from an array of points
@@ -104,6 +111,18 @@ export default {
   */
   createFaceFromPoints,
 
+  /*
+  * split the face of a space or shading along a line drawn across it, making new spaces or shading for the pieces
+  * dispatched by the split tool
+  */
+  splitFace,
+
+  /*
+  * merge the faces of several spaces or shading into the face of one of them, destroying the others
+  * dispatched by the merge tool
+  */
+  mergeFaces,
+
   /*
   * given a face which may or may not be saved to the datastore
   * look up and destroy all edges and vertices referenced only by that face
@@ -115,7 +134,8 @@ export default {
     const
       geometry = context.state.find(g => g.id === geometry_id),
       // find edges and vertices referenced ONLY by the face being destroyed so that no shared geometry is lost
-      expVertices = face.edgeRefs
+      edgeRefs = _.flatMap(faceRings(face), 'edgeRefs'),
+      expVertices = edgeRefs
         .map((edgeRef) => {
           const
             edge = geometryHelpers.edgeForId(edgeRef.edge_id, geometry),
@@ -124,7 +144,7 @@ export default {
           return geometryHelpers.vertexForId(vertexId, geometry);
         })
         .filter(v => geometryHelpers.facesForVertexId(v.id, geometry).length < 2),
-      expEdgeRefs = face.edgeRefs.filter(edgeRef => geometryHelpers.facesForEdgeId(edgeRef.edge_id, geometry).length < 2);
+      expEdgeRefs = edgeRefs.filter(edgeRef => geometryHelpers.facesForEdgeId(edgeRef.edge_id, geometry).length < 2);
 
     // destroy face, then edges, then vertices
     context.commit('destroyGeometry', { id: face.id });
@@ -132,7 +152,7 @@ export default {
     expVertices.forEach(vertex => context.commit('destroyGeometry', { id: vertex.id }));
   },
 
-  replaceFacePoints(context, { geometry_id, face_id, vertices, edges }) {
+  replaceFacePoints(context, { geometry_id, face_id, vertices, edges, holes = [] }) {
     const geom = _.find(context.state, { id: geometry_id });
     // because we make several calls to replaceFacePoints in a row,
     // (eg: when a new polygon overlaps existing ones, we need to replace the
@@ -140,7 +160,7 @@ export default {
     // it's possible for duplicate vertices to sneak in.
     const spacing = context.rootState.project.grid.spacing;
 
-    const replacementVertIds = _.chain(vertices)
+    const replacementVertIds = _.chain([...vertices, ..._.flatMap(holes, 'vertices')])
       .map((vert) => {
         const gVert = _.find(geom.vertices, v => distanceBetweenPoints(v, vert) < (spacing / 20));
         if (!gVert) return null; // this vertex doesn't match any existing ones
@@ -151,18 +171,24 @@ export default {
       .fromPairs()
       .value();
 
-    const updatedVertices = vertices.map(v => ({
+    const updateVertices = ringVertices => ringVertices.map(v => ({
       ...v,
       id: replacementVertIds[v.id] || v.id,
     }));
-    const updatedEdges = edges.map(e => ({
+    const updateEdges = ringEdges => ringEdges.map(e => ({
       ...e,
       v1: replacementVertIds[e.v1] || e.v1,
       v2: replacementVertIds[e.v2] || e.v2,
     }));
-
-    updatedEdges.forEach((edge) => {
-      const gEdge = _.find(geom.edges, { v1: edge.v1, v2: edge.v2 }) || _.find(geom.edges, { v1: edge.v2, v2: edge.v1 });
+    const
+      updatedVertices = updateVertices(vertices),
+      updatedEdges = updateEdges(edges),
+      updatedHoles = holes.map(hole => ({ vertices: updateVertices(hole.vertices), edges: updateEdges(hole.edges) }));
+
+    [...updatedEdges, ..._.flatMap(updatedHoles, 'edges')].forEach((edge) => {
+      const gEdge =
+        _.find(geom.edges, e => e.v1 === edge.v1 && e.v2 === edge.v2 && sameBulge(e.bulge, edge.bulge)) ||
+        _.find(geom.edges, e => e.v1 === edge.v2 && e.v2 === edge.v1 && sameBulge(e.bulge, -(edge.bulge || 0)));
       if (!gEdge) return; // this edge doesn't match any existing ones
       if (edge.id === gEdge.id) return; // this edge already exists
       edge.id = gEdge.id;
@@ -172,6 +198,7 @@ export default {
       geometry_id,
       vertices: updatedVertices,
       edges: updatedEdges,
+      holes: updatedHoles,
       face_id,
     });
   },
@@ -1,11 +1,14 @@
 import _ from 'lodash';
-import geometryHelpers from './../helpers';
+import geometryHelpers, { faceRings } from './../helpers';
 import { snapWindowToEdge, snapToVertexWithinFace, windowLocation } from '../../../../components/Grid/snapping';
 
+// the edges around a face of denormalized geometry and around its holes
+const edgesAroundFace = f => _.flatMap(faceRings(f), 'edges');
+
 function facesContainingEdge(faces, edge_id) {
   return _.filter(
     faces,
-    f => _.chain(f.edges)
+    f => _.chain(edgesAroundFace(f))
       .map('id')
       .includes(edge_id)
       .value());
@@ -65,7 +68,7 @@ function replaceComponents(
 
   context.dispatch('models/destroyAllComponents', { story_id }, { root: true });
 
-  const edgesPresentOnFaces = _.flatMap(spaceFaces, 'edges');
+  const edgesPresentOnFaces = _.flatMap(spaceFaces, edgesAroundFace);
   const replaceWindowOrDoor = (w, windowOrDoor) => {
     const
       { dx, dy } = movementsByFaceId[w.originalFaceIds[0]] || { dx: 0, dy: 0 },
@@ -1,102 +1,139 @@
 import _ from 'lodash';
 import factory from './../factory';
-import geometryHelpers, { distanceBetweenPoints } from './../helpers';
+import geometryHelpers, { distanceBetweenPoints, faceRings } from './../helpers';
 import modelHelpers from './../../models/helpers';
+import {
+  tessellatePolygon, restoreArcs, pointsAroundFace, withBulge, sameBulge, arcParameter, subArcBulge,
+} from './../arcs';
 import { uniq, dropConsecutiveDups, allPairs } from './../../../../utilities';
 import { withPreservedComponents } from './componentPreservationSociety';
+import { idsOf } from './../../../utilities/generateId';
 /*
  * create a face and associated edges and vertices from an array of points
+ * and the points around each of the holes in the face, if it has any
  * associate the face with the space or shading included in the payload
+ * returns { success: true, face_id } or { success: false, error } if the face could not be created
  */
 export default function createFaceFromPoints(context, payload) {
   const {
     model_id,
     points,
+    holes = [],
   } = payload;
 
-  if (uniq(points).length < 3) { return; }
+  if (uniq(points).length < 3) {
+    return { success: false, error: 'need at least 3 points to make a face' };
+  }
   // lookup target model and type for face assignment
   const currentStoryGeometry = context.rootGetters['application/currentStoryGeometry'];
   const target = modelHelpers.libraryObjectWithId(context.rootState.models, model_id);
+  if (!target) {
+    return { success: false, error: `Unable to find a space or shading with id ${model_id}` };
+  }
 
   // if the target already has an existing face, use the union of the new and existing faces
   const existingFace = target.face_id ? geometryHelpers.faceForId(target.face_id, currentStoryGeometry) : null;
   let facePoints;
+  let faceHoles;
 
   if (existingFace) {
-    const existingFaceVertices = geometryHelpers.verticesForFaceId(existingFace.id, currentStoryGeometry);
-    facePoints = geometryHelpers.setOperation('union', existingFaceVertices, points);
-    if (facePoints.error) {
-      window.eventBus.$emit('error', `Operation cancelled - ${facePoints.error}`);
-      return;
+    // the union keeps the holes of the existing face that the new points don't cover, and may make new ones
+    const
+      existingRings = geometryHelpers.ringsForFaceId(existingFace.id, currentStoryGeometry),
+      rings = geometryHelpers.setOperationWithHoles(
+        'union', existingRings.map(ring => tessellatePolygon(ring)), [points, ...holes].map(ring => tessellatePolygon(ring)));
+    if (rings.error) {
+      return { success: false, error: `Operation cancelled - ${rings.error}` };
     }
+    [facePoints, ...faceHoles] = rings.map(ring => restoreArcs(ring, [...existingRings, points, ...holes]));
   } else {
     facePoints = points;
+    faceHoles = holes;
   }
 
 
-  const faceGeometry = validateFaceGeometry(facePoints, context.rootGetters['application/currentStoryGeometry'], context.rootGetters['project/snapTolerance']);
+  const faceGeometry = validateFaceGeometry(
+    facePoints, context.rootGetters['application/currentStoryGeometry'], faceHoles, idsOf(context));
   if (!faceGeometry.success) {
-    window.eventBus.$emit('error', faceGeometry.error);
     console.error(faceGeometry.error);
-    return;
+    return faceGeometry;
   }
 
   const newGeoms = newGeometriesOfOverlappedFaces(
     facePoints,
     // Don't consider face we're modifying as a reason to disqualify the action.
     geometryHelpers.exceptFace(currentStoryGeometry, existingFace && existingFace.id),
+    faceHoles,
+    idsOf(context),
   );
 
   // prevent overlapping faces by erasing existing geometry covered by the points defining the new face
   if (newGeoms.error) {
-    window.eventBus.$emit('error', `Operation cancelled - ${newGeoms.error}`);
-    return;
+    return { success: false, error: `Operation cancelled - ${newGeoms.error}` };
   }
 
+  let face_id;
   withPreservedComponents(context, currentStoryGeometry.id, () => {
 
     newGeoms.forEach(newGeom => context.dispatch('replaceFacePoints', newGeom));
 
     // save the face and its descendent geometry
-    storeFace(faceGeometry, target, context, existingFace);
+    face_id = storeFace(faceGeometry, target, context, existingFace);
 
     // split edges where vertices touch them
     splitEdges(context);
   });
 
   context.dispatch('trimGeometry', { geometry_id: currentStoryGeometry.id });
+  return { success: true, face_id };
 }
 
 // ////////////////////// HELPERS //////////////////////////// //
 
-export function newGeometriesOfOverlappedFaces(points, geometry) {
+/*
+* the faces of a geometry overlapped by a new face, with the part of each that the new face overlaps taken out.
+* the new face is given by its points and the points around each of its holes, faces in its holes are left alone.
+* faces a new face is drawn inside of are left with a hole where the new face is.
+* ids is the id generator new vertices and edges are made with, see idsOf in utilities/generateId.js
+* returns a list of { geometry_id, face_id, vertices, edges, holes } (see replaceFacePoints), or { error }
+*/
+export function newGeometriesOfOverlappedFaces(points, geometry, holes = [], ids) {
   if (points.length < 3 || !geometryHelpers.areaOfSelection(points)) {
     return false;
   }
 
+  // set operations are done on arcs drawn as straight segments, and the arcs are put back in the results
+  const shape = [points, ...holes].map(ring => tessellatePolygon(ring));
   const geom = geometryHelpers.denormalize(geometry);
+  const ringsOf = face => [face, ...face.holes].map(pointsAroundFace);
   const intersectedFaces = geom.faces
     .filter((face) => {
-      const inter = geometryHelpers.intersection(face.vertices, points);
+      const inter = geometryHelpers.setOperationWithHoles(
+        'intersection', ringsOf(face).map(ring => tessellatePolygon(ring)), shape);
       // We care about faces have an intersection with the new one, or that
       // cause errors (eg, split face) upon intersection
       // eg of causing an error upon intersection: https://trello-attachments.s3.amazonaws.com/58d428743111af1d0a20cf28/599dca36956980d6eef2b009/3849c0e2a87c866fbf630cff073163ff/capture.png
       return inter.error || inter.length > 0;
     });
 
-  const newFaceVertices = intersectedFaces.map(existingFace =>
-    geometryHelpers.difference(existingFace.vertices, points),
-  );
+  const newFaceRings = intersectedFaces.map((existingFace) => {
+    const
+      existingRings = ringsOf(existingFace),
+      remaining = geometryHelpers.setOperationWithHoles(
+        'difference', existingRings.map(ring => tessellatePolygon(ring)), shape);
+    return remaining.error ? remaining :
+      remaining.map(ring => restoreArcs(ring, [...existingRings, points, ...holes]));
+  });
 
-  const errantCase = _.find(newFaceVertices, 'error');
+  const errantCase = _.find(newFaceRings, 'error');
   if (errantCase) {
-    // difference caused split face or hole
+    // difference caused split face
     return errantCase;
   }
 
-  const newFaceGeometries = newFaceVertices.map(
-    verts => validateFaceGeometry(verts, geometry));
+  // faces covered by the new face have no points left
+  const newFaceGeometries = newFaceRings.map(
+    ([verts = [], ...holeVerts]) => validateFaceGeometry(verts, geometry, holeVerts, ids));
 
   const errantGeometry = _.find(newFaceGeometries, 'error');
   if (errantGeometry) {
@@ -104,25 +141,26 @@ export function newGeometriesOfOverlappedFaces(points, geometry) {
     return errantGeometry;
   }
 
-  return _.zip(intersectedFaces, newFaceGeometries).map(([face, { vertices, edges }]) => ({
+  return _.zip(intersectedFaces, newFaceGeometries).map(([face, { vertices, edges, holes: newHoles }]) => ({
     geometry_id: geometry.id,
     face_id: face.id,
     vertices,
     edges,
+    holes: newHoles,
   }));
 }
 
 /*
  * Erase the selection defined by a set of points on all faces on the current story
  * used by the eraser tool and by the createFaceFromPoints action (to prevent overlapping faces)
- * returns false if the erase operation splits an existing face
+ * returns { success: true }, or { success: false, error } if the erase operation splits an existing face
  */
 export function eraseSelection(points, context) {
   const currentStoryGeometry = context.rootGetters['application/currentStoryGeometry'];
 
   // validation - a selection must have at least 3 vertices and area
   if (points.length < 3 || !geometryHelpers.areaOfSelection(points)) {
-    return false;
+    return { success: false, error: 'Operation cancelled - no split faces' };
   }
 
   /*
@@ -130,18 +168,17 @@ export function eraseSelection(points, context) {
    * destroy faces intersecting the eraser selection and recreate them
    * from the difference between their original area and the eraser selection
   */
-  const newGeoms = newGeometriesOfOverlappedFaces(points, currentStoryGeometry);
+  const newGeoms = newGeometriesOfOverlappedFaces(points, currentStoryGeometry, [], idsOf(context));
   // prevent overlapping faces by erasing existing geometry covered by the points defining the new face
   if (newGeoms.error) {
-    window.eventBus.$emit('error', `Operation cancelled - ${newGeoms.error}`);
-    return false;
+    return { success: false, error: `Operation cancelled - ${newGeoms.error}` };
   }
 
   newGeoms.forEach(newGeom => context.dispatch('replaceFacePoints', newGeom));
 
   splitEdges(context);
 
-  return true;
+  return { success: true };
 }
 
 /*
@@ -149,14 +186,15 @@ export function eraseSelection(points, context) {
 * skips shared edges and vertices since they are already stored
 * creates and saves a face with edgeRefs, updates the target space or shading in the datastore
 */
-function storeFace({ vertices, edges }, target, context, existingFace) {
+export function storeFace({ vertices, edges, holes }, target, context, existingFace) {
   const currentStoryGeometry = context.rootGetters['application/currentStoryGeometry'];
-  const face = existingFace || new factory.Face([]);
+  const face = existingFace || new factory.Face([], idsOf(context));
   context.dispatch('replaceFacePoints', {
     face_id: face.id,
     geometry_id: currentStoryGeometry.id,
     vertices,
     edges,
+    holes,
   });
   context.dispatch(target.type === 'space' ? 'models/updateSpaceWithData' : 'models/updateShadingWithData', {
     [target.type]: target,
@@ -164,12 +202,14 @@ function storeFace({ vertices, edges }, target, context, existingFace) {
   }, {
     root: true,
   });
+  return face.id;
 }
 
-export function findExistingEdge(v1, v2, edges) {
+export function findExistingEdge(v1, v2, edges, bulge = 0) {
+  // an arc edge is shared with faces drawing the same arc, which bulges the other way when it is reversed
   const sharedEdge = edges.find(e => (
-    (e.v1 === v1.id && e.v2 === v2.id) ||
-    (e.v2 === v1.id && e.v1 === v2.id)));
+    (e.v1 === v1.id && e.v2 === v2.id && sameBulge(e.bulge, bulge)) ||
+    (e.v2 === v1.id && e.v1 === v2.id && sameBulge(e.bulge, -bulge))));
   // if a shared edge exists, check if its direction matches the edge direction required for the face being created
   return sharedEdge && {
     ...sharedEdge,
@@ -178,18 +218,23 @@ export function findExistingEdge(v1, v2, edges) {
   };
 }
 
-function matchOrCreateEdge(existingEdges) {
-  return ([v1, v2]) => (findExistingEdge(v1, v2, existingEdges) || new factory.Edge(v1.id, v2.id));
+function matchOrCreateEdge(existingEdges, ids) {
+  // new arc edges carry their bulge
+  return ([v1, v2, bulge]) => (
+    findExistingEdge(v1, v2, existingEdges, bulge) || withBulge(new factory.Edge(v1.id, v2.id, ids), bulge));
 }
 
-export function matchOrCreateEdges(vertices, existingEdges) {
+/*
+* bulges are the bulge of the edge from each vertex to the next, for arc edges (see geometry/arcs.js)
+*/
+export function matchOrCreateEdges(vertices, existingEdges, bulges = [], ids) {
    // pair each vertex with the next (wrapping back to start at the end)
   if (!vertices.length) {
     return [];
   }
-  return _.zip(vertices, [...vertices.slice(1), vertices[0]])
+  return _.zip(vertices, [...vertices.slice(1), vertices[0]], bulges)
   // try and find a shared edge, but fall back to creating a new one
-    .map(matchOrCreateEdge(existingEdges));
+    .map(matchOrCreateEdge(existingEdges, ids));
 }
 
 function InvalidFaceGeometry(message) {
@@ -214,7 +259,10 @@ export function errOnDuplicateVerts(vertices) {
 }
 
 export function errOnVertexIntersectsEdge(vertices, edges) {
-  edges.forEach(({ v1: v1id, v2: v2id }) => {
+  edges.forEach(({ v1: v1id, v2: v2id, bulge }) => {
+    if (bulge) {
+      return; // arcs are checked by errOnArcIntersectsEdge
+    }
     const
       v1 = _.find(vertices, { id: v1id }),
       v2 = _.find(vertices, { id: v2id });
@@ -263,12 +311,26 @@ export function errOnEdgeIntersectsEdge(vertices, edges) {
   });
 }
 
+/*
+ * arcs are checked for self intersection along the straight segments they are drawn with
+ */
+export function errOnArcIntersectsEdge(vertices, bulges) {
+  if (!_.some(bulges)) {
+    return;
+  }
+  const ring = tessellatePolygon(vertices.map((v, ix) => withBulge(v, bulges[ix])))
+    .map((p, ix) => ({ ...p, id: `${ix}` }));
+  errOnEdgeIntersectsEdge(ring, ring.map((v, ix) => ({ v1: v.id, v2: ring[(ix + 1) % ring.length].id })));
+}
+
 /*
  * Given a set of points, creates vertices and edges for the face defined by the points
+ * points may have the bulge of an arc edge from them to the next point
+ * holes are the points around each hole in the face, which get vertices and edges of their own
  * validates the face geometry for self intersection
  * returns object with success boolean and face geometry or error message depending on validation results
  */
-export function validateFaceGeometry(points, currentStoryGeometry) {
+export function validateFaceGeometry(points, currentStoryGeometry, holes = [], ids) {
   /* validation consists of:
    - try and match each vertex to an existing one that is already in the geometry
    - create edges, and try to re-use existing ones (reversed, if necessary)
@@ -317,31 +379,46 @@ export function validateFaceGeometry(points, currentStoryGeometry) {
       success: true,
       vertices: [],
       edges: [],
+      holes: [],
     };
   }
-  if (points.length <= 2) {
+  if (points.length <= 2 || _.some(holes, hole => hole.length <= 2)) {
     return { success: false, error: 'need at least 3 points to make a face' };
   }
 
-  // build an array of vertices for the face being created
-  let faceVertices = points.map(point => (
-      // if a vertex already exists at a given location, reuse it
-    geometryHelpers.vertexForCoordinates(point, currentStoryGeometry) || new factory.Vertex(point.x, point.y)
-  ));
+  const rings = [points, ...holes].map((ringPoints) => {
+    // build an array of vertices for the face being created
+    let faceVertices = ringPoints.map(point => (
+        // if a vertex already exists at a given location, reuse it
+      geometryHelpers.vertexForCoordinates(point, currentStoryGeometry) || new factory.Vertex(point.x, point.y, ids)
+    ));
 
+    // the bulge of the edge from each vertex to the next
+    let bulges = ringPoints.map(point => point.bulge || 0);
 
-  // first, we can just join together consecutive duplicates, since that doesn't change
-  // the geometry at all.
-  faceVertices = dropConsecutiveDups(faceVertices);
+    // first, we can just join together consecutive duplicates, since that doesn't change
+    // the geometry at all. the edge leaving the last of the duplicates is the one that's kept
+    bulges = bulges.filter((bulge, ix) => (
+      ix === bulges.length - 1 || JSON.stringify(faceVertices[ix]) !== JSON.stringify(faceVertices[ix + 1])));
+    faceVertices = dropConsecutiveDups(faceVertices);
 
-  // create edges connecting each vertex in order
-  const faceEdges = matchOrCreateEdges(faceVertices, currentStoryGeometry.edges);
+    // create edges connecting each vertex in order
+    return {
+      vertices: faceVertices,
+      edges: matchOrCreateEdges(faceVertices, currentStoryGeometry.edges, bulges, ids),
+      bulges,
+    };
+  });
 
   try {
-    errOnTooFewVerts(faceVertices);
-    errOnDuplicateVerts(faceVertices);
-    errOnVertexIntersectsEdge(faceVertices, faceEdges);
-    errOnEdgeIntersectsEdge(faceVertices, faceEdges);
+    // each hole is checked like the outline of the face
+    rings.forEach(({ vertices: faceVertices, edges: faceEdges, bulges }) => {
+      errOnTooFewVerts(faceVertices);
+      errOnDuplicateVerts(faceVertices);
+      errOnVertexIntersectsEdge(faceVertices, faceEdges);
+      errOnEdgeIntersectsEdge(faceVertices, faceEdges);
+      errOnArcIntersectsEdge(faceVertices, bulges);
+    });
   } catch (e) {
     if (e instanceof InvalidFaceGeometry) {
       return {
@@ -356,15 +433,16 @@ export function validateFaceGeometry(points, currentStoryGeometry) {
 
   return {
     success: true,
-    vertices: faceVertices,
-    edges: faceEdges,
+    vertices: rings[0].vertices,
+    edges: rings[0].edges,
+    holes: rings.slice(1).map(({ vertices, edges }) => ({ vertices, edges })),
   };
 }
 
-function edgesFromVerts(verts, existingEdges) {
+function edgesFromVerts(verts, existingEdges, bulges = [], ids) {
 
-  return _.zip(verts.slice(0, -1), verts.slice(1))
-    .map(matchOrCreateEdge(existingEdges));
+  return _.zip(verts.slice(0, -1), verts.slice(1), bulges)
+    .map(matchOrCreateEdge(existingEdges, ids));
 }
 
 function replacementEdgeRefs(geometry, dyingEdgeId, newEdges) {
@@ -372,7 +450,8 @@ function replacementEdgeRefs(geometry, dyingEdgeId, newEdges) {
   const affectedFaces = geometryHelpers.facesForEdgeId(dyingEdgeId, geometry);
   // remove reference to old edge and add references to the new edges
   const replaceEdgeRefs = affectedFaces.map((affectedFace) => {
-    const dyingEdgeReversed = _.find(affectedFace.edgeRefs, { edge_id: dyingEdgeId }).reverse;
+    const dyingEdgeReversed = _.find(
+      _.flatMap(faceRings(affectedFace), 'edgeRefs'), { edge_id: dyingEdgeId }).reverse;
 
     const replacementEdges = newEdges.map(({ id, reverse }) => ({
       id,
@@ -403,7 +482,7 @@ function replacementEdgeRefs(geometry, dyingEdgeId, newEdges) {
   return replaceEdgeRefs;
 }
 
-export function edgesToSplit(geometry, spacing) {
+export function edgesToSplit(geometry, spacing, ids) {
   const priorIterationEdges = [];
   return _.compact(geometry.edges.map((edge) => {
     let splittingVertices = geometryHelpers.splittingVerticesForEdgeId(edge.id, geometry, spacing);
@@ -414,15 +493,21 @@ export function edgesToSplit(geometry, spacing) {
       startpoint = geometryHelpers.vertexForId(edge.v1, geometry),
       endpoint = geometryHelpers.vertexForId(edge.v2, geometry);
 
-    // sort splittingVertices by location on original edge
-    splittingVertices = _.sortBy(splittingVertices, v => distanceBetweenPoints(v, startpoint));
+    // sort splittingVertices by location on original edge, arcs are split by how far around them the vertices are
+    splittingVertices = _.sortBy(splittingVertices, edge.bulge ?
+      v => arcParameter(startpoint, endpoint, edge.bulge, v) :
+      v => distanceBetweenPoints(v, startpoint));
 
     // add startpoint and endpoint of original edge to splittingVertices array from which new edges will be created
     splittingVertices = [startpoint, ...splittingVertices, endpoint];
+    // the pieces of an arc are arcs too
+    const
+      along = [0, ..._.initial(_.tail(splittingVertices)).map(v => arcParameter(startpoint, endpoint, edge.bulge, v)), 1],
+      bulges = _.initial(along).map((t, ix) => subArcBulge(edge.bulge, t, along[ix + 1]));
     // create new edges by connecting the original edge startpoint, ordered splitting vertices, and original edge endpoint
     // eg: startpoint -> SV1, SV1 -> SV2, SV2 -> SV3, SV3 -> endpoint
     const
-      newEdges = edgesFromVerts(splittingVertices, [...geometry.edges, ...priorIterationEdges]),
+      newEdges = edgesFromVerts(splittingVertices, [...geometry.edges, ...priorIterationEdges], bulges, ids),
       replaceEdgeRefs = replacementEdgeRefs(geometry, edge.id, newEdges);
     // The edges we're recommending don't yet exist, but we'd like to re-use them for future iterations.
     // Otherwise we end up creating two edges when one will do.
@@ -442,11 +527,11 @@ export function edgesToSplit(geometry, spacing) {
  * look up all faces referencing the original edge and replace those references with references to the new edges
  * destroy the original edge
  */
-function splitEdges(context) {
+export function splitEdges(context) {
   const
     currentStoryGeometry = context.rootGetters['application/currentStoryGeometry'],
     currentProjectSpacing = context.rootState.project.grid.spacing,
-    edgeChanges = edgesToSplit(currentStoryGeometry, currentProjectSpacing);
+    edgeChanges = edgesToSplit(currentStoryGeometry, currentProjectSpacing, idsOf(context));
   edgeChanges.forEach(payload => context.commit({
     type: 'splitEdge',
     geometry_id: currentStoryGeometry.id,
@@ -0,0 +1,78 @@
+import _ from 'lodash';
+import geometryHelpers, { cleanInvalidPoly } from './../helpers';
+import modelHelpers from './../../models/helpers';
+import { tessellatePolygon, restoreArcs } from './../arcs';
+import { validateFaceGeometry, storeFace, splitEdges } from './createFaceFromPoints';
+import { withPreservedComponents } from './componentPreservationSociety';
+import { idsOf } from './../../../utilities/generateId';
+
+const destroyActions = { space: 'models/destroySpace', shading: 'models/destroyShading' };
+
+/*
+* the union of faces given as lists of rings, [outline, ...holes], or null if they don't all touch.
+* faces are added to the union as they come to touch it, so they can be in any order
+*/
+function union([first, ...rest]) {
+  if (!rest.length) { return first; }
+  const
+    unions = rest.map(face => geometryHelpers.setOperationWithHoles('union', first, face)),
+    ix = _.findIndex(unions, result => !result.error && result.length > 0);
+  if (ix === -1) { return null; }
+  return union([unions[ix], ...rest.filter((face, jx) => jx !== ix)]);
+}
+
+/*
+* merge the faces of the spaces or shading in the payload into one face, { model_id, model_ids }.
+* the space or shading with model_id keeps its name and assignments and is given the merged face, the others are
+* destroyed. edges shared by the faces are removed, and windows, doors and daylighting controls stay where they were
+* returns { success: true, face_id } or { success: false, error } if the faces could not be merged
+*/
+export default function mergeFaces(context, payload) {
+  const
+    { model_id, model_ids } = payload,
+    currentStoryGeometry = context.rootGetters['application/currentStoryGeometry'],
+    target = modelHelpers.libraryObjectWithId(context.rootState.models, model_id),
+    others = _.without(_.uniq(model_ids), model_id)
+      .map(id => modelHelpers.libraryObjectWithId(context.rootState.models, id)),
+    models = [target, ...others],
+    faces = models.map(model => model && model.face_id && geometryHelpers.faceForId(model.face_id, currentStoryGeometry));
+  if (!_.every(faces)) {
+    return { success: false, error: 'Unable to find a face on the current story for each space or shading to merge' };
+  }
+  if (!others.length) {
+    return { success: false, error: 'Select at least two spaces or shading to merge' };
+  }
+  if (_.some(others, model => model.type !== target.type)) {
+    return { success: false, error: 'Operation cancelled - spaces cannot be merged with shading' };
+  }
+
+  // the faces are merged with their arcs drawn as straight segments, and the arcs are put back on the merged face
+  const
+    ringsOfFaces = faces.map(face => geometryHelpers.ringsForFaceId(face.id, currentStoryGeometry)),
+    merged = union(ringsOfFaces.map(rings => rings.map(ring => tessellatePolygon(ring))));
+  if (!merged) {
+    return { success: false, error: 'Operation cancelled - only spaces which touch each other can be merged' };
+  }
+
+  const
+    // drop the vertices left along the outline where the removed edges met it
+    [outline, ...holes] = merged.map(ring => restoreArcs(cleanInvalidPoly(ring), _.flatten(ringsOfFaces))),
+    faceGeometry = validateFaceGeometry(outline, currentStoryGeometry, holes, idsOf(context));
+  if (!faceGeometry.success) {
+    return faceGeometry;
+  }
+
+  const story = _.find(context.rootState.models.stories, { geometry_id: currentStoryGeometry.id });
+  withPreservedComponents(context, currentStoryGeometry.id, () => {
+    others.forEach(model => context.dispatch(destroyActions[model.type], { story, [model.type]: model }, { root: true }));
+    storeFace(faceGeometry, target, context, faces[0]);
+    // the vertices at the ends of the removed edges are left over, and shouldn't split the edges of the merged face
+    context.dispatch('trimGeometry', { geometry_id: currentStoryGeometry.id });
+
+    // split the edges of neighboring faces where their vertices touch the merged face
+    splitEdges(context);
+  });
+
+  context.dispatch('trimGeometry', { geometry_id: currentStoryGeometry.id });
+  return { success: true, face_id: faces[0].id };
+}
@@ -0,0 +1,73 @@
+import _ from 'lodash';
+import geometryHelpers from './../helpers';
+import modelHelpers from './../../models/helpers';
+import { tessellatePolygon, restoreArcs } from './../arcs';
+import splitPolygon from './../split';
+import { validateFaceGeometry, storeFace, splitEdges } from './createFaceFromPoints';
+import { withPreservedComponents } from './componentPreservationSociety';
+import { idsOf } from './../../../utilities/generateId';
+
+const models = {
+  space: { init: 'models/initSpace', update: 'models/updateSpaceWithData', key: 'spaces' },
+  shading: { init: 'models/initShading', update: 'models/updateShadingWithData', key: 'shading' },
+};
+
+// what isn't carried over from a space or shading to the new ones made for the pieces of its face
+const ownProperties = ['id', 'handle', 'name', 'color', 'type', 'face_id', 'daylighting_controls'];
+
+/*
+* split the face of the space or shading in the payload along a line of points drawn across it, { model_id, points }.
+* the space or shading keeps the largest piece, and a new one with the same assignments and heights is made for each
+* of the other pieces. windows, doors and daylighting controls stay where they were
+* returns { success: true, face_ids } or { success: false, error } if the face could not be split
+*/
+export default function splitFace(context, payload) {
+  const
+    { model_id, points } = payload,
+    currentStoryGeometry = context.rootGetters['application/currentStoryGeometry'],
+    target = modelHelpers.libraryObjectWithId(context.rootState.models, model_id),
+    face = target && target.face_id && geometryHelpers.faceForId(target.face_id, currentStoryGeometry);
+  if (!face) {
+    return { success: false, error: `Unable to find a face for a space or shading with id ${model_id}` };
+  }
+
+  // the face is split with its arcs drawn as straight segments, and the arcs are put back on the pieces
+  const
+    rings = geometryHelpers.ringsForFaceId(face.id, currentStoryGeometry),
+    pieces = splitPolygon(rings.map(ring => tessellatePolygon(ring)), points);
+  if (pieces.error) {
+    return { success: false, error: `Operation cancelled - ${pieces.error}` };
+  }
+
+  const pieceGeometries = _.sortBy(pieces, ([outline, ...holes]) => -geometryHelpers.areaOfFace(outline, holes))
+    .map((piece) => {
+      const [outline, ...holes] = piece.map(ring => restoreArcs(ring, rings));
+      return validateFaceGeometry(outline, currentStoryGeometry, holes, idsOf(context));
+    });
+  const errantGeometry = _.find(pieceGeometries, g => !g.success);
+  if (errantGeometry) {
+    return errantGeometry;
+  }
+
+  const
+    { init, update, key } = models[target.type],
+    story = _.find(context.rootState.models.stories, { geometry_id: currentStoryGeometry.id });
+  let face_ids;
+  withPreservedComponents(context, currentStoryGeometry.id, () => {
+    face_ids = pieceGeometries.map((pieceGeometry, ix) => {
+      if (ix === 0) {
+        return storeFace(pieceGeometry, target, context, face);
+      }
+      context.dispatch(init, { story }, { root: true });
+      const model = _.last(story[key]);
+      context.dispatch(update, { ..._.omit(target, ownProperties), [target.type]: model }, { root: true });
+      return storeFace(pieceGeometry, { ...model, type: target.type }, context);
+    });
+
+    // split the edges of neighboring faces where the line meets them
+    splitEdges(context);
+  });
+
+  context.dispatch('trimGeometry', { geometry_id: currentStoryGeometry.id });
+  return { success: true, face_ids };
+}
@@ -0,0 +1,256 @@
+import _ from 'lodash';
+
+/*
+* arc edges bulge to one side of the line between their vertices. like the bulge of a DXF polyline, the bulge of an
+* edge is the tangent of a quarter of the angle the arc sweeps around its center, positive when the arc turns
+* counterclockwise from the first vertex of the edge to the second. 0 is a straight edge, 1 a half circle.
+* an edge used in reverse bulges by the negative of its bulge
+*/
+
+// unless a tolerance is given, arcs are drawn with a segment for every 5 degrees they sweep
+const maxSegmentAngle = Math.PI / 36;
+// how close points must be to be the same point when arcs are restored after set operations
+const eps = 0.000001;
+
+const distance = (p, q) => Math.sqrt(((p.x - q.x) * (p.x - q.x)) + ((p.y - q.y) * (p.y - q.y)));
+const xy = p => ({ x: p.x, y: p.y });
+
+// a point, with the bulge of the edge from it to the next point when the edge is an arc
+export function withBulge(point, bulge) {
+  return bulge ? { ...point, bulge } : point;
+}
+
+// straight edges have no bulge, or a bulge of 0
+export function sameBulge(b1, b2) {
+  return Math.abs((b1 || 0) - (b2 || 0)) < eps;
+}
+
+/*
+* the circle an arc is drawn around, like { center, radius, startAngle, sweep }, where sweep is the angle
+* from the start of the arc to its end, positive counterclockwise
+*/
+export function arcCircle(start, end, bulge) {
+  const
+    // the center is on the perpendicular bisector of the chord, to its left for counterclockwise arcs
+    offset = (1 - (bulge * bulge)) / (4 * bulge),
+    center = {
+      x: ((start.x + end.x) / 2) - ((end.y - start.y) * offset),
+      y: ((start.y + end.y) / 2) + ((end.x - start.x) * offset),
+    };
+  return {
+    center,
+    radius: distance(center, start),
+    startAngle: Math.atan2(start.y - center.y, start.x - center.x),
+    sweep: 4 * Math.atan(bulge),
+  };
+}
+
+/*
+* the point a fraction t of the way along an edge from start to end, measured along the arc of arc edges
+*/
+export function pointOnArc(start, end, bulge, t) {
+  if (t === 0) { return xy(start); }
+  if (t === 1) { return xy(end); }
+  if (!bulge) {
+    return { x: start.x + (t * (end.x - start.x)), y: start.y + (t * (end.y - start.y)) };
+  }
+  const
+    { center, radius, startAngle, sweep } = arcCircle(start, end, bulge),
+    angle = startAngle + (t * sweep);
+  return { x: center.x + (radius * Math.cos(angle)), y: center.y + (radius * Math.sin(angle)) };
+}
+
+/*
+* the unit vector along an edge at a fraction t of the way along it, like { dx, dy }
+*/
+export function arcTangent(start, end, bulge, t) {
+  if (!bulge) {
+    const length = distance(start, end) || 1;
+    return { dx: (end.x - start.x) / length, dy: (end.y - start.y) / length };
+  }
+  const
+    { startAngle, sweep } = arcCircle(start, end, bulge),
+    angle = startAngle + (t * sweep);
+  return { dx: -Math.sign(sweep) * Math.sin(angle), dy: Math.sign(sweep) * Math.cos(angle) };
+}
+
+export function arcLength(start, end, bulge) {
+  if (!bulge) { return distance(start, end); }
+  const { radius, sweep } = arcCircle(start, end, bulge);
+  return radius * Math.abs(sweep);
+}
+
+/*
+* how far along an edge the closest point to a point is, as a fraction of the edge.
+* points beyond the ends of the edge are less than 0 or greater than 1
+*/
+export function arcParameter(start, end, bulge, point) {
+  if (!bulge) {
+    const lengthSq = ((end.x - start.x) * (end.x - start.x)) + ((end.y - start.y) * (end.y - start.y)) || 1;
+    return (((point.x - start.x) * (end.x - start.x)) + ((point.y - start.y) * (end.y - start.y))) / lengthSq;
+  }
+  const
+    { center, startAngle, sweep } = arcCircle(start, end, bulge),
+    turn = (Math.atan2(point.y - center.y, point.x - center.x) - startAngle) * Math.sign(sweep),
+    around = ((turn % (2 * Math.PI)) + (2 * Math.PI)) % (2 * Math.PI),
+    pastEnd = around - Math.abs(sweep),
+    beforeStart = (2 * Math.PI) - around;
+  // points off the arc are before its start or past its end, whichever they are closer to
+  return (pastEnd > 0 && beforeStart < pastEnd ? -beforeStart : around) / Math.abs(sweep);
+}
+
+/*
+* the distance from a point to an edge, like { dist, proj, alpha } where proj is the closest point on the edge
+* and alpha how far along the edge it is
+*/
+export function pointDistanceToArc(point, { start, end, bulge }) {
+  const
+    alpha = _.clamp(arcParameter(start, end, bulge, point), 0, 1),
+    proj = pointOnArc(start, end, bulge, alpha);
+  return { dist: distance(point, proj), proj, alpha };
+}
+
+/*
+* the bulge of the part of an arc from a fraction from of the way along it to a fraction to
+*/
+export function subArcBulge(bulge, from, to) {
+  return bulge ? Math.tan((to - from) * Math.atan(bulge)) : 0;
+}
+
+/*
+* the bulge of the arc from start to end passing through a third point, 0 if the points are in a line
+*/
+export function bulgeThrough(start, through, end) {
+  const cross = ((end.x - start.x) * (through.y - start.y)) - ((end.y - start.y) * (through.x - start.x));
+  if (Math.abs(cross) < eps) { return 0; }
+  const
+    u = { x: start.x - through.x, y: start.y - through.y },
+    v = { x: end.x - through.x, y: end.y - through.y },
+    // the angle at the through point is half of the angle swept by the rest of the circle
+    inscribed = Math.acos(_.clamp(((u.x * v.x) + (u.y * v.y)) / (distance(start, through) * distance(end, through)), -1, 1));
+  return (cross < 0 ? 1 : -1) * Math.tan((Math.PI - inscribed) / 2);
+}
+
+/*
+* the number of straight segments an arc is drawn with, so that no segment strays from the arc by more
+* than tolerance
+*/
+export function arcSegments(start, end, bulge, tolerance) {
+  if (!bulge) { return 1; }
+  const
+    { radius, sweep } = arcCircle(start, end, bulge),
+    segmentAngle = tolerance > 0 ? 2 * Math.acos(Math.max(-1, 1 - (tolerance / radius))) : maxSegmentAngle;
+  return _.clamp(Math.ceil(Math.abs(sweep) / segmentAngle), 1, 1000);
+}
+
+/*
+* the points of an edge drawn as straight segments, from start to end
+*/
+export function tessellateArc(start, end, bulge, tolerance) {
+  if (!bulge) { return [xy(start), xy(end)]; }
+  // arcs are always divided from the same end, so faces on either side of an arc share its points
+  if (end.x < start.x || (end.x === start.x && end.y < start.y)) {
+    return tessellateArc(end, start, -bulge, tolerance).reverse();
+  }
+  const segments = arcSegments(start, end, bulge, tolerance);
+  return _.range(segments + 1).map(ix => pointOnArc(start, end, bulge, ix / segments));
+}
+
+/*
+* the points around a polygon, or along a line if closed is false, with its arcs drawn as straight segments.
+* the bulge of each point is the bulge of the edge from it to the next point
+*/
+export function tessellatePolygon(points, tolerance, closed = true) {
+  if (!points.length) { return []; }
+  const edgeCount = closed ? points.length : points.length - 1;
+  return [
+    ..._.flatMap(_.range(edgeCount), (ix) => {
+      const [start, end] = [points[ix], points[(ix + 1) % points.length]];
+      return tessellateArc(start, end, start.bulge, tolerance).slice(0, -1);
+    }),
+    ...(closed ? [] : [xy(_.last(points))]),
+  ];
+}
+
+/*
+* the points around a face of denormalized geometry, with the bulges of its arc edges
+*/
+export function pointsAroundFace(face) {
+  return face.edges.map(e => withBulge(
+    xy(e.reverse ? e.v2 : e.v1),
+    e.reverse ? -(e.bulge || 0) : e.bulge,
+  ));
+}
+
+/*
+* the points of the Polygon tool are drawn with arcs through the points marked through, from the point before
+* to the point after them. returns the points with the bulges of those arcs, and without the through points
+*/
+export function arcsThroughPoints(points, closed = true) {
+  const withArcs = [];
+  points.forEach((point, ix) => {
+    const next = ix + 1 < points.length ? points[ix + 1] : (closed && points[0]);
+    if (point.through && withArcs.length && next && !next.through) {
+      const previous = _.last(withArcs);
+      withArcs[withArcs.length - 1] = withBulge(_.omit(previous, 'bulge'), bulgeThrough(previous, point, next));
+    } else {
+      withArcs.push(_.omit(point, 'through'));
+    }
+  });
+  return withArcs;
+}
+
+function onSegment(point, a, b) {
+  const
+    lengthSq = ((b.x - a.x) * (b.x - a.x)) + ((b.y - a.y) * (b.y - a.y)),
+    s = (((point.x - a.x) * (b.x - a.x)) + ((point.y - a.y) * (b.y - a.y))) / lengthSq;
+  return s > -eps && s < 1 + eps &&
+    distance(point, { x: a.x + (s * (b.x - a.x)), y: a.y + (s * (b.y - a.y)) }) < eps;
+}
+
+/*
+* set operations work on polygons with their arcs drawn as straight segments (see tessellatePolygon).
+* given the points of the result of such an operation and the polygons it was given (sources, with bulges),
+* put the arcs back: each run of points along an arc of a source polygon is replaced by an arc edge.
+* points which were cut from an arc's segments are moved onto the arc
+*/
+export function restoreArcs(points, sources) {
+  const arcs = _.flatMap(sources, ring => _.compact(ring.map((start, ix) => {
+    const end = ring[(ix + 1) % ring.length];
+    return start.bulge && { start, end, bulge: start.bulge, points: tessellateArc(start, end, start.bulge) };
+  })));
+  if (!arcs.length || !points.length) { return points; }
+
+  // where each point is on the arcs, like [{ arc, segment, t }]
+  const placements = points.map(point => _.flatMap(arcs, arc => _.compact(_.initial(arc.points).map((a, segment) =>
+    onSegment(point, a, arc.points[segment + 1]) &&
+      { arc, segment, t: _.clamp(arcParameter(arc.start, arc.end, arc.bulge, point), 0, 1) }))));
+
+  // the arc each edge of the result runs along, like { arc, from, to }, or null for straight edges
+  const runs = points.map((point, ix) => {
+    const next = (ix + 1) % points.length;
+    let run = null;
+    placements[ix].forEach((p) => {
+      const q = _.find(placements[next], { arc: p.arc, segment: p.segment });
+      if (q && !run && Math.abs(q.t - p.t) > eps) { run = { arc: p.arc, from: p.t, to: q.t }; }
+    });
+    return run;
+  });
+  const sameRun = (r1, r2) => r1 && r2 && r1.arc === r2.arc && (r1.to > r1.from) === (r2.to > r2.from);
+
+  // points in the middle of a run along an arc are dropped
+  const kept = _.range(points.length)
+    .filter(ix => !sameRun(runs[(ix + points.length - 1) % points.length], runs[ix]));
+  if (!kept.length) { return points; }
+
+  const previous = ix => runs[(ix + points.length - 1) % points.length];
+  return kept.map((ix, k) => {
+    const
+      run = runs[ix],
+      endingRun = previous(ix),
+      onArc = (run && pointOnArc(run.arc.start, run.arc.end, run.arc.bulge, run.from)) ||
+        (endingRun && pointOnArc(endingRun.arc.start, endingRun.arc.end, endingRun.arc.bulge, endingRun.to)),
+      point = !onArc || distance(onArc, points[ix]) < eps ? xy(points[ix]) : onArc;
+    return withBulge(point, run && subArcBulge(run.arc.bulge, run.from, previous(kept[(k + 1) % kept.length]).to));
+  });
+}
@@ -1,30 +1,31 @@
 import idFactory from './../../utilities/generateId'
 import helpers from './helpers'
 
+// each constructor takes the id generator of the store the object is made in, see idsOf in generateId.js
 export default {
-    Vertex (x, y) {
+    Vertex (x, y, ids = idFactory) {
         return {
-            id: idFactory.generate(),
+            id: ids.generate(),
             x: x,
             y: y
         }
     },
-    Edge (v1, v2) {
+    Edge (v1, v2, ids = idFactory) {
         return {
-            id: idFactory.generate(),
+            id: ids.generate(),
             v1: v1,
             v2: v2
         }
     },
-    Face (edgeRefs) {
+    Face (edgeRefs, ids = idFactory) {
         return {
-            id: idFactory.generate(),
+            id: ids.generate(),
             edgeRefs: edgeRefs
         }
     },
-    Geometry () {
+    Geometry (ids = idFactory) {
         return {
-            id: idFactory.generate(),
+            id: ids.generate(),
             vertices: [],
             edges: [],
             faces: []
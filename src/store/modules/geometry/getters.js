@@ -1,7 +1,15 @@
 import _ from 'lodash';
 import helpers from './helpers';
+import { withBulge } from './arcs';
 import checkGeometry from '../../../utilities/checkGeometry';
 
+// the edges around a face or one of its holes
+const exportedRing = ({ edgeRefs }) => ({
+  edge_ids: edgeRefs.map(eR => eR.edge_id),
+  // tracks the direction of each edge in the edge_ids array (0 for reverse)
+  edge_order: edgeRefs.map(eR => (eR.reverse ? 0 : 1)),
+});
+
 export default {
   denormalized(state) {
     return state.map(g => helpers.denormalize(g));
@@ -24,17 +32,17 @@ export default {
                 edge_ids: helpers.edgesForVertexId(vertex.id, geometry).map(e => e.id)
             })),
 
-            edges: geometry.edges.map(edge => ({
+            edges: geometry.edges.map(edge => withBulge({
                 id: edge.id,
                 vertex_ids: [edge.v1, edge.v2],
                 face_ids: helpers.facesForEdgeId(edge.id, geometry).map(f => f.id)
-            })),
+            }, edge.bulge)),
 
             faces: geometry.faces.map(face => ({
                 id: face.id,
-                edge_ids: face.edgeRefs.map(eR => eR.edge_id),
-                // tracks the direction of each edge in the edge_ids array (0 for reverse)
-                edge_order: face.edgeRefs.map(eR => eR.reverse ? 0 : 1)
+                ...exportedRing(face),
+                // the edges around each hole in the face, only written for faces with holes
+                ...(_.isEmpty(face.holes) ? {} : { holes: face.holes.map(exportedRing) }),
             }))
         }));
     }
@@ -1,19 +1,31 @@
 import _ from 'lodash';
 import * as turf from '@turf/helpers';
 import area from 'area-polygon'
+import polylabel from 'polylabel';
 import { union, difference, intersection } from 'polygon-clipping';
 import booleanPointInPolygon from '@turf/boolean-point-in-polygon';
 import { dropConsecutiveDups } from '../../../utilities';
-
-function toTurfPoly(vertices) {
-  const coords = vertices.map(v => [v.x, v.y]);
-  if (
-    coords[0][0] !== coords[coords.length - 1][0] ||
-    coords[0][1] !== coords[coords.length - 1][1]
-  ) {
+import { pointDistanceToArc, pointOnArc, arcLength, withBulge } from './arcs';
+
+function toTurfPoly(vertices, holes = []) {
+  const rings = [vertices, ...holes].map((ring) => {
+    const coords = ring.map(v => [v.x, v.y]);
+    if (
+      coords[0][0] !== coords[coords.length - 1][0] ||
+      coords[0][1] !== coords[coords.length - 1][1]
+    ) {
       coords.push(coords[0]);
-  }
-  return turf.polygon([coords]);
+    }
+    return coords;
+  });
+  return turf.polygon(rings);
+}
+
+/*
+* the edge loops of a face in the store, its outline and then each of its holes, each like { edgeRefs }
+*/
+export function faceRings(face) {
+  return [face, ...(face.holes || [])];
 }
 
 function ringEqualsWithSameWindingOrder(vs, ws) {
@@ -47,6 +59,14 @@ export function ringEquals(vs_, ws_) {
 }
 
 
+// twice the signed area of a polygon, positive when its points are counterclockwise
+export function signedArea(points) {
+  return _.sum(points.map((p, ix) => {
+    const q = points[(ix + 1) % points.length];
+    return (p.x * q.y) - (q.x * p.y);
+  }));
+}
+
 export function distanceBetweenPoints(p1, p2) {
   const
     dx = Math.abs(p1.x - p2.x),
@@ -173,36 +193,29 @@ export function ptsAreCollinear(p1, p2, p3) {
   return Math.abs(((n - b) * (x - m)) - ((y - n) * (m - a))) < 0.00001;
 }
 
-export function repeatingWindowCenters({ start, end, spacing, width }) {
+/*
+* the centers of the windows of a repeating window group, spaced along an edge and centered on it.
+* windows on arc edges (with a bulge) are laid along the arc
+*/
+export function repeatingWindowCenters({ start, end, spacing, width, bulge }) {
   const
-    maxDist = distanceBetweenPoints(start, end),
-    centers = [],
-    direction = unitVector(start, end);
+    totalDist = arcLength(start, end, bulge),
+    centerDists = [];
 
   let nextCenterDist = width / 2;
-  while (nextCenterDist + width / 2 < maxDist) {
+  while (nextCenterDist + width / 2 < totalDist) {
     // we have room to place another window
-    const
-      offX = direction.dx * nextCenterDist,
-      offY = direction.dy * nextCenterDist;
-    centers.push({ x: start.x + offX, y: start.y + offY, distFromStart: nextCenterDist });
+    centerDists.push(nextCenterDist);
     nextCenterDist += width + (spacing || 1);
   }
-  if (centers.length === 0) return [];
-  const
-    margin = (
-      (distanceBetweenPoints(centers[centers.length - 1], end) - width / 2)
-      / 2),
-    totalDist = distanceBetweenPoints(start, end),
-    offX = direction.dx * margin,
-    offY = direction.dy * margin;
+  if (centerDists.length === 0) return [];
+  const margin = (totalDist - _.last(centerDists) - width / 2) / 2;
 
   // center the group by adjusting each center by margin
-  return centers.map(c => ({
-    x: c.x + offX,
-    y: c.y + offY,
-    alpha: (c.distFromStart + margin) / totalDist,
-  }));
+  return centerDists.map((dist) => {
+    const alpha = (dist + margin) / totalDist;
+    return { ...pointOnArc(start, end, bulge, alpha), alpha };
+  });
 }
 
 export function cleanInvalidPoly(vertices) {
@@ -243,9 +256,19 @@ const helpers = {
   * error if the result contains multiple faces (a face was divided in two during the operation), or holes
   */
   setOperation(type, f1Points, f2Points) {
+    const rings = this.setOperationWithHoles(type, [f1Points], [f2Points]);
+    if (rings.error || !rings.length) { return rings; }
+    if (rings.length > 1) return { error: 'no holes' };
+    return rings[0];
+  },
+  /*
+  * like setOperation, for faces with holes. each face is a list of rings of points, its outline and then its holes,
+  * and so is the result. error if the result contains multiple faces
+  */
+  setOperationWithHoles(type, f1Rings, f2Rings) {
     const
-      f1Poly = toTurfPoly(f1Points).geometry.coordinates,
-      f2Poly = toTurfPoly(f2Points).geometry.coordinates;
+      f1Poly = toTurfPoly(f1Rings[0], f1Rings.slice(1)).geometry.coordinates,
+      f2Poly = toTurfPoly(f2Rings[0], f2Rings.slice(1)).geometry.coordinates;
     const operation =
       type === 'union' ? union :
       type === 'intersection' ? intersection :
@@ -259,8 +282,7 @@ const helpers = {
       return [];
     }
     if (result.length > 1) return { error: 'no split faces' };
-    if (result[0].length > 1) return { error: 'no holes' };
-    return dropClosingVertex(result[0][0].map(([x, y]) => ({ x, y })));
+    return result[0].map(ring => dropClosingVertex(ring.map(([x, y]) => ({ x, y }))));
   },
   // convenience functions for setOperation
   intersection(f1, f2) {
@@ -279,6 +301,11 @@ const helpers = {
 		return area(points);
 	},
 
+  // the area of a face given its outline and the points around each of its holes
+  areaOfFace(points, holes = []) {
+    return Math.max(0, this.areaOfSelection(points) - _.sumBy(holes, hole => this.areaOfSelection(hole)));
+  },
+
     // ************************************ PROJECTIONS ************************************ //
     /*
      * return the set of saved vertices directly on an edge, not including edge endpoints
@@ -299,6 +326,9 @@ const helpers = {
         return false;
       }
       // vertex is not an endpoint, consider for splitting
+      if (edge.bulge) {
+        return pointDistanceToArc(vertex, { start: edgeV1, end: edgeV2, bulge: edge.bulge }).dist <= spacing / 20;
+      }
       const projection = this.projectionOfPointToLine(vertex, {
         p1: edgeV1,
         p2: edgeV2,
@@ -405,6 +435,26 @@ const helpers = {
     },
 
 
+  // given a face id, returns the points around the face, with the bulge of each arc edge on the point it starts at
+  pointsForFaceId(face_id, geometry) {
+    return this.pointsForEdgeRefs(geometry.faces.find(f => f.id === face_id).edgeRefs, geometry);
+  },
+
+  // given a face id, returns the points around the face and then around each of its holes, see pointsForFaceId
+  ringsForFaceId(face_id, geometry) {
+    return faceRings(geometry.faces.find(f => f.id === face_id))
+      .map(ring => this.pointsForEdgeRefs(ring.edgeRefs, geometry));
+  },
+
+  pointsForEdgeRefs(edgeRefs, geometry) {
+    return edgeRefs.map(({ edge_id, reverse }) => {
+      const
+        edge = this.edgeForId(edge_id, geometry),
+        vertex = this.vertexForId(reverse ? edge.v2 : edge.v1, geometry);
+      return withBulge({ x: vertex.x, y: vertex.y }, reverse ? -(edge.bulge || 0) : edge.bulge);
+    });
+  },
+
     // given an edge id, find the edge on the geometry set with that id
     edgeForId(edge_id, geometry) {
         return geometry.edges.find(e => e.id === edge_id);
@@ -430,20 +480,21 @@ const helpers = {
     // given a vertex id returns all faces with an edge referencing that vertex
     facesForVertexId(vertex_id, geometry) {
         return geometry.faces.filter((face) => {
-            return face.edgeRefs.find((edgeRef) => {
+            return _.some(faceRings(face), ring => ring.edgeRefs.find((edgeRef) => {
                 const edge = this.edgeForId(edgeRef.edge_id, geometry);
                 return (edge.v1 === vertex_id || edge.v2 === vertex_id);
-            });
+            }));
         });
     },
 
-    // given an edge id returns all faces referencing that edge
+    // given an edge id returns all faces referencing that edge, around their outline or one of their holes
     facesForEdgeId(edge_id, geometry) {
-        return geometry.faces.filter(face => face.edgeRefs.find(eR => eR.edge_id === edge_id));
+        return geometry.faces.filter(face => _.some(faceRings(face), ring => ring.edgeRefs.find(eR => eR.edge_id === edge_id)));
     },
 
-    pointInFace(point, faceVertices) {
-      const facePoly = toTurfPoly(faceVertices);
+    // points in the holes of a face aren't in the face
+    pointInFace(point, faceVertices, holes = []) {
+      const facePoly = toTurfPoly(faceVertices, holes);
       const testPoint = turf.point([point.x, point.y]);
       return booleanPointInPolygon(testPoint, facePoly);
     },
@@ -512,9 +563,8 @@ const helpers = {
       edgesById = _.zipObject(
         _.map(edges, 'id'),
         edges),
-      faces = geometry.faces.map(face => ({
-        id: face.id,
-        edges: face.edgeRefs.map(({ edge_id, reverse }) => ({
+      ring = edgeRefs => ({
+        edges: edgeRefs.map(({ edge_id, reverse }) => ({
           ...edgesById[edge_id],
           edge_id,
           reverse,
@@ -524,6 +574,11 @@ const helpers = {
             _.flatMap(this.edges, e => (e.reverse ? [e.v2, e.v1] : [e.v1, e.v2])),
             v => v.id);
         },
+      }),
+      // the holes of a face have edges and vertices like the face
+      faces = geometry.faces.map(face => Object.assign(ring(face.edgeRefs), {
+        id: face.id,
+        holes: (face.holes || []).map(hole => ring(hole.edgeRefs)),
       }));
     return {
       ...geometry,
@@ -538,7 +593,7 @@ const helpers = {
       edges = _.uniqBy(
         [
           ...geometry.edges,
-          ..._.flatMap(geometry.faces, f => f.edges),
+          ..._.flatMap(geometry.faces, f => [...f.edges, ..._.flatMap(f.holes, 'edges')]),
         ], 'id'),
       vertices = _.uniqBy(
         [
@@ -548,15 +603,19 @@ const helpers = {
     return {
       id: geometry.id,
       vertices: vertices.map(v => _.pick(v, ['id', 'x', 'y'])),
-      edges: edges.map(e => ({
+      edges: edges.map(e => withBulge({
         id: e.id,
         v1: e.v1.id,
         v2: e.v2.id,
-      })),
-      faces: geometry.faces.map(f => ({
-        id: f.id,
-        edgeRefs: f.edges.map(er => ({ edge_id: er.id, reverse: er.reverse })),
-      })),
+      }, e.bulge)),
+      faces: geometry.faces.map((f) => {
+        const edgeRefs = ringEdges => ringEdges.map(er => ({ edge_id: er.id, reverse: er.reverse }));
+        return {
+          id: f.id,
+          edgeRefs: edgeRefs(f.edges),
+          ...(_.isEmpty(f.holes) ? {} : { holes: f.holes.map(hole => ({ edgeRefs: edgeRefs(hole.edges) })) }),
+        };
+      }),
     };
   },
 };
@@ -649,4 +708,17 @@ export function vertInRing(vert, ring) {
   return helpers.inRing(toLst(vert), ring.map(toLst));
 }
 
+/*
+* where to put the label of a polygon, given its points without the first point repeated at the end and the points
+* around each of its holes. returns { x, y, area }, x and y are null if the polygon has no area
+*/
+export function polygonLabelPosition(pointsIn, holes = []) {
+  const
+    points = [pointsIn, ...holes].map(ring => ring.map(p => [p.x, p.y])),
+    polygonArea = Math.abs(Math.round(helpers.areaOfFace(pointsIn, holes))),
+    [x, y] = polygonArea ? polylabel(points, 1.0) : [null, null];
+
+  return { x, y, area: polygonArea };
+}
+
 export default helpers;
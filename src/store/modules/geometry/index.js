@@ -5,7 +5,7 @@ import getters from './getters'
 export default {
     namespaced: true,
     // each story references a geometry object in this state array
-    state: [/*{
+    state: () => [/*{
         id: null,
         vertices: [{
             id: null,
@@ -22,6 +22,10 @@ export default {
             edgeRefs: [{
                 edge_id: null,
                 reverse: false
+            }],
+            // the edges around each hole in the face, like its edgeRefs
+            holes: [{
+                edgeRefs: []
             }]
         }]
     }*/],
@@ -1,4 +1,5 @@
 import _ from 'lodash';
+import { faceRings } from './helpers';
     /*
     * create a new geometry set, face, edge, or vertex in the data store
     */
@@ -6,7 +7,7 @@ import _ from 'lodash';
 export function trimGeometry(state, { geometry_id, vertsReferencedElsewhere }) {
   const
     geometry = _.find(state, { id: geometry_id }),
-    edgesInUse = new Set(_.flatMap(geometry.faces, f => _.map(f.edgeRefs, 'edge_id'))),
+    edgesInUse = new Set(_.flatMap(geometry.faces, f => _.flatMap(faceRings(f), ring => _.map(ring.edgeRefs, 'edge_id')))),
     vertsOnEdges = _.flatMap(
       geometry.edges.filter(e => edgesInUse.has(e.id)),
       e => [e.v1, e.v2]),
@@ -62,10 +63,12 @@ export function destroyGeometry(state, payload) {
             } else if (~g.edges.map(e => e.id).indexOf(id)) {
                 g.edges.splice(g.edges.findIndex(e => e.id === id), 1);
                 g.faces.forEach((face) => {
-                  face.edgeRefs.forEach((edgeRef) => {
-                    if (id === edgeRef.edge_id) {
-                      face.edgeRefs.splice(face.edgeRefs.findIndex(r => r.edge_id === id), 1);
-                    }
+                  faceRings(face).forEach((ring) => {
+                    ring.edgeRefs.forEach((edgeRef) => {
+                      if (id === edgeRef.edge_id) {
+                        ring.edgeRefs.splice(ring.edgeRefs.findIndex(r => r.edge_id === id), 1);
+                      }
+                    });
                   });
                 });
                 break;
@@ -107,8 +110,10 @@ export function replaceEdgeRef(state, payload) {
     { geometry_id, face_id, edge_id, newEdges } = payload,
     geometry = state.find(g => g.id === geometry_id),
     face = geometry.faces.find(f => f.id === face_id),
-    edgeRefIx = _.findIndex(face.edgeRefs, { edge_id });
-  face.edgeRefs.splice(
+    // the edge may be around one of the holes of the face
+    ring = _.find(faceRings(face), r => _.find(r.edgeRefs, { edge_id })),
+    edgeRefIx = _.findIndex(ring.edgeRefs, { edge_id });
+  ring.edgeRefs.splice(
     edgeRefIx, 1, // remove existing edge
     // replacing it with these ones, in the same direction.
     ...newEdges.map(({ id: newEdgeId, reverse }) => ({
@@ -138,20 +143,25 @@ export function splitEdge(state, { geometry_id, edgeToDelete, newEdges, replaceE
   destroyGeometry(state, { id: edgeToDelete });
 }
 
-export function replaceFacePoints(state, { geometry_id, vertices, edges, face_id }) {
+/*
+* holes are like [{ vertices, edges }], for each hole in the face
+*/
+export function replaceFacePoints(state, { geometry_id, vertices, edges, face_id, holes = [] }) {
   const geometry = _.find(state, { id: geometry_id });
 
-  ensureVertsExist(state, { geometry_id, vertices });
+  ensureVertsExist(state, { geometry_id, vertices: [...vertices, ..._.flatMap(holes, 'vertices')] });
 
-  ensureEdgesExist(state, { geometry_id, edges, vertices });
+  ensureEdgesExist(state, { geometry_id, edges: [...edges, ..._.flatMap(holes, 'edges')] });
   let face = _.find(geometry.faces, { id: face_id });
   if (!face) {
-    face = { id: face_id, edgeRefs: [] };
+    face = { id: face_id, edgeRefs: [], holes: [] };
     geometry.faces.push(face);
   }
 
-  face.edgeRefs = edges.map(e => ({
+  const edgeRefs = ringEdges => ringEdges.map(e => ({
     edge_id: e.id,
     reverse: !!e.reverse,
   }));
+  face.edgeRefs = edgeRefs(edges);
+  face.holes = holes.map(hole => ({ edgeRefs: edgeRefs(hole.edges) }));
 }
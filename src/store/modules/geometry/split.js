@@ -0,0 +1,199 @@
+import _ from 'lodash';
+import { pointDistanceToSegment, signedArea } from './helpers';
+
+/*
+* faces are split along a line drawn across them. the line is cut where it crosses the edges of the face, and each
+* part of it running through the face is a chord from one point on the edges of the face to another. a chord
+* between two points on the outline of a face divides it in two, a chord from a hole back to the same hole cuts off
+* the part of the face between them, and a chord joining the outline to a hole or two holes joins them into one
+* ring, which has to be divided by another chord.
+* rings are kept with the face on their left: outlines run counterclockwise and holes clockwise
+*/
+
+// how close points must be to be the same point
+const eps = 0.000001;
+
+const distance = (p, q) => Math.sqrt(((p.x - q.x) * (p.x - q.x)) + ((p.y - q.y) * (p.y - q.y)));
+const xy = p => ({ x: p.x, y: p.y });
+const samePoint = (p, q) => distance(p, q) < eps;
+const ringSegments = ring => ring.map((start, ix) => ({ start, end: ring[(ix + 1) % ring.length] }));
+
+/*
+* where the segment from p1 to p2 meets the segment from q1 to q2, like { t, u, point } where t and u are how far
+* along each segment the point is, or null if they don't meet or are parallel
+*/
+function segmentCrossing(p1, p2, q1, q2) {
+  const
+    r = { x: p2.x - p1.x, y: p2.y - p1.y },
+    s = { x: q2.x - q1.x, y: q2.y - q1.y },
+    [rLength, sLength] = [distance(p1, p2), distance(q1, q2)],
+    denominator = (r.x * s.y) - (r.y * s.x);
+  if (!rLength || !sLength || Math.abs(denominator) < eps * rLength * sLength) { return null; }
+  const
+    t = (((q1.x - p1.x) * s.y) - ((q1.y - p1.y) * s.x)) / denominator,
+    u = (((q1.x - p1.x) * r.y) - ((q1.y - p1.y) * r.x)) / denominator;
+  if (t < -eps / rLength || t > 1 + (eps / rLength) || u < -eps / sLength || u > 1 + (eps / sLength)) {
+    return null;
+  }
+  const tOnSegment = _.clamp(t, 0, 1);
+  return { t: tOnSegment, u: _.clamp(u, 0, 1), point: { x: p1.x + (tOnSegment * r.x), y: p1.y + (tOnSegment * r.y) } };
+}
+
+// whether a point is inside rings, by the even-odd rule
+function insideRings(point, rings) {
+  const crossings = _.sumBy(rings, ring => ringSegments(ring).filter(({ start, end }) =>
+    (start.y > point.y) !== (end.y > point.y) &&
+    point.x < start.x + (((point.y - start.y) * (end.x - start.x)) / (end.y - start.y))).length);
+  return crossings % 2 === 1;
+}
+
+const onRings = (point, rings) => _.some(rings, ring =>
+  _.some(ringSegments(ring), segment => pointDistanceToSegment(point, segment).dist < eps));
+
+/*
+* the chords of a line across a face, each like [start, ...points of the line, end].
+* parts of the line outside of the face or along its edges are left out
+*/
+function chordsAcross(rings, line) {
+  const crossings = _.flatMap(_.range(line.length - 1), ix => _.flatMap(rings, ring => _.compact(
+    ringSegments(ring).map(({ start, end }) => {
+      const crossing = segmentCrossing(line[ix], line[ix + 1], start, end);
+      return crossing && { at: ix + crossing.t, point: crossing.point };
+    }))));
+  const stops = _.sortBy(crossings, 'at').filter((stop, ix, sorted) => !ix || stop.at - sorted[ix - 1].at > eps);
+
+  return _.zip(_.initial(stops), _.tail(stops))
+    .map(([from, to]) => [
+      from.point,
+      ..._.range(Math.floor(from.at) + 1, Math.ceil(to.at)).map(k => xy(line[k]))
+        .filter(p => !samePoint(p, from.point) && !samePoint(p, to.point)),
+      to.point,
+    ])
+    .filter((chord) => {
+      const middle = { x: (chord[0].x + chord[1].x) / 2, y: (chord[0].y + chord[1].y) / 2 };
+      return distance(chord[0], chord[1]) > eps && insideRings(middle, rings) && !onRings(middle, rings);
+    });
+}
+
+// rings with the points given added to the edges they are on
+function withPointsOnEdges(rings, points) {
+  return rings.map(ring => _.flatMap(ringSegments(ring), ({ start, end }) => [
+    start,
+    ..._.sortBy(
+      points.filter(p => !samePoint(p, start) && !samePoint(p, end) &&
+        pointDistanceToSegment(p, { start, end }).dist < eps),
+      p => distance(start, p)),
+  ]));
+}
+
+const angleOf = (from, to) => Math.atan2(to.y - from.y, to.x - from.x);
+const turn = angle => ((angle % (2 * Math.PI)) + (2 * Math.PI)) % (2 * Math.PI);
+
+/*
+* the ring and index in it of a point a chord leaves from toward next, like { piece, ring, at }.
+* a point can be on a ring more than once where rings have been joined, it is the one with the face on the side
+* of the ring the chord leaves into
+*/
+function locate(pieces, point, next) {
+  const candidates = _.flatMap(pieces, (piece, pieceIx) => _.flatMap(piece, (ring, ringIx) => _.compact(
+    ring.map((p, at) => samePoint(p, point) && { piece: pieceIx, ring: ringIx, at }))));
+  return _.find(candidates, ({ piece, ring, at }) => {
+    const
+      points = pieces[piece][ring],
+      before = points[(at + points.length - 1) % points.length],
+      after = points[(at + 1) % points.length],
+      out = angleOf(point, after);
+    // the face is on the left of the ring, between the way the ring goes on and the way it came
+    return turn(angleOf(point, next) - out) < turn(angleOf(point, before) - out);
+  }) || candidates[0];
+}
+
+const rotate = (ring, at) => [...ring.slice(at), ...ring.slice(0, at)];
+// a point strictly inside of the area a hole cuts out of a face, which is on the right of the hole
+function pointInHole(hole) {
+  const
+    { start, end } = _.maxBy(ringSegments(hole), ({ start: s, end: e }) => distance(s, e)),
+    length = distance(start, end),
+    offset = Math.min(length / 1000, 0.001);
+  return {
+    x: ((start.x + end.x) / 2) + (((end.y - start.y) / length) * offset),
+    y: ((start.y + end.y) / 2) - (((end.x - start.x) / length) * offset),
+  };
+}
+
+/*
+* the pieces of a face, lists of rings like [outline, ...holes], after cutting one of them along a chord
+*/
+function cut(pieces, chord) {
+  const
+    inner = chord.slice(1, -1),
+    start = locate(pieces, chord[0], chord[1]),
+    end = locate(pieces, _.last(chord), chord[chord.length - 2]);
+  if (!start || !end || start.piece !== end.piece) { return pieces; }
+
+  const
+    piece = pieces[start.piece],
+    others = pieces.filter((p, ix) => ix !== start.piece),
+    [outline, ...holes] = piece;
+
+  if (start.ring !== end.ring) {
+    // join the rings, going around the first from the start of the chord, along the chord, around the second and back
+    const
+      joined = [
+        ...rotate(piece[start.ring], start.at), chord[0], ...inner,
+        ...rotate(piece[end.ring], end.at), _.last(chord), ...[...inner].reverse(),
+      ],
+      rest = piece.filter((ring, ix) => ix !== start.ring && ix !== end.ring);
+    return [...others, start.ring === 0 || end.ring === 0 ? [joined, ...rest] : [outline, ..._.tail(rest), joined]];
+  }
+
+  const
+    ring = rotate(piece[start.ring], start.at),
+    endAt = (end.at - start.at + ring.length) % ring.length,
+    loops = [
+      [...ring.slice(0, endAt + 1), ...[...inner].reverse()],
+      [...ring.slice(endAt), ring[0], ...inner],
+    ],
+    untouched = holes.filter((hole, ix) => ix + 1 !== start.ring),
+    holesIn = loop => untouched.filter(hole => insideRings(pointInHole(hole), [loop]));
+
+  if (start.ring === 0) {
+    // the outline is divided in two
+    return [...others, ...loops.map(loop => [loop, ...holesIn(loop)])];
+  }
+  // a chord from a hole back to it cuts off the part of the face between them, and the rest of the hole is larger
+  const
+    [cutOff] = loops.filter(loop => signedArea(loop) > 0),
+    [hole] = loops.filter(loop => signedArea(loop) <= 0);
+  if (!cutOff || !hole) { return pieces; }
+  const cutOffHoles = holesIn(cutOff);
+  return [
+    ...others,
+    [outline, ..._.difference(untouched, cutOffHoles), hole],
+    [cutOff, ...cutOffHoles],
+  ];
+}
+
+/*
+* split a face, given as lists of points around its outline and each of its holes, along a line of points.
+* returns the pieces of the face, each like [outline, ...holes], or { error } if the line doesn't divide the face
+*/
+export default function splitPolygon([outline, ...holes], line) {
+  const
+    rings = [
+      signedArea(outline) > 0 ? outline : [...outline].reverse(),
+      ...holes.map(hole => (signedArea(hole) < 0 ? hole : [...hole].reverse())),
+    ].map(ring => ring.map(xy)),
+    chords = chordsAcross(rings, line);
+  if (!chords.length) {
+    return { error: 'the line must cross the face' };
+  }
+
+  const pieces = chords.reduce(cut, [withPointsOnEdges(rings, _.flatMap(chords, chord => [chord[0], _.last(chord)]))]);
+  // rings which were joined but never divided again pass over the chord between them twice
+  const joined = _.some(pieces, piece => _.some(piece, ring => _.uniqWith(ring, samePoint).length < ring.length));
+  if (pieces.length < 2 || joined) {
+    return { error: 'the line must divide the face' };
+  }
+  return pieces;
+}
@@ -1,7 +1,7 @@
 import _ from 'lodash';
 import libconfig from './libconfig';
-import factory, { getDefaults } from './factory';
-import idFactory, { genName } from './../../utilities/generateId';
+import factory, { getDefaults, madeIn } from './factory';
+import { idsOf } from './../../utilities/generateId';
 import geometryFactory from '../geometry/factory';
 import helpers from './helpers';
 import geometryHelpers from '../geometry/helpers';
@@ -9,7 +9,7 @@ import geometryHelpers from '../geometry/helpers';
 export default {
   initStory(context) {
       const name = helpers.generateName(context.state, 'stories');
-      const story = new factory.Story(name);
+      const story = new factory.Story(name, madeIn(context));
 
       // create story
       context.commit('initStory', { story });
@@ -24,7 +24,7 @@ export default {
     initSpace (context, payload) {
         const story = context.state.stories.find(s => s.id === payload.story.id),
             name = helpers.generateName(context.state, 'spaces', story),
-            space = new factory.Space(name);
+            space = new factory.Space(name, madeIn(context));
 
         context.commit('initSpace', { story, space });
     },
@@ -32,7 +32,7 @@ export default {
     initShading (context, payload) {
         const story = context.state.stories.find(s => s.id === payload.story.id),
             name = helpers.generateName(context.state, 'shading', story),
-            shading = new factory.Shading(name);
+            shading = new factory.Shading(name, madeIn(context));
 
         context.commit('initShading', { story, shading });
     },
@@ -197,11 +197,11 @@ export default {
       context.commit('updateImageWithData', cleanedPayload);
     },
 
-  updateWindowDefinitionWithData({ state, dispatch }, payload) {
+  updateWindowDefinitionWithData({ state, rootState, dispatch }, payload) {
     const { object: { id } } = payload;
 
     const windowDefnDefaults = _.pick(
-      getDefaults('WindowDefinition'),
+      getDefaults('WindowDefinition', rootState.project.config.units),
       ['height', 'width', 'window_spacing', 'wwr']);
     // blank out the keys that don't make sense for that type.
     if (payload.window_definition_mode === 'Window to Wall Ratio') {
@@ -251,7 +251,7 @@ export default {
   createImageForStory(context, payload) {
     const story = context.state.stories.find(s => s.id === payload.story_id);
     const name = helpers.generateName(context.state, 'images', story);
-    const image = new factory.Image(name, payload.src);
+    const image = new factory.Image(name, payload.src, madeIn(context));
 
     image.height = payload.height;
     image.width = payload.width;
@@ -266,10 +266,22 @@ export default {
     });
   },
 
+  /*
+  * save linework traced from a CAD drawing as an underlay of a story
+  * lines is a list of { layer, points: [{ x, y }] }, in project units
+  */
+  createUnderlayForStory(context, { story_id, name, lines }) {
+    const story = context.state.stories.find(s => s.id === story_id);
+    context.commit('createUnderlayForStory', {
+      story_id: story.id,
+      underlay: new factory.Underlay(name, lines, madeIn(context)),
+    });
+  },
+
     createObjectWithType (context, payload) {
         const type = payload.type,
             name = helpers.generateName(context.state, type),
-            object = new helpers.map[type].init({ name });
+            object = new helpers.map[type].init({ name }, madeIn(context));
 
         context.commit('initObject', { type, object });
     },
@@ -321,8 +333,8 @@ export default {
 
     context.commit('createWindow', {
       ...payload,
-      id: idFactory.generate(),
-      name: genName(windowDefn.name),
+      id: idsOf(context).generate(),
+      name: idsOf(context).genName(windowDefn.name),
     });
   },
 
@@ -347,8 +359,8 @@ export default {
 
     context.commit('createDoor', {
       ...payload,
-      id: idFactory.generate(),
-      name: genName(doorDefn.name),
+      id: idsOf(context).generate(),
+      name: idsOf(context).genName(doorDefn.name),
     });
   },
 
@@ -361,7 +373,7 @@ export default {
       geometry = story && _.find(context.rootState.geometry, { id: story.geometry_id }),
       face = geometry && _.find(geometry.faces, { id: face_id }),
       vertex = geometry && (
-        geometryHelpers.vertexForCoordinates({ x, y }, geometry) || geometryFactory.Vertex(x, y));
+        geometryHelpers.vertexForCoordinates({ x, y }, geometry) || geometryFactory.Vertex(x, y, idsOf(context)));
     if (!story) {
       throw new Error('Story not found');
     } else if (!daylightingDefn) {
@@ -377,8 +389,8 @@ export default {
     context.commit('createDaylightingControl', {
       ...payload,
       vertex_id: vertex.id,
-      id: idFactory.generate(),
-      name: genName(daylightingDefn.name),
+      id: idsOf(context).generate(),
+      name: idsOf(context).genName(daylightingDefn.name),
     });
   },
   destroyDaylightingControl({ commit }, payload) {
@@ -1,5 +1,5 @@
 import _ from 'lodash';
-import idFactory from './../../utilities/generateId';
+import idFactory, { idsOf } from './../../utilities/generateId';
 import generateColor from './../../utilities/generateColor';
 import generateTexture from './../../utilities/generateTexture';
 import appconfig from './../application/appconfig';
@@ -36,42 +36,51 @@ const si_defaults = _.mapValues(
   ip_defaults,
   (value, key) => getConverter(key, 'ip', 'si')(value));
 
-export const getDefaults = key =>
-    _.cloneDeep(_.get(window, 'application.$store.state.project.config.units', 'ip') === 'ip' ?
+export const getDefaults = (key, units = 'ip') =>
+    _.cloneDeep(units === 'ip' ?
         ip_defaults[key] :
         si_defaults[key]);
 
 export const allowableTypes = readPropertyAttrs('type');
 
+/*
+* where new objects are made: the id generator and units of the store an action was dispatched on.
+* each of the constructors below takes one as its last argument, objects made without one are in ip units
+*/
+export function madeIn(context) {
+  return { ids: idsOf(context), units: context.rootState.project.config.units };
+}
+const unstored = { ids: idFactory, units: 'ip' };
+
 export default {
-  Story(name) {
+  Story(name, { ids, units } = unstored) {
     return {
-      ...getDefaults('Story'),
-      id: idFactory.generate(),
+      ...getDefaults('Story', units),
+      id: ids.generate(),
       name,
       color: generateColor('story'),
     };
   },
-  Space(name) {
+  Space(name, { ids, units } = unstored) {
     return {
-      ...getDefaults('Space'),
-      id: idFactory.generate(),
+      ...getDefaults('Space', units),
+      id: ids.generate(),
       name,
       color: generateColor('space'),
       type: 'space',
     };
   },
-  Shading(name) {
+  Shading(name, { ids, units } = unstored) {
     return {
-      ...getDefaults('Shading'),
-      id: idFactory.generate(),
+      ...getDefaults('Shading', units),
+      id: ids.generate(),
       name,
       color: appconfig.palette.shading,
     };
   },
-  Image(name, src) {
+  Image(name, src, { ids } = unstored) {
     return {
-      id: idFactory.generate(),
+      id: ids.generate(),
       src,
       name,
       visible: true,
@@ -86,67 +95,75 @@ export default {
       naturalHeight: 0,
     };
   },
-  BuildingUnit(opts = {}) {
+  Underlay(name, lines, { ids, units } = unstored) {
+    return {
+      ...getDefaults('Underlay', units),
+      id: ids.generate(),
+      name,
+      lines,
+    };
+  },
+  BuildingUnit(opts = {}, { ids } = unstored) {
     return {
-      id: idFactory.generate(),
+      id: ids.generate(),
       color: generateColor('building_unit'),
       name: opts.name,
       handle: opts.handle || null,
     };
   },
-  ThermalZone(opts = {}) {
+  ThermalZone(opts = {}, { ids, units } = unstored) {
     return {
-      ...getDefaults('ThermalZone'),
-      id: idFactory.generate(),
+      ...getDefaults('ThermalZone', units),
+      id: ids.generate(),
       color: generateColor('thermal_zone'),
       name: opts.name,
     };
   },
-  SpaceType(opts = {}) {
+  SpaceType(opts = {}, { ids, units } = unstored) {
     return {
-      ...getDefaults('SpaceType'),
-      id: idFactory.generate(),
+      ...getDefaults('SpaceType', units),
+      id: ids.generate(),
       color: generateColor('space_type'),
       name: opts.name,
     };
   },
-  ConstructionSet(opts = {}) {
+  ConstructionSet(opts = {}, { ids, units } = unstored) {
     return {
-      ...getDefaults('ConstructionSet'),
-      id: idFactory.generate(),
+      ...getDefaults('ConstructionSet', units),
+      id: ids.generate(),
       name: opts.name,
       color: generateColor('construction_set'),
     };
   },
-  WindowDefn(opts = {}) {
+  WindowDefn(opts = {}, { ids, units } = unstored) {
     return {
-      ...getDefaults('WindowDefinition'),
-      id: idFactory.generate(),
+      ...getDefaults('WindowDefinition', units),
+      id: ids.generate(),
       name: opts.name,
       wwr: null,
       window_spacing: null,
       texture: generateTexture('window_definition'),
     };
   },
-  DaylightingControlDefn(opts = {}) {
+  DaylightingControlDefn(opts = {}, { ids, units } = unstored) {
     return {
-      ...getDefaults('DaylightingControlDefinition'),
-      id: idFactory.generate(),
+      ...getDefaults('DaylightingControlDefinition', units),
+      id: ids.generate(),
       name: opts.name,
     };
   },
-  DoorDefinition(opts = {}) {
+  DoorDefinition(opts = {}, { ids, units } = unstored) {
     return {
-      ...getDefaults('DoorDefinition'),
-      id: idFactory.generate(),
+      ...getDefaults('DoorDefinition', units),
+      id: ids.generate(),
       name: opts.name,
       texture: generateTexture('door_definition'),
     };
   },
-  PitchedRoof(opts = {}) {
+  PitchedRoof(opts = {}, { ids, units } = unstored) {
     return {
-      ...getDefaults('PitchedRoof'),
-      id: idFactory.generate(),
+      ...getDefaults('PitchedRoof', units),
+      id: ids.generate(),
       name: opts.name,
       color: generateColor('pitched_roof'),
     };
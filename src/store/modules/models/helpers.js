@@ -42,19 +42,13 @@ const helpers = {
   setValueForKey(object, store, type, key, value) {
     const result = { success: true };
 
-    if (this.map[type].keymap[key] && this.map[type].keymap[key].converter) {
-      value = this.map[type].keymap[key].converter(value, this.map[type].keymap[key]);
-    }
-
-    // if a validator is defined for the key, run it and store the result
-    if (this.map[type].keymap[key] && this.map[type].keymap[key].validator) {
-      const validationResult = this.map[type].keymap[key].validator(object, store, value, type);
-      result.success = validationResult.success;
-      if (!validationResult.success) {
-        result.error = validationResult.error;
-        return result;
-      }
+    const validationResult = this.validateValueForKey(object, store, type, key, value);
+    if (!validationResult.success) {
+      result.success = false;
+      result.error = validationResult.error;
+      return result;
     }
+    value = validationResult.value;
     // dispatch the correct action to update the specified type
     if (type === 'stories') {
       store.dispatch('models/updateStoryWithData', {
@@ -91,6 +85,23 @@ const helpers = {
     return result;
   },
 
+  /*
+  * converts a value for a key on an object and runs the validator for the key, without changing the object
+  * returns { success: true, value } with the converted value, or { success: false, error: 'validator error message' }
+  */
+  validateValueForKey(object, store, type, key, value) {
+    const
+      col = this.map[type].keymap[key],
+      converted = col && col.converter ? col.converter(value, col) : value;
+    if (col && col.validator) {
+      const validationResult = col.validator(object, store, converted, type);
+      if (!validationResult.success) {
+        return { success: false, error: validationResult.error };
+      }
+    }
+    return { success: true, value: converted };
+  },
+
   inputTypeForKey(type, key) {
     return this.map[type].keymap[key] && !this.map[type].keymap[key].readonly ? this.map[type].keymap[key].input_type : null;
   },
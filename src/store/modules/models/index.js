@@ -4,7 +4,7 @@ import getters from './getters'
 
 export default {
     namespaced: true,
-    state: {
+    state: () => ({
         stories: [/*{
             id: null,
             handle: null,
@@ -61,7 +61,7 @@ export default {
             pitched_roofs: [],
             door_definitions: [],
         }
-    },
+    }),
     actions: actions,
     mutations: mutations,
     getters: getters
@@ -290,6 +290,22 @@ const map = {
         input_type: 'color',
         validator: validators.color,
       },
+      {
+        name: 'exterior_wall_thickness',
+        displayName: 'Exterior Wall Thickness',
+        input_type: 'text',
+        numeric: true,
+        validator: validators.gte0orNull,
+        converter: converters.number,
+      },
+      {
+        name: 'interior_wall_thickness',
+        displayName: 'Interior Wall Thickness',
+        input_type: 'text',
+        numeric: true,
+        validator: validators.gte0orNull,
+        converter: converters.number,
+      },
     ],
     init: factory.ConstructionSet,
   },
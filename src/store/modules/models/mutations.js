@@ -47,6 +47,9 @@ export default {
         const story = state.stories.find(s => s.id === payload.story_id);
         story.images.push(payload.image);
     },
+  createUnderlayForStory(state, { story_id, underlay }) {
+    state.stories.find(s => s.id === story_id).underlays.push(underlay);
+  },
 
     updateSpaceWithData (state, payload) {
         var space = payload.space;
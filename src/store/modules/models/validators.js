@@ -71,4 +71,10 @@ export default {
     }
     return { success: false, error: 'If provided, value must be greater than 0' };
   },
+  gte0orNull(object, store, value) {
+    if (value === null || value === '' || value >= 0) {
+      return { success: true };
+    }
+    return { success: false, error: 'If provided, value must be at least 0' };
+  },
 };
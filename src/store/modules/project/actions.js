@@ -1,5 +1,6 @@
 import _ from 'lodash';
 import Validator from './../../utilities/validator';
+import { drawnAtOptions, areaBasisOptions } from '../../utilities/walls';
 
 export default {
     // CONFIG
@@ -132,9 +133,31 @@ export default {
       return;
     }
     if (key === 'tilt_angle' && (value < 0 || value >= 90)) {
-      window.eventBus.$emit('error', 'Tilt Angle must be in [0, 90)');
+      this.eventBus.$emit('error', 'Tilt Angle must be in [0, 90)');
       return;
     }
     commit('modifyGround', { key, value });
   },
+
+  modifyWalls({ commit }, { key, val }) {
+    const options = { drawn_at: drawnAtOptions, area_basis: areaBasisOptions }[key];
+    if (options) {
+      if (!_.includes(options, val)) {
+        this.eventBus.$emit('error', `Expected one of ${options.join(', ')}, got ${val}`);
+        return;
+      }
+      commit('modifyWalls', { key, value: val });
+      return;
+    }
+    if (key !== 'exterior_wall_thickness' && key !== 'interior_wall_thickness') {
+      console.error(`unrecognized walls property "${key}"`);
+      return;
+    }
+    const value = +val;
+    if (val === '' || isNaN(value) || value < 0) {
+      this.eventBus.$emit('error', 'Wall thickness must be a number, at least 0');
+      return;
+    }
+    commit('modifyWalls', { key, value });
+  },
 }
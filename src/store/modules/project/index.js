@@ -4,7 +4,7 @@ import getters from './getters'
 
 export default {
   namespaced: true,
-  state: {
+  state: () => ({
     // project
     config: {
       units: 'ip',
@@ -17,6 +17,13 @@ export default {
       azimuth_angle: 0,
       tilt_slope: 0,
     },
+    // wall thickness and how walls are drawn, see store/utilities/walls.js
+    walls: {
+      exterior_wall_thickness: 0,
+      interior_wall_thickness: 0,
+      drawn_at: 'Centerline',
+      area_basis: 'Centerline',
+    },
     grid: {
       visible: true,
       spacing: 5,
@@ -42,7 +49,7 @@ export default {
       visible: true
     },
     show_import_export: true,
-  },
+  }),
   actions: actions,
   mutations: mutations,
   getters: getters
@@ -104,4 +104,8 @@ export default {
   modifyGround(state, { key, value }) {
     state.ground[key] = value;
   },
+
+  modifyWalls(state, { key, value }) {
+    state.walls[key] = value;
+  },
 };
@@ -3,9 +3,9 @@ import project from './modules/project';
 
 export default {
   importState(state, payload) {
-    // replace any keys in both, but keep keys appearing only in project
+    // replace any keys in both, but keep keys appearing only in project, at any depth
     // (for backward compatibilty)
-    state.project = Object.assign(project.state, payload.project);
+    state.project = _.defaultsDeep({}, payload.project, project.state());
     state.application = payload.application;
     state.models = payload.models;
     state.geometry = payload.geometry;
@@ -1,4 +1,5 @@
 import _ from 'lodash';
+import changeEvents from './utilities/changeEvents';
 
 const serializeState = (state) => {
   const clone = JSON.parse(JSON.stringify(state));
@@ -37,12 +38,21 @@ const permanentActions = [
 
 const logState = state => state;
 
-export default {
+// the parts of the store that change events are computed from
+const snapshotModels = state => JSON.parse(JSON.stringify({
+  models: state.models,
+  geometry: state.geometry,
+}));
+
+const timetravel = {
   store: null,
   pastTimetravelStates: [],
   futureTimetravelStates: [],
   currentlyInBatch: false,
   triggeringAction: '(none)',
+  stateBeforeChange: null,
+  changeAction: null,
+  undoneAction: null,
   init(store) {
     const that = this;
     this.store = store;
@@ -54,11 +64,14 @@ export default {
     this.store.replaceState({ ...store.state, timetravelInitialized: true });
     /*
     * store.commit and store.replaceState mutate the data store
-    * monkey patch them to call the onChange function supplied in app config
+    * monkey patch them to call the onChange function supplied in the config of the store's api
     */
     const originalReplaceState = store.replaceState;
     store.replaceState = function overrideReplaceState(...args) {
-      if (window.api) { window.api.config.onChange(); }
+      if (that.store.api) {
+        that.store.api.config.onChange();
+        that.queueChangeEvents();
+      }
       const newState = args[0];
 
       // non timetravel props
@@ -71,7 +84,10 @@ export default {
     };
     const originalCommit = store.commit;
     store.commit = function overrideCommit(...args) {
-      if (window.api) { window.api.config.onChange(); }
+      if (that.store.api) {
+        that.store.api.config.onChange();
+        that.queueChangeEvents();
+      }
       originalCommit.apply(this, args);
     };
 
@@ -82,6 +98,10 @@ export default {
     const originalDispatch = store.dispatch;
     store.dispatch = function overrideDispatch(...args) {
       const action = args[0];
+      if (!that.stateBeforeChange) {
+        // first action since change events were last emitted
+        that.changeAction = action;
+      }
 
       // ignore changes to view bounds
       if (!_.includes(filteredActions, action)) {
@@ -89,7 +109,7 @@ export default {
         console.log('dispatching action:', args[0]);
       }
 
-      originalDispatch.apply(this, args);
+      return originalDispatch.apply(this, args);
     };
   },
   maybeSaveCheckpoint(action) {
@@ -101,6 +121,42 @@ export default {
     clearTimeout(this.resetBatchFlag);
     this.resetBatchFlag = setTimeout(() => { this.currentlyInBatch = false; }, 0);
   },
+  // copying the models to diff them is slow on large floorplans, so it is only done while something listens
+  hasListeners() {
+    const { api } = this.store;
+    return !!api && _.some(api.listeners, callbacks => callbacks.length);
+  },
+  /*
+  * Take a snapshot before the first mutation of a user action, and emit
+  * change events describing the difference once the mutations stop
+  */
+  queueChangeEvents() {
+    if (!this.stateBeforeChange && !this.hasListeners()) { return; }
+    if (!this.stateBeforeChange) {
+      this.stateBeforeChange = snapshotModels(this.store.state);
+    }
+    clearTimeout(this.emitChangeEventsTimeout);
+    this.emitChangeEventsTimeout = setTimeout(() => this.emitChangeEvents(), 0);
+  },
+  emitChangeEvents() {
+    const
+      action = this.changeAction,
+      before = this.stateBeforeChange;
+    this.stateBeforeChange = null;
+    this.changeAction = null;
+
+    const { api } = this.store;
+    // listeners can unsubscribe during an action
+    if (!api || !api.emit || !this.hasListeners()) { return; }
+    const events = changeEvents(before, snapshotModels(this.store.state));
+    events.forEach(e => api.emit(e.event, { ...e, action }));
+    if (action === 'undo' || action === 'redo') {
+      api.emit(action, { action: this.undoneAction, events });
+    }
+    if (events.length) {
+      api.emit('change', { action, events });
+    }
+  },
   /*
   * Empty future states and save the currentState to pastTimetravelStates
   */
@@ -145,9 +201,11 @@ export default {
       state: serializeState(this.store.state),
     });
     this.triggeringAction = triggeringAction;
+    this.changeAction = 'undo';
+    this.undoneAction = oldAction;
     this.store.replaceState(replacementState);
     console.log('undo', replacementState);
-    window.eventBus.$emit('success', `undo ${oldAction}`);
+    this.store.eventBus.$emit('success', `undo ${oldAction}`);
   },
 
   redo() {
@@ -158,8 +216,10 @@ export default {
       triggeringAction: this.triggeringAction,
     });
     this.triggeringAction = triggeringAction;
+    this.changeAction = 'redo';
+    this.undoneAction = triggeringAction;
     this.store.replaceState(replacementState);
-    window.eventBus.$emit('success', `redo ${triggeringAction}`);
+    this.store.eventBus.$emit('success', `redo ${triggeringAction}`);
     console.log('redo', replacementState);
   },
   logTimetravel() {
@@ -168,3 +228,8 @@ export default {
     console.log('future:', this.futureTimetravelStates.map(s => logState(s)));
   },
 };
+
+// each store gets its own undo history
+export default function createTimetravel() {
+  return { ...timetravel };
+}
@@ -0,0 +1,146 @@
+import _ from 'lodash';
+import geometryHelpers from '../modules/geometry/helpers';
+import { libraryTypes } from '../modules/application/appconfig';
+
+/*
+* event name prefixes for each kind of object we report on.
+* components (windows, doors, daylighting controls) are "Placed" rather than "Created"
+*/
+const eventPrefixes = {
+  stories: 'story',
+  spaces: 'space',
+  shading: 'shading',
+  images: 'image',
+  windows: 'window',
+  doors: 'door',
+  daylighting_controls: 'daylightingControl',
+  building_units: 'buildingUnit',
+  thermal_zones: 'thermalZone',
+  space_types: 'spaceType',
+  construction_sets: 'constructionSet',
+  pitched_roofs: 'pitchedRoof',
+  window_definitions: 'windowDefinition',
+  daylighting_control_definitions: 'daylightingControlDefinition',
+  door_definitions: 'doorDefinition',
+};
+const componentTypes = ['windows', 'doors', 'daylighting_controls'];
+
+// keys on a story that hold child objects, which are diffed separately
+const storyChildKeys = ['spaces', 'shading', 'images', 'windows', 'doors'];
+
+export const eventNames = _.flatMap(eventPrefixes, (prefix, type) => [
+  `${prefix}${_.includes(componentTypes, type) ? 'Placed' : 'Created'}`,
+  `${prefix}Deleted`,
+  `${prefix}Changed`,
+]);
+
+/*
+* returns the vertex coordinates of each face in a geometry, keyed by face id
+*/
+function faceCoordinates(geometry) {
+  if (!geometry) { return {}; }
+  return _.chain(geometryHelpers.denormalize(geometry).faces)
+    .map(face => [face.id, face.vertices.map(v => _.pick(v, ['x', 'y']))])
+    .fromPairs()
+    .value();
+}
+
+function changedKeys(oldObj, newObj, ignoredKeys = []) {
+  return _.chain([...Object.keys(oldObj), ...Object.keys(newObj)])
+    .uniq()
+    .difference(ignoredKeys)
+    .reject(k => _.isEqual(oldObj[k], newObj[k]))
+    .value();
+}
+
+/*
+* compare two lists of objects by id, producing one event per created, deleted, or changed object
+* extra is merged into each event (eg: to include the story_id of a space)
+* geometryChanged(oldObj, newObj) is used to flag objects whose face moved, even if the object itself did not change
+*/
+function diffById(type, oldObjs, newObjs, extra = {}, ignoredKeys = [], geometryChanged = () => false) {
+  const
+    prefix = eventPrefixes[type],
+    oldById = _.keyBy(oldObjs, 'id'),
+    newById = _.keyBy(newObjs, 'id'),
+    events = [];
+
+  _.each(newObjs, (obj) => {
+    if (!oldById[obj.id]) {
+      events.push({
+        event: `${prefix}${_.includes(componentTypes, type) ? 'Placed' : 'Created'}`,
+        type,
+        id: obj.id,
+        ...extra,
+      });
+      return;
+    }
+    const keys = changedKeys(oldById[obj.id], obj, ignoredKeys);
+    if (geometryChanged(oldById[obj.id], obj)) {
+      keys.push('geometry');
+    }
+    if (keys.length) {
+      events.push({ event: `${prefix}Changed`, type, id: obj.id, keys, ...extra });
+    }
+  });
+  _.each(oldObjs, (obj) => {
+    if (!newById[obj.id]) {
+      events.push({ event: `${prefix}Deleted`, type, id: obj.id, ...extra });
+    }
+  });
+  return events;
+}
+
+function diffStory(oldStory, newStory, oldState, newState) {
+  const
+    extra = { story_id: newStory.id },
+    oldFaces = faceCoordinates(_.find(oldState.geometry, { id: oldStory.geometry_id })),
+    newFaces = faceCoordinates(_.find(newState.geometry, { id: newStory.geometry_id })),
+    // a space or shading has changed geometry if its face now has different vertices
+    faceMoved = (oldObj, newObj) => (
+      oldObj.face_id === newObj.face_id &&
+      !!newObj.face_id &&
+      !_.isEqual(oldFaces[oldObj.face_id], newFaces[newObj.face_id])
+    );
+
+  return [
+    ...diffById('spaces', oldStory.spaces, newStory.spaces, extra, ['type'], faceMoved),
+    ...diffById('shading', oldStory.shading, newStory.shading, extra, ['type'], faceMoved),
+    ...diffById('images', oldStory.images, newStory.images, extra),
+    ...diffById('windows', oldStory.windows, newStory.windows, extra),
+    ...diffById('doors', oldStory.doors, newStory.doors, extra),
+    ...diffById(
+      'daylighting_controls',
+      _.flatMap(oldStory.spaces, 'daylighting_controls'),
+      _.flatMap(newStory.spaces, 'daylighting_controls'),
+      extra),
+  ];
+}
+
+/*
+* given snapshots of the models and geometry taken before and after a user action,
+* return a list of events describing what changed. Each event looks like:
+* { event: 'spaceChanged', type: 'spaces', id: '12', story_id: '3', keys: ['thermal_zone_id'] }
+*/
+export default function changeEvents(oldState, newState) {
+  const
+    oldStories = oldState.models.stories,
+    newStories = newState.models.stories,
+    oldStoriesById = _.keyBy(oldStories, 'id');
+
+  const storyEvents = diffById('stories', oldStories, newStories, {}, [...storyChildKeys, 'type']);
+
+  // only look inside stories that existed before and after, created and deleted stories
+  // are reported as a single event.
+  const childEvents = _.flatMap(
+    newStories.filter(s => oldStoriesById[s.id]),
+    s => diffStory(oldStoriesById[s.id], s, oldState, newState));
+
+  const libraryEvents = _.flatMap(libraryTypes, type => diffById(
+    type,
+    oldState.models.library[type] || [],
+    newState.models.library[type] || [],
+    {}, ['type']));
+
+  return [...storyEvents, ...childEvents, ...libraryEvents];
+}
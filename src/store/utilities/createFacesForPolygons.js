@@ -0,0 +1,42 @@
+import _ from 'lodash';
+
+const models = {
+  spaces: { init: 'models/initSpace', update: 'models/updateSpaceWithData', destroy: 'models/destroySpace', key: 'space' },
+  shading: { init: 'models/initShading', update: 'models/updateShadingWithData', destroy: 'models/destroyShading', key: 'shading' },
+};
+
+/*
+* draw each polygon, { points, holes, name }, as the face of a space or shading (type is 'spaces' or 'shading') on
+* the current story. spaces or shading on the story which don't have a face yet are used before adding new ones,
+* and new ones are removed again if their face couldn't be drawn.
+* returns a Promise which resolves with [{ result, model, polygon }] for each polygon, where result is the
+* result of geometry/createFaceFromPoints
+*/
+export default function createFacesForPolygons(context, type, polygons) {
+  const
+    { init, update, destroy, key } = models[type],
+    story = context.getters['application/currentStory'],
+    emptyModels = story[type].filter(m => !m.face_id);
+
+  const drawn = polygons.map((polygon, ix) => {
+    if (!emptyModels[ix]) {
+      context.dispatch(init, { story });
+    }
+    const model = emptyModels[ix] || _.last(story[type]);
+    if (polygon.name) {
+      context.dispatch(update, { [key]: model, name: polygon.name });
+    }
+    return context.dispatch('geometry/createFaceFromPoints', {
+      model_id: model.id,
+      points: polygon.points,
+      holes: polygon.holes,
+    }).then(result => ({ result, model, polygon }));
+  });
+
+  return Promise.all(drawn).then((results) => {
+    results
+      .filter(({ result, model }) => !result.success && !_.includes(emptyModels, model))
+      .forEach(({ model }) => context.dispatch(destroy, { story, [key]: model }));
+    return results;
+  });
+}
@@ -1,6 +1,8 @@
 import _ from 'lodash';
 import version from '../../version';
 import { repeatingWindowCenters } from '../../store/modules/geometry/helpers';
+import { tessellateArc } from '../../store/modules/geometry/arcs';
+import { edgeWalls, areaWithinWalls } from './walls';
 
 function formatHex(val) {
   if (!val) { return null; }
@@ -41,6 +43,7 @@ function mungeWindows(windows, geometry, windowDefs) {
       const centers = repeatingWindowCenters({
         start: _.find(geometry.vertices, { id: edge.vertex_ids[0] }),
         end: _.find(geometry.vertices, { id: edge.vertex_ids[1] }),
+        bulge: edge.bulge,
         spacing: def.window_spacing,
         width: def.width,
       });
@@ -53,22 +56,198 @@ function mungeWindows(windows, geometry, windowDefs) {
   });
 }
 
+/*
+* the points around a face of exported geometry, without the first point repeated at the end
+*/
+export function facePoints(face, geometry) {
+  const
+    edges = _.keyBy(geometry.edges, 'id'),
+    vertices = _.keyBy(geometry.vertices, 'id');
+  return face.edge_ids.map((edgeId, ix) => {
+    const [v1, v2] = edges[edgeId].vertex_ids;
+    return _.pick(vertices[face.edge_order[ix] ? v1 : v2], ['x', 'y']);
+  });
+}
+
+/*
+* the ids of the edges around a face of exported geometry, and around each of its holes
+*/
+export function faceEdgeIds(face) {
+  return [...face.edge_ids, ..._.flatMap(face.holes, 'edge_ids')];
+}
+
+/*
+* a height of an exported space (eg: 'floor_to_ceiling_height'), which is the story's unless the space overrides it
+*/
+export function spaceHeight(space, story, key) {
+  return _.isNumber(space[key]) ? space[key] : story[key];
+}
+
+/*
+* the walls along the edges of the spaces of an exported story, by edge id, see edgeWalls in store/utilities/walls.js
+*/
+export function storyWalls(story, floorplan) {
+  const spaceEdges = _.compact(story.spaces.map((space) => {
+    const face = space.face_id && _.find(story.geometry.faces, { id: space.face_id });
+    return face && { space, edgeIds: faceEdgeIds(face) };
+  }));
+  return edgeWalls(spaceEdges, floorplan.construction_sets, floorplan.project);
+}
 
-function mungeStories(stories, geometries, windowDefs) {
+/*
+* the area of an exported space, measured to the face of its walls set by the area_basis of the project,
+* without its holes
+*/
+export function spaceArea(space, story, floorplan, walls = storyWalls(story, floorplan)) {
+  const face = space.face_id && _.find(story.geometry.faces, { id: space.face_id });
+  if (!face) { return 0; }
+  const ringWalls = ring => ring.edge_ids.map(id => walls[id]);
+  return areaWithinWalls(
+    facePoints(face, story.geometry), ringWalls(face), floorplan.project,
+    (face.holes || []).map(hole => ({ points: facePoints(hole, story.geometry), walls: ringWalls(hole) })));
+}
+
+/*
+* the windows or doors on the arc edges of a story moved to the straight edges the arcs were replaced with, by the
+* id of the arc edge (see tessellateStory). windows along several edges are split into a window for each edge,
+* the first keeps the id of the window. windows by window to wall ratio are placed on every edge
+*/
+function tessellateOpenings(openings, piecesByEdgeId, windowDefs) {
+  return _.flatMap(openings, (opening) => {
+    const pieces = piecesByEdgeId[opening.edge_id];
+    if (!pieces) { return [opening]; }
+    const
+      definition = windowDefs[opening.window_definition_id],
+      pieceId = ix => (ix ? `${opening.id}-${ix + 1}` : opening.id);
+    if (definition && definition.window_definition_mode === 'Window to Wall Ratio') {
+      return pieces.map((piece, ix) => ({ ...opening, id: pieceId(ix), edge_id: piece.id }));
+    }
+    // arcs are divided into pieces of the same length, so alphas along the arc are spread evenly over them
+    const onPieces = _.groupBy([].concat(opening.alpha), alpha => Math.min(Math.floor(alpha * pieces.length), pieces.length - 1));
+    return _.keys(onPieces).map(Number).map((pieceIx, ix) => {
+      const alphas = onPieces[pieceIx].map(alpha => (alpha * pieces.length) - pieceIx);
+      return {
+        ...opening,
+        id: pieceId(ix),
+        edge_id: pieces[pieceIx].id,
+        alpha: _.isArray(opening.alpha) ? alphas : alphas[0],
+      };
+    });
+  });
+}
+
+/*
+* an exported story with each arc edge of its geometry replaced by straight edges, no further than tolerance from
+* the arc (or with an edge for every 5 degrees of the arc without a tolerance), see geometry/arcs.js.
+* the edges and the vertices between them have ids like '<arc edge id>-e1' and '<arc edge id>-v1'
+*/
+function tessellateStory(story, tolerance, windowDefs) {
+  const
+    { geometry } = story,
+    vertices = _.keyBy(geometry.vertices, 'id'),
+    piecesByEdgeId = {},
+    newVertices = [];
+
+  const edges = _.flatMap(geometry.edges, (edge) => {
+    if (!edge.bulge) { return [edge]; }
+    const
+      [start, end] = edge.vertex_ids.map(id => vertices[id]),
+      points = tessellateArc(start, end, edge.bulge, tolerance),
+      vertexIds = points.map((p, ix) => (
+        ix === 0 ? start.id :
+        ix === points.length - 1 ? end.id :
+        `${edge.id}-v${ix}`)),
+      pieces = _.initial(points).map((p, ix) => ({
+        ..._.omit(edge, 'bulge'),
+        id: `${edge.id}-e${ix + 1}`,
+        vertex_ids: [vertexIds[ix], vertexIds[ix + 1]],
+      }));
+    points.slice(1, -1).forEach((p, ix) => newVertices.push({
+      id: vertexIds[ix + 1],
+      x: p.x,
+      y: p.y,
+      edge_ids: [pieces[ix].id, pieces[ix + 1].id],
+    }));
+    piecesByEdgeId[edge.id] = pieces;
+    return pieces;
+  });
+  if (!newVertices.length) { return story; }
+
+  // faces and their holes list their edges the same way
+  const tessellateRing = (ring) => {
+    const refs = _.flatMap(ring.edge_ids, (edgeId, ix) => {
+      const
+        order = ring.edge_order[ix],
+        pieces = piecesByEdgeId[edgeId] ? _.map(piecesByEdgeId[edgeId], 'id') : [edgeId];
+      return (order ? pieces : [...pieces].reverse()).map(id => ({ id, order }));
+    });
+    return { ...ring, edge_ids: _.map(refs, 'id'), edge_order: _.map(refs, 'order') };
+  };
+  const faces = geometry.faces.map(face => ({
+    ...tessellateRing(face),
+    ...(face.holes ? { holes: face.holes.map(tessellateRing) } : {}),
+  }));
+
+  return {
+    ...story,
+    geometry: {
+      ...geometry,
+      vertices: [
+        ...geometry.vertices.map(v => ({
+          ...v,
+          edge_ids: v.edge_ids.map((id) => {
+            const pieces = piecesByEdgeId[id];
+            if (!pieces) { return id; }
+            return _.find(pieces, p => _.includes(p.vertex_ids, v.id)).id;
+          }),
+        })),
+        ...newVertices,
+      ],
+      edges,
+      faces,
+    },
+    windows: tessellateOpenings(story.windows, piecesByEdgeId, windowDefs),
+    doors: tessellateOpenings(story.doors, piecesByEdgeId, {}),
+  };
+}
+
+/*
+* an exported floorplan with its arc edges replaced by straight edges, for exports and tools which only work with
+* polygons. tolerance is the furthest the edges may be from the arcs, in the units of the floorplan
+*/
+export function tessellateFloorplan(floorplan, tolerance) {
+  const windowDefs = _.keyBy(floorplan.window_definitions, 'id');
+  return {
+    ...floorplan,
+    stories: floorplan.stories.map(story => tessellateStory(story, tolerance, windowDefs)),
+  };
+}
+
+function mungeStories(stories, geometries, library, project) {
   return stories.map((story) => {
     const geometry = JSON.parse(JSON.stringify(
       _.find(geometries, { id: story.geometry_id }) || { edges: [], vertices: [], faces: [] },
     ));
+    // the thickness of walls is written on their edges, for tools which offset surfaces from the edges
+    const walls = storyWalls({ ...story, geometry }, { ...library, project });
+    geometry.edges = geometry.edges.map(edge => ({ ...edge, thickness: walls[edge.id] ? walls[edge.id].thickness : 0 }));
     return {
       ...story,
       spaces: story.spaces,
       geometry,
-      windows: mungeWindows(story.windows, geometry, windowDefs),
+      windows: mungeWindows(story.windows, geometry, library.window_definitions),
       geometry_id: undefined,
     };
   });
 }
 
+/*
+* the exported floorplan with its arcs replaced by straight edges, given the tolerance (see tessellateFloorplan)
+*/
+export function exportTessellatedData(state, getters) {
+  return tolerance => tessellateFloorplan(getters.exportData, tolerance);
+}
+
 export default function exportData(state, getters) {
   const exportObject = {
     application: state.application,
@@ -76,7 +255,8 @@ export default function exportData(state, getters) {
     stories: mungeStories(
       state.models.stories,
       getters['geometry/exportData'],
-      state.models.library.window_definitions,
+      state.models.library,
+      state.project,
     ),
     ...state.models.library,
     version,
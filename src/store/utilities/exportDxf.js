@@ -0,0 +1,111 @@
+import _ from 'lodash';
+import { polygonLabelPosition, distanceBetweenPoints } from '../modules/geometry/helpers';
+import { writeDxf } from '../../utilities/dxf';
+import { facePoints, tessellateFloorplan } from './export';
+
+// the layers written for each story, with their AutoCAD color index
+const layerTypes = {
+  spaces: { name: 'Spaces', color: 7 },
+  shading: { name: 'Shading', color: 8 },
+  thermal_zones: { name: 'Thermal Zones', color: 3 },
+  windows: { name: 'Windows', color: 5 },
+  doors: { name: 'Doors', color: 30 },
+};
+
+// characters which aren't allowed in DXF layer names
+const layerName = (story, type) =>
+  `${story.name || story.id} - ${layerTypes[type].name}`.replace(/[<>/\\":;?*|=,`]/g, '_');
+
+/*
+* a line of length width centered at alpha along the edge from start to end, but no longer than the edge
+*/
+function segmentAlongEdge(start, end, alpha, width) {
+  const
+    length = distanceBetweenPoints(start, end),
+    halfWidth = Math.min(width, length) / 2,
+    centerDist = _.clamp(alpha * length, halfWidth, length - halfWidth),
+    at = dist => ({
+      x: start.x + ((end.x - start.x) * (dist / length)),
+      y: start.y + ((end.y - start.y) * (dist / length)),
+    });
+  return [at(centerDist - halfWidth), at(centerDist + halfWidth)];
+}
+
+/*
+* short lines along the edges of a story's windows or doors
+*/
+function openingLines(openings, geometry, definitions, layer) {
+  return _.flatMap(openings, (opening) => {
+    const
+      edge = _.find(geometry.edges, { id: opening.edge_id }),
+      definition = _.find(definitions, { id: opening.window_definition_id || opening.door_definition_id });
+    if (!edge || !definition) { return []; }
+
+    const
+      [start, end] = edge.vertex_ids.map(id => _.find(geometry.vertices, { id })),
+      wwr = definition.window_definition_mode === 'Window to Wall Ratio';
+    // window to wall ratios cover a share of the edge, centered on it
+    const width = wwr ? definition.wwr * distanceBetweenPoints(start, end) : definition.width;
+    // repeating windows were exported with the position of each window
+    const alphas = wwr ? [0.5] : _.castArray(opening.alpha);
+    return alphas.map(alpha => ({
+      type: 'POLYLINE',
+      layer,
+      points: segmentAlongEdge(start, end, alpha, width),
+      closed: false,
+    }));
+  });
+}
+
+/*
+* a closed polyline for each face and each of its holes, with the name of its space, shading or thermal zone at its label position
+*/
+function faceEntities(objects, geometry, layer, textHeight, nameOf = o => o.name) {
+  return _.flatMap(objects, (obj) => {
+    const face = obj.face_id && _.find(geometry.faces, { id: obj.face_id });
+    if (!face) { return []; }
+    const
+      points = facePoints(face, geometry),
+      holes = (face.holes || []).map(hole => facePoints(hole, geometry)),
+      { x, y } = polygonLabelPosition(points, holes),
+      name = nameOf(obj);
+    return [
+      { type: 'POLYLINE', layer, points, closed: true },
+      ...holes.map(hole => ({ type: 'POLYLINE', layer, points: hole, closed: true })),
+      ...(name && x !== null ? [{ type: 'TEXT', layer, x, y, height: textHeight, text: name.replace(/\s+/g, ' ') }] : []),
+    ];
+  });
+}
+
+/*
+* convert a floorplan, as exported by store/utilities/export.js, to the text of a DXF file in project units, which
+* the file doesn't declare (see writeDxf in utilities/dxf.js).
+* each story has layers for its spaces, shading, the spaces of each thermal zone, windows and doors
+*/
+export function floorplanToDxf(floorplan) {
+  const
+    textHeight = floorplan.project.config.units === 'ip' ? 1 : 0.3,
+    thermalZones = _.keyBy(floorplan.thermal_zones, 'id');
+
+  const layers = _.flatMap(floorplan.stories, story => _.map(layerTypes, ({ color }, type) => ({
+    name: layerName(story, type),
+    color,
+  })));
+
+  const entities = _.flatMap(floorplan.stories, story => [
+    ...faceEntities(story.spaces, story.geometry, layerName(story, 'spaces'), textHeight),
+    ...faceEntities(story.shading, story.geometry, layerName(story, 'shading'), textHeight),
+    ...faceEntities(
+      story.spaces.filter(s => thermalZones[s.thermal_zone_id]),
+      story.geometry, layerName(story, 'thermal_zones'), textHeight,
+      s => thermalZones[s.thermal_zone_id].name),
+    ...openingLines(story.windows, story.geometry, floorplan.window_definitions, layerName(story, 'windows')),
+    ...openingLines(story.doors, story.geometry, floorplan.door_definitions, layerName(story, 'doors')),
+  ]);
+
+  return writeDxf({ layers, entities });
+}
+
+export default function exportDxf(state, getters) {
+  return floorplanToDxf(tessellateFloorplan(getters.exportData));
+}
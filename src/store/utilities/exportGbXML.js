@@ -0,0 +1,130 @@
+import _ from 'lodash';
+import extrudeFloorplan from './extrude';
+
+const units = {
+  ip: { lengthUnit: 'Feet', areaUnit: 'SquareFeet', volumeUnit: 'CubicFeet', temperatureUnit: 'F' },
+  si: { lengthUnit: 'Meters', areaUnit: 'SquareMeters', volumeUnit: 'CubicMeters', temperatureUnit: 'C' },
+};
+
+const openingTypes = {
+  Fixed: 'FixedWindow',
+  Operable: 'OperableWindow',
+  Door: 'NonSlidingDoor',
+  'Glass Door': 'SlidingDoor',
+  'Overhead Door': 'NonSlidingDoor',
+};
+
+const number = n => _.round(n, 4).toString();
+
+const escapeXml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/*
+* an xml element as lines of text, children are elements or the text of the element
+*/
+function element(name, attrs, children = []) {
+  const attrText = _.map(_.omitBy(attrs, _.isNil), (value, attr) => ` ${attr}="${escapeXml(value)}"`).join('');
+  if (!_.isArray(children)) { return [`<${name}${attrText}>${escapeXml(children)}</${name}>`]; }
+  if (!children.length) { return [`<${name}${attrText} />`]; }
+  return [`<${name}${attrText}>`, ..._.flatten(children).map(line => `  ${line}`), `</${name}>`];
+}
+
+const planarGeometry = points => element('PlanarGeometry', {}, [
+  element('PolyLoop', {}, points.map(({ x, y, z }) => element('CartesianPoint', {}, [
+    element('Coordinate', {}, number(x)),
+    element('Coordinate', {}, number(y)),
+    element('Coordinate', {}, number(z)),
+  ]))),
+]);
+
+// the gbXML surface type of a surface extruded by store/utilities/extrude.js, by its type and boundary
+const surfaceTypes = {
+  Floor: { Air: 'Air', Ground: 'SlabOnGrade', Outdoors: 'RaisedFloor', Surface: 'InteriorFloor' },
+  RoofCeiling: { Air: 'Air', Outdoors: 'Roof', Surface: 'Ceiling' },
+  Wall: { Outdoors: 'ExteriorWall', Surface: 'InteriorWall' },
+  Shading: { Outdoors: 'Shade' },
+};
+
+/*
+* convert a floorplan, as exported by store/utilities/export.js, to the text of a gbXML file.
+* the spaces of each story are extruded from their floors by store/utilities/extrude.js, plenums aren't written
+* as spaces. stories are stacked with room for their multiplier, which is written in the description of each story,
+* as gbXML has no multipliers.
+*/
+export function floorplanToGbXML(floorplan) {
+  const
+    { project } = floorplan,
+    stories = extrudeFloorplan(floorplan),
+    surfaces = _.flatMap(stories, 'surfaces');
+
+  let openingCount = 0;
+  const surfaceElements = surfaces.map((surface, ix) => element('Surface', {
+    id: `surface-${ix + 1}`,
+    surfaceType: surfaceTypes[surface.type][surface.boundary],
+  }, [
+    element('Name', {}, surface.name || `Surface ${ix + 1}`),
+    ...surface.spaces.map(space => element('AdjacentSpaceId', { spaceIdRef: `space-${space.id}` })),
+    planarGeometry(surface.points),
+    ...(surface.openings || []).map((opening) => {
+      openingCount += 1;
+      return element('Opening', {
+        id: `opening-${openingCount}`,
+        openingType: openingTypes[opening.definition.window_type || opening.definition.door_type] || 'FixedWindow',
+      }, [
+        element('Name', {}, opening.definition.name || `Opening ${openingCount}`),
+        planarGeometry(opening.points),
+      ]);
+    }),
+  ]));
+
+  const
+    zones = floorplan.thermal_zones.filter(zone => _.some(floorplan.stories, story =>
+      _.some(story.spaces, { thermal_zone_id: zone.id }))),
+    location = project.map && project.map.initialized ? [
+      element('Location', {}, [
+        element('Latitude', {}, number(project.map.latitude)),
+        element('Longitude', {}, number(project.map.longitude)),
+      ]),
+    ] : [];
+
+  const gbXML = element('gbXML', {
+    xmlns: 'http://www.gbxml.org/schema',
+    version: '6.01',
+    useSIUnitsForResults: 'true',
+    ...units[project.config.units],
+  }, [
+    element('Campus', { id: 'campus' }, [
+      element('Name', {}, 'Campus'),
+      ...location,
+      element('Building', { id: 'building', buildingType: 'Unknown' }, [
+        element('Name', {}, 'Building'),
+        element('Area', {}, number(_.sumBy(stories, ({ story, spaces }) => story.multiplier * _.sumBy(spaces, 'area')))),
+        ...stories.map(({ story, elevation }) => element('BuildingStorey', { id: `story-${story.id}` }, [
+          element('Name', {}, story.name),
+          element('Description', {}, `Multiplier ${story.multiplier}`),
+          element('Level', {}, number(elevation)),
+        ])),
+        ..._.flatMap(stories, ({ story, spaces }) => spaces.map(({ space, area, volume }) => element('Space', {
+          id: `space-${space.id}`,
+          buildingStoreyIdRef: `story-${story.id}`,
+          zoneIdRef: _.find(zones, { id: space.thermal_zone_id }) ? `zone-${space.thermal_zone_id}` : null,
+        }, [
+          element('Name', {}, space.name),
+          element('Area', {}, number(area)),
+          element('Volume', {}, number(volume)),
+        ]))),
+      ]),
+      ...surfaceElements,
+    ]),
+    ...zones.map(zone => element('Zone', { id: `zone-${zone.id}` }, [element('Name', {}, zone.name)])),
+  ]);
+
+  return ['<?xml version="1.0" encoding="UTF-8"?>', ...gbXML, ''].join('\n');
+}
+
+export default function exportGbXML(state, getters) {
+  return floorplanToGbXML(getters.exportData);
+}
@@ -0,0 +1,68 @@
+import _ from 'lodash';
+import { facePoints, tessellateFloorplan } from './export';
+import { georeference, gridToLonLat, outerRing, innerRing } from '../../utilities/geojson';
+
+// library objects which can be assigned to spaces, their names are added to feature properties
+const assignments = {
+  building_unit_id: { type: 'building_units', property: 'building_unit' },
+  thermal_zone_id: { type: 'thermal_zones', property: 'thermal_zone' },
+  space_type_id: { type: 'space_types', property: 'space_type' },
+  construction_set_id: { type: 'construction_sets', property: 'construction_set' },
+  pitched_roof_id: { type: 'pitched_roofs', property: 'pitched_roof' },
+};
+
+function featureProperties(floorplan, story, model, type) {
+  const names = _.fromPairs(_.compact(_.map(assignments, (assignment, key) => {
+    const obj = model[key] && _.find(floorplan[assignment.type], { id: model[key] });
+    return obj && [assignment.property, obj.name];
+  })));
+  return {
+    ..._.omit(model, ['face_id', 'daylighting_controls']),
+    ...names,
+    type,
+    story_id: story.id,
+    story_name: story.name,
+  };
+}
+
+/*
+* the spaces and shading of a story in a floorplan, as exported by store/utilities/export.js, as a GeoJSON
+* FeatureCollection of polygons in WGS84, with the holes of their faces, placed with the georeference of the project (see utilities/geojson.js).
+* the properties of each feature are those of its space or shading, with the names of what is assigned to it
+*/
+export function storyToGeoJSON(floorplan, storyId) {
+  const
+    story = _.find(floorplan.stories, { id: storyId }),
+    reference = georeference(floorplan.project),
+    lonLats = ring => facePoints(ring, story.geometry).map(p => gridToLonLat(p, reference));
+
+  const features = _.flatMap([['spaces', 'space'], ['shading', 'shading']], ([key, type]) => (
+    story[key]
+      .map(model => ({ model, face: model.face_id && _.find(story.geometry.faces, { id: model.face_id }) }))
+      .filter(({ face }) => face)
+      .map(({ model, face }) => ({
+        type: 'Feature',
+        id: model.id,
+        geometry: {
+          type: 'Polygon',
+          coordinates: [
+            outerRing(lonLats(face)),
+            ...(face.holes || []).map(hole => innerRing(lonLats(hole))),
+          ],
+        },
+        properties: featureProperties(floorplan, story, model, type),
+      }))));
+
+  return {
+    type: 'FeatureCollection',
+    name: story.name,
+    features,
+  };
+}
+
+/*
+* getters.exportGeoJSON(storyId) is a story as GeoJSON, see storyToGeoJSON
+*/
+export default function exportGeoJSON(state, getters) {
+  return storyId => storyToGeoJSON(tessellateFloorplan(getters.exportData), storyId);
+}
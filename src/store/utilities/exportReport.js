@@ -0,0 +1,228 @@
+import _ from 'lodash';
+import { writePdf, pageSize, fitText } from '../../utilities/pdf';
+import { legendEntries, legendTitle } from '../../utilities/planImage';
+import { typeEnabled } from '../modules/application/helpers';
+import appconfig from '../modules/application/appconfig';
+import { facePoints, spaceHeight, spaceArea, storyWalls, tessellateFloorplan } from './export';
+
+// the modes each story is drawn in, and the property of spaces which holds what is assigned to them in that mode
+const reportModes = {
+  space_types: 'space_type_id',
+  thermal_zones: 'thermal_zone_id',
+  building_units: 'building_unit_id',
+  construction_sets: 'construction_set_id',
+};
+
+const
+  margin = 36,
+  contentWidth = pageSize.width - (2 * margin),
+  panel = { width: (contentWidth - 12) / 2, height: 226, plan: 150, legendRows: 3 },
+  rowHeight = 11,
+  tableFontSize = 7;
+
+function tableColumns(floorplan) {
+  const
+    assigned = (type, key) => (space) => {
+      const obj = _.find(floorplan[type], { id: space[key] });
+      return obj ? obj.name : '';
+    },
+    height = key => (space, story) => _.round(spaceHeight(space, story, key), 2).toString();
+  return [
+    { title: 'Space', width: 84, value: space => space.name || '' },
+    { title: 'Area', width: 48, value: (space, story, area) => _.round(area, 1).toString(), align: 'right' },
+    { title: 'Height', width: 40, value: height('floor_to_ceiling_height'), align: 'right' },
+    { title: 'Below Plenum', width: 52, value: height('below_floor_plenum_height'), align: 'right' },
+    { title: 'Above Plenum', width: 52, value: height('above_ceiling_plenum_height'), align: 'right' },
+    ..._.map(reportModes, (key, type) => ({ title: legendTitle(type).slice(0, -1), width: 66, value: assigned(type, key) })),
+  ];
+}
+
+/*
+* the faces of a story's spaces and shading, filled with their color in mode, fit into a box
+*/
+function planItems(floorplan, story, mode, box) {
+  const faces = _.compact([
+    ...story.spaces.map((space) => {
+      const assigned = _.find(floorplan[mode], { id: space[reportModes[mode]] });
+      return { model: space, fill: assigned ? assigned.color : appconfig.palette.neutral };
+    }),
+    ...story.shading.map(shading => ({ model: shading, fill: shading.color })),
+  ].map(({ model, fill }) => {
+    const face = model.face_id && _.find(story.geometry.faces, { id: model.face_id });
+    return face && {
+      points: facePoints(face, story.geometry),
+      holes: (face.holes || []).map(hole => facePoints(hole, story.geometry)),
+      fill,
+    };
+  }));
+  if (!faces.length) {
+    return [{ type: 'text', x: box.x + (box.width / 2), y: box.y + (box.height / 2), text: 'Nothing drawn', size: 8, align: 'center', color: '#888888' }];
+  }
+
+  const
+    points = _.flatMap(faces, 'points'),
+    [minX, maxX] = [_.minBy(points, 'x').x, _.maxBy(points, 'x').x],
+    [minY, maxY] = [_.minBy(points, 'y').y, _.maxBy(points, 'y').y],
+    scale = Math.min(box.width / ((maxX - minX) || 1), box.height / ((maxY - minY) || 1)),
+    // center the plan in the box
+    dx = box.x + ((box.width - ((maxX - minX) * scale)) / 2),
+    dy = box.y + ((box.height - ((maxY - minY) * scale)) / 2);
+
+  const fit = ring => ring.map(({ x, y }) => ({ x: dx + ((x - minX) * scale), y: dy + ((y - minY) * scale) }));
+  return faces.map(({ points: facePts, holes, fill }) => ({
+    type: 'polygon',
+    points: fit(facePts),
+    ...(holes.length ? { holes: holes.map(fit) } : {}),
+    fill,
+    stroke: '#444444',
+    width: 0.5,
+  }));
+}
+
+function legendItems(entries, x, top) {
+  const
+    columns = 2,
+    columnWidth = panel.width / columns,
+    maxEntries = columns * panel.legendRows,
+    // when there are too many entries to fit, the last place says how many are left out
+    shown = entries.length > maxEntries ?
+      [...entries.slice(0, maxEntries - 1), { name: `and ${entries.length - maxEntries + 1} more` }] :
+      entries;
+  return _.flatMap(shown, ({ name, color }, ix) => {
+    const
+      left = x + (Math.floor(ix / panel.legendRows) * columnWidth),
+      y = top - ((ix % panel.legendRows) * 12);
+    return [
+      ...(color ? [{
+        type: 'polygon',
+        points: [{ x: left, y }, { x: left + 8, y }, { x: left + 8, y: y + 8 }, { x: left, y: y + 8 }],
+        fill: color,
+        stroke: '#888888',
+      }] : []),
+      { type: 'text', x: left + 12, y: y + 1, text: fitText(name || '', 8, columnWidth - 16), size: 8 },
+    ];
+  });
+}
+
+function panelItems(floorplan, story, mode, x, top) {
+  return [
+    { type: 'text', x, y: top - 10, text: legendTitle(mode), size: 10, bold: true },
+    ...planItems(floorplan, story, mode, { x, y: top - 18 - panel.plan, width: panel.width, height: panel.plan }),
+    ...legendItems(legendEntries(floorplan, story, mode), x, top - panel.plan - 32),
+  ];
+}
+
+function tableHeaderItems(columns, top) {
+  let x = margin;
+  return [
+    ...columns.map((column) => {
+      const item = {
+        type: 'text',
+        x: column.align === 'right' ? x + column.width - 4 : x,
+        y: top,
+        text: column.title,
+        size: tableFontSize,
+        bold: true,
+        align: column.align,
+      };
+      x += column.width;
+      return item;
+    }),
+    { type: 'line', points: [{ x: margin, y: top - 3 }, { x: margin + contentWidth, y: top - 3 }], stroke: '#888888' },
+  ];
+}
+
+function tableRowItems(columns, values, y) {
+  let x = margin;
+  return columns.map((column, ix) => {
+    const item = {
+      type: 'text',
+      x: column.align === 'right' ? x + column.width - 4 : x,
+      y,
+      text: fitText(values[ix], tableFontSize, column.width - 4),
+      size: tableFontSize,
+      align: column.align,
+    };
+    x += column.width;
+    return item;
+  });
+}
+
+/*
+* the pages for a story: the story drawn in each mode with a legend, followed by a table of its spaces,
+* which continues on more pages when it doesn't fit
+*/
+function storyPages(floorplan, story, modes, units) {
+  const
+    columns = tableColumns(floorplan),
+    walls = storyWalls(story, floorplan),
+    rows = story.spaces.map((space) => {
+      const area = spaceArea(space, story, floorplan, walls);
+      return columns.map(column => column.value(space, story, area));
+    }),
+    top = pageSize.height - margin,
+    header = continued => [
+      { type: 'text', x: margin, y: top - 16, text: `${story.name}${continued ? ' (continued)' : ''}`, size: 16, bold: true },
+      {
+        type: 'text',
+        x: margin,
+        y: top - 30,
+        text: `Floor to ceiling height ${_.round(story.floor_to_ceiling_height, 2)} ${units.length}, ` +
+          `multiplier ${story.multiplier}. Lengths are in ${units.length} and areas in ${units.area}.`,
+        size: 9,
+      },
+    ],
+    panelsTop = top - 44,
+    firstPage = [
+      ...header(false),
+      ..._.flatMap(modes, (mode, ix) => panelItems(
+        floorplan, story, mode,
+        margin + ((ix % 2) * (panel.width + 12)),
+        panelsTop - (Math.floor(ix / 2) * panel.height))),
+    ],
+    firstTableTop = panelsTop - (Math.ceil(modes.length / 2) * panel.height) - 8,
+    bottom = margin + 12,
+    rowsOnPage = tableTop => Math.floor((tableTop - bottom) / rowHeight);
+
+  const pages = [{ items: firstPage, tableTop: firstTableTop, rows: rows.slice(0, rowsOnPage(firstTableTop)) }];
+  let remaining = rows.slice(rowsOnPage(firstTableTop));
+  while (remaining.length) {
+    const tableTop = top - 52;
+    pages.push({ items: header(true), tableTop, rows: remaining.slice(0, rowsOnPage(tableTop)) });
+    remaining = remaining.slice(rowsOnPage(tableTop));
+  }
+
+  return pages.map(page => [
+    ...page.items,
+    ...(page.rows.length ? tableHeaderItems(columns, page.tableTop) : []),
+    ..._.flatMap(page.rows, (row, ix) => tableRowItems(columns, row, page.tableTop - ((ix + 1) * rowHeight) - 2)),
+  ]);
+}
+
+/*
+* a printable report of a floorplan, as exported by store/utilities/export.js, as the text of a PDF file.
+* each story gets a page with its plan drawn in each of modes, with a legend of the library colors,
+* and a table of its spaces with their area, heights and assignments
+*/
+export function floorplanToPdf(floorplan, modes = _.keys(reportModes)) {
+  const
+    units = floorplan.project.config.units === 'ip' ? { length: 'ft', area: 'ft²' } : { length: 'm', area: 'm²' },
+    storyItems = _.flatMap(floorplan.stories, story => storyPages(floorplan, story, modes, units));
+
+  return writePdf({
+    title: 'Floorplan Report',
+    pages: storyItems.map((items, ix) => ({
+      ...pageSize,
+      items: [
+        ...items,
+        {
+          type: 'text', x: pageSize.width / 2, y: margin / 2, text: `Page ${ix + 1} of ${storyItems.length}`, size: 8, align: 'center',
+        },
+      ],
+    })),
+  });
+}
+
+export default function exportReport(state, getters) {
+  return floorplanToPdf(tessellateFloorplan(getters.exportData), _.keys(reportModes).filter(mode => typeEnabled(state.application, mode)));
+}
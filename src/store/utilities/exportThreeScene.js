@@ -0,0 +1,179 @@
+import _ from 'lodash';
+import version from '../../version';
+import extrudeFloorplan from './extrude';
+import triangulate, { polygonNormal } from '../../utilities/triangulate';
+
+// the colors of surfaces in the scene, by their type and boundary
+const colors = {
+  Floor: 0x808080,
+  RoofCeiling: { Air: 0xe6e6e6, Outdoors: 0xb3453b, Surface: 0xc8c8c8 },
+  Wall: { Outdoors: 0xccb266, Surface: 0x99cccc },
+  Shading: 0x8d6bb3,
+  Window: 0x66b2e6,
+  Door: 0x996633,
+};
+
+// the scene is drawn with y up, while floorplans are drawn on x and y with z up
+const zUpToYUp = [1, 0, 0, 0, 0, 0, -1, 0, 0, 1, 0, 0, 0, 0, 0, 1];
+const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+/*
+* a buffer geometry of the triangles of planar polygons like [{ x, y, z }], each facing the side its points are
+* counterclockwise from, as the JSON of a three.js BufferGeometry
+*/
+function bufferGeometry(uuid, polygons) {
+  const position = [];
+  const normal = [];
+  polygons.forEach((points) => {
+    const
+      n = polygonNormal(points),
+      length = Math.sqrt((n.x * n.x) + (n.y * n.y) + (n.z * n.z)) || 1;
+    triangulate(points).forEach(triangle => triangle.forEach((ix) => {
+      position.push(points[ix].x, points[ix].y, points[ix].z);
+      normal.push(n.x / length, n.y / length, n.z / length);
+    }));
+  });
+  const attribute = array => ({ itemSize: 3, type: 'Float32Array', array, normalized: false });
+  return {
+    uuid,
+    type: 'BufferGeometry',
+    data: { attributes: { position: attribute(position), normal: attribute(normal) } },
+  };
+}
+
+// the ids and handles of a space and what is assigned to it, as userData
+const spaceUserData = space => ({
+  spaceId: space.id,
+  spaceHandle: space.handle || null,
+  buildingUnitId: space.building_unit_id || null,
+  thermalZoneId: space.thermal_zone_id || null,
+  spaceTypeId: space.space_type_id || null,
+  constructionSetId: space.construction_set_id || null,
+  pitchedRoofId: space.pitched_roof_id || null,
+});
+
+/*
+* convert a floorplan, as exported by store/utilities/export.js, to a three.js scene in the JSON object format
+* read by THREE.ObjectLoader. the stories are extruded by store/utilities/extrude.js, with the pitched roofs of
+* their spaces, and each story is a group of meshes, one for each surface, window and door. stories with a
+* multiplier are drawn once. the userData of each object carries the ids and handles of what it was extruded from,
+* so objects picked in the scene can be found in the floorplan
+*/
+export function floorplanToThreeScene(floorplan) {
+  // uuids are numbered so the same floorplan always gives the same scene
+  let uuidCount = 0;
+  const uuid = () => {
+    uuidCount += 1;
+    return `00000000-0000-4000-8000-${_.padStart(uuidCount.toString(16), 12, '0')}`;
+  };
+
+  const materials = {};
+  const material = (type, boundary) => {
+    const key = `${type} ${boundary}`;
+    if (!materials[key]) {
+      const subSurface = type === 'Window' || type === 'Door';
+      materials[key] = {
+        uuid: uuid(),
+        type: 'MeshPhongMaterial',
+        name: key,
+        color: _.isObject(colors[type]) ? colors[type][boundary] : colors[type],
+        side: 2,
+        transparent: type === 'Window',
+        opacity: type === 'Window' ? 0.6 : 1,
+        // windows and doors are drawn in front of their walls
+        polygonOffset: subSurface,
+        polygonOffsetFactor: subSurface ? -1 : 0,
+        polygonOffsetUnits: subSurface ? -1 : 0,
+      };
+    }
+    return materials[key].uuid;
+  };
+
+  const geometries = [];
+  const mesh = (name, type, boundary, polygons, userData) => {
+    const geometry = bufferGeometry(uuid(), polygons);
+    geometries.push(geometry);
+    return {
+      uuid: uuid(),
+      type: 'Mesh',
+      name,
+      matrix: identity,
+      geometry: geometry.uuid,
+      material: material(type, boundary),
+      userData: { surfaceType: type, boundary, ...userData },
+    };
+  };
+
+  const storyGroups = extrudeFloorplan(floorplan, { pitchedRoofs: true }).map(({ story, elevation, surfaces }) => {
+    const storyData = { storyId: story.id, storyHandle: story.handle || null };
+    const children = _.flatMap(surfaces, (surface) => {
+      const
+        [space] = surface.spaces,
+        userData = {
+          ...storyData,
+          ...(space ? spaceUserData(space) : {}),
+          // walls between spaces belong to both of them
+          adjacentSpaceId: surface.spaces[1] ? surface.spaces[1].id : null,
+          faceId: surface.face_id || null,
+          edgeId: surface.edge_id || null,
+          // surfaces are drawn along the edges of spaces, walls can be offset by their thickness
+          thickness: surface.thickness || 0,
+          shadingId: surface.shading ? surface.shading.id : null,
+          shadingHandle: surface.shading ? surface.shading.handle || null : null,
+        };
+      return [
+        mesh(surface.name, surface.type, surface.boundary, [surface.points], userData),
+        ...(surface.openings || []).map(({ model, definition, door, points }) => mesh(
+          `${surface.name} ${definition.name || (door ? 'Door' : 'Window')}`,
+          door ? 'Door' : 'Window',
+          surface.boundary,
+          [points],
+          {
+            ...userData,
+            [door ? 'doorId' : 'windowId']: model.id,
+            [door ? 'doorDefinitionId' : 'windowDefinitionId']: definition.id,
+          },
+        )),
+      ];
+    });
+    return {
+      uuid: uuid(),
+      type: 'Group',
+      name: story.name,
+      matrix: identity,
+      children,
+      userData: { ...storyData, elevation, multiplier: story.multiplier },
+    };
+  });
+
+  return {
+    metadata: { version: 4.5, type: 'Object', generator: `Floorspace.js ${version}` },
+    geometries,
+    materials: _.values(materials),
+    object: {
+      uuid: uuid(),
+      type: 'Scene',
+      name: 'Floorplan',
+      matrix: identity,
+      children: [
+        { uuid: uuid(), type: 'AmbientLight', matrix: identity, color: 0xffffff, intensity: 0.6 },
+        // the light shines down from above the scene, toward its origin
+        {
+          uuid: uuid(), type: 'DirectionalLight', matrix: [...identity.slice(0, 12), 1, 3, 2, 1], color: 0xffffff, intensity: 0.6,
+        },
+        {
+          uuid: uuid(),
+          type: 'Group',
+          name: 'Stories',
+          matrix: zUpToYUp,
+          children: storyGroups,
+          userData: { units: floorplan.project.config.units },
+        },
+      ],
+    },
+  };
+}
+
+export default function exportThreeScene(state, getters) {
+  return floorplanToThreeScene(getters.exportData);
+}
@@ -0,0 +1,394 @@
+import _ from 'lodash';
+import { intersection, difference } from 'polygon-clipping';
+import { distanceBetweenPoints, signedArea } from '../modules/geometry/helpers';
+import { faceEdgeIds, facePoints, spaceHeight, spaceArea, storyWalls, tessellateFloorplan } from './export';
+
+// window to wall ratio windows are centered on their wall, inset from its ends
+const wwrWidthRatio = 0.95;
+
+// a point at distance along the line from start to end, at height z
+function along(start, end, distance, z) {
+  const length = distanceBetweenPoints(start, end);
+  return {
+    x: start.x + ((end.x - start.x) * (distance / length)),
+    y: start.y + ((end.y - start.y) * (distance / length)),
+    z,
+  };
+}
+
+const counterclockwise = points => (signedArea(points) > 0 ? points : [...points].reverse());
+const clockwise = points => [...counterclockwise(points)].reverse();
+const toPositions = points => points.map(({ x, y }) => [x, y]);
+
+/*
+* the pieces of a polygon with holes as counterclockwise polygons without holes, as surfaces can't have holes.
+* the polygon is cut in two through the middle of a hole until no holes are left
+*/
+function withoutHoles(outline, holes) {
+  if (!holes.length) { return [counterclockwise(outline)]; }
+  const
+    [minX, maxX] = [_.minBy(outline, 'x').x, _.maxBy(outline, 'x').x],
+    [minY, maxY] = [_.minBy(outline, 'y').y, _.maxBy(outline, 'y').y],
+    cut = (_.minBy(holes[0], 'x').x + _.maxBy(holes[0], 'x').x) / 2,
+    rings = [outline, ...holes].map(toPositions);
+  return _.flatMap([[minX - 1, cut], [cut, maxX + 1]], ([x0, x1]) => _.flatMap(
+    intersection(rings, [[[x0, minY - 1], [x1, minY - 1], [x1, maxY + 1], [x0, maxY + 1]]]),
+    (polygon) => {
+      const [pieceOutline, ...pieceHoles] = polygon.map(ring => _.initial(ring).map(([x, y]) => ({ x, y })));
+      return withoutHoles(pieceOutline, pieceHoles);
+    }));
+}
+
+/*
+* the floors of the drawn spaces of a story, like { space, points, holes, rings }, where rings are the points of the
+* floor and its holes as polygon-clipping reads them
+*/
+function footprints(story) {
+  return _.compact(story.spaces.map((space) => {
+    const face = space.face_id && _.find(story.geometry.faces, { id: space.face_id });
+    if (!face) { return null; }
+    const
+      points = facePoints(face, story.geometry),
+      holes = (face.holes || []).map(hole => facePoints(hole, story.geometry));
+    return { space, points, holes, rings: [points, ...holes].map(toPositions) };
+  }));
+}
+
+// pieces smaller than this, in square model units, are slivers left where the outlines of stories nearly meet
+const sliverArea = 1e-6;
+
+// the polygons returned by polygon-clipping as counterclockwise pieces without holes
+const piecesOf = polygons => _.flatMap(polygons, (polygon) => {
+  const [outline, ...holes] = polygon.map(ring => _.initial(ring).map(([x, y]) => ({ x, y })));
+  return withoutHoles(outline, holes);
+}).filter(piece => Math.abs(signedArea(piece)) / 2 > sliverArea);
+
+// the part of a footprint which isn't covered by any of others, as counterclockwise pieces without holes
+function uncovered(footprint, others) {
+  const covering = others.filter(other => intersection(footprint.rings, other.rings).length);
+  return covering.length ?
+    piecesOf(difference(footprint.rings, ...covering.map(other => other.rings))) :
+    withoutHoles(footprint.points, footprint.holes);
+}
+
+// surfaces cut into pieces are numbered
+const pieceName = (name, pieces, ix) => (pieces.length > 1 ? `${name} ${ix + 1}` : name);
+
+/*
+* the rectangles of the windows and doors on a wall from start to end, between z0 and z1, like
+* { model, definition, door, points }, where model is the window or door.
+* alphas are measured from the first vertex of the edge, so they're flipped when the wall runs the other way
+*/
+function wallOpenings({ edgeStart, start, end, z0, z1 }, openings, floorplan) {
+  const
+    length = distanceBetweenPoints(start, end),
+    height = z1 - z0,
+    reversed = start.x !== edgeStart.x || start.y !== edgeStart.y;
+
+  return _.flatMap(openings, (opening) => {
+    const
+      windowDefinition = _.find(floorplan.window_definitions, { id: opening.window_definition_id }),
+      doorDefinition = _.find(floorplan.door_definitions, { id: opening.door_definition_id }),
+      definition = windowDefinition || doorDefinition;
+    if (!definition) { return []; }
+
+    const wwr = windowDefinition && windowDefinition.window_definition_mode === 'Window to Wall Ratio';
+    const size = wwr ? {
+      width: length * wwrWidthRatio,
+      height: (definition.wwr * height) / wwrWidthRatio,
+      sill: definition.sill_height || 0,
+      alphas: [0.5],
+    } : {
+      width: definition.width,
+      height: definition.height,
+      sill: windowDefinition ? definition.sill_height || 0 : 0,
+      alphas: _.castArray(opening.alpha),
+    };
+    const
+      width = Math.min(size.width, length),
+      openingHeight = Math.min(size.height, height),
+      { sill, alphas } = size;
+    // openings which would stick out above the wall are moved down
+    const bottom = z0 + Math.min(sill, height - openingHeight);
+
+    return alphas.map((alpha) => {
+      const center = _.clamp((reversed ? 1 - alpha : alpha) * length, width / 2, length - (width / 2));
+      return {
+        model: opening,
+        definition,
+        door: !windowDefinition,
+        points: [
+          along(start, end, center - (width / 2), bottom),
+          along(start, end, center + (width / 2), bottom),
+          along(start, end, center + (width / 2), bottom + openingHeight),
+          along(start, end, center - (width / 2), bottom + openingHeight),
+        ],
+      };
+    });
+  });
+}
+
+/*
+* the planes of a pitched roof over points, as linear functions of plan position like { a, b, c } for a*x + b*y + c.
+* the roof rises from the eaves at pitch over the lowest of its planes, which are measured from the bounding box of
+* the points: hip roofs slope up from all four sides, gable roofs from the two sides along the longer dimension, and
+* shed roofs from the low edge in their shed direction (clockwise degrees from the y axis)
+*/
+function roofPlanes(roof, points) {
+  const
+    [minX, maxX] = [_.minBy(points, 'x').x, _.maxBy(points, 'x').x],
+    [minY, maxY] = [_.minBy(points, 'y').y, _.maxBy(points, 'y').y],
+    xSides = [{ a: 1, b: 0, c: -minX }, { a: -1, b: 0, c: maxX }],
+    ySides = [{ a: 0, b: 1, c: -minY }, { a: 0, b: -1, c: maxY }];
+  switch (roof.pitched_roof_type) {
+    case 'Hip':
+      return [...xSides, ...ySides];
+    case 'Shed': {
+      const
+        angle = ((roof.shed_direction || 0) * Math.PI) / 180,
+        a = Math.sin(angle),
+        b = Math.cos(angle);
+      return [{ a, b, c: -_.min(points.map(p => (a * p.x) + (b * p.y))) }];
+    }
+    default:
+      // the ridge of a gable runs along the longer side
+      return maxX - minX >= maxY - minY ? ySides : xSides;
+  }
+}
+
+const planeAt = ({ a, b, c }, { x, y }) => (a * x) + (b * y) + c;
+
+// the part of a convex polygon where the linear function g is at most zero
+function clipToHalfPlane(polygon, g) {
+  return _.flatMap(polygon, (p, ix) => {
+    const
+      q = polygon[(ix + 1) % polygon.length],
+      [gp, gq] = [g(p), g(q)],
+      crossing = (gp < 0 && gq > 0) || (gp > 0 && gq < 0) ?
+        [{ x: p.x + (((q.x - p.x) * gp) / (gp - gq)), y: p.y + (((q.y - p.y) * gp) / (gp - gq)) }] :
+        [];
+    return [...(gp <= 0 ? [p] : []), ...crossing];
+  });
+}
+
+/*
+* the surfaces of a pitched roof over a space, with its eaves at base: the sloped faces of the roof and the walls
+* between the eaves and the roof, like the triangular ends of a gable, around the space and its holes.
+* faces are counterclockwise seen from outside
+*/
+function pitchedRoofSurfaces(roof, points, base, holes = []) {
+  const
+    slope = roof.pitch / 12,
+    planes = roofPlanes(roof, points),
+    height = p => slope * _.min(planes.map(plane => planeAt(plane, p))),
+    [minX, maxX] = [_.minBy(points, 'x').x, _.maxBy(points, 'x').x],
+    [minY, maxY] = [_.minBy(points, 'y').y, _.maxBy(points, 'y').y],
+    box = [{ x: minX, y: minY }, { x: maxX, y: minY }, { x: maxX, y: maxY }, { x: minX, y: maxY }],
+    footprint = [points, ...holes].map(toPositions);
+
+  // each plane covers the part of the footprint where it is the lowest of the planes
+  const roofs = _.flatMap(planes, (plane, ix) => {
+    const region = planes.reduce((polygon, other, otherIx) => (otherIx === ix ? polygon :
+      clipToHalfPlane(polygon, p => planeAt(plane, p) - planeAt(other, p))), box);
+    if (region.length < 3) { return []; }
+    return _.flatMap(intersection(footprint, [toPositions(region)]), (polygon) => {
+      const [outer, ...inner] = polygon.map(ring => _.initial(ring).map(([x, y]) => ({ x, y })));
+      return withoutHoles(outer, inner).map(piece => ({
+        type: 'RoofCeiling',
+        points: piece.map(p => ({ ...p, z: base + (slope * planeAt(plane, p)) })),
+      }));
+    });
+  });
+
+  // gable walls run counterclockwise around the space and clockwise around its holes, so they face out
+  const rings = [counterclockwise(points), ...holes.map(clockwise)];
+  const walls = _.compact(_.flatMap(rings, ring => ring.map((start, ix) => {
+    const
+      end = ring[(ix + 1) % ring.length],
+      at = t => ({ x: start.x + ((end.x - start.x) * t), y: start.y + ((end.y - start.y) * t) }),
+      // the roof has a corner over the wall wherever two of its planes cross the wall at the same height
+      corners = _.flatMap(planes, (p1, i) => planes.slice(i + 1).map((p2) => {
+        const
+          d0 = planeAt(p1, start) - planeAt(p2, start),
+          d1 = planeAt(p1, end) - planeAt(p2, end);
+        return d0 !== d1 ? d0 / (d0 - d1) : null;
+      })).filter(t => t > 0 && t < 1),
+      top = _.sortBy([0, ...corners, 1]).map(t => ({ ...at(t), z: base + height(at(t)) }))
+        .filter(p => p.z - base > 1e-6);
+    if (!top.length) { return null; }
+    return { type: 'Wall', points: [{ ...start, z: base }, { ...end, z: base }, ...top.reverse()] };
+  })));
+
+  return [...roofs, ...walls].map(surface => ({ ...surface, boundary: 'Outdoors', pitchedRoof: roof }));
+}
+
+/*
+* the spaces and surfaces of a story extruded from its faces. surfaces are listed like
+* { type, boundary, name, spaces, points, openings, face_id or edge_id }, where type is Floor, RoofCeiling, Wall or
+* Shading, boundary is what is on the other side (Ground, Outdoors, Air for spaces open to below, or Surface for
+* other spaces), and points are counterclockwise seen from outside of the first space. walls are drawn along the
+* edges of their spaces and the holes in them, with the thickness of the wall along the edge.
+* floors are left out where the spaces of the story below (options.below) cover them, as the ceilings of the spaces
+* below are written between both spaces, and the rest of each ceiling is a roof.
+* floors, ceilings and shading with holes are cut into pieces without holes
+*/
+function extrudeStory(floorplan, story, { elevation, below, above, pitchedRoofs }) {
+  const
+    { geometry } = story,
+    edges = _.keyBy(geometry.edges, 'id'),
+    vertices = _.keyBy(geometry.vertices, 'id'),
+    faceOf = model => model.face_id && _.find(geometry.faces, { id: model.face_id }),
+    drawnSpaces = story.spaces.filter(faceOf),
+    // edges between spaces are walls of both spaces
+    spacesByEdge = _.groupBy(
+      _.flatMap(drawnSpaces, space => faceEdgeIds(faceOf(space)).map(edgeId => ({ edgeId, space }))),
+      'edgeId'),
+    openingsByEdge = _.groupBy([...story.windows, ...story.doors], 'edge_id'),
+    wallsByEdge = storyWalls(story, floorplan),
+    belowFootprints = below ? footprints(below) : [],
+    aboveFootprints = above ? footprints(above) : [],
+    surfaces = [];
+
+  // the walls around the outline of a face, or one of its holes, which face away from the face
+  const ringWalls = (ring, hole) => {
+    const
+      points = facePoints(ring, geometry),
+      walls = ring.edge_ids.map((edgeId, ix) => ({
+        edgeId,
+        start: points[ix],
+        end: points[(ix + 1) % points.length],
+      }));
+    // walls run counterclockwise around the space seen from above, and clockwise around its holes
+    return (signedArea(points) > 0) !== hole ? walls : walls.map(w => ({ ...w, start: w.end, end: w.start })).reverse();
+  };
+
+  const spaces = footprints(story).map((footprint) => {
+    const
+      { space, points, holes } = footprint,
+      face = faceOf(space),
+      area = spaceArea(space, story, floorplan, wallsByEdge),
+      walls = [ringWalls(face, false), ...(face.holes || []).map(hole => ringWalls(hole, true))],
+      z0 = elevation + (space.floor_offset || 0) + spaceHeight(space, story, 'below_floor_plenum_height'),
+      z1 = z0 + spaceHeight(space, story, 'floor_to_ceiling_height'),
+      floors = uncovered(footprint, belowFootprints),
+      roofs = uncovered(footprint, aboveFootprints),
+      // the ceilings under each of the spaces above
+      ceilings = _.flatMap(aboveFootprints, upper => piecesOf(intersection(footprint.rings, upper.rings))
+        .map(piece => ({ upper: upper.space, piece })));
+
+    floors.forEach((piece, ix) => surfaces.push({
+      type: 'Floor',
+      // spaces open to below have no floor
+      boundary: (space.open_to_below && 'Air') || (below ? 'Outdoors' : 'Ground'),
+      name: pieceName(`${space.name} Floor`, floors, ix),
+      spaces: [space],
+      face_id: face.id,
+      points: [...piece].reverse().map(p => ({ ...p, z: z0 })),
+    }));
+    roofs.forEach((piece, ix) => surfaces.push({
+      type: 'RoofCeiling',
+      boundary: 'Outdoors',
+      name: pieceName(`${space.name} Roof`, roofs, ix),
+      spaces: [space],
+      face_id: face.id,
+      points: piece.map(p => ({ ...p, z: z1 })),
+    }));
+    ceilings.forEach(({ upper, piece }, ix) => surfaces.push({
+      type: 'RoofCeiling',
+      boundary: upper.open_to_below ? 'Air' : 'Surface',
+      name: pieceName(`${space.name} Ceiling`, ceilings, ix),
+      spaces: [space, upper],
+      face_id: face.id,
+      points: piece.map(p => ({ ...p, z: z1 })),
+    }));
+
+    _.flatten(walls)
+      .forEach(({ edgeId, start, end }, ix) => {
+        const neighbors = _.map(spacesByEdge[edgeId], 'space');
+        // walls between spaces are written once, by the first of the spaces
+        if (neighbors[0] !== space) { return; }
+        surfaces.push({
+          type: 'Wall',
+          boundary: neighbors.length > 1 ? 'Surface' : 'Outdoors',
+          name: `${space.name} Wall ${ix + 1}`,
+          spaces: neighbors,
+          edge_id: edgeId,
+          thickness: wallsByEdge[edgeId].thickness,
+          points: [{ ...start, z: z0 }, { ...end, z: z0 }, { ...end, z: z1 }, { ...start, z: z1 }],
+          openings: wallOpenings(
+            { edgeStart: vertices[edges[edgeId].vertex_ids[0]], start, end, z0, z1 },
+            openingsByEdge[edgeId], floorplan),
+        });
+      });
+
+    // pitched roofs sit on the above ceiling plenum of their space
+    const roof = pitchedRoofs && _.find(floorplan.pitched_roofs, { id: space.pitched_roof_id });
+    if (roof) {
+      pitchedRoofSurfaces(roof, points, z1 + spaceHeight(space, story, 'above_ceiling_plenum_height'), holes)
+        .forEach((surface, surfaceIx) => surfaces.push({
+          ...surface,
+          name: `${space.name} ${roof.name || 'Pitched Roof'} ${surfaceIx + 1}`,
+          spaces: [space],
+        }));
+    }
+
+    return { space, area, volume: area * (z1 - z0) };
+  });
+
+  // shading is placed at the ceiling of the story
+  const shadingElevation = elevation + story.below_floor_plenum_height + story.floor_to_ceiling_height;
+  story.shading.filter(faceOf).forEach((shading) => {
+    const
+      face = faceOf(shading),
+      pieces = withoutHoles(facePoints(face, geometry), (face.holes || []).map(hole => facePoints(hole, geometry)));
+    pieces.forEach((piece, ix) => surfaces.push({
+      type: 'Shading',
+      boundary: 'Outdoors',
+      name: pieceName(shading.name, pieces, ix),
+      spaces: [],
+      shading,
+      face_id: shading.face_id,
+      points: piece.map(p => ({ ...p, z: shadingElevation })),
+    }));
+  });
+
+  return { spaces, surfaces };
+}
+
+/*
+* the elevation of each story, stacked from the ground up. stories with a multiplier take the room of each
+* of the stories they stand for
+*/
+function storyElevations(stories) {
+  let elevation = 0;
+  return stories.map((story) => {
+    const storyElevation = elevation;
+    elevation += story.multiplier * (
+      story.below_floor_plenum_height + story.floor_to_ceiling_height + story.above_ceiling_plenum_height);
+    return storyElevation;
+  });
+}
+
+/*
+* the stories of a floorplan, as exported by store/utilities/export.js, extruded into 3D, like
+* { story, elevation, spaces, surfaces }, where spaces are like { space, area, volume } and surfaces are described
+* by extrudeStory. the spaces of each story sit on the below floor plenum of the story, raised by the floor_offset of
+* the space, and are extruded to their floor to ceiling height. plenums aren't extruded.
+* stories are stacked with room for their multiplier. options.pitchedRoofs adds the pitched roofs of spaces
+*/
+export default function extrudeFloorplan(exported, { pitchedRoofs = false } = {}) {
+  // arc walls are extruded as the flat walls along their segments
+  const
+    floorplan = tessellateFloorplan(exported),
+    elevations = storyElevations(floorplan.stories);
+  return floorplan.stories.map((story, ix) => ({
+    story,
+    elevation: elevations[ix],
+    ...extrudeStory(floorplan, story, {
+      elevation: elevations[ix],
+      below: floorplan.stories[ix - 1],
+      above: floorplan.stories[ix + 1],
+      pitchedRoofs,
+    }),
+  }));
+}
@@ -1,17 +1,31 @@
-var id = 1;
-export default {
-    setId (newVal) {
-        id = newVal;
+/*
+* each store has its own id generator, so that several editors on a page don't share ids or name counts.
+* actions find the generator of the store they were dispatched on with idsOf, see createStore in store/index.js.
+* the default export generates ids for objects made outside of any store
+*/
+export function createIdFactory() {
+  let id = 1;
+  const nameCounts = {};
+  return {
+    setId(newVal) {
+      id = Number(newVal);
     },
-
-    generate: (function () {
-        return () => String(id++)
-    })()
+    generate() {
+      const newId = String(id);
+      id += 1;
+      return newId;
+    },
+    genName(prefix) {
+      const nextSuffix = (nameCounts[prefix] || 0) + 1;
+      nameCounts[prefix] = nextSuffix;
+      return `${prefix} - ${nextSuffix}`;
+    },
+  };
 }
 
-const nameCounts = {};
-export function genName(prefix) {
-  const nextSuffix = (nameCounts[prefix] || 0) + 1;
-  nameCounts[prefix] = nextSuffix;
-  return `${prefix} - ${nextSuffix}`;
+// the id generator of the store an action was dispatched on, given the action's context
+export function idsOf(context) {
+  return context.rootGetters.idFactory;
 }
+
+export default createIdFactory();
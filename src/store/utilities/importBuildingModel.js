@@ -0,0 +1,156 @@
+import _ from 'lodash';
+import createFacesForPolygons from './createFacesForPolygons';
+import { scaleToProjectUnits, drawingUnits } from '../../utilities/dxf';
+import { readGbXML } from '../../utilities/gbxml';
+import { readIfc } from '../../utilities/ifc';
+
+// spaces whose floors are this close in elevation, in meters, are on the same story
+const storyTolerance = 1;
+
+// what spaces are assigned to, by the library type they are assigned from
+const assignments = {
+  thermal_zones: { key: 'thermal_zone_id', from: 'thermalZone' },
+  space_types: { key: 'space_type_id', from: 'spaceType' },
+};
+
+/*
+* group spaces into stories by the elevation of their floors, from the ground up.
+* each group is like { elevation, spaces }, where elevation is the lowest floor of its spaces
+*/
+function groupByElevation(spaces, tolerance) {
+  return _.sortBy(spaces, 'elevation').reduce((groups, space) => {
+    const group = _.last(groups);
+    if (group && space.elevation - group.elevation <= tolerance) {
+      group.spaces.push(space);
+    } else {
+      groups.push({ elevation: space.elevation, spaces: [space] });
+    }
+    return groups;
+  }, []);
+}
+
+// the library object of type named name, which is created if there isn't one yet
+function libraryObjectNamed(context, type, name) {
+  const existing = _.find(context.state.models.library[type], { name });
+  if (existing) { return existing; }
+  context.dispatch('models/createObjectWithType', { type });
+  const object = _.last(context.state.models.library[type]);
+  context.dispatch('models/updateObjectWithData', { object, name });
+  return object;
+}
+
+/*
+* draw the spaces of a group on the current story, and set the heights and assignments of the story and its spaces
+*/
+function importStory(context, { group, name, scale, tolerance }) {
+  const
+    // heights closer than a millimeter are the same
+    precision = tolerance / 1000,
+    story = context.getters['application/currentStory'],
+    heights = _.countBy(group.spaces.filter(s => _.isNumber(s.height)), s => _.round(s.height, 3)),
+    // the most common height of the spaces, spaces without a height keep the height of the story
+    height = _.isEmpty(heights) ? null : Number(_.maxBy(_.toPairs(heights), 1)[0]);
+
+  context.dispatch('models/updateStoryWithData', {
+    story,
+    ...(name ? { name } : {}),
+    ...(height !== null ? { floor_to_ceiling_height: height * scale } : {}),
+    below_floor_plenum_height: 0,
+    above_ceiling_plenum_height: 0,
+  });
+
+  const polygons = group.spaces.map(space => ({
+    ...space,
+    points: space.points.map(({ x, y }) => ({ x: x * scale, y: y * scale })),
+  }));
+  return createFacesForPolygons(context, 'spaces', polygons).then((results) => {
+    results.filter(({ result }) => result.success).forEach(({ model, polygon }) => {
+      const
+        offset = polygon.elevation - group.elevation,
+        ownHeight = _.isNumber(polygon.height) && Math.abs(polygon.height - height) > precision;
+      context.dispatch('models/updateSpaceWithData', {
+        space: model,
+        ...(offset > precision ? { floor_offset: offset * scale } : {}),
+        ...(ownHeight ? { floor_to_ceiling_height: polygon.height * scale } : {}),
+        ..._.fromPairs(_.compact(_.map(assignments, ({ key, from }, type) => (
+          polygon[from] && [key, libraryObjectNamed(context, type, polygon[from]).id]
+        )))),
+      });
+    });
+    return results;
+  });
+}
+
+/*
+* place the spaces of a building model read by utilities/gbxml.js or utilities/ifc.js as stories.
+* payload is { model }, like { units, storeys, spaces }. spaces are grouped into stories by the elevation of
+* their floors; the first story goes on the current story if nothing is drawn on it yet, the rest on new stories.
+* stories are named after the storey of the model at their elevation, and get the most common height of their
+* spaces. spaces raised above their story or with a different height keep their floor_offset and height.
+* thermal zones and space types are assigned by name, and added to the library if they don't exist yet.
+* returns a Promise which resolves with { success: true, stories, spaces, errors }, where stories and spaces are
+* the ids of the stories drawn on and the new spaces, and errors lists the spaces which couldn't be drawn,
+* like { type: 'geometry', path, message }
+*/
+export default function importBuildingModel(context, { model }) {
+  const { eventBus } = this;
+  if (!model.spaces.length) {
+    return Promise.resolve({ success: false, error: 'The model has no spaces with floors' });
+  }
+
+  const
+    scale = scaleToProjectUnits(model.units, context.state.project.config.units),
+    tolerance = storyTolerance / drawingUnits[model.units],
+    groups = groupByElevation(model.spaces.map((space, index) => ({ ...space, index })), tolerance),
+    nameOf = (group) => {
+      const storey = _.minBy(model.storeys, s => Math.abs(s.elevation - group.elevation));
+      return storey && Math.abs(storey.elevation - group.elevation) <= tolerance ? storey.name : null;
+    },
+    stories = [];
+
+  const imported = groups.reduce((previous, group, ix) => previous.then((results) => {
+    const currentGeometry = context.getters['application/currentStoryGeometry'];
+    if (ix > 0 || currentGeometry.faces.length) {
+      context.dispatch('models/initStory');
+    }
+    stories.push(context.getters['application/currentStory'].id);
+    return importStory(context, { group, name: nameOf(group), scale, tolerance })
+      .then(storyResults => [...results, ...storyResults]);
+  }), Promise.resolve([]));
+
+  return imported.then((results) => {
+    const [succeeded, failed] = _.partition(results, 'result.success');
+    const errors = failed.map(({ result, polygon }) => ({
+      type: 'geometry',
+      path: `spaces[${polygon.index}]`,
+      message: result.error,
+    }));
+    eventBus.$emit('success', `Imported ${succeeded.length} space${succeeded.length !== 1 ? 's' : ''} on ` +
+      `${stories.length} stor${stories.length !== 1 ? 'ies' : 'y'}`);
+    if (errors.length) {
+      eventBus.$emit('error', `${errors.length} space(s) could not be drawn, ${errors[0].message}`);
+    }
+    eventBus.$emit('zoomToFit');
+    return { success: true, stories, spaces: succeeded.map(({ model: space }) => space.id), errors };
+  });
+}
+
+// an action importing the building model read from the text of a file by read
+function importText(read) {
+  return function importModelText(context, { data }) {
+    let model;
+    try {
+      model = read(data);
+    } catch (e) {
+      return Promise.resolve({ success: false, error: e.message });
+    }
+    return context.dispatch('importBuildingModel', { model });
+  };
+}
+
+/*
+* import the spaces of the text of a gbXML or IFC file, payload is { data }.
+* resolves like importBuildingModel, or with { success: false, error } if the text can't be read
+*/
+export const importGbXML = importText(readGbXML);
+export const importIfc = importText(readIfc);
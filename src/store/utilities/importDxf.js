@@ -0,0 +1,50 @@
+import _ from 'lodash';
+import createFacesForPolygons from './createFacesForPolygons';
+import { withBulge, tessellatePolygon } from '../modules/geometry/arcs';
+
+/*
+* trace a drawing read by utilities/dxf.js onto the current story.
+* payload is { drawing, name, layers, scale }, where layers are the names of the layers to import and scale
+* converts drawing units to project units.
+* closed polylines become spaces, with arc edges where they have bulges, and the remaining linework is kept as an
+* underlay of the story, which can be snapped to while drawing, with its arcs drawn as straight segments.
+* returns a Promise which resolves with { success: true, spaces, errors }, where spaces are the ids of the
+* new spaces and errors lists the polylines which couldn't become spaces, like { type: 'geometry', path, message }
+*/
+export default function importDxf(context, { drawing, name, layers, scale }) {
+  const
+    { eventBus } = this,
+    story = context.getters['application/currentStory'],
+    entities = drawing.entities.filter(e => _.includes(layers, e.layer)),
+    // bulges are ratios, so they don't change with the scale
+    scalePoint = ({ x, y, bulge }) => withBulge({ x: x * scale, y: y * scale }, bulge),
+    [closed, open] = _.partition(entities, e => e.closed && e.points.length >= 3);
+
+  if (open.length) {
+    context.dispatch('models/createUnderlayForStory', {
+      story_id: story.id,
+      name,
+      lines: open.map(e => ({
+        layer: e.layer,
+        // closed polylines with too few points for a space are drawn back to their start
+        points: tessellatePolygon((e.closed ? [...e.points, e.points[0]] : e.points).map(scalePoint), undefined, false),
+      })),
+    });
+  }
+
+  const polygons = closed.map(entity => ({ layer: entity.layer, points: entity.points.map(scalePoint) }));
+  return createFacesForPolygons(context, 'spaces', polygons).then((results) => {
+    const [succeeded, failed] = _.partition(results, 'result.success');
+    const errors = failed.map(({ result, polygon }) => ({
+      type: 'geometry',
+      path: `layer ${polygon.layer}`,
+      message: result.error,
+    }));
+    eventBus.$emit('success', `Imported ${succeeded.length} space${succeeded.length !== 1 ? 's' : ''}`);
+    if (errors.length) {
+      eventBus.$emit('error', `${errors.length} polyline(s) could not become spaces, ${errors[0].message}`);
+    }
+    eventBus.$emit('zoomToFit');
+    return { success: true, spaces: succeeded.map(({ model }) => model.id), errors };
+  });
+}
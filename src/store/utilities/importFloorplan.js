@@ -1,6 +1,14 @@
 import _ from 'lodash';
-import idFactory from './generateId';
+import { idsOf } from './generateId';
 import { getDefaults } from '../modules/models/factory';
+import { disabledTypeWarnings } from '../modules/application/helpers';
+import projectModule from '../modules/project';
+import geometryGetters from '../modules/geometry/getters';
+import { trimGeometry } from '../modules/geometry/mutations';
+import { withBulge } from '../modules/geometry/arcs';
+import exportData from './export';
+import { schemaErrors, structureErrors, removeDanglingReferences } from './validateFloorplan';
+import { wallDefaults } from './walls';
 
 function maybeUpdateProject(project) {
   // backwards compatibility changes:
@@ -14,6 +22,8 @@ function maybeUpdateProject(project) {
       project.config.units === 'ft' ? 'ip' :
       project.config.units === 'm' ? 'si' :
       project.config.units);
+  // 2. projects from before walls had thickness get walls with no thickness
+  project.walls = { ...wallDefaults, ...project.walls };
 
   return project;
 }
@@ -28,28 +38,28 @@ function withHandleProp(arr) {
   }));
 }
 
-function withWindowDefinitionDefaults(arr) {
+function withWindowDefinitionDefaults(arr, units) {
   if (!arr || !arr.length) return [];
   return arr.map(obj => ({
-    ...getDefaults('WindowDefinition'),
+    ...getDefaults('WindowDefinition', units),
     // backwards compatibility: we used to call window_definition_mode "window_definition_type"
-    window_definition_mode: obj.window_definition_type || getDefaults('WindowDefinition').window_definition_mode,
+    window_definition_mode: obj.window_definition_type || getDefaults('WindowDefinition', units).window_definition_mode,
     ...obj,
     window_definition_type: undefined,
   }));
 }
 
-function withStoryDefaults(stories) {
+function withStoryDefaults(stories, units) {
   return stories.map((story) => {
     const multiplier = story.multiplier >= 1 ?
-      story.multiplier : getDefaults('Story').multiplier;
+      story.multiplier : getDefaults('Story', units).multiplier;
 
     return {
-      ...getDefaults('Story'),
+      ...getDefaults('Story', units),
       ...story,
       spaces: story.spaces
         .map(space => ({
-          ...getDefaults('Space'),
+          ...getDefaults('Space', units),
           ...space,
         })),
       shading: withHandleProp(story.shading),
@@ -58,29 +68,30 @@ function withStoryDefaults(stories) {
   });
 }
 
-export default function importFloorplan(context, payload) {
-  // intialize a versionNumber if the app is running in embedded mode
-  if (window.api) { window.versionNumber = 0; }
-  const options = payload.options || {};
-
+/*
+* build the application state from a saved floorplan, applying defaults and backwards compatibility updates
+*/
+function floorplanState(context, data) {
   // GEOMETRY
-  const geometry = payload.data.stories.map((story) => {
+  const geometry = data.stories.map((story) => {
     const faces = story.geometry.faces.map((face) => {
-      const edgeRefs = face.edge_ids.map((id, index) => ({
+      // faces and their holes list their edges the same way
+      const edgeRefs = ring => ring.edge_ids.map((id, index) => ({
         edge_id: id,
-        reverse: !face.edge_order[index],
+        reverse: !ring.edge_order[index],
       }));
       return {
         id: face.id,
-        edgeRefs,
+        edgeRefs: edgeRefs(face),
+        holes: (face.holes || []).map(hole => ({ edgeRefs: edgeRefs(hole) })),
       };
     });
 
-    const edges = story.geometry.edges.map(e => ({
+    const edges = story.geometry.edges.map(e => withBulge({
       id: e.id,
       v1: e.vertex_ids[0],
       v2: e.vertex_ids[1],
-    }));
+    }, e.bulge));
     return {
       id: story.geometry.id,
       faces,
@@ -90,7 +101,7 @@ export default function importFloorplan(context, payload) {
   });
 
   // MODELS
-  const stories = payload.data.stories.map((s) => {
+  const stories = data.stories.map((s) => {
     const story = {
       geometry_id: s.geometry.id,
       ...s,
@@ -99,6 +110,89 @@ export default function importFloorplan(context, payload) {
     return story;
   });
 
+  // defaults are in the units of the floorplan
+  const
+    project = maybeUpdateProject(data.project),
+    { units } = project.config;
+  return {
+    project,
+    application: context.state.application,
+    models: {
+      stories: withStoryDefaults(stories, units),
+      library: {
+        building_units: withHandleProp(data.building_units),
+        thermal_zones: withHandleProp(data.thermal_zones),
+        space_types: withHandleProp(data.space_types),
+        construction_sets: withHandleProp(data.construction_sets),
+        window_definitions: withWindowDefinitionDefaults(data.window_definitions, units),
+        daylighting_control_definitions: data.daylighting_control_definitions || [],
+        pitched_roofs: (data.pitched_roofs || []).map(pr => ({
+          shed_direction: null,
+          ...pr,
+        })),
+        door_definitions: withHandleProp(data.door_definitions),
+      },
+    },
+    geometry,
+  };
+}
+
+/*
+* the floorplan as it will be saved once imported, after project defaults are filled in and unused geometry is trimmed
+*/
+function savedFloorplan(state) {
+  const geometry = _.cloneDeep(state.geometry);
+  state.models.stories.forEach(story => trimGeometry(geometry, {
+    geometry_id: story.geometry_id,
+    vertsReferencedElsewhere: _.flatMap(story.spaces, s => _.map(s.daylighting_controls, 'vertex_id')),
+  }));
+  return exportData(
+    // older floorplans are missing settings nested inside the project, like project.map.initialized
+    { ...state, project: _.defaultsDeep({}, state.project, projectModule.state()) },
+    { 'geometry/exportData': geometryGetters.exportData(geometry) });
+}
+
+/*
+* import a saved floorplan, replacing the current one.
+* the floorplan is checked against the schema and for references to geometry that doesn't exist, once it has been
+* upgraded. data which isn't shaped like a floorplan is rejected with schema errors before it is read.
+* returns a Promise which rejects with a list of those errors, eg:
+* [{ type: 'reference', path: 'stories[0].spaces[1].face_id', message: 'space 12 references face 30, which does not exist' }]
+* with options.strict = false, objects with dangling references are dropped, the rest of the floorplan is imported
+* and the Promise resolves with { success: true, errors, warnings }
+* warnings list objects of types that are disabled in the application, which are imported anyway
+* the Promise resolves once the imported geometry has been trimmed and the grid zoomed to fit it
+*/
+export default function importFloorplan(context, payload) {
+  const options = { strict: true, ...payload.options };
+  const { eventBus, api } = this;
+
+  // data which isn't shaped like a floorplan can't be upgraded and checked against the schema
+  const structuralErrors = structureErrors(payload.data);
+  if (structuralErrors.length) {
+    return Promise.reject(structuralErrors);
+  }
+
+  let state;
+  try {
+    state = floorplanState(context, payload.data);
+  } catch (err) {
+    return Promise.reject([{ type: 'schema', path: '', message: `unable to read floorplan: ${err.message}` }]);
+  }
+
+  const { stories, geometry, errors: referenceErrors } = removeDanglingReferences(state.models.stories, state.geometry);
+  state.models.stories = stories;
+  state.geometry = geometry;
+
+  // validate the floorplan as it would be saved, so that files from older versions aren't rejected for missing defaults
+  const errors = [...schemaErrors(savedFloorplan(state)), ...referenceErrors];
+  if (errors.length && options.strict) {
+    return Promise.reject(errors);
+  }
+
+  // intialize a versionNumber if the app is running in embedded mode
+  if (api) { api.versionNumber = 0; }
+
   function forEachNestedProp(obj, func, propName = null) {
     if (_.isObject(obj)) {
       Object.keys(obj).forEach(k => forEachNestedProp(obj[k], func, k));
@@ -113,48 +207,54 @@ export default function importFloorplan(context, payload) {
   let largestId = 0;
   forEachNestedProp(payload, (k, v) => {
     if (k && k === 'id' && (+v > largestId)) {
-      largestId = v;
+      largestId = +v;
     }
   });
 
-  // set the idFactory to the next id
+  // set the store's id generator to the next id
   largestId += 1;
-  idFactory.setId(largestId);
+  idsOf(context).setId(largestId);
 
-  context.commit('importState', {
-    project: maybeUpdateProject(payload.data.project),
-    application: context.state.application,
-    models: {
-      stories: withStoryDefaults(stories),
-      library: {
-        building_units: withHandleProp(payload.data.building_units),
-        thermal_zones: withHandleProp(payload.data.thermal_zones),
-        space_types: withHandleProp(payload.data.space_types),
-        construction_sets: withHandleProp(payload.data.construction_sets),
-        window_definitions: withWindowDefinitionDefaults(payload.data.window_definitions),
-        daylighting_control_definitions: payload.data.daylighting_control_definitions || [],
-        pitched_roofs: (payload.data.pitched_roofs || []).map(pr => ({
-          shed_direction: null,
-          ...pr,
-        })),
-        door_definitions: withHandleProp(payload.data.door_definitions),
-      },
-    },
-    geometry,
-  });
-  _.defer(() => {
-    context.dispatch(
-      'application/setCurrentStoryId',
-      { id: stories[0].id },
-      { root: true });
-
-    stories.forEach(story => context.dispatch('geometry/trimGeometry', { geometry_id: story.geometry_id }));
-    if (!options.noReloadGrid) {
-      _.defer(() => window.eventBus.$emit('zoomToFit'));
-    }
+  context.commit('importState', state);
+  const finished = new Promise((resolve) => {
+    _.defer(() => {
+      context.dispatch(
+        'application/setCurrentStoryId',
+        { id: stories[0].id },
+        { root: true });
+
+      stories.forEach(story => context.dispatch('geometry/trimGeometry', { geometry_id: story.geometry_id }));
+      if (options.noReloadGrid) {
+        resolve();
+        return;
+      }
+      _.defer(() => {
+        eventBus.$emit('zoomToFit');
+        resolve();
+      });
+    });
   });
 
   if (!options.noReloadGrid) {
-    document.getElementById('svg-grid').dispatchEvent(new Event('reloadGrid'));
+    eventBus.$emit('reload-grid');
+  }
+  const warnings = disabledTypeWarnings(context.state.application, payload.data);
+  warnings.forEach(w => console.warn(w.message));
+  return finished.then(() => ({ success: true, errors, warnings }));
+}
+
+/*
+* show the user any problems found while importing a floorplan, on the given event bus
+* accepts either the result of importFloorplan or the errors it rejected with
+*/
+export function showImportErrors(eventBus, result) {
+  const errors = _.isArray(result) ? result : [
+    ...(result.errors || [{ message: result.message }]),
+    ...(result.warnings || []),
+  ];
+  if (errors.length) {
+    eventBus.$emit(
+      'error',
+      `${errors.length} problem(s) found in floorplan, ${_.compact([errors[0].path, errors[0].message]).join(' ')}`);
   }
 }
@@ -0,0 +1,53 @@
+import _ from 'lodash';
+import createFacesForPolygons from './createFacesForPolygons';
+import { georeference, geojsonPolygons, lonLatToGrid } from '../../utilities/geojson';
+
+/*
+* place the polygons of GeoJSON building footprints as spaces or shading on the current story.
+* payload is { data, type }, where data is a GeoJSON FeatureCollection, Feature or geometry in WGS84 and type is
+* 'spaces' or 'shading'. Footprints are placed with the georeference of the project. If the floorplan hasn't
+* been placed on the map yet, it is placed at the center of the footprints. Features are named with their name property.
+* returns a Promise which resolves with { success: true, [type]: ids of the new spaces or shading, errors },
+* where errors lists the footprints that couldn't be placed, like { type: 'geometry', path, message }
+*/
+export default function importGeoJSON(context, { data, type = 'spaces' }) {
+  const { eventBus } = this;
+  let polygons;
+  try {
+    polygons = geojsonPolygons(data).filter(p => p.ring.length >= 3);
+  } catch (e) {
+    return Promise.resolve({ success: false, error: e.message });
+  }
+
+  const { map } = context.state.project;
+  if (!map.initialized && polygons.length) {
+    const positions = _.flatMap(polygons, 'ring');
+    context.dispatch('project/setMapLatitude', { latitude: _.meanBy(positions, 1) });
+    context.dispatch('project/setMapLongitude', { longitude: _.meanBy(positions, 0) });
+    context.dispatch('project/setMapInitialized', { initialized: true });
+  }
+
+  const reference = georeference(context.state.project);
+  const toGrid = ring => ring.map(position => lonLatToGrid(position, reference));
+  const footprints = polygons.map(({ ring, holes, properties }, ix) => ({
+    index: ix,
+    name: properties.name,
+    points: toGrid(ring),
+    holes: holes.filter(hole => hole.length >= 3).map(toGrid),
+  }));
+
+  return createFacesForPolygons(context, type, footprints).then((results) => {
+    const [succeeded, failed] = _.partition(results, 'result.success');
+    const errors = failed.map(({ result, polygon }) => ({
+      type: 'geometry',
+      path: `polygons[${polygon.index}]`,
+      message: result.error,
+    }));
+    eventBus.$emit('success', `Imported ${succeeded.length} footprint${succeeded.length !== 1 ? 's' : ''}`);
+    if (errors.length) {
+      eventBus.$emit('error', `${errors.length} footprint(s) could not be placed, ${errors[0].message}`);
+    }
+    eventBus.$emit('zoomToFit');
+    return { success: true, [type]: succeeded.map(({ model }) => model.id), errors };
+  });
+}
@@ -1,9 +1,12 @@
 import _ from 'lodash';
-import idFactory from './generateId';
+import { idsOf } from './generateId';
 import { libraryTypes } from '../modules/application/appconfig';
+import { disabledTypeWarnings } from '../modules/application/helpers';
 import { convertLibrary } from './unitConversion';
+import { osmLibrary } from '../../utilities/osm';
 
 export default function importLibrary(context, payload) {
+  const { eventBus } = this;
   let count = 0;
   libraryTypes.forEach((type) => {
     if (!payload.data[type] || !payload.data[type].length) {
@@ -21,7 +24,7 @@ export default function importLibrary(context, payload) {
     });
     payload.data[type] = payload.data[type].map((obj) => {
       const importObj = obj;
-      importObj.id = idFactory.generate();
+      importObj.id = idsOf(context).generate();
       // number of existing objects with the same prefix
       const duplicateCount = existingNames.filter(n => n === obj.name).length;
       if (duplicateCount) { importObj.name += `_${duplicateCount}`; }
@@ -44,7 +47,11 @@ export default function importLibrary(context, payload) {
   }
   const localUnitsPayload = convertLibrary(payload.data, librarySystem, projectSystem);
 
-  window.eventBus.$emit('success', `Imported ${count} object${count !== 1 ? 's' : ''}`);
+  eventBus.$emit('success', `Imported ${count} object${count !== 1 ? 's' : ''}`);
+  disabledTypeWarnings(context.state.application, payload.data).forEach((w) => {
+    console.warn(w.message);
+    eventBus.$emit('error', w.message);
+  });
   // merge the import data with the existing library objects
   context.commit(
     'importLibrary',
@@ -56,3 +63,11 @@ export default function importLibrary(context, payload) {
     ))),
   );
 }
+
+/*
+* import the space types, thermal zones, building units and construction sets of an OpenStudio model,
+* payload is { data }, the text of the .osm file. throws an Error if the text isn't an OpenStudio model
+*/
+export function importOsmLibrary(context, { data }) {
+  return context.dispatch('importLibrary', { data: osmLibrary(data) });
+}
@@ -0,0 +1,21 @@
+import _ from 'lodash';
+
+export const readOnlyError = 'The floorplan is read only';
+
+/*
+* wrap a module's actions so that they do nothing while the application is read only.
+* actions listed in allowed (eg: ones that only change the selection) still run.
+* blocked actions return { success: false, error } like other actions that refuse an edit
+*/
+export default function blockedWhenReadOnly(actions, allowed = []) {
+  return _.mapValues(actions, (action, name) => {
+    if (_.includes(allowed, name)) { return action; }
+    return function readOnlyGuard(context, payload) {
+      if (context.rootState.application.readOnly) {
+        console.warn(`${name} was not run, ${readOnlyError.toLowerCase()}`);
+        return { success: false, error: readOnlyError };
+      }
+      return action.call(this, context, payload);
+    };
+  });
+}
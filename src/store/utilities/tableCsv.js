@@ -0,0 +1,162 @@
+import _ from 'lodash';
+import helpers from '../modules/models/helpers';
+import { writeCsv, parseCsv } from '../../utilities/csv';
+
+/*
+* the columns of the table of type as it is shown in the library, after the ID column which identifies each row.
+* rows of the table are the objects in the library for library types, and the spaces of all stories for spaces
+*/
+function tableColumns(type) {
+  return [helpers.map[type].keymap.id, ..._.reject(helpers.map[type].columns, 'private')];
+}
+
+const text = value => (_.isNil(value) ? '' : String(value));
+
+// the value of a column as it is shown in the table, select columns show the name of their option
+function displayValue(object, state, type, col) {
+  const value = helpers.valueForKey(object, state, type, col.name);
+  if (col.input_type === 'select' && !col.get) {
+    const option = _.findKey(col.select_data(object, state), v => v === value);
+    return option === undefined ? text(value) : option;
+  }
+  return text(value);
+}
+
+/*
+* the table of type (a library type or 'spaces'), as the text of a CSV file with a header row of column names
+*/
+export function tableToCsv(state, type) {
+  const columns = tableColumns(type);
+  return writeCsv([
+    columns.map(col => col.displayName),
+    ...helpers.modelsForType(state.models, type).map(object =>
+      columns.map(col => displayValue(object, state, type, col))),
+  ]);
+}
+
+/*
+* the value to set for a cell edited in a spreadsheet, like a value typed into the library table. select columns
+* take the name of an option, or nothing for (none). returns { success: true, value } or { success: false, error }
+*/
+function cellValue(object, state, col, cell) {
+  if (col.input_type !== 'select') { return { success: true, value: cell }; }
+  const options = col.select_data(object, state);
+  const name = cell === '' && _.has(options, '(none)') ? '(none)' :
+    _.findKey(options, (v, option) => option.toLowerCase() === cell.toLowerCase());
+  return name === undefined ?
+    { success: false, error: `Unknown ${col.displayName} "${cell}"` } :
+    { success: true, value: options[name] };
+}
+
+/*
+* compare the text of a CSV file, as written by tableToCsv and edited in a spreadsheet, with the table of type.
+* rows are matched to objects by their ID, and columns by their names; columns which can't be edited are ignored.
+* each edited cell is converted and validated like a value typed into the library table, and rows with an invalid
+* cell are left out of the changes.
+* returns { changes, errors }, where changes are like { row, object, key, column, from, to, value } and errors
+* are like { row, message }, rows being numbered as in a spreadsheet. value is what to set with setValueForKey
+*/
+export function csvTableChanges(store, type, csvText) {
+  let rows;
+  try {
+    rows = parseCsv(csvText);
+  } catch (e) {
+    return { changes: [], errors: [{ row: 1, message: e.message }] };
+  }
+  const
+    { state } = store,
+    [header = [], ...body] = rows,
+    columns = header.map(title => _.find(tableColumns(type), col => (
+      col.name === title.trim() || col.displayName.toLowerCase() === title.trim().toLowerCase()))),
+    idIndex = _.findIndex(columns, { name: 'id' }),
+    objects = helpers.modelsForType(state.models, type),
+    changes = [],
+    errors = [];
+
+  if (idIndex === -1) {
+    return { changes, errors: [{ row: 1, message: 'The table has no ID column' }] };
+  }
+
+  body.forEach((cells, ix) => {
+    const
+      row = ix + 2,
+      id = text(cells[idIndex]).trim(),
+      object = _.find(objects, o => String(o.id) === id);
+    if (!object) {
+      errors.push({ row, message: `No ${helpers.map[type].displayName.toLowerCase()} has the ID "${id}"` });
+      return;
+    }
+    // columns are enabled by what the row will be once the cells before them are changed
+    const
+      edited = { ...object },
+      rowChanges = [],
+      rowErrors = [];
+
+    columns.forEach((col, colIx) => {
+      if (!col || col.readonly || colIx >= cells.length) { return; }
+      const
+        cell = cells[colIx],
+        from = displayValue(object, state, type, col),
+        unchanged = cell === from ||
+          (col.numeric && cell.trim() !== '' && from !== '' && Number(cell) === Number(from));
+      if (unchanged) { return; }
+
+      const fail = message => rowErrors.push({ row, message: `${col.displayName}: ${message}` });
+      if (col.enabled && !col.enabled(edited)) {
+        fail(`can't be changed for ${object.name}`);
+        return;
+      }
+      const cellResult = cellValue(object, state, col, cell);
+      if (!cellResult.success) {
+        fail(cellResult.error);
+        return;
+      }
+      const result = helpers.validateValueForKey(object, store, type, col.name, cellResult.value);
+      if (!result.success) {
+        fail(result.error);
+        return;
+      }
+      edited[col.name] = result.value;
+      rowChanges.push({
+        row, object, key: col.name, column: col.displayName, from, to: cell, value: cellResult.value,
+      });
+    });
+
+    // rows are changed all at once or not at all
+    if (rowErrors.length) {
+      errors.push(...rowErrors);
+    } else {
+      changes.push(...rowChanges);
+    }
+  });
+
+  return { changes, errors };
+}
+
+/*
+* set the values of changes found by csvTableChanges, in the order of the table.
+* returns { success, errors }, where errors lists the changes which were no longer valid, like { row, message }
+*/
+export function applyTableChanges(store, type, changes) {
+  const errors = _.compact(changes.map((change) => {
+    const result = helpers.setValueForKey(change.object, store, type, change.key, change.value);
+    return !result.success && { row: change.row, message: `${change.column}: ${result.error}` };
+  }));
+  return { success: !errors.length, errors };
+}
+
+/*
+* the importCsv action: set the values of the table of type from the text of a CSV file written by tableToCsv,
+* payload is { type, data }. rows with any invalid values are skipped, the rest are changed.
+* returns { success: true, changes: number of values changed, errors: [{ row, message }] }
+*/
+export function importCsv(context, { type, data }) {
+  const
+    found = csvTableChanges(context, type, data),
+    applied = applyTableChanges(context, type, found.changes);
+  return {
+    success: true,
+    changes: found.changes.length - applied.errors.length,
+    errors: [...found.errors, ...applied.errors],
+  };
+}
@@ -0,0 +1,161 @@
+import _ from 'lodash';
+import Ajv from 'ajv';
+import jsonSchemaDraft4 from 'ajv/lib/refs/json-schema-draft-04.json';
+import schema from '../../../schema/geometry_schema.json';
+
+let validate = null;
+let validateStructure = null;
+
+const objects = (properties = {}, required = []) => ({ type: 'array', items: { type: 'object', properties, required } });
+const ring = { edge_ids: { type: 'array' }, edge_order: { type: 'array' } };
+
+/*
+* the parts of a saved floorplan which are read before defaults are filled in, see store/utilities/importFloorplan.js.
+* older floorplans are missing properties that the full schema requires, so only the shape of the file is checked
+*/
+const structureSchema = {
+  type: 'object',
+  required: ['project', 'stories'],
+  properties: {
+    project: { type: 'object', required: ['config'], properties: { config: { type: 'object' } } },
+    stories: {
+      ...objects({
+        geometry: {
+          type: 'object',
+          required: ['id', 'vertices', 'edges', 'faces'],
+          properties: {
+            vertices: objects(),
+            edges: objects({ vertex_ids: { type: 'array' } }, ['vertex_ids']),
+            faces: objects({ ...ring, holes: objects(ring, ['edge_ids', 'edge_order']) }, ['edge_ids', 'edge_order']),
+          },
+        },
+        spaces: objects(),
+        shading: objects(),
+      }, ['geometry', 'spaces']),
+      minItems: 1,
+    },
+    ..._.fromPairs([
+      'building_units', 'thermal_zones', 'space_types', 'construction_sets', 'window_definitions',
+      'door_definitions', 'daylighting_control_definitions', 'pitched_roofs',
+    ].map(library => [library, objects()])),
+  },
+};
+
+const errorsOf = errors => errors.map(e => ({
+  type: 'schema',
+  path: e.dataPath.replace(/^\./, ''),
+  message: e.message,
+}));
+
+/*
+* check a floorplan, in the format it is saved in, against schema/geometry_schema.json
+* returns a list of errors like { type: 'schema', path: 'stories[0].color', message: 'should match pattern ...' }
+*/
+export function schemaErrors(floorplan) {
+  if (!validate) {
+    // compiling the schema is slow, so only do it once
+    const ajv = new Ajv({ allErrors: true });
+    ajv.addMetaSchema(jsonSchemaDraft4);
+    validate = ajv.compile(schema);
+  }
+  return validate(floorplan) ? [] : errorsOf(validate.errors);
+}
+
+/*
+* check that data is shaped like a saved floorplan from any version, so that it can be imported and upgraded.
+* returns a list of errors like schemaErrors, eg { type: 'schema', path: 'stories', message: 'should be array' }
+*/
+export function structureErrors(data) {
+  if (!validateStructure) {
+    validateStructure = new Ajv({ allErrors: true }).compile(structureSchema);
+  }
+  return validateStructure(data) ? [] : errorsOf(validateStructure.errors);
+}
+
+/*
+* find references to vertices, edges and faces that don't exist in a story's geometry.
+* stories and geometry are in the format of the models and geometry stores.
+* returns copies of stories and geometry with the dangling references removed, along with
+* a list of errors like { type: 'reference', path: 'stories[0].spaces[1].face_id', message: '...' }
+* objects that can't exist without their reference (edges, faces, windows, doors, daylighting controls)
+* are removed, spaces and shading are kept without a face.
+*/
+export function removeDanglingReferences(stories, geometry) {
+  const errors = [];
+  const report = (path, message) => errors.push({ type: 'reference', path, message });
+
+  const newGeometry = geometry.map((g) => {
+    const
+      storyIndex = _.findIndex(stories, { geometry_id: g.id }),
+      path = `stories[${storyIndex}].geometry`,
+      vertexIds = _.map(g.vertices, 'id');
+
+    const edges = g.edges.filter((edge, i) => {
+      const missing = [edge.v1, edge.v2].find(id => !_.includes(vertexIds, id));
+      if (missing !== undefined) {
+        report(`${path}.edges[${i}].vertex_ids`, `edge ${edge.id} references vertex ${missing}, which does not exist`);
+      }
+      return missing === undefined;
+    });
+
+    const edgeIds = _.map(edges, 'id');
+    const faces = g.faces.filter((face, i) => {
+      const missing = face.edgeRefs.find(eR => !_.includes(edgeIds, eR.edge_id));
+      if (missing) {
+        report(`${path}.faces[${i}].edge_ids`, `face ${face.id} references edge ${missing.edge_id}, which does not exist`);
+      }
+      const missingAroundHoles = (face.holes || []).map(hole => hole.edgeRefs.find(eR => !_.includes(edgeIds, eR.edge_id)));
+      missingAroundHoles.forEach((eR, holeIx) => eR && report(
+        `${path}.faces[${i}].holes[${holeIx}].edge_ids`,
+        `face ${face.id} references edge ${eR.edge_id} around a hole, which does not exist`));
+      return !missing && !_.some(missingAroundHoles);
+    });
+
+    return { ...g, edges, faces };
+  });
+
+  const newStories = stories.map((story, storyIndex) => {
+    const
+      path = `stories[${storyIndex}]`,
+      g = _.find(newGeometry, { id: story.geometry_id }) || { vertices: [], edges: [], faces: [] },
+      vertexIds = _.map(g.vertices, 'id'),
+      edgeIds = _.map(g.edges, 'id'),
+      faceIds = _.map(g.faces, 'id');
+
+    const withFace = type => (story[type] || []).map((obj, i) => {
+      if (obj.face_id && !_.includes(faceIds, obj.face_id)) {
+        report(`${path}.${type}[${i}].face_id`, `${_.trimEnd(type, 's')} ${obj.id} references face ${obj.face_id}, which does not exist`);
+        return { ...obj, face_id: null };
+      }
+      return obj;
+    });
+    const onEdge = type => (story[type] || []).filter((obj, i) => {
+      if (!_.includes(edgeIds, obj.edge_id)) {
+        report(`${path}.${type}[${i}].edge_id`, `${_.trimEnd(type, 's')} ${obj.id} references edge ${obj.edge_id}, which does not exist`);
+        return false;
+      }
+      return true;
+    });
+
+    return {
+      ...story,
+      spaces: withFace('spaces').map((space, spaceIndex) => ({
+        ...space,
+        daylighting_controls: (space.daylighting_controls || []).filter((dc, i) => {
+          if (!_.includes(vertexIds, dc.vertex_id)) {
+            report(
+              `${path}.spaces[${spaceIndex}].daylighting_controls[${i}].vertex_id`,
+              `daylighting control ${dc.id} references vertex ${dc.vertex_id}, which does not exist`);
+            return false;
+          }
+          return true;
+        }),
+      })),
+      shading: withFace('shading'),
+      windows: onEdge('windows'),
+      doors: onEdge('doors'),
+    };
+  });
+
+  return { stories: newStories, geometry: newGeometry, errors };
+}
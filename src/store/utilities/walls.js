@@ -0,0 +1,140 @@
+import _ from 'lodash';
+import { distanceBetweenPoints, signedArea } from '../modules/geometry/helpers';
+
+/*
+* the wall settings of a project: the thickness of exterior and interior walls, used for spaces whose construction
+* set doesn't set its own, whether the edges of spaces are drawn along the 'Centerline' of their walls or, for exterior
+* walls, along their 'Interior Face', and the face of the walls space areas are measured to (area_basis).
+* interior walls are shared by the spaces on either side, so they are always drawn along their centerline
+*/
+export const wallDefaults = {
+  exterior_wall_thickness: 0,
+  interior_wall_thickness: 0,
+  drawn_at: 'Centerline',
+  area_basis: 'Centerline',
+};
+export const drawnAtOptions = ['Centerline', 'Interior Face'];
+export const areaBasisOptions = ['Interior Face', 'Centerline', 'Exterior Face'];
+
+const wallSettings = project => ({ ...wallDefaults, ...project.walls });
+
+/*
+* the wall along each edge of a story's spaces, by edge id, like { thickness, exterior }.
+* spaceEdges lists the edges around each space, like { space, edgeIds }. walls around a single space are exterior.
+* thicknesses come from the construction set of the space, or the project when its construction set doesn't have one,
+* and walls between spaces with different construction sets take the thicker of their walls
+*/
+export function edgeWalls(spaceEdges, constructionSets, project) {
+  const
+    settings = wallSettings(project),
+    sets = _.keyBy(constructionSets, 'id'),
+    thickness = (space, key) => {
+      const set = sets[space.construction_set_id];
+      return set && _.isNumber(set[key]) ? set[key] : settings[key];
+    },
+    spacesByEdge = _.groupBy(
+      _.flatMap(spaceEdges, ({ space, edgeIds }) => edgeIds.map(edgeId => ({ edgeId, space }))),
+      'edgeId');
+
+  return _.mapValues(spacesByEdge, (uses) => {
+    const exterior = uses.length === 1;
+    const key = exterior ? 'exterior_wall_thickness' : 'interior_wall_thickness';
+    return { exterior, thickness: _.max(uses.map(({ space }) => thickness(space, key))) };
+  });
+}
+
+/*
+* how far the interior face, centerline and exterior face of a wall are inside the edge it is drawn along.
+* interior walls have no exterior face, spaces are measured to their centerline instead
+*/
+function wallInsets({ thickness, exterior }, { drawn_at: drawnAt }) {
+  const centerline = exterior && drawnAt === 'Interior Face' ? -thickness / 2 : 0;
+  return {
+    interior: centerline + (thickness / 2),
+    centerline,
+    exterior: exterior ? centerline - (thickness / 2) : centerline,
+  };
+}
+
+/*
+* a polygon with each of its edges moved inside by a distance, negative distances move edges out.
+* the corners of the polygon are mitered, where they join collinear edges they are moved by the first edge
+*/
+export function insetPolygon(points, distances) {
+  const
+    sign = signedArea(points) > 0 ? 1 : -1,
+    lines = points.map((p, ix) => {
+      const
+        q = points[(ix + 1) % points.length],
+        length = distanceBetweenPoints(p, q) || 1,
+        direction = { x: (q.x - p.x) / length, y: (q.y - p.y) / length },
+        // the inside of counterclockwise polygons is to the left of their edges
+        normal = { x: -sign * direction.y, y: sign * direction.x };
+      return {
+        start: { x: p.x + (normal.x * distances[ix]), y: p.y + (normal.y * distances[ix]) },
+        direction,
+      };
+    });
+
+  return lines.map((line, ix) => {
+    const
+      previous = lines[(ix + lines.length - 1) % lines.length],
+      cross = (previous.direction.x * line.direction.y) - (previous.direction.y * line.direction.x);
+    if (Math.abs(cross) < 1e-9) { return line.start; }
+    const t = (((line.start.x - previous.start.x) * line.direction.y) -
+      ((line.start.y - previous.start.y) * line.direction.x)) / cross;
+    return {
+      x: previous.start.x + (previous.direction.x * t),
+      y: previous.start.y + (previous.direction.y * t),
+    };
+  });
+}
+
+/*
+* the outlines of a space along the interior faces, centerlines and exterior faces of its walls, like
+* { interior, centerline, exterior }. points are drawn around the space, and walls are like { thickness, exterior }
+* for each edge from one point to the next. points around a hole in a space have the space outside of them,
+* so the walls around a hole are moved out of it
+*/
+export function wallFaces(points, walls, project, hole = false) {
+  const
+    settings = wallSettings(project),
+    insets = walls.map(wall => wallInsets(wall || { thickness: 0, exterior: true }, settings)),
+    inset = key => insetPolygon(points, _.map(insets, key).map(distance => (hole ? -distance : distance)));
+  return {
+    interior: inset('interior'),
+    centerline: inset('centerline'),
+    exterior: inset('exterior'),
+  };
+}
+
+/*
+* the area of a space measured to the face of its walls set by the area_basis of the project,
+* see wallFaces for its arguments. holes are like { points, walls } for each hole in the space
+*/
+export function areaWithinWalls(points, walls, project, holes = []) {
+  if (points.length < 3) { return 0; }
+  const
+    face = { 'Interior Face': 'interior', Centerline: 'centerline', 'Exterior Face': 'exterior' }[
+      wallSettings(project).area_basis] || 'centerline',
+    area = (ring, ringWalls, hole) => Math.abs(signedArea(wallFaces(ring, ringWalls, project, hole)[face])) / 2;
+  return Math.max(0, area(points, walls, false) - _.sumBy(holes, hole => area(hole.points, hole.walls, true)));
+}
+
+/*
+* the bands of wall around a space to draw on the plan, as a list of quadrilaterals for each edge of the space.
+* each space draws the half of its interior walls on its side, and the whole of its exterior walls.
+* see wallFaces for the arguments, bands around a hole are drawn outside of it
+*/
+export function wallBands(points, walls, project, hole = false) {
+  const
+    { interior, centerline, exterior } = wallFaces(points, walls, project, hole),
+    quad = (outer, inner, ix) => {
+      const next = (ix + 1) % points.length;
+      return [outer[ix], outer[next], inner[next], inner[ix]];
+    };
+  return walls.map((wall, ix) => {
+    if (!wall || !wall.thickness) { return []; }
+    return [quad(centerline, interior, ix), ...(wall.exterior ? [quad(exterior, centerline, ix)] : [])];
+  });
+}
@@ -53,3 +53,11 @@ export function getSiblings(el) {
   }
   return siblings;
 }
+
+// save a Blob as a file in the browser's downloads
+export function downloadBlob(blob, fileName) {
+  const a = document.createElement('a');
+  a.setAttribute('href', URL.createObjectURL(blob));
+  a.setAttribute('download', fileName);
+  a.click();
+}
@@ -1,5 +1,5 @@
 import _ from 'lodash';
-import { ptsAreCollinear, distanceBetweenPoints } from '../store/modules/geometry/helpers';
+import { ptsAreCollinear, distanceBetweenPoints, vertInRing } from '../store/modules/geometry/helpers';
 
 export function checkVertexList(vertices, name = 'list of vertices') {
   const errors = [];
@@ -20,8 +20,19 @@ export function checkVertexList(vertices, name = 'list of vertices') {
   return errors;
 }
 
+/*
+* holes are checked like the outline of their face, and must be inside it
+*/
 export function checkFace(face) {
-  return checkVertexList(face.vertices, `face ${face.id}`);
+  return [
+    ...checkVertexList(face.vertices, `face ${face.id}`),
+    ..._.flatMap(face.holes, (hole, ix) => [
+      ...checkVertexList(hole.vertices, `hole ${ix} of face ${face.id}`),
+      ..._.uniqBy(hole.vertices, 'id')
+        .filter(v => !vertInRing(v, face.vertices))
+        .map(v => `hole ${ix} of face ${face.id} has a vertex outside of the face at (${v.x}, ${v.y})`),
+    ]),
+  ];
 }
 
 export default function checkGeometry(geom) {
@@ -29,7 +40,11 @@ export default function checkGeometry(geom) {
     errors = [],
     vertPos = v => `${v.x}:${v.y}`,
     vertPosToId = _.fromPairs(geom.vertices.map(v => [vertPos(v), v.id])),
-    edgePos = e => `${Math.min(+e.v1.id, +e.v2.id)}:${Math.max(+e.v1.id, +e.v2.id)}`,
+    // arcs between the same vertices are different edges, bulges are measured from the lower numbered vertex
+    edgePos = (e) => {
+      const bulge = +e.v1.id < +e.v2.id ? e.bulge : -e.bulge;
+      return `${Math.min(+e.v1.id, +e.v2.id)}:${Math.max(+e.v1.id, +e.v2.id)}${bulge ? `:${_.round(bulge, 6)}` : ''}`;
+    },
     edgePosToId = _.fromPairs(geom.edges.map(e => [edgePos(e), e.id]));
 
   geom.vertices.forEach((vert) => {
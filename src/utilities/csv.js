@@ -0,0 +1,66 @@
+import _ from 'lodash';
+
+// cells with separators, quotes or line breaks are quoted, with their quotes doubled
+const cell = (value) => {
+  const text = _.isNil(value) ? '' : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/*
+* the text of a CSV file for rows, an array of arrays of cells
+*/
+export function writeCsv(rows) {
+  return rows.map(row => row.map(cell).join(',')).join('\r\n').concat('\r\n');
+}
+
+/*
+* read the rows of a CSV file as arrays of strings, as saved by spreadsheets: cells are separated by commas,
+* or semicolons if the first line has more of them, and may be quoted. blank lines are left out
+*/
+export function parseCsv(text) {
+  const
+    source = text.replace(/^\uFEFF/, ''),
+    firstLine = source.split(/\r?\n/)[0],
+    separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',',
+    rows = [];
+  let
+    row = [],
+    value = '',
+    quoted = false,
+    ix = 0;
+
+  const endRow = () => {
+    row.push(value);
+    if (row.length > 1 || row[0] !== '') { rows.push(row); }
+    row = [];
+    value = '';
+  };
+
+  while (ix < source.length) {
+    const char = source[ix];
+    if (quoted) {
+      if (char === '"' && source[ix + 1] === '"') {
+        value += '"';
+        ix += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      endRow();
+      if (char === '\r' && source[ix + 1] === '\n') { ix += 1; }
+    } else {
+      value += char;
+    }
+    ix += 1;
+  }
+  if (quoted) { throw new Error('Invalid CSV: a quoted cell is not closed'); }
+  if (value !== '' || row.length) { endRow(); }
+  return rows;
+}
@@ -0,0 +1,217 @@
+import _ from 'lodash';
+
+// meters per drawing unit, for the units a DXF file can declare in $INSUNITS
+export const drawingUnits = {
+  in: 0.0254,
+  ft: 0.3048,
+  mm: 0.001,
+  cm: 0.01,
+  m: 1,
+};
+const insunits = { 1: 'in', 2: 'ft', 4: 'mm', 5: 'cm', 6: 'm' };
+
+// bits of the flags (code 70) of polylines
+const CLOSED = 1;
+// 3D meshes aren't linework on a plan
+const POLYGON_MESH = 16;
+const POLYFACE_MESH = 64;
+const hasFlag = (flags, flag) => Math.floor(flags / flag) % 2 === 1;
+
+/*
+* split the text of a DXF file into [code, value] pairs
+*/
+function groupCodes(text) {
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i], 10);
+    if (isNaN(code)) {
+      throw new Error(`Invalid DXF: expected a group code on line ${i + 1}`);
+    }
+    pairs.push([code, lines[i + 1].trim()]);
+  }
+  return pairs;
+}
+
+/*
+* group the pairs of a section into entities, each starting at a 0 code
+*/
+function entitiesOf(pairs) {
+  const entities = [];
+  pairs.forEach(([code, value]) => {
+    if (code === 0) {
+      entities.push({ type: value, codes: [] });
+    } else if (entities.length) {
+      _.last(entities).codes.push([code, value]);
+    }
+  });
+  return entities;
+}
+
+const valueOf = (codes, code, defaultValue) => {
+  const pair = _.find(codes, [0, code]);
+  return pair ? pair[1] : defaultValue;
+};
+
+// LWPOLYLINE and VERTEX store points as consecutive 10, 20 codes, followed by a 42 code for the bulge of
+// an arc from the point to the next one
+function pointsOf(codes) {
+  const points = [];
+  codes.forEach(([code, value]) => {
+    if (code === 10) {
+      points.push({ x: +value, y: 0 });
+    } else if (code === 20 && points.length) {
+      _.last(points).y = +value;
+    } else if (code === 42 && points.length && +value) {
+      _.last(points).bulge = +value;
+    }
+  });
+  return points;
+}
+
+/*
+* polylines saved with their first point repeated at the end are closed
+*/
+function polyline(type, layer, points, flags) {
+  const repeatsStart = points.length > 3 && points[0].x === _.last(points).x && points[0].y === _.last(points).y;
+  return {
+    type,
+    layer,
+    points: repeatsStart ? points.slice(0, -1) : points,
+    closed: hasFlag(flags, CLOSED) || repeatsStart,
+  };
+}
+
+/*
+* read the linework of an ASCII DXF file: LINE, LWPOLYLINE and POLYLINE entities in its ENTITIES section.
+* blocks and other entities are skipped.
+* returns { units, layers, entities: [{ type, layer, points: [{ x, y, bulge }], closed }] }, where points of
+* polylines which start an arc have the bulge of the arc to the next point (see geometry/arcs.js), and units is the key
+* in drawingUnits for the units declared by the file, or null if it doesn't declare any.
+* throws an Error if text isn't a DXF file
+*/
+export function parseDxf(text) {
+  const pairs = groupCodes(text);
+  const sections = {};
+  let current = null;
+  pairs.forEach((pair, ix) => {
+    if (pair[0] === 0 && pair[1] === 'SECTION') {
+      const name = pairs[ix + 1] && pairs[ix + 1][1];
+      current = [];
+      sections[name] = current;
+    } else if (pair[0] === 0 && pair[1] === 'ENDSEC') {
+      current = null;
+    } else if (current) {
+      current.push(pair);
+    }
+  });
+  if (!sections.ENTITIES) {
+    throw new Error('Invalid DXF: the file has no ENTITIES section');
+  }
+
+  const header = sections.HEADER || [];
+  const insunitsIx = _.findIndex(header, [1, '$INSUNITS']);
+  const units = insunitsIx === -1 ? null : insunits[_.get(header, [insunitsIx + 1, 1])] || null;
+
+  const entities = [];
+  let openPolyline = null;
+  entitiesOf(sections.ENTITIES).forEach(({ type, codes }) => {
+    const layer = valueOf(codes, 8, '0');
+    if (openPolyline) {
+      if (type === 'VERTEX') {
+        openPolyline.points.push(...pointsOf(codes));
+        return;
+      }
+      // SEQEND, or a file that left it out
+      if (!openPolyline.mesh) {
+        entities.push(polyline('POLYLINE', openPolyline.layer, openPolyline.points, openPolyline.flags));
+      }
+      openPolyline = null;
+    }
+
+    if (type === 'LINE') {
+      entities.push({
+        type,
+        layer,
+        points: [
+          { x: +valueOf(codes, 10, 0), y: +valueOf(codes, 20, 0) },
+          { x: +valueOf(codes, 11, 0), y: +valueOf(codes, 21, 0) },
+        ],
+        closed: false,
+      });
+    } else if (type === 'LWPOLYLINE') {
+      entities.push(polyline(type, layer, pointsOf(codes), +valueOf(codes, 70, 0)));
+    } else if (type === 'POLYLINE') {
+      const flags = +valueOf(codes, 70, 0);
+      openPolyline = {
+        layer,
+        flags,
+        points: [],
+        mesh: hasFlag(flags, POLYGON_MESH) || hasFlag(flags, POLYFACE_MESH),
+      };
+    }
+  });
+
+  const withPoints = entities.filter(e => e.points.length >= 2);
+  return {
+    units,
+    layers: _.uniq(_.map(withPoints, 'layer')).sort(),
+    entities: withPoints,
+  };
+}
+
+/*
+* the factor which converts lengths in drawing units ('in', 'ft', 'mm', 'cm' or 'm') to project units ('ip' or 'si')
+*/
+export function scaleToProjectUnits(units, projectUnits) {
+  return drawingUnits[units] / (projectUnits === 'ip' ? drawingUnits.ft : drawingUnits.m);
+}
+
+const groups = pairs => pairs.map(([code, value]) => `${code}\n${value}`).join('\n');
+
+function entityGroups(entity) {
+  if (entity.type === 'POLYLINE') {
+    // R12 polylines are followed by their vertices, which may bulge into arcs, and end with SEQEND
+    return [
+      [0, 'POLYLINE'], [8, entity.layer], [66, 1], [10, 0], [20, 0], [30, 0], [70, entity.closed ? CLOSED : 0],
+      ..._.flatMap(entity.points, ({ x, y, bulge }) => [
+        [0, 'VERTEX'], [8, entity.layer], [10, x], [20, y], [30, 0], ...(bulge ? [[42, bulge]] : []),
+      ]),
+      [0, 'SEQEND'], [8, entity.layer],
+    ];
+  }
+  if (entity.type === 'TEXT') {
+    // centered on x, y
+    return [
+      [0, 'TEXT'], [8, entity.layer], [10, entity.x], [20, entity.y], [30, 0],
+      [40, entity.height], [1, entity.text], [72, 1], [11, entity.x], [21, entity.y], [31, 0],
+    ];
+  }
+  throw new Error(`Unable to write DXF entities of type ${entity.type}`);
+}
+
+/*
+* write an AutoCAD R12 ASCII DXF file which parseDxf can read back, from { layers: [{ name, color }], entities },
+* where color is an AutoCAD color index, and entities are { type: 'POLYLINE', layer, points, closed } or
+* { type: 'TEXT', layer, x, y, height, text }.
+* R12 files can't declare their units, so coordinates are written as they are
+*/
+export function writeDxf({ layers, entities }) {
+  return `${groups([
+    [0, 'SECTION'], [2, 'HEADER'],
+    [9, '$ACADVER'], [1, 'AC1009'],
+    [0, 'ENDSEC'],
+    [0, 'SECTION'], [2, 'TABLES'],
+    [0, 'TABLE'], [2, 'LTYPE'], [70, 1],
+    [0, 'LTYPE'], [2, 'CONTINUOUS'], [70, 0], [3, 'Solid line'], [72, 65], [73, 0], [40, 0],
+    [0, 'ENDTAB'],
+    [0, 'TABLE'], [2, 'LAYER'], [70, layers.length],
+    ..._.flatMap(layers, ({ name, color }) => [[0, 'LAYER'], [2, name], [70, 0], [62, color], [6, 'CONTINUOUS']]),
+    [0, 'ENDTAB'],
+    [0, 'ENDSEC'],
+    [0, 'SECTION'], [2, 'ENTITIES'],
+    ..._.flatMap(entities, entityGroups),
+    [0, 'ENDSEC'],
+    [0, 'EOF'],
+  ])}\n`;
+}
@@ -0,0 +1,93 @@
+import _ from 'lodash';
+import { parseXml, childrenNamed, childNamed, textOf } from './xml';
+import geometryHelpers from '../store/modules/geometry/helpers';
+
+// gbXML lengthUnit to the drawing units of utilities/dxf.js
+const lengthUnits = {
+  Meters: 'm',
+  Centimeters: 'cm',
+  Millimeters: 'mm',
+  Feet: 'ft',
+  Inches: 'in',
+};
+
+// how far apart two heights can be and still be the same, in model units
+const flatTolerance = 1e-3;
+
+function polyLoop(planarGeometry) {
+  const points = childrenNamed(childNamed(planarGeometry, 'PolyLoop'), 'CartesianPoint').map((point) => {
+    const [x, y, z] = childrenNamed(point, 'Coordinate').map(c => Number(textOf(c)));
+    return { x, y, z: z || 0 };
+  });
+  // some tools repeat the first point at the end of the loop
+  return points.length > 1 && _.isEqual(_.first(points), _.last(points)) ? _.initial(points) : points;
+}
+
+/*
+* the outline of a space from its floor surfaces, which are joined if the floor is split into several surfaces.
+* floors which don't touch the rest of the floor are left out
+*/
+function footprint(floors) {
+  return floors
+    .map(floor => floor.map(({ x, y }) => ({ x, y })))
+    .reduce((outline, floor) => {
+      const joined = geometryHelpers.union(outline, floor);
+      if (_.isArray(joined) && joined.length) { return joined; }
+      return geometryHelpers.areaOfSelection(floor) > geometryHelpers.areaOfSelection(outline) ? floor : outline;
+    });
+}
+
+/*
+* read the spaces of a gbXML file, as { units, storeys, spaces }.
+* units are the length units of the file (see drawingUnits in utilities/dxf.js), storeys are the building
+* storeys, like { name, elevation }, and spaces are like { name, points, elevation, height, thermalZone, spaceType }
+* where points are the outline of the floor of the space. spaces without floors are left out.
+* throws an Error if text isn't gbXML
+*/
+export function readGbXML(text) {
+  const root = parseXml(text);
+  if (root.name !== 'gbXML') { throw new Error('Invalid gbXML: expected a gbXML element'); }
+  const units = lengthUnits[root.attributes.lengthUnit || 'Meters'];
+  if (!units) { throw new Error(`Unsupported gbXML lengthUnit ${root.attributes.lengthUnit}`); }
+
+  const
+    campus = childNamed(root, 'Campus'),
+    buildings = childrenNamed(campus, 'Building'),
+    zones = _.fromPairs(childrenNamed(root, 'Zone').map(z => [z.attributes.id, textOf(childNamed(z, 'Name')) || z.attributes.id])),
+    surfaces = childrenNamed(campus, 'Surface')
+      .map(s => ({
+        spaceIds: childrenNamed(s, 'AdjacentSpaceId').map(a => a.attributes.spaceIdRef),
+        points: polyLoop(childNamed(s, 'PlanarGeometry')),
+      }))
+      .filter(s => s.points.length >= 3);
+
+  const storeys = _.flatMap(buildings, b => childrenNamed(b, 'BuildingStorey')).map(storey => ({
+    name: textOf(childNamed(storey, 'Name')) || storey.attributes.id,
+    elevation: Number(textOf(childNamed(storey, 'Level'))) || 0,
+  }));
+
+  const spaces = _.flatMap(buildings, b => childrenNamed(b, 'Space')).map((space) => {
+    const
+      own = surfaces.filter(s => _.includes(s.spaceIds, space.attributes.id)),
+      flat = own.filter(s => _.every(s.points, p => Math.abs(p.z - s.points[0].z) < flatTolerance)),
+      // the height of a space is the height of its walls, as a floor shared with the space below can be lower
+      sides = _.difference(own, flat),
+      heights = _.map(_.flatMap(sides.length ? sides : own, 'points'), 'z'),
+      bottom = _.min(heights),
+      top = _.max(heights),
+      // the floor of a space is whatever is flat at or below its bottom
+      floors = flat
+        .filter(s => s.points[0].z < bottom + flatTolerance)
+        .map(s => s.points);
+    return floors.length && {
+      name: textOf(childNamed(space, 'Name')) || space.attributes.id,
+      points: footprint(floors),
+      elevation: bottom,
+      height: top - bottom,
+      thermalZone: zones[space.attributes.zoneIdRef],
+      spaceType: space.attributes.spaceType,
+    };
+  });
+
+  return { units, storeys, spaces: _.compact(spaces) };
+}
@@ -0,0 +1,110 @@
+import _ from 'lodash';
+import { conversionFactor } from '../store/utilities/unitConversion';
+
+// radius of the sphere used by web mercator maps, like the basemap in Canvas/Map.vue
+const EARTH_RADIUS = 6378137;
+const toRadians = degrees => (degrees * Math.PI) / 180;
+const toDegrees = radians => (radians * 180) / Math.PI;
+
+/*
+* how the grid is placed on the map, read from the project of a floorplan: the origin of the grid is at
+* latitude, longitude and the grid is turned counterclockwise by rotation (in radians), the same way
+* Canvas/Map.vue places the basemap under the grid.
+* the project's north_axis is the same turn in degrees, as project/setNorthAxis and project/setMapRotation set
+* both, so it isn't added to the rotation of the map. it is read instead, as floorplans saved before the map was
+* turned with it only have their north_axis
+*/
+export function georeference(project) {
+  return {
+    latitude: project.map.latitude,
+    longitude: project.map.longitude,
+    rotation: _.isNumber(project.north_axis) ? toRadians(project.north_axis) : project.map.rotation || 0,
+    metersPerUnit: project.config.units === 'ip' ? conversionFactor('ft', 'm') : 1,
+  };
+}
+
+/*
+* convert a point on the grid, in project units, to [longitude, latitude] in WGS84
+* distances are measured on a plane tangent to the earth at the origin, which is accurate to well under
+* a centimeter across a building
+*/
+export function gridToLonLat({ x, y }, { latitude, longitude, rotation, metersPerUnit }) {
+  const
+    gx = x * metersPerUnit,
+    gy = y * metersPerUnit,
+    east = (gx * Math.cos(rotation)) - (gy * Math.sin(rotation)),
+    north = (gx * Math.sin(rotation)) + (gy * Math.cos(rotation));
+  return [
+    longitude + toDegrees(east / (EARTH_RADIUS * Math.cos(toRadians(latitude)))),
+    latitude + toDegrees(north / EARTH_RADIUS),
+  ];
+}
+
+/*
+* convert [longitude, latitude] in WGS84 to a point on the grid, in project units
+*/
+export function lonLatToGrid([lon, lat], { latitude, longitude, rotation, metersPerUnit }) {
+  const
+    east = toRadians(lon - longitude) * EARTH_RADIUS * Math.cos(toRadians(latitude)),
+    north = toRadians(lat - latitude) * EARTH_RADIUS;
+  return {
+    x: ((east * Math.cos(rotation)) + (north * Math.sin(rotation))) / metersPerUnit,
+    y: ((north * Math.cos(rotation)) - (east * Math.sin(rotation))) / metersPerUnit,
+  };
+}
+
+// twice the signed area of a ring of [x, y], positive when the ring is counterclockwise
+const signedArea = ring => _.sum(ring.map(([x1, y1], ix) => {
+  const [x2, y2] = ring[(ix + 1) % ring.length];
+  return (x1 * y2) - (x2 * y1);
+}));
+
+/*
+* a GeoJSON polygon ring from a list of [x, y], closed and counterclockwise as GeoJSON expects of outer rings
+*/
+export function outerRing(positions) {
+  const ring = signedArea(positions) < 0 ? [...positions].reverse() : positions;
+  return [...ring, ring[0]];
+}
+
+/*
+* a GeoJSON polygon ring for a hole, closed and clockwise as GeoJSON expects of inner rings
+*/
+export function innerRing(positions) {
+  const ring = signedArea(positions) > 0 ? [...positions].reverse() : positions;
+  return [...ring, ring[0]];
+}
+
+const polygonRings = ([outer, ...inner], properties) => ({
+  ring: _.initial(outer),
+  holes: inner.map(_.initial),
+  properties,
+});
+
+/*
+* the polygons of a GeoJSON FeatureCollection, Feature or geometry, as [{ ring, holes, properties }], where ring is
+* the outer ring of the polygon and holes its inner rings, without their closing positions.
+* geometry other than polygons is skipped.
+* throws an Error if data isn't GeoJSON
+*/
+export function geojsonPolygons(data, properties = {}) {
+  switch (data && data.type) {
+    case 'FeatureCollection':
+      return _.flatMap(data.features, f => geojsonPolygons(f));
+    case 'Feature':
+      return data.geometry ? geojsonPolygons(data.geometry, data.properties || {}) : [];
+    case 'GeometryCollection':
+      return _.flatMap(data.geometries, g => geojsonPolygons(g, properties));
+    case 'Polygon':
+      return [polygonRings(data.coordinates, properties)];
+    case 'MultiPolygon':
+      return data.coordinates.map(polygon => polygonRings(polygon, properties));
+    case 'Point':
+    case 'MultiPoint':
+    case 'LineString':
+    case 'MultiLineString':
+      return [];
+    default:
+      throw new Error('Invalid GeoJSON: expected a FeatureCollection, Feature or geometry');
+  }
+}
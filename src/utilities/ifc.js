@@ -0,0 +1,199 @@
+import _ from 'lodash';
+
+/*
+* the entities of the DATA section of an IFC (STEP) file, keyed by id, like { '#12': { type: 'IFCSPACE', args } }
+* args are parsed into strings, numbers, references like { ref: '#12' }, enumerations like { enum: 'T' }, lists,
+* typed values like { type: 'IFCLABEL', args }, or null for $ and *
+*/
+function parseStep(text) {
+  const data = text.match(/\bDATA;([\s\S]*?)\bENDSEC;/);
+  if (!/ISO-10303-21;/.test(text) || !data) { throw new Error('Invalid IFC: expected an ISO-10303-21 file with a DATA section'); }
+
+  const entities = {};
+  // entities end with ; outside of strings
+  const entityPattern = /(#\d+)\s*=\s*(\w+)\s*\(((?:'(?:[^']|'')*'|[^;'])*)\)\s*;/g;
+  let match = entityPattern.exec(data[1]);
+  while (match) {
+    const [, id, type, argText] = match;
+    entities[id] = { type: type.toUpperCase(), argText };
+    match = entityPattern.exec(data[1]);
+  }
+
+  const tokenPattern = /\s*('(?:[^']|'')*'|#\d+|\.\w+\.|[-+]?\d*\.?\d+(?:E[-+]?\d+)?|\$|\*|\w+|\(|\)|,)/gi;
+  function parseArgs(argText) {
+    const stack = [[]];
+    let token = tokenPattern.exec(argText);
+    let typeName = null;
+    while (token) {
+      const [, t] = token;
+      const current = _.last(stack);
+      if (t === '(') {
+        const list = [];
+        current.push(typeName ? { type: typeName.toUpperCase(), args: list } : list);
+        typeName = null;
+        stack.push(list);
+      } else if (t === ')') {
+        stack.pop();
+      } else if (t === ',') {
+        // separators carry no meaning once values are in lists
+      } else if (t[0] === "'") {
+        current.push(t.slice(1, -1).replace(/''/g, "'"));
+      } else if (t[0] === '#') {
+        current.push({ ref: t });
+      } else if (t[0] === '.') {
+        current.push({ enum: t.slice(1, -1).toUpperCase() });
+      } else if (t === '$' || t === '*') {
+        current.push(null);
+      } else if (/^\w/.test(t) && !/^[-+.\d]/.test(t)) {
+        typeName = t;
+      } else {
+        current.push(Number(t));
+      }
+      token = tokenPattern.exec(argText);
+    }
+    tokenPattern.lastIndex = 0;
+    return stack[0];
+  }
+
+  _.forEach(entities, (entity) => {
+    entity.args = parseArgs(entity.argText); // eslint-disable-line no-param-reassign
+  });
+  return entities;
+}
+
+// the length unit of the file, as drawing units (see drawingUnits in utilities/dxf.js)
+function lengthUnit(entities) {
+  const units = _.filter(entities, e => (
+    (e.type === 'IFCSIUNIT' || e.type === 'IFCCONVERSIONBASEDUNIT') &&
+    _.some(e.args, arg => arg && arg.enum === 'LENGTHUNIT')));
+  const si = _.find(units, { type: 'IFCSIUNIT' });
+  const converted = _.find(units, { type: 'IFCCONVERSIONBASEDUNIT' });
+  if (converted) {
+    const name = String(converted.args[2]).toUpperCase();
+    if (/FOOT|FEET/.test(name)) { return 'ft'; }
+    if (/INCH/.test(name)) { return 'in'; }
+  }
+  const prefix = si && si.args[2] && si.args[2].enum;
+  return { MILLI: 'mm', CENTI: 'cm' }[prefix] || 'm';
+}
+
+/*
+* a placement in plan, as { x, y, z, angle }, where angle turns the local x axis counterclockwise from the parent's
+*/
+const identity = { x: 0, y: 0, z: 0, angle: 0 };
+
+function compose(parent, local) {
+  const
+    cos = Math.cos(parent.angle),
+    sin = Math.sin(parent.angle);
+  return {
+    x: parent.x + ((local.x * cos) - (local.y * sin)),
+    y: parent.y + ((local.x * sin) + (local.y * cos)),
+    z: parent.z + local.z,
+    angle: parent.angle + local.angle,
+  };
+}
+
+const apply = (placement, { x, y }) => {
+  const { x: px, y: py } = compose(placement, { x, y, z: 0, angle: 0 });
+  return { x: px, y: py };
+};
+
+/*
+* read an IFC file, keeping the outlines of IfcSpace elements which are extruded from closed polylines or
+* rectangles, or which have a polyline footprint. returns the same { units, storeys, spaces } as readGbXML
+* in utilities/gbxml.js. throws an Error if text isn't an IFC file
+*/
+export function readIfc(text) {
+  const
+    entities = parseStep(text),
+    get = arg => arg && arg.ref && entities[arg.ref],
+    point = (arg) => {
+      const [x, y, z] = get(arg).args[0];
+      return { x, y, z: z || 0 };
+    };
+
+  // an IfcAxis2Placement2D or 3D, in plan
+  function axisPlacement(entity) {
+    if (!entity) { return identity; }
+    const
+      location = point(entity.args[0]),
+      refDirection = get(entity.args[entity.type === 'IFCAXIS2PLACEMENT3D' ? 2 : 1]),
+      [dx, dy] = refDirection ? refDirection.args[0] : [1, 0];
+    return { ...location, angle: Math.atan2(dy, dx) };
+  }
+
+  function objectPlacement(entity) {
+    if (!entity || entity.type !== 'IFCLOCALPLACEMENT') { return identity; }
+    return compose(objectPlacement(get(entity.args[0])), axisPlacement(get(entity.args[1])));
+  }
+
+  // the outline of a profile or curve, in the coordinates of what it belongs to
+  function outline(entity) {
+    switch (entity && entity.type) {
+      case 'IFCPOLYLINE': {
+        const points = entity.args[0].map(point);
+        return _.isEqual(_.first(points), _.last(points)) ? _.initial(points) : points;
+      }
+      case 'IFCARBITRARYCLOSEDPROFILEDEF':
+        return outline(get(entity.args[2]));
+      case 'IFCRECTANGLEPROFILEDEF': {
+        const
+          [xDim, yDim] = [entity.args[3], entity.args[4]],
+          position = axisPlacement(get(entity.args[2]));
+        return [[-1, -1], [1, -1], [1, 1], [-1, 1]]
+          .map(([sx, sy]) => apply(position, { x: (sx * xDim) / 2, y: (sy * yDim) / 2 }));
+      }
+      default:
+        return null;
+    }
+  }
+
+  // the outline, elevation and height of a representation item, in the coordinates of its space
+  function shape(item) {
+    if (item.type === 'IFCEXTRUDEDAREASOLID') {
+      const
+        position = axisPlacement(get(item.args[1])),
+        points = outline(get(item.args[0]));
+      return points && { points: points.map(p => apply(position, p)), z: position.z, height: item.args[3] };
+    }
+    const points = outline(item);
+    return points && { points, z: 0, height: null };
+  }
+
+  const
+    storeys = _.pickBy(entities, { type: 'IFCBUILDINGSTOREY' }),
+    zones = _.pickBy(entities, { type: 'IFCZONE' }),
+    // the zone each space is assigned to
+    zoneOf = _.fromPairs(_.flatMap(_.filter(entities, { type: 'IFCRELASSIGNSTOGROUP' }), (rel) => {
+      const zone = zones[rel.args[6] && rel.args[6].ref];
+      return zone ? rel.args[4].map(space => [space.ref, zone.args[2]]) : [];
+    }));
+
+  const spaces = _.map(_.pickBy(entities, { type: 'IFCSPACE' }), (space, id) => {
+    const
+      placement = objectPlacement(get(space.args[5])),
+      representations = get(space.args[6]) ? get(space.args[6]).args[2].map(get) : [],
+      items = _.flatMap(_.compact(representations), r => _.compact(r.args[3].map(get))),
+      [solid] = _.compact(items.map(shape)).sort((a, b) => (b.height !== null) - (a.height !== null));
+    if (!solid || solid.points.length < 3) { return null; }
+
+    return {
+      name: space.args[7] || space.args[2] || id,
+      points: solid.points.map(p => apply(placement, p)),
+      elevation: placement.z + solid.z,
+      height: solid.height,
+      thermalZone: zoneOf[id],
+      spaceType: space.args[4] || undefined,
+    };
+  });
+
+  return {
+    units: lengthUnit(entities),
+    storeys: _.map(storeys, storey => ({
+      name: storey.args[7] || storey.args[2],
+      elevation: _.isNumber(storey.args[9]) ? storey.args[9] : objectPlacement(get(storey.args[5])).z,
+    })),
+    spaces: _.compact(spaces),
+  };
+}
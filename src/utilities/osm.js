@@ -0,0 +1,90 @@
+import _ from 'lodash';
+import generateColor from '../store/utilities/generateColor';
+
+/*
+* read the objects of an OpenStudio model (.osm) file, like { type, fields }, where fields are like { value, label }.
+* fields are separated by commas and objects end with a semicolon. OpenStudio writes each field on its own line,
+* labelled by a comment like `!- Name`, so fields can be found by their label as well as their position.
+*/
+export function parseOsm(text) {
+  const objects = [];
+  let
+    fields = [],
+    value = '';
+
+  text.split(/\r?\n/).forEach((line) => {
+    const
+      commentIx = line.indexOf('!'),
+      content = commentIx === -1 ? line : line.slice(0, commentIx),
+      comment = commentIx === -1 ? '' : line.slice(commentIx),
+      labelled = [];
+
+    content.split(/([,;])/).forEach((token) => {
+      if (token !== ',' && token !== ';') {
+        value += token;
+        return;
+      }
+      const field = { value: value.trim(), label: null };
+      labelled.push(field);
+      fields.push(field);
+      value = '';
+      if (token === ';') {
+        const [type, ...rest] = fields;
+        objects.push({ type: type.value, fields: rest });
+        fields = [];
+      }
+    });
+    if (_.startsWith(comment, '!-') && labelled.length) {
+      _.last(labelled).label = comment.slice(2).trim();
+    }
+  });
+
+  if (!objects.length || !_.every(objects, o => /^OS:/.test(o.type))) {
+    throw new Error('Invalid OSM: expected OpenStudio model objects like OS:SpaceType');
+  }
+  return objects;
+}
+
+// the library types read from an OpenStudio model, with the label of the field holding their rendering color
+const osmTypes = {
+  space_types: { osmType: 'OS:SpaceType', color: 'Group Rendering Name', colorType: 'space_type' },
+  thermal_zones: { osmType: 'OS:ThermalZone', color: 'Group Rendering Name', colorType: 'thermal_zone' },
+  building_units: { osmType: 'OS:BuildingUnit', color: 'Rendering Color', colorType: 'building_unit' },
+  construction_sets: { osmType: 'OS:DefaultConstructionSet', colorType: 'construction_set' },
+};
+
+const hex = n => _.padStart(_.clamp(Math.round(Number(n)) || 0, 0, 255).toString(16).toUpperCase(), 2, '0');
+
+/*
+* a library, as imported by store/utilities/importLibrary.js, of the space types, thermal zones, building units and
+* construction sets of an OpenStudio model, with their handles and names. colors are read from the rendering colors
+* of the model, objects without one are given a color like objects created in the library.
+* throws an Error if text isn't an OpenStudio model
+*/
+export function osmLibrary(text) {
+  const
+    objects = parseOsm(text),
+    // handles are the first field of each object
+    byHandle = _.keyBy(objects, o => o.fields[0] && o.fields[0].value),
+    field = (object, label, ix) => {
+      const labelled = _.find(object.fields, { label });
+      return (labelled || object.fields[ix] || {}).value || '';
+    },
+    renderingColor = (handle) => {
+      const color = byHandle[handle];
+      if (!color || color.type !== 'OS:Rendering:Color') { return null; }
+      return `#${[2, 3, 4].map(ix => hex(color.fields[ix] && color.fields[ix].value)).join('')}`;
+    };
+
+  return {
+    project: { config: { units: 'si' } },
+    ..._.mapValues(osmTypes, ({ osmType, color, colorType }) => objects
+      .filter(o => o.type === osmType)
+      .map(o => ({
+        id: '',
+        handle: field(o, 'Handle', 0),
+        name: field(o, 'Name', 1),
+        color: (color && renderingColor(field(o, color))) || generateColor(colorType),
+      }))),
+  };
+}
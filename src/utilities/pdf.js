@@ -0,0 +1,141 @@
+import _ from 'lodash';
+
+// US letter, in points
+export const pageSize = { width: 612, height: 792 };
+
+// the average width of a character of Helvetica, as a share of the font size, for laying out text
+const averageCharWidth = 0.52;
+
+export const textWidth = (text, size) => text.length * size * averageCharWidth;
+
+/*
+* text shortened with an ellipsis to fit in width
+*/
+export function fitText(text, size, width) {
+  const maxChars = Math.floor(width / (size * averageCharWidth));
+  return text.length <= maxChars ? text : `${text.slice(0, Math.max(maxChars - 3, 0))}...`;
+}
+
+const number = n => _.round(n, 3).toString();
+
+// fill or stroke color operands for a color like #aa4499
+function rgb(color) {
+  const hex = color.replace('#', '');
+  return [0, 2, 4].map(ix => number(parseInt(hex.substr(ix, 2), 16) / 255)).join(' ');
+}
+
+// a PDF string, which can hold characters from latin 1, written with octal escapes so the file is ASCII
+function pdfString(text) {
+  const escaped = Array.from(text).map((c) => {
+    const code = c.charCodeAt(0);
+    if (c === '(' || c === ')' || c === '\\') { return `\\${c}`; }
+    if (code >= 32 && code < 127) { return c; }
+    if (code >= 160 && code < 256) { return `\\${code.toString(8)}`; }
+    return code === 9 ? ' ' : '?';
+  });
+  return `(${escaped.join('')})`;
+}
+
+// a closed subpath around each ring of points
+function polygonPath(rings) {
+  return _.flatMap(rings, points => [
+    ...points.map(({ x, y }, ix) => `${number(x)} ${number(y)} ${ix === 0 ? 'm' : 'l'}`),
+    'h',
+  ]).join('\n');
+}
+
+/*
+* the content stream of a page, see writePdf for its items
+*/
+function pageContent(items) {
+  return items.map((item) => {
+    switch (item.type) {
+      case 'polygon':
+        return [
+          'q',
+          item.fill ? `${rgb(item.fill)} rg` : '',
+          item.stroke ? `${rgb(item.stroke)} RG ${number(item.width || 0.5)} w` : '',
+          polygonPath([item.points, ...(item.holes || [])]),
+          // fill and stroke, fill, or stroke. holes are left out of the fill by the even-odd rule
+          ((item.fill && item.stroke && 'B') || (item.fill && 'f') || 'S') + (item.fill && item.holes ? '*' : ''),
+          'Q',
+        ].filter(s => s).join('\n');
+      case 'line':
+        return [
+          'q',
+          `${rgb(item.stroke || '#000000')} RG ${number(item.width || 0.5)} w`,
+          ...item.points.map(({ x, y }, ix) => `${number(x)} ${number(y)} ${ix === 0 ? 'm' : 'l'}`),
+          'S',
+          'Q',
+        ].join('\n');
+      case 'text': {
+        const
+          size = item.size || 10,
+          width = textWidth(item.text, size),
+          x = item.x - ({ center: width / 2, right: width }[item.align] || 0);
+        return [
+          'BT',
+          `${rgb(item.color || '#000000')} rg`,
+          `/${item.bold ? 'F2' : 'F1'} ${number(size)} Tf`,
+          `${number(x)} ${number(item.y)} Td`,
+          `${pdfString(item.text)} Tj`,
+          'ET',
+        ].join('\n');
+      }
+      default:
+        throw new Error(`unknown pdf item type ${item.type}`);
+    }
+  }).join('\n');
+}
+
+/*
+* the text of a PDF file, which only has ASCII characters, so it can be saved as is.
+* pages are like { width, height, items } in points, with the origin at the bottom left of the page, and items are
+* { type: 'polygon', points, holes, fill, stroke, width }, { type: 'line', points, stroke, width } or
+* { type: 'text', x, y, text, size, bold, align, color }, where colors are like #aa4499 and align is left, center or right.
+* holes are optional lists of points cut out of a polygon.
+* text is written in Helvetica, and characters outside of latin 1 are written as ?
+*/
+export function writePdf({ title, pages }) {
+  const
+    fonts = ['Helvetica', 'Helvetica-Bold'],
+    // catalog, page tree, info, fonts, then a page and its contents for each page
+    firstPage = 4 + fonts.length,
+    objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pages.map((p, ix) => `${firstPage + (2 * ix)} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+      `<< /Title ${pdfString(title || '')} /Producer (FloorspaceJS) >>`,
+      ...fonts.map(font => `<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`),
+      ..._.flatMap(pages, ({ width, height, items }, ix) => {
+        const content = pageContent(items);
+        return [
+          [
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(width)} ${number(height)}]`,
+            `/Resources << /Font << ${fonts.map((f, fx) => `/F${fx + 1} ${4 + fx} 0 R`).join(' ')} >> >>`,
+            `/Contents ${firstPage + (2 * ix) + 1} 0 R >>`,
+          ].join(' '),
+          `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        ];
+      }),
+    ];
+
+  let text = '%PDF-1.4\n';
+  const offsets = objects.map((obj, ix) => {
+    const offset = text.length;
+    text += `${ix + 1} 0 obj\n${obj}\nendobj\n`;
+    return offset;
+  });
+  const xref = text.length;
+  text += [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${_.padStart(offset, 10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R /Info 3 0 R >>`,
+    'startxref',
+    xref,
+    '%%EOF',
+  ].join('\n');
+  return `${text}\n`;
+}
@@ -0,0 +1,232 @@
+import _ from 'lodash';
+import { displayNameForMode } from '../store/modules/application/helpers';
+import appconfig from '../store/modules/application/appconfig';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// the property of spaces which holds the id of the library object they're colored by in each mode of RenderByDropdown
+const propertyKeys = {
+  building_units: 'building_unit_id',
+  thermal_zones: 'thermal_zone_id',
+  space_types: 'space_type_id',
+  construction_sets: 'construction_set_id',
+  pitched_roofs: 'pitched_roof_id',
+};
+
+// styles from src/scss/partials/d3.scss and Textures.vue are copied onto each element, as the image has no stylesheet
+const styleProperties = [
+  'display', 'visibility', 'opacity',
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray', 'stroke-linecap',
+  'font-family', 'font-size', 'font-weight', 'text-anchor',
+];
+
+// things drawn while editing, which aren't part of the plan
+const transientElements = [
+  '.highlight', '.gridpoint', '.guideline', '.window-guideline', '.daylighting-control-guideline', '.controls',
+].join(', ');
+
+/*
+* the colors of a story's faces when they're drawn by mode (see RenderByDropdown.vue), like [{ name, color }].
+* in spaces mode each space is listed, otherwise the library objects assigned to the spaces are listed,
+* along with Unassigned for spaces which have nothing assigned. library has the library objects of each type,
+* like state.models.library or an exported floorplan
+*/
+export function legendEntries(library, story, mode) {
+  const
+    spaces = story.spaces.filter(s => s.face_id),
+    shading = story.shading.filter(s => s.face_id),
+    shadingEntries = shading.length ? [{ name: 'Shading', color: shading[0].color }] : [];
+  if (mode === 'spaces') {
+    return [...spaces.map(({ name, color }) => ({ name, color })), ...shadingEntries];
+  }
+
+  const assigned = spaces.map(s => _.find(library[mode], { id: s[propertyKeys[mode]] }));
+  return [
+    ..._.uniqBy(_.compact(assigned), 'id').map(({ name, color }) => ({ name, color })),
+    ...(_.some(assigned, o => !o) ? [{ name: 'Unassigned', color: appconfig.palette.neutral }] : []),
+    ...shadingEntries,
+  ];
+}
+
+export const legendTitle = mode => `${displayNameForMode(mode)}s`;
+
+/*
+* the longest round length (1, 2 or 5 times a power of ten) no longer than maxLength, for a scale bar
+*/
+export function scaleBarLength(maxLength) {
+  const magnitude = Math.pow(10, Math.floor(Math.log10(maxLength))); // eslint-disable-line no-restricted-properties
+  // rounded to avoid lengths like 0.30000000000000004
+  return _.round(_.findLast([1, 2, 5], step => step * magnitude <= maxLength) * magnitude, 10);
+}
+
+function svgElement(name, attrs, text) {
+  const el = document.createElementNS(SVG_NS, name);
+  _.forEach(attrs, (value, attr) => el.setAttribute(attr, value));
+  if (text !== undefined) { el.textContent = text; }
+  return el;
+}
+
+function inlineStyles(source, target) {
+  const computed = window.getComputedStyle(source);
+  target.setAttribute('style', styleProperties
+    .map(prop => [prop, computed.getPropertyValue(prop)])
+    .filter(([, value]) => value)
+    // browsers may resolve references to patterns to absolute urls
+    .map(([prop, value]) => `${prop}:${value.replace(/url\("?[^"#)]*#([^")]+)"?\)/g, 'url(#$1)')}`)
+    .join(';'));
+  _.zip(Array.from(source.children), Array.from(target.children))
+    .forEach(([s, t]) => inlineStyles(s, t));
+}
+
+function drawLegend(svg, { title, entries }, height) {
+  const
+    lineHeight = 18,
+    legendHeight = (entries.length + 1) * lineHeight + 8,
+    legend = svgElement('g', { class: 'legend', transform: `translate(10, ${height - legendHeight - 10})` }),
+    width = 30 + (7 * _.max([title.length, ..._.map(entries, e => e.name.length)]));
+
+  legend.appendChild(svgElement('rect', {
+    width, height: legendHeight, fill: '#fff', 'fill-opacity': 0.85, stroke: '#888',
+  }));
+  legend.appendChild(svgElement('text', {
+    x: 8, y: lineHeight, 'font-family': 'sans-serif', 'font-size': 12, 'font-weight': 'bold',
+  }, title));
+  entries.forEach(({ name, color }, ix) => {
+    const y = (ix + 1) * lineHeight;
+    legend.appendChild(svgElement('rect', { x: 8, y: y + 6, width: 12, height: 12, fill: color, stroke: '#888' }));
+    legend.appendChild(svgElement('text', {
+      x: 26, y: y + 16, 'font-family': 'sans-serif', 'font-size': 12,
+    }, name));
+  });
+  svg.appendChild(legend);
+}
+
+function drawScaleBar(svg, { pixelsPerUnit, units }, width, height) {
+  const
+    length = scaleBarLength((width / 5) / pixelsPerUnit),
+    barWidth = length * pixelsPerUnit,
+    bar = svgElement('g', {
+      class: 'scale-bar',
+      transform: `translate(${width - barWidth - 20}, ${height - 20})`,
+      stroke: '#222',
+      'stroke-width': 2,
+    });
+
+  bar.appendChild(svgElement('line', { x1: 0, y1: 0, x2: barWidth, y2: 0 }));
+  bar.appendChild(svgElement('line', { x1: 0, y1: -6, x2: 0, y2: 0 }));
+  bar.appendChild(svgElement('line', { x1: barWidth, y1: -6, x2: barWidth, y2: 0 }));
+  bar.appendChild(svgElement('text', {
+    x: barWidth / 2, y: -8, stroke: 'none', fill: '#222', 'text-anchor': 'middle', 'font-family': 'sans-serif', 'font-size': 12,
+  }, `${length} ${units}`));
+  svg.appendChild(bar);
+}
+
+/*
+* the plan drawn in the svg element of Grid.vue as the text of a standalone svg, styled as it is on screen,
+* with the textures it uses copied from patternDefs (the svg of Textures.vue).
+* options are { grid, legend, scaleBar }, where legend is { title, entries } (see legendEntries) and
+* scaleBar is { pixelsPerUnit, units }. the grid is left out unless grid is true
+*/
+export function planSvg(grid, patternDefs, { grid: withGrid = false, legend, scaleBar } = {}) {
+  const
+    width = grid.clientWidth,
+    height = grid.clientHeight,
+    svg = grid.cloneNode(true);
+
+  inlineStyles(grid, svg);
+  svg.removeAttribute('id');
+  svg.setAttribute('xmlns', SVG_NS);
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.querySelectorAll(withGrid ? transientElements : `${transientElements}, .axis`)
+    .forEach(el => el.parentNode.removeChild(el));
+
+  const
+    defs = svgElement('defs'),
+    patternIds = _.uniq((svg.outerHTML.match(/url\(#[^)]+\)/g) || []).map(url => url.slice(5, -1)));
+  patternIds
+    .map(id => patternDefs.querySelector(`pattern[id="${id}"]`))
+    .filter(pattern => pattern)
+    .forEach(pattern => defs.appendChild(pattern.cloneNode(true)));
+  svg.insertBefore(defs, svg.firstChild);
+  svg.insertBefore(svgElement('rect', { width, height, fill: '#fff' }), defs.nextSibling);
+
+  if (legend && legend.entries.length) { drawLegend(svg, legend, height); }
+  if (scaleBar) { drawScaleBar(svg, scaleBar, width, height); }
+
+  return new XMLSerializer().serializeToString(svg);
+}
+
+/* eslint-disable no-bitwise */
+const crcTable = _.range(256).map((n) => {
+  let c = n;
+  _.times(8, () => { c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1); });
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  bytes.forEach((b) => { crc = crcTable[(crc ^ b) & 0xFF] ^ (crc >>> 8); });
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+/* eslint-enable no-bitwise */
+
+/*
+* a copy of the bytes of a PNG with its resolution set to dpi, so it's printed or placed in documents at its size on screen.
+* the resolution is written in a pHYs chunk after the IHDR chunk, which always comes first
+*/
+export function setPngDpi(png, dpi) {
+  const
+    chunk = new Uint8Array(21),
+    view = new DataView(chunk.buffer),
+    pixelsPerMeter = Math.round(dpi / 0.0254),
+    ihdrEnd = 8 + 25; // signature, then the length, type, 13 bytes of data and crc of IHDR
+
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // pHYs
+  view.setUint32(8, pixelsPerMeter);
+  view.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1; // unit is the meter
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  const result = new Uint8Array(png.length + chunk.length);
+  result.set(png.subarray(0, ihdrEnd));
+  result.set(chunk, ihdrEnd);
+  result.set(png.subarray(ihdrEnd), ihdrEnd + chunk.length);
+  return result;
+}
+
+/*
+* rasterize the text of an svg of width x height pixels, as made by planSvg, at dpi (96 is the size on screen)
+* returns a Promise which resolves with a PNG Blob
+*/
+export function svgToPng(svgText, width, height, dpi = 96) {
+  const
+    scale = dpi / 96,
+    url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml;charset=utf-8' }));
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Unable to create a PNG of the plan'))), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Unable to draw the plan as an image'));
+    };
+    image.src = url;
+  })
+  .then(blob => new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.addEventListener('load', () => {
+      resolve(new Blob([setPngDpi(new Uint8Array(reader.result), dpi)], { type: 'image/png' }));
+    });
+    reader.readAsArrayBuffer(blob);
+  }));
+}
@@ -0,0 +1,54 @@
+import _ from 'lodash';
+
+/*
+* the normal of a planar polygon of 3D points like { x, y, z } by Newell's method,
+* pointing toward the side the points are counterclockwise from. its length is twice the area of the polygon
+*/
+export function polygonNormal(points) {
+  return points.reduce((normal, p, ix) => {
+    const q = points[(ix + 1) % points.length];
+    return {
+      x: normal.x + ((p.y - q.y) * (p.z + q.z)),
+      y: normal.y + ((p.z - q.z) * (p.x + q.x)),
+      z: normal.z + ((p.x - q.x) * (p.y + q.y)),
+    };
+  }, { x: 0, y: 0, z: 0 });
+}
+
+const cross = (o, a, b) => ((a.u - o.u) * (b.v - o.v)) - ((a.v - o.v) * (b.u - o.u));
+
+/*
+* split a planar polygon of 3D points into triangles by ear clipping, returns triangles as triples of indices into
+* points, wound the same way as the polygon. the polygon is flattened onto the plane its normal points away from most
+*/
+export default function triangulate(points) {
+  if (points.length < 3) { return []; }
+  const
+    normal = polygonNormal(points),
+    axis = _.maxBy(['x', 'y', 'z'], a => Math.abs(normal[a])),
+    [uAxis, vAxis] = { x: ['y', 'z'], y: ['z', 'x'], z: ['x', 'y'] }[axis],
+    // flattened points are counterclockwise
+    sign = normal[axis] < 0 ? -1 : 1,
+    flat = points.map(p => ({ u: p[uAxis], v: sign * p[vAxis] })),
+    remaining = _.range(points.length),
+    triangles = [];
+
+  const isEar = (prev, ix, next) => {
+    const [a, b, c] = [flat[prev], flat[ix], flat[next]];
+    if (cross(a, b, c) <= 0) { return false; }
+    return !remaining.some(other => other !== prev && other !== ix && other !== next &&
+      cross(a, b, flat[other]) >= 0 && cross(b, c, flat[other]) >= 0 && cross(c, a, flat[other]) >= 0);
+  };
+
+  while (remaining.length > 3) {
+    const count = remaining.length;
+    const earIx = _.findIndex(remaining, (ix, i) =>
+      isEar(remaining[(i + count - 1) % count], ix, remaining[(i + 1) % count]));
+    // polygons with crossing or collinear edges have no ears left, the rest is cut into a fan
+    const i = earIx === -1 ? 0 : earIx;
+    triangles.push([remaining[(i + count - 1) % count], remaining[i], remaining[(i + 1) % count]]);
+    remaining.splice(i, 1);
+  }
+  triangles.push(remaining);
+  return triangles;
+}
@@ -0,0 +1,82 @@
+import _ from 'lodash';
+
+const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const decode = text => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    return String.fromCharCode(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+  }
+  return entities[entity] || match;
+});
+
+// element names without their namespace prefix
+const localName = name => _.last(name.split(':'));
+
+const tokens = new RegExp([
+  '<!--[\\s\\S]*?-->', // comment
+  '<\\?[\\s\\S]*?\\?>', // processing instruction, like the xml declaration
+  '<!DOCTYPE[^>]*>',
+  '<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>',
+  '</([\\w:.-]+)\\s*>', // closing tag
+  '<([\\w:.-]+)((?:\\s+[\\w:.-]+\\s*=\\s*(?:"[^"]*"|\'[^\']*\'))*)\\s*(/?)>', // opening or empty tag
+  '([^<]+)', // text
+].join('|'), 'g');
+
+/*
+* parse the text of an xml document into a tree of elements, like { name, attributes, children, text }.
+* this is enough xml to read the building models exported by other tools, and works in the editor and in node.
+* throws an Error if text isn't well formed
+*/
+export function parseXml(text) {
+  const
+    root = { name: null, attributes: {}, children: [], text: '' },
+    stack = [root];
+  tokens.lastIndex = 0;
+
+  let match = tokens.exec(text);
+  let position = 0;
+  while (match) {
+    if (match.index !== position) { throw new Error(`Invalid XML: unexpected < at ${position}`); }
+    position = tokens.lastIndex;
+    const
+      [, cdata, closing, opening, attributeText, selfClosing, characters] = match,
+      current = _.last(stack);
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closing) {
+      if (stack.length === 1 || current.name !== localName(closing)) {
+        throw new Error(`Invalid XML: unexpected </${closing}>`);
+      }
+      stack.pop();
+    } else if (opening) {
+      const el = {
+        name: localName(opening),
+        attributes: _.fromPairs((attributeText.match(/[\w:.-]+\s*=\s*("[^"]*"|'[^']*')/g) || []).map((attr) => {
+          const ix = attr.indexOf('=');
+          return [localName(attr.slice(0, ix).trim()), decode(attr.slice(ix + 1).trim().slice(1, -1))];
+        })),
+        children: [],
+        text: '',
+      };
+      current.children.push(el);
+      if (!selfClosing) { stack.push(el); }
+    } else if (characters !== undefined) {
+      current.text += decode(characters);
+    }
+    match = tokens.exec(text);
+  }
+
+  if (position !== text.length) { throw new Error(`Invalid XML: unexpected < at ${position}`); }
+  if (stack.length > 1) { throw new Error(`Invalid XML: <${_.last(stack).name}> is not closed`); }
+  if (root.children.length !== 1) { throw new Error('Invalid XML: expected a single root element'); }
+  return root.children[0];
+}
+
+// the child elements of el named name
+export const childrenNamed = (el, name) => (el ? el.children.filter(c => c.name === name) : []);
+
+export const childNamed = (el, name) => _.first(childrenNamed(el, name));
+
+// the trimmed text of el, or undefined if there is no el
+export const textOf = el => (el ? el.text.trim() : undefined);
@@ -0,0 +1,92 @@
+import _ from 'lodash';
+import createBridge from '../../../../src/bridge';
+import { createFloorplan } from '../../../../src/headless';
+import { assert, assertEqual } from '../../test_helpers';
+
+/*
+* a bridge to the api of a floorplan started with config.
+* send posts a message from a host window (source) at origin, and resolves with what is posted back to the host from then on
+*/
+function bridged(config = { allowedOrigins: ['https://host.example'] }) {
+  const api = createFloorplan(config);
+  const bridge = createBridge(api);
+  const send = (origin, data, source = {}) => {
+    const received = [];
+    source.postMessage = (message, targetOrigin) => received.push({ message, targetOrigin });
+    bridge.handleMessage({ origin, source, data });
+    // responses to methods returning Promises are posted once they settle
+    return new Promise(resolve => setTimeout(resolve, 0)).then(() => received);
+  };
+  return { api, bridge, send };
+}
+
+const request = (id, method, ...args) => ({ floorspace: 'request', id, method, args });
+
+describe('bridge', () => {
+  it('answers requests with their ids, once their Promises settle', () => {
+    const { api, send } = bridged();
+    const storyId = api.store.state.models.stories[0].id;
+    return send('https://host.example', request(7, 'addStory'))
+      .then((received) => {
+        assertEqual(received.length, 1);
+        const [{ message, targetOrigin }] = received;
+        assertEqual(targetOrigin, 'https://host.example');
+        assertEqual(_.pick(message, ['floorspace', 'id']), { floorspace: 'response', id: 7 });
+        assert(message.result.success);
+        return send('https://host.example', request(8, 'deleteSpace', { storyId, spaceId: 'nope' }));
+      })
+      .then(([{ message }]) => {
+        assertEqual(message.id, 8);
+        assert(!message.result.success);
+        return send('https://host.example', request(9, 'nope'));
+      })
+      .then(([{ message }]) => assertEqual(message, { floorspace: 'response', id: 9, error: 'unknown method: nope' }));
+  });
+
+  it('only accepts the origins in the configuration', () => {
+    const { send } = bridged({ allowedOrigins: ['https://one.example', 'https://two.example'] });
+    return Promise.all(['https://two.example', 'https://three.example', 'null']
+      .map(origin => send(origin, request(1, 'exportFloorplan'))))
+      .then((responses) => {
+        assertEqual(_.map(responses, 'length'), [1, 0, 0]);
+        return bridged({}).send('https://one.example', request(1, 'exportFloorplan'));
+      })
+      .then(received => assertEqual(received, []));
+  });
+
+  it('only lets hosts call the methods which open, edit and export floorplans', () => {
+    const { api, bridge, send } = bridged();
+    return Promise.all(['setConfig', 'updateConfig', 'applyConfig', 'validateConfig', 'init', 'emit']
+      .map(method => send('https://host.example', request(1, method, {
+        allowedOrigins: ['https://evil.example'], readOnly: true, enabledTools: [],
+      }))))
+      .then((responses) => {
+        responses.forEach(([{ message }]) => assert(/can't be called through postMessage/.test(message.error), message.error));
+        assert(!api.store.state.application.readOnly);
+        assertEqual(bridge.allowedOrigins(), ['https://host.example']);
+        assert(_.every(bridge.methods, method => _.isFunction(api[method])));
+        return send('https://evil.example', request(2, 'exportFloorplan'));
+      })
+      .then(received => assertEqual(received, []));
+  });
+
+  it('forwards events to hosts until they unsubscribe', () => {
+    const { api, bridge, send } = bridged();
+    const host = {};
+    return send('https://host.example', request(1, 'on', 'spaceCreated'), host)
+      .then((received) => {
+        api.emit('spaceCreated', { id: '12' });
+        api.emit('storyCreated', { id: '13' });
+        assertEqual(_.map(received, 'message'), [
+          { floorspace: 'response', id: 1, result: true },
+          { floorspace: 'event', event: 'spaceCreated', payload: { id: '12' } },
+        ]);
+        return send('https://host.example', request(2, 'off', 'spaceCreated'), host);
+      })
+      .then((received) => {
+        api.emit('spaceCreated', { id: '14' });
+        assertEqual(_.map(received, 'message'), [{ floorspace: 'response', id: 2, result: true }]);
+        assertEqual(bridge.subscriptions, []);
+      });
+  });
+});
@@ -0,0 +1,59 @@
+import _ from 'lodash';
+import { createFloorplan } from '../../../../src/headless';
+import { assert, assertEqual, nearlyEqual, square } from '../../test_helpers';
+
+describe('api updateConfig', () => {
+  it('converts the floorplan when the units change, keeping its stories and spaces', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const { store } = floorplan;
+    store.commit('project/setSpacing', { spacing: 1 });
+    const story = store.state.models.stories[0];
+    return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points: square(0, 0, 10) })
+      .then(() => floorplan.addStory())
+      .then(() => {
+        const ids = _.map(store.state.models.stories, 'id');
+        floorplan.updateConfig({ units: 'ip' });
+
+        assertEqual(store.state.project.config.units, 'ip');
+        assertEqual(_.map(store.state.models.stories, 'id'), ids);
+        const [converted] = store.state.models.stories;
+        assertEqual(converted.spaces.length, 1);
+        assert(converted.spaces[0].face_id);
+        // 10 meters is about 32.8 feet
+        const xs = _.map(store.state.geometry[0].vertices, 'x');
+        assert(nearlyEqual(_.max(xs) - _.min(xs), 10 / 0.3048), `${_.max(xs) - _.min(xs)}`);
+        assertEqual(floorplan.exportFloorplan().project.config.units, 'ip');
+      });
+  });
+
+  it('changes the snap mode', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    floorplan.updateConfig({ snapMode: 'grid-verts-edges' });
+    assertEqual(floorplan.store.state.application.currentSelections.snapMode, 'grid-verts-edges');
+    assertEqual(floorplan.config.snapMode, 'grid-verts-edges');
+
+    let error;
+    try {
+      floorplan.updateConfig({ snapMode: 'nope' });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /snapMode/.test(error.message));
+    assertEqual(floorplan.store.state.application.currentSelections.snapMode, 'grid-verts-edges');
+  });
+
+  it('makes the floorplan read only, and editable again', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const storyId = floorplan.store.state.models.stories[0].id;
+    floorplan.updateConfig({ readOnly: true });
+    assert(floorplan.store.state.application.readOnly);
+    return floorplan.createSpace({ storyId, points: square(0, 0, 10) })
+      .then((result) => {
+        assertEqual(result, { success: false, error: 'The floorplan is read only' });
+        floorplan.updateConfig({ readOnly: false });
+        assert(!floorplan.store.state.application.readOnly);
+        return floorplan.createSpace({ storyId, points: square(0, 0, 10) });
+      })
+      .then(result => assert(result.success, result.error));
+  });
+});
@@ -0,0 +1,136 @@
+import _ from 'lodash';
+import { createFloorplan } from '../../../../src/headless';
+import { assert, assertEqual, square } from '../../test_helpers';
+
+// a floorplan with a 10 by 10 space on its first story
+function floorplanWithSpace() {
+  const floorplan = createFloorplan({ units: 'si' });
+  const { store } = floorplan;
+  store.commit('project/setSpacing', { spacing: 1 });
+  const story = store.state.models.stories[0];
+  return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points: square(0, 0, 10) })
+    .then(result => ({ floorplan, store, story, result }));
+}
+
+describe('api editing', () => {
+  it('adds stories with a space', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    return floorplan.addStory().then((result) => {
+      const { stories } = floorplan.store.state.models;
+      assertEqual(stories.length, 2);
+      assertEqual(result, { success: true, story_id: stories[1].id, space_id: stories[1].spaces[0].id });
+    });
+  });
+
+  it('creates spaces, and names them', () =>
+    floorplanWithSpace().then(({ floorplan, story }) =>
+      floorplan.createSpace({ storyId: story.id, points: square(10, 0, 5), name: 'Closet' }).then((result) => {
+        assert(result.success, result.error);
+        const space = _.find(story.spaces, { id: result.space_id });
+        assertEqual([space.name, space.face_id, result.story_id], ['Closet', result.face_id, story.id]);
+      })));
+
+  it("doesn't create spaces which can't be drawn, or which aren't on the story", () =>
+    floorplanWithSpace().then(({ floorplan, story }) => Promise.all([
+      floorplan.createSpace({ storyId: 'nope', points: square(20, 0, 5) }),
+      floorplan.createSpace({ storyId: story.id, spaceId: 'nope', points: square(20, 0, 5) }),
+      floorplan.createSpace({ storyId: story.id, points: [{ x: 20, y: 0 }, { x: 25, y: 0 }] }),
+    ]).then((results) => {
+      assertEqual(_.map(results, 'success'), [false, false, false]);
+      assertEqual(results[0].error, 'Story not found');
+      // the space made for the geometry that couldn't be drawn is removed again
+      assertEqual(story.spaces.length, 1);
+    })));
+
+  it('moves faces, and rejects moves that are not numbers', () =>
+    floorplanWithSpace().then(({ floorplan, store, result: { face_id: faceId } }) =>
+      floorplan.moveFace({ faceId, dx: 2, dy: 3 })
+        .then((result) => {
+          assertEqual(result, { success: true, story_id: store.state.models.stories[0].id, face_id: faceId });
+          assertEqual(_.min(_.map(store.state.geometry[0].vertices, 'x')), 2);
+          assertEqual(_.min(_.map(store.state.geometry[0].vertices, 'y')), 3);
+          return Promise.all([
+            floorplan.moveFace({ faceId, dx: '2', dy: 0 }),
+            floorplan.moveFace({ faceId: 'nope', dx: 1, dy: 1 }),
+          ]);
+        })
+        .then(([notNumbers, notFound]) => {
+          assertEqual(notNumbers, { success: false, error: 'dx and dy must be numbers' });
+          assertEqual(notFound, { success: false, error: 'Face not found' });
+        })));
+
+  it('deletes spaces', () =>
+    floorplanWithSpace().then(({ floorplan, story }) => {
+      const spaceId = story.spaces[0].id;
+      return floorplan.deleteSpace({ spaceId })
+        .then((result) => {
+          assertEqual(result, { success: true, story_id: story.id, space_id: spaceId });
+          assertEqual(story.spaces, []);
+          return floorplan.deleteSpace({ spaceId });
+        })
+        .then(result => assertEqual(result, { success: false, error: 'Space not found' }));
+    }));
+
+  it('places windows at alpha along an edge', () =>
+    floorplanWithSpace().then(({ floorplan, store, story }) => {
+      store.dispatch('models/createObjectWithType', { type: 'window_definitions' });
+      const
+        definitionId = store.state.models.library.window_definitions[0].id,
+        edgeId = store.state.geometry[0].edges[0].id;
+      return floorplan.placeWindow({ edgeId, definitionId, alpha: 0.25 }).then((result) => {
+        assertEqual(result, { success: true, story_id: story.id, window_id: story.windows[0].id });
+        assertEqual(_.pick(story.windows[0], ['edge_id', 'window_definition_id', 'alpha']), {
+          edge_id: edgeId, window_definition_id: definitionId, alpha: 0.25,
+        });
+      });
+    }));
+
+  it("doesn't place windows off their edge, or on edges or with definitions that don't exist", () =>
+    floorplanWithSpace().then(({ floorplan, store, story }) => {
+      store.dispatch('models/createObjectWithType', { type: 'window_definitions' });
+      const
+        definitionId = store.state.models.library.window_definitions[0].id,
+        edgeId = store.state.geometry[0].edges[0].id;
+      return Promise.all([
+        ...[-0.1, 1.5, NaN, Infinity, '0.5', null, undefined]
+          .map(alpha => floorplan.placeWindow({ edgeId, definitionId, alpha })),
+        floorplan.placeWindow({ edgeId: 'nope', definitionId, alpha: 0.5 }),
+        floorplan.placeWindow({ edgeId, definitionId: 'nope', alpha: 0.5 }),
+      ]).then((results) => {
+        assertEqual(_.map(results, 'success'), _.times(9, _.constant(false)));
+        results.slice(0, 7).forEach(result => assertEqual(result.error, 'alpha must be a number between 0 and 1'));
+        assertEqual(results[7].error, 'Edge not found');
+        assert(/definition/i.test(results[8].error), results[8].error);
+        assertEqual(story.windows, []);
+      });
+    }));
+
+  it('assigns library objects to spaces, and removes them again', () =>
+    floorplanWithSpace().then(({ floorplan, store, story }) => {
+      store.dispatch('models/createObjectWithType', { type: 'thermal_zones' });
+      const
+        zone = store.state.models.library.thermal_zones[0],
+        space = story.spaces[0];
+      return floorplan.assignProperty({ spaceId: space.id, propertyId: zone.id })
+        .then((result) => {
+          assertEqual(result, { success: true, space_id: space.id, type: 'thermal_zones', property_id: zone.id });
+          assertEqual(space.thermal_zone_id, zone.id);
+          return floorplan.assignProperty({ spaceId: space.id, type: 'thermal_zones', propertyId: null });
+        })
+        .then((result) => {
+          assert(result.success);
+          assertEqual(space.thermal_zone_id, null);
+          return Promise.all([
+            floorplan.assignProperty({ spaceId: 'nope', propertyId: zone.id }),
+            floorplan.assignProperty({ spaceId: space.id, propertyId: 'nope' }),
+            floorplan.assignProperty({ spaceId: space.id, type: 'space_types', propertyId: zone.id }),
+          ]);
+        })
+        .then(([noSpace, noProperty, wrongType]) => {
+          assertEqual(noSpace, { success: false, error: 'Space not found' });
+          assertEqual(noProperty, { success: false, error: 'Unable to find an assignable property with id nope' });
+          assertEqual(wrongType, { success: false, error: `Unable to find space_types with id ${zone.id}` });
+          assertEqual(space.space_type_id, null);
+        });
+    }));
+});
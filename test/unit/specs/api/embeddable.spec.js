@@ -0,0 +1,67 @@
+import _ from 'lodash';
+import createApi from '../../../../src/api';
+import { createStore } from '../../../../src/store/index';
+import { createFloorplan } from '../../../../src/headless';
+import { assert, assertEqual, square } from '../../test_helpers';
+
+// the api started the way the embeddable page starts it (see the end of src/api.js), which only reaches the
+// editor through its store
+function embeddedApi() {
+  const api = createApi({
+    start: instanceApi => ({ $store: createStore({ api: instanceApi }) }),
+  });
+  api.setConfig({ units: 'si' });
+  api.init();
+  api.store.dispatch('models/initStory');
+  return api;
+}
+
+describe('the embeddable api', () => {
+  it('imports gbXML and IFC files', () => {
+    const api = embeddedApi();
+    const floorplan = createFloorplan({ units: 'si' });
+    const storyId = floorplan.store.state.models.stories[0].id;
+    return floorplan.createSpace({ storyId, points: square(0, 0, 10) })
+      .then(() => api.importGbXML(floorplan.exportGbXML()))
+      .then((result) => {
+        assert(result.success, result.error);
+        assertEqual(result.spaces.length, 1);
+        return api.importIfc('not ifc');
+      })
+      .then((result) => {
+        assert(!result.success);
+        assert(/^Invalid IFC/.test(result.error), result.error);
+      });
+  });
+
+  it('exports and imports tables as CSV', () => {
+    const api = embeddedApi();
+    api.store.dispatch('models/createObjectWithType', { type: 'space_types' });
+    const office = api.store.state.models.library.space_types[0];
+    const csv = api.exportCsv('space_types');
+    return api.importCsv('space_types', csv.replace(office.name, 'Open Office')).then((result) => {
+      assertEqual(result, { success: true, changes: 1, errors: [] });
+      assertEqual(office.name, 'Open Office');
+    });
+  });
+
+  it('imports the library of an OpenStudio model', () => {
+    const api = embeddedApi();
+    assert(api.importLibrary('OS:ThermalZone,\n  {44444444-0000-0000-0000-000000000001}, !- Handle\n  Core;  !- Name\n'));
+    assertEqual(_.map(api.store.state.models.library.thermal_zones, 'name'), ['Core']);
+    assert(!api.importLibrary('not a model'));
+  });
+
+  it('exports floorplans with their arcs as straight edges', () => {
+    const api = embeddedApi();
+    const storyId = api.store.state.models.stories[0].id;
+    const [corner, ...rest] = square(0, 0, 10);
+    const points = [{ ...corner, bulge: 0.5 }, ...rest];
+    return api.createSpace({ storyId, points }).then((result) => {
+      assert(result.success, result.error);
+      assert(_.some(api.exportFloorplan().stories[0].geometry.edges, 'bulge'));
+      const { edges } = api.exportFloorplan({ tessellationTolerance: 0.1 }).stories[0].geometry;
+      assert(!_.some(edges, 'bulge') && edges.length > 4);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import { typeEnabled, disabledTypeWarnings } from '../../../../src/store/modules/application/helpers';
+import { assert, assertEqual } from '../../test_helpers';
+
+const application = {
+  modes: ['spaces', 'thermal_zones'],
+  componentTypes: ['window_definitions'],
+};
+
+describe('typeEnabled', () => {
+  it('checks modes and component types against the enabled lists', () => {
+    assert(typeEnabled(application, 'thermal_zones'));
+    assert(!typeEnabled(application, 'shading'));
+    assert(typeEnabled(application, 'window_definitions'));
+    assert(!typeEnabled(application, 'door_definitions'));
+  });
+
+  it('always enables types that cannot be disabled', () => {
+    assert(typeEnabled(application, 'stories'));
+  });
+});
+
+describe('disabledTypeWarnings', () => {
+  it('warns about imported objects of disabled types', () => {
+    const data = {
+      stories: [{ spaces: [{}], shading: [{}, {}], images: [] }],
+      thermal_zones: [{}],
+      space_types: [{}],
+      door_definitions: [{}],
+    };
+    assertEqual(disabledTypeWarnings(application, data), [
+      { type: 'disabled', path: 'shading', message: 'shading is disabled, but 2 were imported' },
+      { type: 'disabled', path: 'space_types', message: 'space_types is disabled, but 1 were imported' },
+      { type: 'disabled', path: 'door_definitions', message: 'door_definitions is disabled, but 1 were imported' },
+    ]);
+  });
+
+  it('handles libraries, which have no stories', () => {
+    assertEqual(disabledTypeWarnings(application, { thermal_zones: [{}] }), []);
+  });
+});
@@ -0,0 +1,145 @@
+import _ from 'lodash';
+import changeEvents from '../../../../src/store/utilities/changeEvents';
+import createTimetravel from '../../../../src/store/timetravel';
+import { createFloorplan } from '../../../../src/headless';
+import { assert, assertEqual, square } from '../../test_helpers';
+import { simpleGeometry } from './../geometry/examples';
+
+const library = {
+  building_units: [],
+  thermal_zones: [{ id: 'tz1', name: 'Thermal Zone 1', color: '#aa4499' }],
+  space_types: [],
+  construction_sets: [],
+  pitched_roofs: [],
+  window_definitions: [],
+  daylighting_control_definitions: [],
+  door_definitions: [],
+};
+
+const baseState = {
+  geometry: [simpleGeometry],
+  models: {
+    library,
+    stories: [{
+      id: 's1',
+      name: 'Story 1',
+      geometry_id: simpleGeometry.id,
+      spaces: [
+        { id: 'sp1', name: 'Space 1', face_id: 'top', thermal_zone_id: null, daylighting_controls: [] },
+        { id: 'sp2', name: 'Space 2', face_id: 'bottom', thermal_zone_id: null, daylighting_controls: [] },
+      ],
+      shading: [],
+      images: [],
+      windows: [],
+      doors: [],
+    }],
+  },
+};
+
+const withChanges = (modify) => {
+  const state = _.cloneDeep(baseState);
+  modify(state);
+  return state;
+};
+
+describe('changeEvents', () => {
+  it('reports nothing if nothing changed', () => {
+    assertEqual(changeEvents(baseState, _.cloneDeep(baseState)), []);
+  });
+
+  it('reports created and deleted spaces with their story', () => {
+    const newState = withChanges((state) => {
+      state.models.stories[0].spaces.splice(1, 1);
+      state.models.stories[0].spaces.push({ id: 'sp3', name: 'Space 3', face_id: null, daylighting_controls: [] });
+    });
+    assertEqual(
+      _.sortBy(changeEvents(baseState, newState), 'id'),
+      [
+        { event: 'spaceDeleted', type: 'spaces', id: 'sp2', story_id: 's1' },
+        { event: 'spaceCreated', type: 'spaces', id: 'sp3', story_id: 's1' },
+      ]);
+  });
+
+  it('names the keys that changed on an object', () => {
+    const newState = withChanges((state) => {
+      state.models.stories[0].spaces[0].thermal_zone_id = 'tz1';
+    });
+    assertEqual(
+      changeEvents(baseState, newState),
+      [{ event: 'spaceChanged', type: 'spaces', id: 'sp1', story_id: 's1', keys: ['thermal_zone_id'] }]);
+  });
+
+  it('reports a space as changed when its face moves', () => {
+    const newState = withChanges((state) => {
+      _.find(state.geometry[0].vertices, { id: 'a' }).x = -2;
+    });
+    const events = changeEvents(baseState, newState);
+    assertEqual(
+      events,
+      [{ event: 'spaceChanged', type: 'spaces', id: 'sp1', story_id: 's1', keys: ['geometry'] }]);
+  });
+
+  it('reports windows as placed', () => {
+    const newState = withChanges((state) => {
+      state.models.stories[0].windows.push({ id: 'w1', edge_id: 'ab', alpha: 0.5, window_definition_id: 'wd1' });
+    });
+    assertEqual(
+      changeEvents(baseState, newState),
+      [{ event: 'windowPlaced', type: 'windows', id: 'w1', story_id: 's1' }]);
+  });
+
+  it('reports story changes without repeating changes to its spaces', () => {
+    const newState = withChanges((state) => {
+      state.models.stories[0].name = 'Ground Floor';
+      state.models.stories[0].spaces[1].name = 'Lobby';
+    });
+    const events = changeEvents(baseState, newState);
+    assertEqual(_.map(events, 'event'), ['storyChanged', 'spaceChanged']);
+    assertEqual(events[0].keys, ['name']);
+  });
+
+  it('reports a deleted story as a single event', () => {
+    const newState = withChanges((state) => {
+      state.models.stories = [];
+    });
+    assertEqual(
+      changeEvents(baseState, newState),
+      [{ event: 'storyDeleted', type: 'stories', id: 's1' }]);
+  });
+
+  it('reports changes to library objects', () => {
+    const newState = withChanges((state) => {
+      state.models.library.thermal_zones[0].color = '#332288';
+      state.models.library.space_types.push({ id: 'st1', name: 'Office' });
+    });
+    const events = changeEvents(baseState, newState);
+    assert(_.find(events, { event: 'thermalZoneChanged', id: 'tz1' }));
+    assert(_.find(events, { event: 'spaceTypeCreated', id: 'st1' }));
+  });
+});
+
+describe('change events of a floorplan', () => {
+  it('are only worked out while something listens for them', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const { store } = floorplan;
+    const timetravel = createTimetravel();
+    timetravel.init(store);
+    const story = store.state.models.stories[0];
+    const received = [];
+    const settled = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    const first = floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points: square(0, 0, 10) });
+    // without listeners, the models aren't copied to be compared once the action is done
+    assertEqual(timetravel.stateBeforeChange, null);
+    return first
+      .then(() => {
+        floorplan.on('change', e => received.push(e));
+        return floorplan.createSpace({ storyId: story.id, points: square(20, 0, 10) });
+      })
+      .then(settled)
+      .then(() => {
+        assertEqual(received.length, 1);
+        assert(_.find(received[0].events, { event: 'spaceCreated' }));
+      });
+  });
+});
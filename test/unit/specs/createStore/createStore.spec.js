@@ -0,0 +1,57 @@
+import _ from 'lodash';
+import { createStore } from '../../../../src/store/index';
+import { createIdFactory } from '../../../../src/store/utilities/generateId';
+import { assert, assertEqual } from '../../test_helpers';
+
+// the ids of all objects in a store's state
+const idsIn = state => _.flatMap(state, (val, key) => (
+  key === 'id' && !_.isObject(val) ? [val] : (_.isObject(val) ? idsIn(val) : [])));
+
+describe('createIdFactory', () => {
+  it('counts ids and names separately for each factory', () => {
+    const a = createIdFactory(), b = createIdFactory();
+    a.generate();
+    a.genName('Window');
+    assertEqual(a.generate(), '2');
+    assertEqual(b.generate(), '1');
+    assertEqual(a.genName('Window'), 'Window - 2');
+    assertEqual(b.genName('Window'), 'Window - 1');
+  });
+});
+
+describe('createStore', () => {
+  it('gives each store its own state, event bus and ids', () => {
+    const a = createStore(), b = createStore();
+    a.dispatch('models/initStory');
+    a.dispatch('models/initStory');
+    b.dispatch('models/initStory');
+
+    assertEqual(a.state.models.stories.length, 2);
+    assertEqual(b.state.models.stories.length, 1);
+    assert(a.eventBus !== b.eventBus);
+    // both stores start counting ids from 1
+    assertEqual(b.state.models.stories[0].id, a.state.models.stories[0].id);
+    assert(a.state.models.stories[1].id !== a.state.models.stories[0].id);
+  });
+
+  it('generates ids from the store an action was dispatched on, even from root actions and later callbacks', () => {
+    const a = createStore(), b = createStore();
+    a.idFactory.setId(100);
+    a.dispatch('models/initStory');
+    b.dispatch('models/initStory');
+    // root actions dispatch through a context captured when the store was made
+    a.dispatch('importLibrary', {
+      data: { project: { config: { units: 'ip' } }, thermal_zones: [{ name: 'zone' }] },
+    });
+
+    return Promise.resolve()
+      .then(() => a.dispatch('models/initStory'))
+      .then(() => {
+        const ids = idsIn(a.state);
+        assertEqual(ids.length, _.uniq(ids).length);
+        assertEqual(ids.filter(id => +id < 100), []);
+        assertEqual(idsIn(b.state).length, b.idFactory.generate() - 1);
+        assert(+a.idFactory.generate() > _.max(ids.map(Number)));
+      });
+  });
+});
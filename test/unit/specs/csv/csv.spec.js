@@ -0,0 +1,145 @@
+import _ from 'lodash';
+import { createFloorplan } from '../../../../src/headless';
+import { writeCsv, parseCsv } from '../../../../src/utilities/csv';
+import { tableToCsv, csvTableChanges, applyTableChanges } from '../../../../src/store/utilities/tableCsv';
+import { assert, assertEqual, square } from '../../test_helpers';
+
+function createObjects(store, type, names) {
+  return names.map((name) => {
+    store.dispatch('models/createObjectWithType', { type });
+    const object = _.last(store.state.models.library[type]);
+    store.dispatch('models/updateObjectWithData', { object, name });
+    return object;
+  });
+}
+
+// edit the cells of a table like a spreadsheet would, edits are like { [id]: { [column]: value } }
+function editCsv(csv, edits) {
+  const [header, ...rows] = parseCsv(csv);
+  return writeCsv([
+    header,
+    ...rows.map(row => header.map((column, ix) => _.get(edits, [row[0], column], row[ix]))),
+  ]);
+}
+
+describe('csv', () => {
+  it('quotes cells with separators, quotes and line breaks', () => {
+    const rows = [['Name', 'Notes'], ['Office, East', 'the "big" one\nupstairs'], [' padded ', '']];
+    const csv = writeCsv(rows);
+    assertEqual(csv, 'Name,Notes\r\n"Office, East","the ""big"" one\nupstairs"\r\n" padded ",\r\n');
+    assertEqual(parseCsv(csv), rows);
+  });
+
+  it('reads files saved with semicolons and a byte order mark, leaving out blank lines', () => {
+    assertEqual(parseCsv('\uFEFFID;Name\n1;"a;b"\n\n2;c'), [['ID', 'Name'], ['1', 'a;b'], ['2', 'c']]);
+  });
+});
+
+describe('tableCsv', () => {
+  it('writes the columns of a library type as they are shown in the library', () => {
+    const { store } = createFloorplan({ units: 'si' });
+    const [core] = createObjects(store, 'thermal_zones', ['Core']);
+    assertEqual(parseCsv(tableToCsv(store.state, 'thermal_zones')), [
+      ['ID', 'Name', 'Color'],
+      [core.id, 'Core', core.color],
+    ]);
+  });
+
+  it('finds and applies the changes of an edited table, skipping rows with invalid cells', () => {
+    const { store } = createFloorplan({ units: 'si' });
+    const [core, perimeter] = createObjects(store, 'thermal_zones', ['Core', 'Perimeter']);
+    const perimeterColor = perimeter.color;
+    const csv = editCsv(tableToCsv(store.state, 'thermal_zones'), {
+      [core.id]: { Name: 'Core Zone', Color: '#00ff00' },
+      // the valid color of a row with an invalid name isn't changed either
+      [perimeter.id]: { Name: '', Color: '#0000ff' },
+    });
+
+    const { changes, errors } = csvTableChanges(store, 'thermal_zones', `${csv}999,Nowhere,#000000\r\n`);
+    assertEqual(changes.map(c => [c.row, c.object.id, c.key, c.to]), [
+      [2, core.id, 'name', 'Core Zone'],
+      [2, core.id, 'color', '#00ff00'],
+    ]);
+    assertEqual(errors, [
+      { row: 3, message: 'Name: Names must be at least 1 characters long.' },
+      { row: 4, message: 'No thermal zone has the ID "999"' },
+    ]);
+
+    assert(applyTableChanges(store, 'thermal_zones', changes).success);
+    assertEqual(_.pick(core, ['name', 'color']), { name: 'Core Zone', color: '#00ff00' });
+    assertEqual(_.pick(perimeter, ['name', 'color']), { name: 'Perimeter', color: perimeterColor });
+  });
+
+  it('reassigns the spaces of all stories by the names of what they are assigned', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const { store } = floorplan;
+    const [office, lobby] = createObjects(store, 'space_types', ['Office', 'Lobby']);
+    const first = store.state.models.stories[0];
+
+    return floorplan.createSpace({ storyId: first.id, spaceId: first.spaces[0].id, points: square(0, 0, 10) })
+      .then(() => floorplan.addStory())
+      .then(({ space_id: spaceId }) => floorplan.assignProperty({ spaceId, propertyId: office.id }))
+      .then(() => {
+        const
+          [space, upstairs] = store.getters['models/allSpaces'],
+          csv = tableToCsv(store.state, 'spaces'),
+          [header, ...rows] = parseCsv(csv);
+        assertEqual(rows.length, 2);
+        assertEqual(rows[1][header.indexOf('Story')], store.state.models.stories[1].name);
+        assertEqual(rows[1][header.indexOf('Space Type')], 'Office');
+
+        const { changes, errors } = csvTableChanges(store, 'spaces', editCsv(csv, {
+          [space.id]: { 'Space Type': 'lobby', 'Floor Offset': '0.5', Story: 'Elsewhere' },
+          [upstairs.id]: { 'Space Type': '', 'Thermal Zone': 'Nowhere' },
+        }));
+        // stories can't be changed from the table, and the upstairs row has an unknown thermal zone
+        assertEqual(changes.map(c => [c.object.id, c.key, c.value]), [
+          [space.id, 'space_type_id', lobby.id],
+          [space.id, 'floor_offset', '0.5'],
+        ]);
+        assertEqual(errors, [{ row: 3, message: 'Thermal Zone: Unknown Thermal Zone "Nowhere"' }]);
+
+        applyTableChanges(store, 'spaces', changes);
+        assertEqual(space.space_type_id, lobby.id);
+        assertEqual(space.floor_offset, 0.5);
+        assertEqual(upstairs.space_type_id, office.id);
+      });
+  });
+
+  it('only changes cells which are enabled for the edited row', () => {
+    const { store } = createFloorplan({ units: 'si' });
+    store.dispatch('models/createObjectWithType', { type: 'window_definitions' });
+    const [definition] = store.state.models.library.window_definitions;
+    assertEqual(definition.window_definition_mode, 'Single Window');
+    const csv = tableToCsv(store.state, 'window_definitions');
+
+    const wwr = csvTableChanges(store, 'window_definitions', editCsv(csv, {
+      [definition.id]: { 'Window to Wall ratio': '0.4' },
+    }));
+    assertEqual(wwr.changes, []);
+    assertEqual(wwr.errors.length, 1);
+
+    const modeAndWwr = csvTableChanges(store, 'window_definitions', editCsv(csv, {
+      [definition.id]: { Mode: 'Window to Wall Ratio', 'Window to Wall ratio': '0.4' },
+    }));
+    assertEqual(modeAndWwr.errors, []);
+    assertEqual(_.map(modeAndWwr.changes, 'key'), ['window_definition_mode', 'wwr']);
+  });
+
+  it('reports files without an ID column', () => {
+    const { store } = createFloorplan({ units: 'si' });
+    const { changes, errors } = csvTableChanges(store, 'space_types', 'Name\r\nOffice\r\n');
+    assertEqual(changes, []);
+    assertEqual(errors, [{ row: 1, message: 'The table has no ID column' }]);
+  });
+
+  it('is available through the api', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const [office] = createObjects(floorplan.store, 'space_types', ['Office']);
+    const csv = editCsv(floorplan.exportCsv('space_types'), { [office.id]: { Name: 'Open Office' } });
+    return floorplan.importCsv('space_types', csv).then((result) => {
+      assertEqual(result, { success: true, changes: 1, errors: [] });
+      assertEqual(office.name, 'Open Office');
+    });
+  });
+});
@@ -0,0 +1,209 @@
+import _ from 'lodash';
+import { parseDxf, scaleToProjectUnits, writeDxf } from '../../../../src/utilities/dxf';
+import { createFloorplan } from '../../../../src/headless';
+import { pointOnArc } from '../../../../src/store/modules/geometry/arcs';
+import { underlaySegments, underlayEdgeTargets } from '../../../../src/components/Grid/snapping';
+import { createStore } from '../../../../src/store/index';
+import { assert, assertEqual, nearlyEqual, square } from '../../test_helpers';
+
+const dxf = groups => groups.map(([code, value]) => `${code}\n${value}`).join('\n');
+
+const drawing = dxf([
+  [0, 'SECTION'], [2, 'HEADER'],
+  [9, '$INSUNITS'], [70, 1],
+  [0, 'ENDSEC'],
+  [0, 'SECTION'], [2, 'ENTITIES'],
+  // a closed 10' x 10' room, in inches
+  [0, 'LWPOLYLINE'], [8, 'A-WALL'], [90, 4], [70, 1],
+  [10, 0], [20, 0], [10, 120], [20, 0], [10, 120], [20, 120], [10, 0], [20, 120],
+  // a room saved as an old style polyline, closed by repeating its first vertex
+  [0, 'POLYLINE'], [8, 'A-WALL'], [70, 0],
+  [0, 'VERTEX'], [8, 'A-WALL'], [10, 120], [20, 0],
+  [0, 'VERTEX'], [8, 'A-WALL'], [10, 240], [20, 0],
+  [0, 'VERTEX'], [8, 'A-WALL'], [10, 240], [20, 120],
+  [0, 'VERTEX'], [8, 'A-WALL'], [10, 120], [20, 120],
+  [0, 'VERTEX'], [8, 'A-WALL'], [10, 120], [20, 0],
+  [0, 'SEQEND'],
+  [0, 'LINE'], [8, 'A-FURN'], [10, 12], [20, 12], [11, 60], [21, 12],
+  [0, 'CIRCLE'], [8, 'A-FURN'], [10, 30], [20, 30], [40, 6],
+  [0, 'ENDSEC'],
+  [0, 'EOF'],
+]);
+
+// a 10' x 10' room, in inches, with a half circle bay on its right wall, and a quarter circle door swing
+const curved = dxf([
+  [0, 'SECTION'], [2, 'ENTITIES'],
+  [0, 'LWPOLYLINE'], [8, 'A-WALL'], [90, 4], [70, 1],
+  [10, 0], [20, 0], [10, 120], [20, 0], [42, 1], [10, 120], [20, 120], [10, 0], [20, 120],
+  [0, 'POLYLINE'], [8, 'A-DOOR'], [70, 0],
+  [0, 'VERTEX'], [8, 'A-DOOR'], [10, 36], [20, 0], [42, Math.tan(Math.PI / 8)],
+  [0, 'VERTEX'], [8, 'A-DOOR'], [10, 0], [20, 36],
+  [0, 'SEQEND'],
+  [0, 'ENDSEC'],
+  [0, 'EOF'],
+]);
+
+describe('parseDxf', () => {
+  it('reads lines and polylines with their layers and units', () => {
+    const { units, layers, entities } = parseDxf(drawing);
+    assertEqual(units, 'in');
+    assertEqual(layers, ['A-FURN', 'A-WALL']);
+    assertEqual(_.map(entities, 'type'), ['LWPOLYLINE', 'POLYLINE', 'LINE']);
+    assertEqual(_.map(entities, 'closed'), [true, true, false]);
+    assertEqual(entities[1].points.length, 4);
+    assertEqual(entities[2].points, [{ x: 12, y: 12 }, { x: 60, y: 12 }]);
+  });
+
+  it('reads the bulges of arcs in polylines onto the points they start at', () => {
+    const { entities: [room, swing] } = parseDxf(curved);
+    assertEqual(room.points, [{ x: 0, y: 0 }, { x: 120, y: 0, bulge: 1 }, { x: 120, y: 120 }, { x: 0, y: 120 }]);
+    assert(nearlyEqual(swing.points[0].bulge, Math.tan(Math.PI / 8)));
+    assertEqual(swing.points[1], { x: 0, y: 36 });
+  });
+
+  it('rejects files that are not DXF', () => {
+    let error;
+    try {
+      parseDxf('{ "stories": [] }');
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /Invalid DXF/.test(error.message));
+  });
+
+  it('converts drawing units to project units', () => {
+    assert(nearlyEqual(scaleToProjectUnits('in', 'ip'), 1 / 12));
+    assert(nearlyEqual(scaleToProjectUnits('mm', 'si'), 0.001));
+    assert(nearlyEqual(scaleToProjectUnits('m', 'ip'), 3.280839895));
+  });
+});
+
+describe('importDxf', () => {
+  it('turns closed polylines into spaces and keeps other lines as an underlay', () => {
+    const store = createStore();
+    store.dispatch('models/initStory');
+    return store.dispatch('importDxf', {
+      drawing: parseDxf(drawing),
+      name: 'plan',
+      layers: ['A-WALL', 'A-FURN'],
+      scale: 1 / 12,
+    }).then((result) => {
+      const story = store.state.models.stories[0];
+      assert(result.success);
+      assertEqual(result.errors, []);
+      assertEqual(story.spaces.length, 2);
+      assert(_.every(story.spaces, 'face_id'));
+      assertEqual(story.underlays.length, 1);
+      assertEqual(story.underlays[0].name, 'plan');
+      assertEqual(story.underlays[0].lines, [{ layer: 'A-FURN', points: [{ x: 1, y: 1 }, { x: 5, y: 1 }] }]);
+    });
+  });
+
+  it('turns the arcs of polylines into arc edges, and draws them in underlays with straight segments', () => {
+    const floorplan = createFloorplan({ units: 'ip' });
+    const { store } = floorplan;
+    return store.dispatch('importDxf', {
+      drawing: parseDxf(curved),
+      name: 'plan',
+      layers: ['A-WALL', 'A-DOOR'],
+      scale: 1 / 12,
+    }).then((result) => {
+      assertEqual(result.errors, []);
+      const arcs = _.filter(store.getters['geometry/denormalized'][0].edges, 'bulge');
+      assertEqual(arcs.length, 1);
+      // the bay bulges out of the room, to 5' right of its wall
+      const [{ v1, v2, bulge }] = arcs;
+      const middle = pointOnArc(v1, v2, bulge, 0.5);
+      assert(nearlyEqual(middle.x, 15) && nearlyEqual(middle.y, 5), `${middle.x}, ${middle.y}`);
+
+      const [{ points }] = store.state.models.stories[0].underlays[0].lines;
+      assert(points.length > 2);
+      points.forEach(p => assert(nearlyEqual(Math.sqrt((p.x * p.x) + (p.y * p.y)), 3), `${p.x}, ${p.y}`));
+    });
+  });
+
+  it('only imports the chosen layers', () => {
+    const store = createStore();
+    store.dispatch('models/initStory');
+    return store.dispatch('importDxf', {
+      drawing: parseDxf(drawing),
+      name: 'plan',
+      layers: ['A-FURN'],
+      scale: 1,
+    }).then(() => {
+      const story = store.state.models.stories[0];
+      assert(!_.some(story.spaces, 'face_id'));
+      assertEqual(story.underlays.length, 1);
+    });
+  });
+});
+
+describe('underlayEdgeTargets', () => {
+  const underlays = [{ visible: true, lines: [{ points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }] }] }];
+
+  it('snaps to the closest point on an underlay line', () => {
+    const [target] = underlayEdgeTargets(underlaySegments(underlays), { x: 4, y: 0.5 }, 1);
+    assertEqual(target.type, 'edge');
+    assertEqual(target.projection, { x: 4, y: 0 });
+  });
+
+  it('ignores lines out of snapping range, and hidden underlays', () => {
+    assertEqual(underlayEdgeTargets(underlaySegments(underlays), { x: 4, y: 3 }, 1), []);
+    assertEqual(underlaySegments([{ ...underlays[0], visible: false }]), []);
+  });
+});
+
+describe('exportDxf', () => {
+  it('writes faces, names and windows on layers for each story', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const { store } = floorplan;
+    const story = store.state.models.stories[0];
+    const points = square(0, 0, 10);
+    store.dispatch('models/createObjectWithType', { type: 'thermal_zones' });
+    store.dispatch('models/createObjectWithType', { type: 'window_definitions' });
+    const zone = store.state.models.library.thermal_zones[0];
+    const windowDefinition = store.state.models.library.window_definitions[0];
+
+    return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points })
+      .then(() => floorplan.assignProperty({ spaceId: story.spaces[0].id, propertyId: zone.id }))
+      .then(() => floorplan.placeWindow({
+        edgeId: store.state.geometry[0].edges[0].id,
+        definitionId: windowDefinition.id,
+        alpha: 0.5,
+      }))
+      .then(() => {
+        const text = floorplan.exportDxf();
+        const { units, layers, entities } = parseDxf(text);
+        // R12 files have no entities or header variables from later versions, and can't declare their units
+        assert(text.indexOf('AC1009') !== -1);
+        assert(text.indexOf('LWPOLYLINE') === -1 && text.indexOf('$INSUNITS') === -1);
+        assertEqual(units, null);
+        assertEqual(layers, ['Spaces', 'Thermal Zones', 'Windows'].map(l => `${story.name} - ${l}`));
+
+        const [room] = _.filter(entities, { layer: `${story.name} - Spaces` });
+        assertEqual(room.type, 'POLYLINE');
+        assert(room.closed);
+        assertEqual(_.sortBy(room.points, ['x', 'y']), _.sortBy(points, ['x', 'y']));
+
+        const [windowLine] = _.filter(entities, { layer: `${story.name} - Windows` });
+        assert(nearlyEqual(Math.abs(windowLine.points[0].x - windowLine.points[1].x) +
+          Math.abs(windowLine.points[0].y - windowLine.points[1].y), windowDefinition.width));
+
+        // names are written as text at the label position of each face
+        assert(text.indexOf(`TEXT\n8\n${story.name} - Spaces\n10\n5\n20\n5`) !== -1);
+        assert(text.indexOf(`\n1\n${story.spaces[0].name}\n`) !== -1);
+        assert(text.indexOf(`\n1\n${zone.name}\n`) !== -1);
+      });
+  });
+
+  it('writes polylines as R12 vertices, with the bulges of their arcs', () => {
+    const points = [{ x: 0, y: 0 }, { x: 10, y: 0, bulge: 0.5 }, { x: 10, y: 10 }];
+    const text = writeDxf({
+      layers: [{ name: 'Walls', color: 7 }],
+      entities: [{ type: 'POLYLINE', layer: 'Walls', points, closed: true }],
+    });
+    assertEqual((text.match(/\nVERTEX\n/g) || []).length, 3);
+    assert(text.indexOf('\nSEQEND\n') !== -1);
+    assertEqual(parseDxf(text).entities, [{ type: 'POLYLINE', layer: 'Walls', points, closed: true }]);
+  });
+});
@@ -0,0 +1,145 @@
+import _ from 'lodash';
+import { createFloorplan } from '../../../../src/headless';
+import { assert, assertEqual, nearlyEqual, square } from '../../test_helpers';
+
+// the surfaces of a gbXML file, read with regular expressions as there is no xml parser in node
+function surfaces(xml) {
+  return (xml.match(/<Surface [\s\S]*?<\/Surface>/g) || []).map((text) => {
+    const loops = (text.match(/<PolyLoop>[\s\S]*?<\/PolyLoop>/g) || []).map(loop =>
+      (loop.match(/<CartesianPoint>[\s\S]*?<\/CartesianPoint>/g) || []).map((point) => {
+        const [x, y, z] = point.match(/<Coordinate>([^<]*)<\/Coordinate>/g).map(c => Number(c.replace(/<[^>]+>/g, '')));
+        return { x, y, z };
+      }));
+    return {
+      type: text.match(/surfaceType="([^"]*)"/)[1],
+      spaces: (text.match(/spaceIdRef="([^"]*)"/g) || []).map(ref => ref.slice(12, -1)),
+      points: loops[0],
+      openings: loops.slice(1),
+      openingTypes: (text.match(/openingType="([^"]*)"/g) || []).map(type => type.slice(13, -1)),
+    };
+  });
+}
+
+// the normal of a polygon by Newell's method, which points the way the polygon faces when it is counterclockwise
+function normal(points) {
+  return points.reduce((n, p, ix) => {
+    const q = points[(ix + 1) % points.length];
+    return {
+      x: n.x + ((p.y - q.y) * (p.z + q.z)),
+      y: n.y + ((p.z - q.z) * (p.x + q.x)),
+      z: n.z + ((p.x - q.x) * (p.y + q.y)),
+    };
+  }, { x: 0, y: 0, z: 0 });
+}
+
+describe('exportGbXML', () => {
+  it('extrudes spaces into floors, roofs and walls that face out, with windows on their walls', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const { store } = floorplan;
+    const story = store.state.models.stories[0];
+    store.dispatch('models/createObjectWithType', { type: 'window_definitions' });
+    const windowDefinition = store.state.models.library.window_definitions[0];
+
+    return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points: square(0, 0, 10) })
+      .then(() => floorplan.createSpace({ storyId: story.id, points: square(10, 0, 10) }))
+      .then(() => {
+        const
+          geometry = store.state.geometry[0],
+          vertex = id => _.find(geometry.vertices, { id }),
+          // the edge along y = 0 of the first space
+          edge = _.find(geometry.edges, e => vertex(e.v1).y === 0 && vertex(e.v2).y === 0 && vertex(e.v1).x < 10);
+        return floorplan.placeWindow({ edgeId: edge.id, definitionId: windowDefinition.id, alpha: 0.5 });
+      })
+      .then(() => {
+        const
+          xml = floorplan.exportGbXML(),
+          all = surfaces(xml),
+          height = story.floor_to_ceiling_height;
+        assert(_.startsWith(xml, '<?xml version="1.0" encoding="UTF-8"?>\n<gbXML xmlns="http://www.gbxml.org/schema"'));
+        assert(/lengthUnit="Meters"/.test(xml));
+        assertEqual((xml.match(/<Space /g) || []).length, 2);
+        assertEqual(_.countBy(all, 'type'), { SlabOnGrade: 2, Roof: 2, ExteriorWall: 6, InteriorWall: 1 });
+
+        // the wall between the spaces belongs to both of them
+        assertEqual(_.find(all, { type: 'InteriorWall' }).spaces.length, 2);
+
+        all.filter(s => s.type === 'SlabOnGrade').forEach(s => assert(normal(s.points).z < 0));
+        all.filter(s => s.type === 'Roof').forEach(s => assert(normal(s.points).z > 0 && s.points[0].z === height));
+        all.filter(s => s.type === 'ExteriorWall').forEach((wall) => {
+          // walls face away from the middle of the building
+          const
+            n = normal(wall.points),
+            center = { x: _.meanBy(wall.points, 'x') - 10, y: _.meanBy(wall.points, 'y') - 5 };
+          assert((n.x * center.x) + (n.y * center.y) > 0);
+          assert(nearlyEqual(n.z, 0));
+        });
+
+        const [windowWall] = all.filter(s => s.openings.length);
+        assertEqual(windowWall.openingTypes, ['FixedWindow']);
+        const [opening] = windowWall.openings;
+        assert(_.every(opening, p => p.y === 0));
+        assert(nearlyEqual(_.meanBy(opening, 'x'), 5));
+        assert(nearlyEqual(_.max(_.map(opening, 'x')) - _.min(_.map(opening, 'x')), windowDefinition.width));
+        assert(nearlyEqual(_.min(_.map(opening, 'z')), windowDefinition.sill_height));
+      });
+  });
+
+  it('stacks stories with room for their multipliers and plenums', () => {
+    const floorplan = createFloorplan({ units: 'ip' });
+    const { store } = floorplan;
+    const first = store.state.models.stories[0];
+    store.dispatch('models/updateStoryWithData', {
+      story: first, multiplier: 3, floor_to_ceiling_height: 10, below_floor_plenum_height: 1, above_ceiling_plenum_height: 2,
+    });
+
+    return floorplan.createSpace({ storyId: first.id, spaceId: first.spaces[0].id, points: square(0, 0, 10) })
+      .then(() => floorplan.addStory())
+      .then(({ story_id: storyId }) => floorplan.createSpace({ storyId, points: square(0, 0, 10) }))
+      .then(() => {
+        const
+          xml = floorplan.exportGbXML(),
+          all = surfaces(xml);
+        assert(/lengthUnit="Feet"/.test(xml));
+        assertEqual((xml.match(/<Level>([^<]*)<\/Level>/g) || []), ['<Level>0</Level>', '<Level>39</Level>']);
+        assert(xml.indexOf('<Description>Multiplier 3</Description>') !== -1);
+        // the ceiling between the stories is written once, for both spaces
+        assertEqual(_.countBy(all, 'type'), { SlabOnGrade: 1, Ceiling: 1, Roof: 1, ExteriorWall: 8 });
+        assertEqual(_.find(all, { type: 'Ceiling' }).spaces.length, 2);
+        // the first story's space sits on its below floor plenum
+        assertEqual(_.find(all, { type: 'SlabOnGrade' }).points[0].z, 1);
+        assertEqual(_.find(all, { type: 'Ceiling' }).points[0].z, 11);
+      });
+  });
+
+  it('writes the parts of ceilings and floors which the other stories leave uncovered as roofs and floors', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const { store } = floorplan;
+    const first = store.state.models.stories[0];
+    const area = points => Math.abs(_.sum(points.map((p, ix) => {
+      const q = points[(ix + 1) % points.length];
+      return (p.x * q.y) - (q.x * p.y);
+    }))) / 2;
+    const areas = (all, type) => _.sum(all.filter(s => s.type === type).map(s => area(s.points)));
+
+    return floorplan.createSpace({ storyId: first.id, spaceId: first.spaces[0].id, points: square(0, 0, 20) })
+      .then(() => floorplan.addStory())
+      .then(({ story_id: storyId }) => floorplan.createSpace({ storyId, points: square(5, 5, 5) }))
+      .then(() => {
+        const all = surfaces(floorplan.exportGbXML());
+        assertEqual(_.countBy(all, 'type'), { SlabOnGrade: 1, Roof: 3, Ceiling: 1, ExteriorWall: 8 });
+        // the roof of the lower space is left around the upper space, cut in two as surfaces can't have holes
+        assert(nearlyEqual(areas(all, 'Roof'), 400));
+        assert(nearlyEqual(areas(all, 'Ceiling'), 25));
+        assertEqual(_.find(all, { type: 'Ceiling' }).spaces.length, 2);
+        return floorplan.addStory();
+      })
+      .then(({ story_id: storyId }) => floorplan.createSpace({ storyId, points: square(0, 0, 10) }))
+      .then(() => {
+        const all = surfaces(floorplan.exportGbXML());
+        // the top space overhangs the one below it
+        assert(nearlyEqual(areas(all, 'RaisedFloor'), 75));
+        assert(nearlyEqual(areas(all, 'Ceiling'), 50));
+        all.filter(s => s.type === 'RaisedFloor').forEach(s => assert(normal(s.points).z < 0));
+      });
+  });
+});
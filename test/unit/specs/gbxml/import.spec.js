@@ -0,0 +1,259 @@
+import _ from 'lodash';
+import { createFloorplan } from '../../../../src/headless';
+import { parseXml, childrenNamed, textOf } from '../../../../src/utilities/xml';
+import { readGbXML } from '../../../../src/utilities/gbxml';
+import { readIfc } from '../../../../src/utilities/ifc';
+import geometryHelpers from '../../../../src/store/modules/geometry/helpers';
+import { assert, assertEqual, nearlyEqual, square } from '../../test_helpers';
+
+const area = points => Math.abs(geometryHelpers.areaOfSelection(points));
+
+// the ids of all objects in some state
+const idsIn = obj => _.flatMap(obj, (val, key) => (
+  key === 'id' && !_.isObject(val) ? [val] : (_.isObject(val) ? idsIn(val) : [])));
+
+// two stories, 3 high, of two 10 by 10 spaces and one 20 by 20 space, with the second space of the first story in a thermal zone
+function twoStories() {
+  const floorplan = createFloorplan({ units: 'si' });
+  const { store } = floorplan;
+  const first = store.state.models.stories[0];
+  store.dispatch('models/updateStoryWithData', { story: first, name: 'Ground', floor_to_ceiling_height: 3 });
+  store.dispatch('models/createObjectWithType', { type: 'thermal_zones' });
+  const zone = store.state.models.library.thermal_zones[0];
+  store.dispatch('models/updateObjectWithData', { object: zone, name: 'East Zone' });
+
+  return floorplan.createSpace({ storyId: first.id, spaceId: first.spaces[0].id, points: square(0, 0, 10) })
+    .then(() => floorplan.createSpace({ storyId: first.id, points: square(10, 0, 10) }))
+    .then(({ space_id: spaceId }) => floorplan.assignProperty({ spaceId, propertyId: zone.id }))
+    .then(() => floorplan.addStory())
+    .then(({ story_id: storyId }) => {
+      store.dispatch('models/updateStoryWithData', { story: { id: storyId }, floor_to_ceiling_height: 3 });
+      return floorplan.createSpace({ storyId, points: square(0, 0, 20) });
+    })
+    .then(() => floorplan.exportGbXML());
+}
+
+const ifc = `ISO-10303-21;
+HEADER;
+FILE_DESCRIPTION(('ViewDefinition [CoordinationView]'),'2;1');
+ENDSEC;
+DATA;
+#1=IFCSIUNIT(*,.LENGTHUNIT.,.MILLI.,.METRE.);
+#2=IFCCARTESIANPOINT((0.,0.,0.));
+#3=IFCAXIS2PLACEMENT3D(#2,$,$);
+#4=IFCLOCALPLACEMENT($,#3);
+#5=IFCCARTESIANPOINT((0.,0.,3000.));
+#6=IFCAXIS2PLACEMENT3D(#5,$,$);
+#7=IFCLOCALPLACEMENT(#4,#6);
+#10=IFCBUILDINGSTOREY('s1',$,'Level 0',$,$,#4,$,$,.ELEMENT.,0.);
+#11=IFCBUILDINGSTOREY('s2',$,'Level 1',$,$,#7,$,$,.ELEMENT.,3000.);
+#20=IFCCARTESIANPOINT((0.,0.));
+#21=IFCCARTESIANPOINT((5000.,0.));
+#22=IFCCARTESIANPOINT((5000.,4000.));
+#23=IFCCARTESIANPOINT((0.,4000.));
+#24=IFCPOLYLINE((#20,#21,#22,#23,#20));
+#25=IFCARBITRARYCLOSEDPROFILEDEF(.AREA.,$,#24);
+#26=IFCDIRECTION((0.,0.,1.));
+#27=IFCEXTRUDEDAREASOLID(#25,#3,#26,2700.);
+#28=IFCSHAPEREPRESENTATION($,'Body','SweptSolid',(#27));
+#29=IFCPRODUCTDEFINITIONSHAPE($,$,(#28));
+#30=IFCSPACE('a',$,'101',$,'Office',#4,#29,'Manager''s Office',.ELEMENT.,.INTERNAL.,$);
+#40=IFCCARTESIANPOINT((7500.,2000.));
+#41=IFCDIRECTION((1.,0.));
+#42=IFCAXIS2PLACEMENT2D(#40,#41);
+#43=IFCRECTANGLEPROFILEDEF(.AREA.,$,#42,5000.,4000.);
+#44=IFCEXTRUDEDAREASOLID(#43,#3,#26,2700.);
+#45=IFCSHAPEREPRESENTATION($,'Body','SweptSolid',(#44));
+#46=IFCPRODUCTDEFINITIONSHAPE($,$,(#45));
+#47=IFCSPACE('b',$,'102',$,'Office',#4,#46,$,.ELEMENT.,.INTERNAL.,$);
+#50=IFCPRODUCTDEFINITIONSHAPE($,$,(#28));
+#51=IFCSPACE('c',$,'201',$,$,#7,#50,$,.ELEMENT.,.INTERNAL.,$);
+#60=IFCZONE('z',$,'Perimeter',$,$);
+#61=IFCRELASSIGNSTOGROUP('r',$,$,$,(#30,#51),$,#60);
+ENDSEC;
+END-ISO-10303-21;
+`;
+
+describe('parseXml', () => {
+  it('reads elements, attributes and text, without namespace prefixes', () => {
+    const root = parseXml('<?xml version="1.0"?>\n<!-- a comment -->\n<a:root xmlns:a="x" b="1 &amp; 2"><child>one</child><child><![CDATA[<two>]]></child><empty /></a:root>');
+    assertEqual(root.name, 'root');
+    assertEqual(root.attributes, { a: 'x', b: '1 & 2' });
+    assertEqual(childrenNamed(root, 'child').map(textOf), ['one', '<two>']);
+    assertEqual(childrenNamed(root, 'empty').length, 1);
+  });
+
+  it('rejects text that is not well formed', () => {
+    ['<a><b></a>', '<a>', 'not xml', '<a></a><b></b>'].forEach((text) => {
+      let error;
+      try {
+        parseXml(text);
+      } catch (e) {
+        error = e;
+      }
+      assert(error && /^Invalid XML/.test(error.message), text);
+    });
+  });
+});
+
+describe('readGbXML', () => {
+  it('reads the floors of spaces exported by exportGbXML, with their storeys and zones', () =>
+    twoStories().then((xml) => {
+      const model = readGbXML(xml);
+      assertEqual(model.units, 'm');
+      assertEqual(model.storeys.map(s => s.name), ['Ground', 'Story 1']);
+      assertEqual(model.spaces.length, 3);
+      assertEqual(_.map(model.spaces, 'elevation'), [0, 0, 3]);
+      assertEqual(_.map(model.spaces, 'thermalZone'), [undefined, 'East Zone', undefined]);
+      assertEqual(model.spaces.map(s => area(s.points)), [100, 100, 400]);
+      assert(model.spaces.every(s => nearlyEqual(s.height, 3)));
+    }));
+
+  it('rejects xml that is not gbXML', () => {
+    let error;
+    try {
+      readGbXML('<svg></svg>');
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /^Invalid gbXML/.test(error.message));
+  });
+});
+
+describe('readIfc', () => {
+  it('reads the footprints of extruded spaces, with their storeys, zones and types', () => {
+    const model = readIfc(ifc);
+    assertEqual(model.units, 'mm');
+    assertEqual(model.storeys, [{ name: 'Level 0', elevation: 0 }, { name: 'Level 1', elevation: 3000 }]);
+    assertEqual(_.map(model.spaces, 'name'), ["Manager's Office", '102', '201']);
+    assertEqual(_.map(model.spaces, 'elevation'), [0, 0, 3000]);
+    assertEqual(_.map(model.spaces, 'height'), [2700, 2700, 2700]);
+    assertEqual(_.map(model.spaces, 'thermalZone'), ['Perimeter', undefined, 'Perimeter']);
+    assertEqual(_.map(model.spaces, 'spaceType'), ['Office', 'Office', undefined]);
+    assertEqual(model.spaces[0].points, [{ x: 0, y: 0 }, { x: 5000, y: 0 }, { x: 5000, y: 4000 }, { x: 0, y: 4000 }]);
+    assertEqual(_.minBy(model.spaces[1].points, 'x'), { x: 5000, y: 0 });
+    assertEqual(area(model.spaces[1].points), 20000000);
+  });
+
+  it('rejects text that is not IFC', () => {
+    let error;
+    try {
+      readIfc('<gbXML></gbXML>');
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /^Invalid IFC/.test(error.message));
+  });
+});
+
+describe('importBuildingModel', () => {
+  it('imports the spaces of a gbXML file as stories, with their thermal zones', () =>
+    twoStories().then((xml) => {
+      const floorplan = createFloorplan({ units: 'si' });
+      const { store } = floorplan;
+      return floorplan.importGbXML(xml).then((result) => {
+        assert(result.success);
+        assertEqual(result.errors, []);
+        assertEqual(result.spaces.length, 3);
+        const { stories } = store.state.models;
+        assertEqual(stories.map(s => s.name), ['Ground', 'Story 1']);
+        assertEqual(result.stories, _.map(stories, 'id'));
+        assertEqual(stories.map(s => s.floor_to_ceiling_height), [3, 3]);
+        assertEqual(stories.map(s => s.spaces.length), [2, 1]);
+
+        // the wall between the spaces of the first story is shared
+        assertEqual(store.state.geometry[0].faces.length, 2);
+        assertEqual(store.state.geometry[0].edges.length, 7);
+
+        const zones = store.state.models.library.thermal_zones;
+        assertEqual(_.map(zones, 'name'), ['East Zone']);
+        assertEqual(_.map(stories[0].spaces, 'thermal_zone_id'), [null, zones[0].id]);
+      });
+    }));
+
+  it('imports IFC spaces in project units, with their types and zones', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const { store } = floorplan;
+    store.dispatch('models/createObjectWithType', { type: 'space_types' });
+    const office = store.state.models.library.space_types[0];
+    store.dispatch('models/updateObjectWithData', { object: office, name: 'Office' });
+
+    return floorplan.importIfc(ifc).then((result) => {
+      assert(result.success);
+      const
+        { stories } = store.state.models,
+        { space_types: spaceTypes, thermal_zones: zones } = store.state.models.library;
+      assertEqual(stories.map(s => s.name), ['Level 0', 'Level 1']);
+      assert(nearlyEqual(stories[0].floor_to_ceiling_height, 2.7));
+      assertEqual(_.map(stories[0].spaces, 'name'), ["Manager's Office", '102']);
+
+      // the existing space type is used, and a thermal zone is added for the zone
+      assertEqual(spaceTypes, [office]);
+      assertEqual(_.map(stories[0].spaces, 'space_type_id'), [office.id, office.id]);
+      assertEqual(_.map(zones, 'name'), ['Perimeter']);
+      assertEqual(stories[1].spaces[0].thermal_zone_id, zones[0].id);
+
+      const vertices = store.state.geometry[0].vertices;
+      assertEqual(_.max(_.map(vertices, 'x')), 10);
+      assertEqual(_.max(_.map(vertices, 'y')), 4);
+    });
+  });
+
+  it('keeps spaces raised above their story or with their own height', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const model = {
+      units: 'm',
+      storeys: [],
+      spaces: [
+        { name: 'Low', points: square(0, 0, 4), elevation: 0, height: 3 },
+        { name: 'Stage', points: square(4, 0, 4), elevation: 0.5, height: 2.5 },
+        { name: 'Hall', points: square(8, 0, 4), elevation: 0, height: 3 },
+      ],
+    };
+    return floorplan.store.dispatch('importBuildingModel', { model }).then((result) => {
+      assert(result.success);
+      const [story] = floorplan.store.state.models.stories;
+      assertEqual(story.floor_to_ceiling_height, 3);
+      const stage = _.find(story.spaces, { name: 'Stage' });
+      assertEqual(stage.floor_offset, 0.5);
+      assertEqual(stage.floor_to_ceiling_height, 2.5);
+      assert(!_.find(story.spaces, { name: 'Hall' }).floor_offset);
+    });
+  });
+
+  it('gives every object of a model with several storeys its own id', () => {
+    // another editor on the page has made objects of its own
+    const other = createFloorplan({ units: 'si' });
+    other.store.dispatch('models/initStory');
+    const floorplan = createFloorplan({ units: 'si' });
+    const { models, geometry } = floorplan.store.state;
+    const existing = idsIn([models, geometry]);
+    floorplan.store.idFactory.setId(1000);
+    const model = {
+      units: 'm',
+      storeys: [],
+      spaces: _.flatMap([0, 3, 6], elevation => [
+        { points: square(0, 0, 4), elevation, height: 3, thermalZone: `Zone ${elevation}` },
+        { points: square(4, 0, 4), elevation, height: 3, spaceType: 'Office' },
+      ]),
+    };
+    return floorplan.store.dispatch('importBuildingModel', { model }).then((result) => {
+      assert(result.success);
+      assertEqual(result.errors, []);
+      assertEqual(models.stories.map(s => s.spaces.length), [2, 2, 2]);
+      assertEqual(_.map(models.library.thermal_zones, 'name'), ['Zone 0', 'Zone 3', 'Zone 6']);
+
+      const ids = idsIn([models, geometry]);
+      assertEqual(_.filter(_.countBy(ids), count => count > 1), []);
+      // the new objects all have ids from the floorplan's own generator, which was set to start at 1000
+      const added = _.difference(ids, existing).map(Number);
+      assert(_.min(added) >= 1000 && _.max(added) < floorplan.store.idFactory.generate());
+    });
+  });
+
+  it('resolves with an error for files that are not building models', () =>
+    createFloorplan({ units: 'si' }).importGbXML('not xml').then((result) => {
+      assert(!result.success);
+      assert(/^Invalid XML/.test(result.error));
+    }));
+});
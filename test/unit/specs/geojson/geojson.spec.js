@@ -0,0 +1,177 @@
+import _ from 'lodash';
+import { georeference, gridToLonLat, lonLatToGrid, outerRing, geojsonPolygons } from '../../../../src/utilities/geojson';
+import { createFloorplan } from '../../../../src/headless';
+import { createStore } from '../../../../src/store/index';
+import { assert, assertEqual, nearlyEqual, square } from '../../test_helpers';
+
+const project = (units, rotation = 0) => ({
+  config: { units },
+  map: { latitude: 39.7407, longitude: -105.1686, rotation },
+});
+
+const nearlySamePoint = (a, b) => nearlyEqual(a.x, b.x) && nearlyEqual(a.y, b.y);
+
+describe('georeference', () => {
+  it('converts grid coordinates to longitude, latitude and back', () => {
+    [project('si'), project('ip'), project('si', Math.PI / 3)].forEach((p) => {
+      const reference = georeference(p);
+      const point = { x: 120, y: -45 };
+      assert(nearlySamePoint(lonLatToGrid(gridToLonLat(point, reference), reference), point));
+    });
+  });
+
+  it('places the origin at the latitude and longitude of the map, turned by its rotation', () => {
+    const reference = georeference(project('si', Math.PI / 2));
+    assertEqual(gridToLonLat({ x: 0, y: 0 }, reference), [-105.1686, 39.7407]);
+    // with the grid turned a quarter turn counterclockwise, +x points north
+    const [lon, lat] = gridToLonLat({ x: 100, y: 0 }, reference);
+    assert(nearlyEqual(lon, -105.1686));
+    assert(lat > 39.7407);
+  });
+
+  it('turns the grid by the north axis of the project, which the map rotation follows', () => {
+    const { store } = createFloorplan({ units: 'si' });
+    store.dispatch('project/setNorthAxis', { north_axis: 90 });
+    const { project: current } = store.state;
+    assert(nearlyEqual(current.map.rotation, Math.PI / 2));
+    assert(nearlyEqual(georeference(current).rotation, Math.PI / 2));
+
+    // floorplans saved before the map followed the north axis are turned by it
+    const older = { ...project('si'), north_axis: 90 };
+    const [lon, lat] = gridToLonLat({ x: 100, y: 0 }, georeference(older));
+    assert(nearlyEqual(lon, -105.1686));
+    assert(lat > 39.7407);
+    assert(nearlySamePoint(lonLatToGrid([lon, lat], georeference(older)), { x: 100, y: 0 }));
+  });
+
+  it('measures ip projects in feet', () => {
+    const
+      si = gridToLonLat({ x: 0, y: 100 }, georeference(project('si'))),
+      ip = gridToLonLat({ x: 0, y: 100 / 0.3048 }, georeference(project('ip')));
+    assert(nearlyEqual(si[1], ip[1]));
+  });
+});
+
+describe('geojsonPolygons', () => {
+  it('closes outer rings counterclockwise', () => {
+    assertEqual(outerRing([[0, 0], [0, 1], [1, 1]]), [[1, 1], [0, 1], [0, 0], [1, 1]]);
+    assertEqual(outerRing([[0, 0], [1, 0], [1, 1]]), [[0, 0], [1, 0], [1, 1], [0, 0]]);
+  });
+
+  it('reads the polygons of features and geometries with their properties', () => {
+    const polygons = geojsonPolygons({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: { name: 'A' }, geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] } },
+        {
+          type: 'Feature',
+          properties: { name: 'B' },
+          geometry: { type: 'MultiPolygon', coordinates: [[[[2, 0], [3, 0], [3, 1], [2, 0]]], [[[4, 0], [5, 0], [5, 1], [4, 0]]]] },
+        },
+        { type: 'Feature', properties: { name: 'C' }, geometry: { type: 'Point', coordinates: [0, 0] } },
+      ],
+    });
+    assertEqual(_.map(polygons, 'properties.name'), ['A', 'B', 'B']);
+    assertEqual(polygons[0].ring, [[0, 0], [1, 0], [1, 1]]);
+  });
+
+  it('rejects data that is not GeoJSON', () => {
+    let error;
+    try {
+      geojsonPolygons({ stories: [] });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /Invalid GeoJSON/.test(error.message));
+  });
+});
+
+describe('exportGeoJSON', () => {
+  it('exports the spaces of a story as features with their properties', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const { store } = floorplan;
+    const story = store.state.models.stories[0];
+    store.dispatch('project/setMapLatitude', { latitude: 39.7407 });
+    store.dispatch('project/setMapLongitude', { longitude: -105.1686 });
+    store.dispatch('models/createObjectWithType', { type: 'thermal_zones' });
+    const zone = store.state.models.library.thermal_zones[0];
+    const outline = square(0, 0, 10);
+
+    return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points: outline })
+      .then(() => floorplan.assignProperty({ spaceId: story.spaces[0].id, propertyId: zone.id }))
+      .then(() => {
+        const collection = floorplan.exportGeoJSON(story.id);
+        assertEqual(collection.type, 'FeatureCollection');
+        assertEqual(collection.name, story.name);
+        assertEqual(collection.features.length, 1);
+
+        const [feature] = collection.features;
+        assertEqual(feature.id, story.spaces[0].id);
+        assertEqual(feature.properties.name, story.spaces[0].name);
+        assertEqual(feature.properties.thermal_zone, zone.name);
+        assertEqual(feature.properties.type, 'space');
+        assertEqual(feature.properties.story_name, story.name);
+
+        const ring = feature.geometry.coordinates[0];
+        assertEqual(ring.length, 5);
+        assertEqual(_.first(ring), _.last(ring));
+        const reference = georeference(store.state.project);
+        const points = _.initial(ring).map(position => lonLatToGrid(position, reference));
+        assert(_.every(outline, p => _.some(points, q => nearlySamePoint(p, q))));
+      });
+  });
+});
+
+describe('importGeoJSON', () => {
+  const footprints = (reference, type) => ({
+    type: 'FeatureCollection',
+    features: [[0, 'North'], [20, 'South']].map(([x, name]) => ({
+      type: 'Feature',
+      properties: { name },
+      geometry: {
+        type,
+        coordinates: [[[x, 0], [x + 10, 0], [x + 10, 10], [x, 10], [x, 0]]
+          .map(([px, py]) => gridToLonLat({ x: px, y: py }, reference))],
+      },
+    })),
+  });
+
+  it('places footprints as spaces at their location on the grid', () => {
+    const store = createStore();
+    store.dispatch('models/initStory');
+    store.dispatch('project/setMapLatitude', { latitude: 39.7407 });
+    store.dispatch('project/setMapLongitude', { longitude: -105.1686 });
+    store.dispatch('project/setMapInitialized', { initialized: true });
+    const reference = georeference(store.state.project);
+
+    return store.dispatch('importGeoJSON', { data: footprints(reference, 'Polygon') }).then((result) => {
+      const story = store.state.models.stories[0];
+      assert(result.success);
+      assertEqual(result.errors, []);
+      assertEqual(result.spaces.length, 2);
+      assertEqual(_.map(story.spaces, 'name'), ['North', 'South']);
+      assertEqual(store.state.geometry[0].faces.length, 2);
+      const vertices = store.state.geometry[0].vertices;
+      assert(_.some(vertices, v => nearlySamePoint(v, { x: 30, y: 10 })));
+    });
+  });
+
+  it('places the floorplan on the map at the footprints, and imports them as shading', () => {
+    const store = createStore();
+    store.dispatch('models/initStory');
+    const data = footprints(georeference(project('ip')), 'Polygon');
+
+    return store.dispatch('importGeoJSON', { data, type: 'shading' }).then((result) => {
+      const story = store.state.models.stories[0];
+      assert(result.success);
+      assertEqual(result.shading.length, 2);
+      assertEqual(story.shading.length, 2);
+      assert(store.state.project.map.initialized);
+      assert(nearlyEqual(store.state.project.map.latitude, 39.7407, 0.001));
+    });
+  });
+
+  it('resolves with an error for data that is not GeoJSON', () =>
+    createStore().dispatch('importGeoJSON', { data: { stories: [] } })
+      .then(result => assert(!result.success && /Invalid GeoJSON/.test(result.error))));
+});
@@ -0,0 +1,142 @@
+import _ from 'lodash';
+import { createFloorplan } from '../../../../src/headless';
+import {
+  arcLength, pointOnArc, tessellateArc, arcsThroughPoints, bulgeThrough,
+} from '../../../../src/store/modules/geometry/arcs';
+import { repeatingWindowCenters, distanceBetweenPoints } from '../../../../src/store/modules/geometry/helpers';
+import { assert, assertEqual, nearlyEqual } from '../../test_helpers';
+
+const center = { x: 5, y: 5 };
+const onCircle = (p, epsilon) => nearlyEqual(distanceBetweenPoints(p, center), 5, epsilon);
+
+// a 10 x 5 rectangle with a half circle on top, drawn by the Polygon tool through its highest point
+const roundTop = arcsThroughPoints([
+  { x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 5 }, { x: 5, y: 10, through: true }, { x: 0, y: 5 },
+]);
+
+// a floorplan with a space drawn from points on its first story
+function floorplanWithSpace(points) {
+  const floorplan = createFloorplan({ units: 'si' });
+  const story = floorplan.store.state.models.stories[0];
+  // vertices closer than a twentieth of the grid spacing are merged, so the grid is fine enough for these shapes
+  floorplan.store.commit('project/setSpacing', { spacing: 1 });
+  return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points })
+    .then((result) => {
+      assert(result.success, result.error);
+      return { floorplan, story, geometry: floorplan.store.state.geometry[0] };
+    });
+}
+
+// the edges of a face, with their vertices and bulges in the direction the face goes around them
+function faceEdges(floorplan, faceId) {
+  const geometry = _.find(floorplan.store.getters['geometry/denormalized'], g => _.find(g.faces, { id: faceId }));
+  return _.find(geometry.faces, { id: faceId }).edges.map(e => ({
+    id: e.id,
+    start: e.reverse ? e.v2 : e.v1,
+    end: e.reverse ? e.v1 : e.v2,
+    bulge: e.reverse ? -(e.bulge || 0) : (e.bulge || 0),
+  }));
+}
+
+describe('arcs', () => {
+  it('are drawn through three points, with a bulge of 1 for a half circle', () => {
+    assertEqual(roundTop.length, 4);
+    assertEqual(_.omit(roundTop[2], 'bulge'), { x: 10, y: 5 });
+    assert(nearlyEqual(roundTop[2].bulge, 1));
+    assert(nearlyEqual(bulgeThrough({ x: 0, y: 5 }, { x: 5, y: 0 }, { x: 10, y: 5 }), 1));
+    assertEqual(bulgeThrough({ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }), 0);
+
+    assert(nearlyEqual(arcLength({ x: 10, y: 5 }, { x: 0, y: 5 }, 1), 5 * Math.PI));
+    const top = pointOnArc({ x: 10, y: 5 }, { x: 0, y: 5 }, 1, 0.5);
+    assert(nearlyEqual(top.x, 5) && nearlyEqual(top.y, 10));
+    // both ways along an arc give the same points, so faces on either side of it share them
+    assertEqual(
+      tessellateArc({ x: 10, y: 5 }, { x: 0, y: 5 }, 1),
+      tessellateArc({ x: 0, y: 5 }, { x: 10, y: 5 }, -1).reverse());
+  });
+
+  it('are saved as edges with a bulge, and opened again', () =>
+    floorplanWithSpace(roundTop).then(({ floorplan, story }) => {
+      const
+        data = floorplan.exportFloorplan(),
+        { edges } = data.stories[0].geometry,
+        arc = _.find(edges, 'bulge');
+      assertEqual(_.filter(edges, 'bulge').length, 1);
+      assert(nearlyEqual(Math.abs(arc.bulge), 1));
+      assertEqual(floorplan.store.getters['geometry/errors'], []);
+      return floorplan.openFloorplan(JSON.stringify(data))
+        .then(() => assertEqual(_.find(floorplan.store.state.geometry[0].edges, { id: arc.id }).bulge, arc.bulge))
+        .then(() => assertEqual(story.id, floorplan.store.state.models.stories[0].id));
+    }));
+
+  it('keep their arcs when the face is extended, and are cut by faces drawn over them', () =>
+    floorplanWithSpace(roundTop)
+      .then(({ floorplan, story }) => floorplan.createSpace({
+        storyId: story.id,
+        spaceId: story.spaces[0].id,
+        points: [{ x: 0, y: -5 }, { x: 10, y: -5 }, { x: 10, y: 1 }, { x: 0, y: 1 }],
+      }).then(() => ({ floorplan, story })))
+      .then(({ floorplan, story }) => {
+        const [space] = story.spaces;
+        const arcs = faceEdges(floorplan, space.face_id).filter(e => e.bulge);
+        assert(arcs.length === 1 && nearlyEqual(arcs[0].bulge, 1));
+
+        // a space over the top of the arc cuts it where the circle crosses y = 8, at x = 1 and x = 9
+        return floorplan.createSpace({
+          storyId: story.id,
+          points: [{ x: 0, y: 8 }, { x: 10, y: 8 }, { x: 10, y: 14 }, { x: 0, y: 14 }],
+        }).then(() => {
+          const
+            pieces = faceEdges(floorplan, space.face_id).filter(e => e.bulge),
+            expectedBulge = Math.tan(Math.atan2(3, 4) / 4);
+          assertEqual(pieces.length, 2);
+          pieces.forEach((arc) => {
+            assert(nearlyEqual(arc.bulge, expectedBulge, 0.001), `bulge ${arc.bulge}`);
+            assert(onCircle(arc.start) && onCircle(arc.end));
+          });
+          const cut = _.sortBy(pieces.map(arc => (arc.end.y > arc.start.y ? arc.end : arc.start)), 'x');
+          assert(nearlyEqual(cut[0].x, 1, 0.01) && nearlyEqual(cut[1].x, 9, 0.01));
+
+          // the new space is split where the arcs meet it
+          const above = _.find(story.spaces, s => s.id !== space.id);
+          assertEqual(faceEdges(floorplan, above.face_id).length, 6);
+          assertEqual(floorplan.store.getters['geometry/errors'], []);
+        });
+      }));
+
+  it('lay repeating windows along the arc', () => {
+    const centers = repeatingWindowCenters({ start: { x: 10, y: 5 }, end: { x: 0, y: 5 }, bulge: 1, width: 1, spacing: 1 });
+    assertEqual(centers.length, 8);
+    centers.forEach(c => assert(onCircle(c)));
+    assert(nearlyEqual(centers[1].alpha - centers[0].alpha, 2 / (5 * Math.PI)));
+    assert(nearlyEqual(centers[0].alpha, 1 - _.last(centers).alpha));
+  });
+
+  it('are exported as straight edges within a tolerance, with their windows', () =>
+    floorplanWithSpace(roundTop).then(({ floorplan, story }) => {
+      const { store } = floorplan;
+      store.dispatch('models/createObjectWithType', { type: 'window_definitions' });
+      const arc = _.find(store.state.geometry[0].edges, 'bulge');
+      return floorplan.placeWindow({
+        edgeId: arc.id, definitionId: store.state.models.library.window_definitions[0].id, alpha: 0.5,
+      }).then(() => {
+        const
+          { geometry, windows } = floorplan.exportFloorplan({ tessellationTolerance: 0.01 }).stories[0],
+          vertices = _.keyBy(geometry.vertices, 'id'),
+          pieces = geometry.edges.filter(e => e.id.indexOf(`${arc.id}-`) === 0);
+        assert(!_.some(geometry.edges, 'bulge'));
+        assertEqual(pieces.length, 25);
+        assertEqual(geometry.faces[0].edge_ids.length, 3 + pieces.length);
+        pieces.forEach((piece) => {
+          const [v1, v2] = piece.vertex_ids.map(id => vertices[id]);
+          assert(onCircle(v1) && onCircle(v2));
+          // the middle of each piece is no further than the tolerance from the arc
+          assert(distanceBetweenPoints(center, { x: (v1.x + v2.x) / 2, y: (v1.y + v2.y) / 2 }) > 5 - 0.01);
+        });
+        assertEqual(_.pick(windows[0], ['id', 'edge_id', 'alpha']), {
+          id: story.windows[0].id, edge_id: `${arc.id}-e13`, alpha: 0.5,
+        });
+        assert(floorplan.exportGbXML().indexOf('<Opening') !== -1);
+      });
+    }));
+});
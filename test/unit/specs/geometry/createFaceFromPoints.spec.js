@@ -559,12 +559,15 @@ describe('newGeometriesOfOverlappedFaces', () => {
       'no split faces');
   });
 
-  it('disallows a space being moved to cause a split (as in issue #133)', () => {
+  it('leaves a hole in a space another space is moved into the middle of (as in issue #133)', () => {
+    const [newBigger] = newGeometriesOfOverlappedFaces(
+      beingMovedPositionedInCenterOfBigger,
+      helpers.exceptFace(geometry, 'being_moved'));
+    assertEqual(newBigger.vertices.length, 4);
+    assertEqual(newBigger.holes.length, 1);
     assertEqual(
-      newGeometriesOfOverlappedFaces(
-        beingMovedPositionedInCenterOfBigger,
-        helpers.exceptFace(geometry, 'being_moved')),
-      { error: 'no holes' });
+      _.sortBy(newBigger.holes[0].vertices.map(v => _.pick(v, ['x', 'y'])), ['x', 'y']),
+      _.sortBy(beingMovedPositionedInCenterOfBigger, ['x', 'y']));
   });
 
   it("permits a space to be moved if it doesn't cause a split face", () => {
@@ -0,0 +1,89 @@
+import _ from 'lodash';
+import { createFloorplan, floorplanStats } from '../../../../src/headless';
+import extrudeFloorplan from '../../../../src/store/utilities/extrude';
+import { assert, assertEqual, nearlyEqual, square } from '../../test_helpers';
+
+const sortedPoints = points => _.sortBy(points.map(({ x, y }) => ({ x, y })), ['x', 'y']);
+
+// a floorplan with a 10 x 10 space, and a 2 x 2 space drawn in the middle of it
+function courtyard() {
+  const floorplan = createFloorplan({ units: 'si' });
+  const story = floorplan.store.state.models.stories[0];
+  floorplan.store.commit('project/setSpacing', { spacing: 1 });
+  return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points: square(0, 0, 10) })
+    .then(() => floorplan.createSpace({ storyId: story.id, points: square(4, 4, 2) }))
+    .then((result) => {
+      assert(result.success, result.error);
+      return { floorplan, story, face: _.find(floorplan.store.state.geometry[0].faces, { id: story.spaces[0].face_id }) };
+    });
+}
+
+describe('holes', () => {
+  it('are cut in a face by a face drawn inside it', () =>
+    courtyard().then(({ floorplan, story, face }) => {
+      const
+        geometry = _.find(floorplan.store.getters['geometry/denormalized'], { id: story.geometry_id }),
+        outer = _.find(geometry.faces, { id: face.id }),
+        inner = _.find(geometry.faces, { id: story.spaces[1].face_id });
+      assertEqual(face.edgeRefs.length, 4);
+      assertEqual(face.holes.length, 1);
+      // the hole shares its edges with the space drawn in it
+      assertEqual(_.sortBy(_.map(face.holes[0].edgeRefs, 'edge_id')), _.sortBy(_.map(inner.edges, 'id')));
+      assertEqual(sortedPoints(_.uniqBy(outer.holes[0].vertices, 'id')), sortedPoints(square(4, 4, 2)));
+      assertEqual(floorplan.store.getters['geometry/errors'], []);
+
+      const stats = floorplanStats(floorplan);
+      assert(nearlyEqual(stats.area, 100), `area ${stats.area}`);
+    }));
+
+  it('are given to spaces drawn with them', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const story = floorplan.store.state.models.stories[0];
+    floorplan.store.commit('project/setSpacing', { spacing: 1 });
+    return floorplan.createSpace({
+      storyId: story.id, spaceId: story.spaces[0].id, points: square(0, 0, 10), holes: [square(2, 2, 3), square(6, 6, 2)],
+    }).then((result) => {
+      assert(result.success, result.error);
+      const face = _.find(floorplan.store.state.geometry[0].faces, { id: result.face_id });
+      assertEqual(face.holes.length, 2);
+      assert(nearlyEqual(floorplanStats(floorplan).area, 100 - 9 - 4));
+      assertEqual(floorplan.store.getters['geometry/errors'], []);
+    });
+  });
+
+  it('are saved with their faces, and opened again', () =>
+    courtyard().then(({ floorplan, face }) => {
+      const
+        data = floorplan.exportFloorplan(),
+        exported = _.find(data.stories[0].geometry.faces, { id: face.id });
+      assertEqual(exported.holes.length, 1);
+      assertEqual(exported.holes[0].edge_ids.length, 4);
+      // faces without holes are saved without them
+      assertEqual(data.stories[0].geometry.faces.filter(f => f.holes).length, 1);
+      return floorplan.openFloorplan(JSON.stringify(data)).then(() => {
+        const opened = _.find(floorplan.store.state.geometry[0].faces, { id: face.id });
+        assertEqual(opened.holes, face.holes);
+        assertEqual(floorplan.store.getters['geometry/errors'], []);
+      });
+    }));
+
+  it('are exported without the area of the hole, with walls around it', () =>
+    courtyard().then(({ floorplan, story }) => {
+      const
+        stories = extrudeFloorplan(floorplan.store.getters.exportData),
+        [outer, inner] = stories[0].spaces,
+        floors = stories[0].surfaces.filter(s => s.type === 'Floor' && s.spaces[0] === outer.space),
+        sharedWalls = stories[0].surfaces.filter(s => s.type === 'Wall' && s.spaces.length === 2);
+      assert(nearlyEqual(outer.area, 96) && nearlyEqual(inner.area, 4));
+      // floors can't have holes, so the floor of the outer space is cut through the hole
+      assert(floors.length > 1);
+      assert(nearlyEqual(_.sumBy(floors, floor => Math.abs(_.sum(floor.points.map((p, ix) => {
+        const q = floor.points[(ix + 1) % floor.points.length];
+        return (p.x * q.y) - (q.x * p.y);
+      }))) / 2), 96));
+      assertEqual(sharedWalls.length, 4);
+
+      const feature = _.find(floorplan.exportGeoJSON(story.id).features, { id: story.spaces[0].id });
+      assertEqual(feature.geometry.coordinates.length, 2);
+    }));
+});
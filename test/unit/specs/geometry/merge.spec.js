@@ -0,0 +1,115 @@
+import _ from 'lodash';
+import { createFloorplan, floorplanStats } from '../../../../src/headless';
+import { assert, assertEqual, nearlyEqual, square } from '../../test_helpers';
+
+const rectangle = (x1, y1, x2, y2) => [{ x: x1, y: y1 }, { x: x2, y: y1 }, { x: x2, y: y2 }, { x: x1, y: y2 }];
+
+// a floorplan with a space drawn on its first story for each list of points
+function floorplanWithSpaces(...spacePoints) {
+  const floorplan = createFloorplan({ units: 'si' });
+  const { store } = floorplan;
+  const story = store.state.models.stories[0];
+  store.commit('project/setSpacing', { spacing: 1 });
+  return spacePoints
+    .reduce(
+      (drawn, points, ix) => drawn.then(() => floorplan.createSpace({
+        storyId: story.id, spaceId: ix === 0 ? story.spaces[0].id : undefined, points,
+      })),
+      Promise.resolve())
+    .then(() => ({ floorplan, store, story }));
+}
+
+describe('mergeFaces', () => {
+  it('merges the faces of spaces into the face of the space picked to keep', () =>
+    floorplanWithSpaces(square(0, 0, 10), rectangle(10, 0, 15, 10)).then(({ floorplan, store, story }) => {
+      store.dispatch('models/createObjectWithType', { type: 'thermal_zones' });
+      const
+        zone = store.state.models.library.thermal_zones[0],
+        [first, second] = story.spaces;
+      store.dispatch('models/updateSpaceWithData', { space: second, thermal_zone_id: zone.id });
+
+      return store.dispatch('geometry/mergeFaces', { model_id: second.id, model_ids: [first.id, second.id] })
+        .then((result) => {
+          assert(result.success, result.error);
+          assertEqual(story.spaces.length, 1);
+          assertEqual([story.spaces[0].id, story.spaces[0].face_id], [second.id, result.face_id]);
+          assertEqual(story.spaces[0].thermal_zone_id, zone.id);
+
+          const geometry = store.state.geometry[0];
+          assertEqual(geometry.faces.length, 1);
+          // the shared edge is gone, and so are the vertices at its ends
+          assertEqual(geometry.faces[0].edgeRefs.length, 4);
+          assertEqual(geometry.vertices.length, 4);
+          assert(nearlyEqual(floorplanStats(floorplan).area, 150));
+          assertEqual(store.getters['geometry/errors'], []);
+        });
+    }));
+
+  it('keeps windows on the outside of the merged face', () =>
+    floorplanWithSpaces(square(0, 0, 10), rectangle(10, 0, 15, 10)).then(({ floorplan, store, story }) => {
+      store.dispatch('models/createObjectWithType', { type: 'window_definitions' });
+      const
+        definitionId = store.state.models.library.window_definitions[0].id,
+        geometry = store.state.geometry[0],
+        edgeAt = (start, end) => _.find(geometry.edges, (e) => {
+          const points = _.sortBy([e.v1, e.v2].map(id => _.find(geometry.vertices, { id })), ['x', 'y']);
+          return _.isMatch(points[0], start) && _.isMatch(points[1], end);
+        });
+      return floorplan.placeWindow({ edgeId: edgeAt({ x: 0, y: 0 }, { x: 10, y: 0 }).id, definitionId, alpha: 0.25 })
+        .then(() => floorplan.placeWindow({ edgeId: edgeAt({ x: 10, y: 0 }, { x: 10, y: 10 }).id, definitionId, alpha: 0.5 }))
+        .then(() => store.dispatch('geometry/mergeFaces', {
+          model_id: story.spaces[0].id,
+          model_ids: _.map(story.spaces, 'id'),
+        }))
+        .then((result) => {
+          assert(result.success, result.error);
+          // the window on the shared edge is removed with it
+          assertEqual(story.windows.length, 1);
+          const
+            [window] = story.windows,
+            edge = _.find(store.getters['geometry/denormalized'][0].edges, { id: window.edge_id }),
+            x = edge.v1.x + (window.alpha * (edge.v2.x - edge.v1.x));
+          assert(nearlyEqual(x, 2.5), `window at ${x}`);
+          assert(nearlyEqual(Math.abs(edge.v2.x - edge.v1.x), 15));
+        });
+    }));
+
+  it('merges spaces which touch through the others, and fills the holes they were in', () =>
+    floorplanWithSpaces(square(0, 0, 10), square(4, 4, 2), rectangle(10, 0, 12, 10), rectangle(12, 0, 14, 10))
+      .then(({ floorplan, store, story }) => {
+        const [outer, inner, middle, end] = story.spaces;
+        // the space at the end only touches the others through the middle one
+        return store.dispatch('geometry/mergeFaces', {
+          model_id: outer.id, model_ids: [end.id, inner.id, middle.id],
+        }).then((result) => {
+          assert(result.success, result.error);
+          assertEqual(story.spaces.length, 1);
+          const face = _.find(store.state.geometry[0].faces, { id: result.face_id });
+          assertEqual([face.edgeRefs.length, face.holes.length], [4, 0]);
+          assert(nearlyEqual(floorplanStats(floorplan).area, 140));
+          assertEqual(store.getters['geometry/errors'], []);
+        });
+      }));
+
+  it("doesn't merge spaces which don't touch", () =>
+    floorplanWithSpaces(square(0, 0, 10), square(20, 0, 10)).then(({ store, story }) =>
+      store.dispatch('geometry/mergeFaces', {
+        model_id: story.spaces[0].id,
+        model_ids: _.map(story.spaces, 'id'),
+      }).then((result) => {
+        assert(!result.success);
+        assertEqual(story.spaces.length, 2);
+        assertEqual(store.state.geometry[0].faces.length, 2);
+      })));
+});
+
+describe('merge selection', () => {
+  it('only selects spaces on the current story', () =>
+    floorplanWithSpaces(square(0, 0, 10), rectangle(10, 0, 15, 10)).then(({ store, story }) => {
+      const [first, second] = story.spaces;
+      store.dispatch('models/initShading', { story });
+      store.dispatch('application/setMergeIds', { ids: [second.id, story.shading[0].id, 'nope', first.id, second.id] });
+      assertEqual(store.state.application.currentSelections.merge_ids, [second.id, first.id]);
+      assertEqual(store.getters['application/mergeSpaces'], [second, first]);
+    }));
+});
@@ -0,0 +1,137 @@
+import _ from 'lodash';
+import { createFloorplan } from '../../../../src/headless';
+import splitPolygon from '../../../../src/store/modules/geometry/split';
+import { arcsThroughPoints } from '../../../../src/store/modules/geometry/arcs';
+import geometryHelpers from '../../../../src/store/modules/geometry/helpers';
+import { assert, assertEqual, nearlyEqual, square } from '../../test_helpers';
+
+const areas = pieces => _.sortBy(pieces.map(([outline, ...holes]) => geometryHelpers.areaOfFace(outline, holes)));
+
+// a floorplan with a 10 x 10 space on its first story, and a 5 x 10 space next to it
+function floorplanWithSpaces(points = square(0, 0, 10)) {
+  const floorplan = createFloorplan({ units: 'si' });
+  const { store } = floorplan;
+  const story = store.state.models.stories[0];
+  store.commit('project/setSpacing', { spacing: 1 });
+  return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points })
+    .then(() => floorplan.createSpace({
+      storyId: story.id, points: [{ x: 10, y: 0 }, { x: 15, y: 0 }, { x: 15, y: 10 }, { x: 10, y: 10 }],
+    }))
+    .then(() => ({ floorplan, store, story, space: story.spaces[0] }));
+}
+
+const faceArea = (store, faceId) => {
+  const face = _.find(store.getters['geometry/denormalized'][0].faces, { id: faceId });
+  return geometryHelpers.areaOfFace(_.uniqBy(face.vertices, 'id'), face.holes.map(hole => _.uniqBy(hole.vertices, 'id')));
+};
+
+describe('splitPolygon', () => {
+  it('divides a polygon along a line across it', () => {
+    assertEqual(areas(splitPolygon([square(0, 0, 10)], [{ x: 4, y: -1 }, { x: 4, y: 11 }])), [40, 60]);
+    // a line crossing the polygon twice divides it in three
+    assertEqual(areas(splitPolygon([square(0, 0, 10)], [
+      { x: -1, y: 3 }, { x: 11, y: 3 }, { x: 11, y: 6 }, { x: -1, y: 6 },
+    ])), [30, 30, 40]);
+    // lines may start and end on the edges of the polygon
+    assertEqual(areas(splitPolygon([square(0, 0, 10)], [{ x: 0, y: 0 }, { x: 5, y: 5 }, { x: 10, y: 0 }])), [25, 75]);
+  });
+
+  it('divides polygons with holes', () => {
+    const courtyard = [square(0, 0, 10), [...square(4, 4, 2)].reverse()];
+    // a line through the hole divides the polygon in two
+    const halves = splitPolygon(courtyard, [{ x: 5, y: -1 }, { x: 5, y: 11 }]);
+    assertEqual(areas(halves), [48, 48]);
+    assert(_.every(halves, piece => piece.length === 1));
+    // a line from the hole back to it cuts off the part of the polygon between them
+    const corner = splitPolygon(courtyard, [{ x: 4, y: 5 }, { x: 3, y: 5 }, { x: 3, y: 3 }, { x: 5, y: 3 }, { x: 5, y: 4 }]);
+    assertEqual(areas(corner), [3, 93]);
+    // holes stay with the piece they are in
+    const [left, right] = _.sortBy(splitPolygon(courtyard, [{ x: 2, y: -1 }, { x: 2, y: 11 }]), ([outline]) => _.minBy(outline, 'x').x);
+    assertEqual([left.length, right.length], [1, 2]);
+  });
+
+  it("doesn't divide polygons by lines which don't cross them", () => {
+    assert(splitPolygon([square(0, 0, 10)], [{ x: 2, y: 2 }, { x: 4, y: 4 }]).error);
+    assert(splitPolygon([square(0, 0, 10)], [{ x: 0, y: 0 }, { x: 10, y: 0 }]).error);
+    // the line runs from the outline into the hole and stops
+    assert(splitPolygon([square(0, 0, 10), square(4, 4, 2)], [{ x: 5, y: -1 }, { x: 5, y: 5 }]).error);
+  });
+});
+
+describe('splitFace', () => {
+  it('makes a new space with the assignments of the space for each piece of its face', () =>
+    floorplanWithSpaces().then(({ floorplan, store, story, space }) => {
+      store.dispatch('models/createObjectWithType', { type: 'thermal_zones' });
+      const zone = store.state.models.library.thermal_zones[0];
+      store.dispatch('models/updateSpaceWithData', { space, thermal_zone_id: zone.id, floor_to_ceiling_height: 3 });
+
+      return store.dispatch('geometry/splitFace', {
+        model_id: space.id,
+        points: [{ x: 0, y: 4 }, { x: 10, y: 4 }],
+      }).then((result) => {
+        assert(result.success, result.error);
+        assertEqual(result.face_ids.length, 2);
+        assertEqual(story.spaces.length, 3);
+        const piece = _.last(story.spaces);
+        assertEqual(space.face_id, result.face_ids[0]);
+        assertEqual(piece.face_id, result.face_ids[1]);
+        assertEqual([piece.thermal_zone_id, piece.floor_to_ceiling_height], [zone.id, 3]);
+        assert(piece.name !== space.name);
+        // the space keeps the larger piece
+        assert(nearlyEqual(faceArea(store, space.face_id), 60) && nearlyEqual(faceArea(store, piece.face_id), 40));
+        // the neighboring space shares the edges of both pieces
+        const neighbor = _.find(store.state.geometry[0].faces, { id: story.spaces[1].face_id });
+        assertEqual(neighbor.edgeRefs.length, 5);
+        assertEqual(store.getters['geometry/errors'], []);
+        assertEqual(floorplan.exportFloorplan().stories[0].spaces.length, 3);
+      });
+    }));
+
+  it('keeps windows on the edges that were divided', () =>
+    floorplanWithSpaces().then(({ floorplan, store, space }) => {
+      store.dispatch('models/createObjectWithType', { type: 'window_definitions' });
+      const
+        definitionId = store.state.models.library.window_definitions[0].id,
+        geometry = store.state.geometry[0],
+        bottom = _.find(geometry.edges, (e) => {
+          const [v1, v2] = [e.v1, e.v2].map(id => _.find(geometry.vertices, { id }));
+          return v1.y === 0 && v2.y === 0 && Math.max(v1.x, v2.x) === 10;
+        });
+      return floorplan.placeWindow({ edgeId: bottom.id, definitionId, alpha: 0.25 })
+        .then(() => store.dispatch('geometry/splitFace', {
+          model_id: space.id,
+          points: [{ x: 5, y: -2 }, { x: 5, y: 12 }],
+        }))
+        .then((result) => {
+          assert(result.success, result.error);
+          const [window] = store.state.models.stories[0].windows;
+          const edge = _.find(store.getters['geometry/denormalized'][0].edges, { id: window.edge_id });
+          const x = edge.v1.x + (window.alpha * (edge.v2.x - edge.v1.x));
+          // the bottom edge was drawn from x = 0 to 10, so alpha 0.25 placed the window at 2.5
+          assert(nearlyEqual(x, 2.5), `window at ${x}`);
+          assert(nearlyEqual(Math.abs(edge.v2.x - edge.v1.x), 5));
+        });
+    }));
+
+  it('keeps the arcs of the face', () =>
+    floorplanWithSpaces(arcsThroughPoints([
+      { x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 5, y: 12, through: true }, { x: 0, y: 10 },
+    ])).then(({ store, space }) => store.dispatch('geometry/splitFace', {
+      model_id: space.id,
+      points: [{ x: 5, y: -1 }, { x: 5, y: 13 }],
+    }).then((result) => {
+      assert(result.success, result.error);
+      const bulges = _.filter(store.state.geometry[0].edges, 'bulge');
+      assertEqual(bulges.length, 2);
+      assertEqual(store.getters['geometry/errors'], []);
+    })));
+
+  it("leaves faces alone when the line doesn't divide them", () =>
+    floorplanWithSpaces().then(({ store, story, space }) => store.dispatch('geometry/splitFace', {
+      model_id: space.id,
+      points: [{ x: 2, y: 2 }, { x: 8, y: 8 }],
+    }).then((result) => {
+      assert(!result.success);
+      assertEqual(story.spaces.length, 2);
+    })));
+});
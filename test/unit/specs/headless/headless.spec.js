@@ -0,0 +1,112 @@
+import _ from 'lodash';
+import {
+  createFloorplan, loadFloorplan, validateFloorplan, convertFloorplan, floorplanStats,
+} from '../../../../src/headless';
+import { assert, assertEqual, square } from '../../test_helpers';
+import olderFloorplan from '../../../../measures/import_floorplan/tests/floorplan.json';
+
+describe('headless floorplans', () => {
+  it('draws spaces and exports them without a user interface', () => {
+    const floorplan = createFloorplan({ units: 'ip' });
+    const story = floorplan.store.state.models.stories[0];
+    return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points: square(0, 0, 10) })
+      .then((result) => {
+        assert(result.success);
+        const exported = floorplan.exportFloorplan();
+        assertEqual(exported.project.config.units, 'ip');
+        assertEqual(exported.stories[0].geometry.faces.length, 1);
+        assertEqual(exported.stories[0].spaces[0].face_id, result.face_id);
+      });
+  });
+
+  it('loads an exported floorplan and finds nothing wrong with it', () => {
+    const floorplan = createFloorplan();
+    const story = floorplan.store.state.models.stories[0];
+    return floorplan.createSpace({ storyId: story.id, points: square(0, 0, 10) })
+      .then(() => loadFloorplan(floorplan.exportFloorplan()))
+      .then((loaded) => {
+        assertEqual(_.map(loaded.exportFloorplan().stories[0].spaces, 'name'), _.map(story.spaces, 'name'));
+        return validateFloorplan(loaded.exportFloorplan());
+      })
+      .then(errors => assertEqual(errors, []));
+  });
+
+  it('loads floorplans saved before newer project settings were added', () =>
+    loadFloorplan(olderFloorplan).then((loaded) => {
+      const { project, stories } = loaded.exportFloorplan();
+      assertEqual(project.config.units, 'si');
+      assertEqual(project.map.initialized, false);
+      assertEqual(project.map.latitude, 37.79999999999998);
+      assertEqual(stories.length, olderFloorplan.stories.length);
+    }));
+
+  it('reports errors in invalid floorplans', () =>
+    validateFloorplan('{ "stories": [] }').then(errors => assert(errors.length > 0)));
+
+  it('reports data which is not shaped like a floorplan as schema errors', () => {
+    const broken = [{}, { ...olderFloorplan, stories: 'x' }, { ...olderFloorplan, project: null }, _.omit(olderFloorplan, 'stories')];
+    return Promise.all(broken.map(data => loadFloorplan(data).then(() => null, errors => errors)))
+      .then((results) => {
+        results.forEach((errors) => {
+          assert(errors && errors.length);
+          errors.forEach(e => assertEqual(e.type, 'schema'));
+        });
+        assertEqual(_.map(results[1], 'path'), ['stories']);
+        assertEqual(_.map(results[2], 'path'), ['project']);
+        assert(!_.some(_.flatten(results), e => /unable to read/.test(e.message)));
+      });
+  });
+
+  it('counts spaces and adds up their area on each story', () => {
+    const floorplan = createFloorplan({ units: 'ip' });
+    const story = floorplan.store.state.models.stories[0];
+    return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points: square(0, 0, 10) })
+      .then(() => {
+        const stats = floorplanStats(floorplan);
+        assertEqual(stats.units, 'ip');
+        assertEqual(stats.area, 100);
+        assertEqual(_.pick(stats.stories[0], ['spaces', 'shading', 'windows', 'area']), { spaces: 1, shading: 1, windows: 0, area: 100 });
+      });
+  });
+
+  it('measures areas to the face of the walls set by the project, like reports do', () => {
+    const floorplan = createFloorplan({ units: 'ip' });
+    const { store } = floorplan;
+    const story = store.state.models.stories[0];
+    store.dispatch('project/modifyWalls', { key: 'exterior_wall_thickness', val: 1 });
+    store.dispatch('project/modifyWalls', { key: 'area_basis', val: 'Interior Face' });
+    return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points: square(0, 0, 10) })
+      .then(() => {
+        // the walls are drawn along their centerline, so their interior face is half a foot inside the space
+        const stats = floorplanStats(floorplan);
+        assertEqual([stats.area, stats.stories[0].area], [81, 81]);
+        assert(floorplan.exportReport().indexOf('(81) Tj') !== -1);
+      });
+  });
+
+  it('measures spaces with arc walls to the arcs', () => {
+    const floorplan = createFloorplan({ units: 'ip' });
+    const story = floorplan.store.state.models.stories[0];
+    // a half circle bulges out of the bottom of the square
+    const [corner, ...rest] = square(0, 0, 10);
+    const points = [{ ...corner, bulge: 1 }, ...rest];
+    return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points })
+      .then(() => {
+        const { area } = floorplanStats(floorplan);
+        assert(Math.abs(area - (100 + (12.5 * Math.PI))) < 0.5, area);
+      });
+  });
+
+  it('converts floorplans to other units', () => {
+    const floorplan = createFloorplan({ units: 'ip' });
+    const story = floorplan.store.state.models.stories[0];
+    return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points: square(0, 0, 10) })
+      .then(() => convertFloorplan(floorplan.exportFloorplan(), 'si'))
+      .then(converted => loadFloorplan(converted))
+      .then((loaded) => {
+        const stats = floorplanStats(loaded);
+        assertEqual(stats.units, 'si');
+        assert(Math.abs(stats.area - 9.290304) < 0.001);
+      });
+  });
+});
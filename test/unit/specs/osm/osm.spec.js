@@ -0,0 +1,96 @@
+import _ from 'lodash';
+import { createFloorplan } from '../../../../src/headless';
+import { parseOsm, osmLibrary } from '../../../../src/utilities/osm';
+import { assert, assertEqual } from '../../test_helpers';
+
+const osm = `
+OS:Version,
+  {7d2a7b7f-0c2e-4a5e-9f6b-2b1e3c4d5e6f}, !- Handle
+  2.9.1;                                  !- Version Identifier
+
+OS:SpaceType,
+  {11111111-0000-0000-0000-000000000001}, !- Handle
+  Office,                                 !- Name
+  {33333333-0000-0000-0000-000000000001}, !- Default Construction Set Name
+  ,                                       !- Default Schedule Set Name
+  {22222222-0000-0000-0000-000000000001}, !- Group Rendering Name
+  ,                                       !- Design Specification Outdoor Air Object Name
+  ,                                       !- Standards Template
+  Office,                                 !- Standards Building Type
+  OpenOffice;                             !- Standards Space Type
+
+OS:Rendering:Color,
+  {22222222-0000-0000-0000-000000000001}, !- Handle
+  Office Color,                           !- Name
+  120,                                    !- Rendering Red Value
+  230,                                    !- Rendering Green Value
+  199;                                    !- Rendering Blue Value
+
+OS:ThermalZone,
+  {44444444-0000-0000-0000-000000000001}, !- Handle
+  Thermal Zone: Core,                     !- Name
+  ,                                       !- Multiplier
+  ;                                       !- Ceiling Height
+
+OS:BuildingUnit,
+  {55555555-0000-0000-0000-000000000001}, !- Handle
+  Unit 1,                                 !- Name
+  ,                                       !- Rendering Color
+  Residential;                            !- Building Unit Type
+
+! a comment between objects
+OS:DefaultConstructionSet,
+  {33333333-0000-0000-0000-000000000001}, !- Handle
+  Default Constructions,                  !- Name
+  ;                                       !- Default Exterior Surface Constructions Name
+`;
+
+describe('osm', () => {
+  it('reads objects with their fields and labels', () => {
+    const objects = parseOsm(osm);
+    assertEqual(_.map(objects, 'type'), [
+      'OS:Version', 'OS:SpaceType', 'OS:Rendering:Color', 'OS:ThermalZone', 'OS:BuildingUnit', 'OS:DefaultConstructionSet',
+    ]);
+    assertEqual(objects[1].fields[1], { value: 'Office', label: 'Name' });
+    assertEqual(objects[1].fields.length, 9);
+    assertEqual(objects[3].fields[1].value, 'Thermal Zone: Core');
+  });
+
+  it('reads the space types, thermal zones, building units and construction sets of a model as a library', () => {
+    const library = osmLibrary(osm);
+    assertEqual(library.project.config.units, 'si');
+    assertEqual(library.space_types, [{
+      id: '', handle: '{11111111-0000-0000-0000-000000000001}', name: 'Office', color: '#78E6C7',
+    }]);
+    assertEqual(_.map(library.thermal_zones, 'name'), ['Thermal Zone: Core']);
+    assertEqual(_.map(library.building_units, 'handle'), ['{55555555-0000-0000-0000-000000000001}']);
+    assertEqual(_.map(library.construction_sets, 'name'), ['Default Constructions']);
+    // objects without a rendering color get one
+    [...library.thermal_zones, ...library.building_units, ...library.construction_sets]
+      .forEach(o => assert(/^#[0-9a-f]{6}$/i.test(o.color)));
+  });
+
+  it('rejects text that is not an OpenStudio model', () => {
+    ['{"space_types": []}', '', 'Zone, Core;'].forEach((text) => {
+      let error;
+      try {
+        osmLibrary(text);
+      } catch (e) {
+        error = e;
+      }
+      assert(error && /^Invalid OSM/.test(error.message), text);
+    });
+  });
+
+  it('is imported into the library through the api', () => {
+    const floorplan = createFloorplan({ units: 'ip' });
+    assert(floorplan.importLibrary(osm));
+    const { library } = floorplan.store.state.models;
+    const office = _.find(library.space_types, { name: 'Office' });
+    assertEqual(office.handle, '{11111111-0000-0000-0000-000000000001}');
+    assert(office.id);
+    assert(_.find(library.thermal_zones, { name: 'Thermal Zone: Core' }));
+    assert(_.find(library.building_units, { name: 'Unit 1' }));
+    assert(_.find(library.construction_sets, { name: 'Default Constructions' }));
+  });
+});
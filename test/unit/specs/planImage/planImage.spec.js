@@ -0,0 +1,70 @@
+import { legendEntries, legendTitle, scaleBarLength, setPngDpi } from '../../../../src/utilities/planImage';
+import appconfig from '../../../../src/store/modules/application/appconfig';
+import { assert, assertEqual } from '../../test_helpers';
+
+describe('legendEntries', () => {
+  const
+    library = {
+      thermal_zones: [
+        { id: 'z1', name: 'Zone 1', color: '#aa4499' },
+        { id: 'z2', name: 'Zone 2', color: '#88ccee' },
+      ],
+    },
+    story = {
+      spaces: [
+        { id: 's1', name: 'Office', color: '#332288', face_id: 'f1', thermal_zone_id: 'z2' },
+        { id: 's2', name: 'Lobby', color: '#117733', face_id: 'f2', thermal_zone_id: 'z2' },
+        { id: 's3', name: 'Storage', color: '#999933', face_id: 'f3', thermal_zone_id: null },
+        { id: 's4', name: 'Not drawn', color: '#882255', face_id: null, thermal_zone_id: 'z1' },
+      ],
+      shading: [{ id: 'h1', name: 'Canopy', color: appconfig.palette.shading, face_id: 'f4' }],
+    };
+
+  it('lists the spaces drawn on the story in spaces mode', () => {
+    assertEqual(legendEntries(library, story, 'spaces'), [
+      { name: 'Office', color: '#332288' },
+      { name: 'Lobby', color: '#117733' },
+      { name: 'Storage', color: '#999933' },
+      { name: 'Shading', color: appconfig.palette.shading },
+    ]);
+    assertEqual(legendTitle('spaces'), 'Spaces');
+  });
+
+  it('lists what is assigned to the spaces in other modes', () => {
+    assertEqual(legendEntries(library, story, 'thermal_zones'), [
+      { name: 'Zone 2', color: '#88ccee' },
+      { name: 'Unassigned', color: appconfig.palette.neutral },
+      { name: 'Shading', color: appconfig.palette.shading },
+    ]);
+    assertEqual(legendTitle('thermal_zones'), 'Thermal Zones');
+  });
+});
+
+describe('scaleBarLength', () => {
+  it('rounds down to 1, 2 or 5 times a power of ten', () => {
+    assertEqual(scaleBarLength(37), 20);
+    assertEqual(scaleBarLength(5), 5);
+    assertEqual(scaleBarLength(180), 100);
+    assertEqual(scaleBarLength(0.74), 0.5);
+  });
+});
+
+describe('setPngDpi', () => {
+  // a 1x1 PNG, as made by canvas.toBlob
+  const png = new Uint8Array(Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
+    'base64'));
+
+  it('adds a pHYs chunk after the IHDR chunk', () => {
+    const result = setPngDpi(png, 96);
+    assertEqual(result.length, png.length + 21);
+    assertEqual(Array.from(result.subarray(0, 33)), Array.from(png.subarray(0, 33)));
+    assertEqual(Array.from(result.subarray(33, 54)), [
+      0, 0, 0, 9, 0x70, 0x48, 0x59, 0x73,
+      // 96 dpi is 3780 pixels per meter
+      0, 0, 0x0e, 0xc4, 0, 0, 0x0e, 0xc4, 1,
+      0x95, 0x2b, 0x0e, 0x1b,
+    ]);
+    assert(Buffer.from(result.subarray(54)).equals(Buffer.from(png.subarray(33))));
+  });
+});
@@ -0,0 +1,22 @@
+import blockedWhenReadOnly, { readOnlyError } from '../../../../src/store/utilities/readOnly';
+import { assert, assertEqual } from '../../test_helpers';
+
+describe('blockedWhenReadOnly', () => {
+  const actions = blockedWhenReadOnly({
+    edit: () => 'edited',
+    select: () => 'selected',
+  }, ['select']);
+  const context = readOnly => ({ rootState: { application: { readOnly } } });
+
+  it('runs actions when the application is editable', () => {
+    assertEqual(actions.edit(context(false)), 'edited');
+  });
+
+  it('refuses editing actions when the application is read only', () => {
+    assertEqual(actions.edit(context(true)), { success: false, error: readOnlyError });
+  });
+
+  it('runs allowed actions when the application is read only', () => {
+    assert(actions.select(context(true)) === 'selected');
+  });
+});
@@ -0,0 +1,101 @@
+import _ from 'lodash';
+import { writePdf, fitText } from '../../../../src/utilities/pdf';
+import { createFloorplan } from '../../../../src/headless';
+import { assert, assertEqual, square } from '../../test_helpers';
+
+// check that the cross reference table points at each object, as readers rely on it
+function assertValidXref(pdf) {
+  const
+    xref = Number(pdf.match(/startxref\n(\d+)/)[1]),
+    offsets = pdf.slice(xref).match(/\d{10} 00000 n/g).map(entry => Number(entry.slice(0, 10)));
+  assertEqual(pdf.slice(xref, xref + 4), 'xref');
+  offsets.forEach((offset, ix) => assertEqual(pdf.slice(offset, offset + `${ix + 1} 0 obj`.length), `${ix + 1} 0 obj`));
+  return offsets.length;
+}
+
+describe('writePdf', () => {
+  it('writes pages with shapes and text, and a cross reference table', () => {
+    const pdf = writePdf({
+      title: 'Test',
+      pages: [
+        {
+          width: 612,
+          height: 792,
+          items: [
+            { type: 'polygon', points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }], fill: '#ff0000', stroke: '#000000' },
+            { type: 'text', x: 100, y: 100, text: 'Room (1) 20 m²', size: 10 },
+          ],
+        },
+        { width: 612, height: 792, items: [{ type: 'line', points: [{ x: 0, y: 0 }, { x: 10, y: 10 }] }] },
+      ],
+    });
+    assert(_.startsWith(pdf, '%PDF-1.4\n'));
+    assert(/\/Count 2/.test(pdf));
+    assert(/1 0 0 rg/.test(pdf));
+    // parentheses are escaped, and latin 1 characters are written as octal so the file is ASCII
+    assert(pdf.indexOf('(Room \\(1\\) 20 m\\262) Tj') !== -1);
+    assert(!/[^\x00-\x7F]/.test(pdf)); // eslint-disable-line no-control-regex
+    // catalog, pages, info, 2 fonts, then a page and its contents for each page
+    assertEqual(assertValidXref(pdf), 9);
+  });
+
+  it('shortens text to fit', () => {
+    assertEqual(fitText('Office', 10, 100), 'Office');
+    assertEqual(fitText('A very long space type name', 10, 50), 'A very...');
+  });
+});
+
+describe('exportReport', () => {
+  it('draws each story by assignment with legends and a table of spaces', () => {
+    const floorplan = createFloorplan({ units: 'ip' });
+    const { store } = floorplan;
+    const story = store.state.models.stories[0];
+    store.dispatch('models/createObjectWithType', { type: 'space_types' });
+    store.dispatch('models/createObjectWithType', { type: 'thermal_zones' });
+    const spaceType = store.state.models.library.space_types[0];
+    const rectangle = [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 10 }, { x: 0, y: 10 }];
+
+    return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points: rectangle })
+      .then(() => floorplan.assignProperty({ spaceId: story.spaces[0].id, propertyId: spaceType.id }))
+      .then(() => {
+        const pdf = floorplan.exportReport();
+        assertEqual(assertValidXref(pdf), 7);
+        assert(pdf.indexOf('/Count 1') !== -1);
+        ['Space Types', 'Thermal Zones', 'Building Units', 'Construction Sets', 'Unassigned', spaceType.name]
+          .forEach(text => assert(pdf.indexOf(`(${text}) Tj`) !== -1, `missing ${text}`));
+        // the table has the space's area and assignments
+        assert(pdf.indexOf(`(${story.spaces[0].name}) Tj`) !== -1);
+        assert(pdf.indexOf('(200) Tj') !== -1);
+        assert(pdf.indexOf('(Page 1 of 1) Tj') !== -1);
+      });
+  });
+
+  it('leaves the holes of spaces out of their fill', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const { store } = floorplan;
+    const story = store.state.models.stories[0];
+    store.commit('project/setSpacing', { spacing: 1 });
+
+    return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points: square(0, 0, 10) })
+      .then(() => floorplan.createSpace({ storyId: story.id, points: square(4, 4, 2) }))
+      .then(() => {
+        const pdf = floorplan.exportReport();
+        // in each of the 4 plans, the outer space is drawn around its hole and filled by the even-odd rule
+        const evenOdd = pdf.split('\nQ\n').filter(shape => /\nB\*$/.test(shape));
+        assertEqual(evenOdd.length, 4);
+        evenOdd.forEach(shape => assertEqual(shape.match(/\nh\n/g).length, 2));
+        // and the inner space is filled as usual
+        assert(pdf.indexOf('\nB\n') !== -1);
+      });
+  });
+
+  it('continues the table of spaces on more pages', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const { store } = floorplan;
+    _.times(30, () => store.dispatch('models/initSpace', { story: store.state.models.stories[0] }));
+    const pdf = floorplan.exportReport();
+    assert(pdf.indexOf('/Count 2') !== -1);
+    assert(pdf.indexOf('(Page 2 of 2) Tj') !== -1);
+    assert(pdf.indexOf(`(${store.state.models.stories[0].name} \\(continued\\)) Tj`) !== -1);
+  });
+});
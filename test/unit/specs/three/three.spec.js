@@ -0,0 +1,134 @@
+import _ from 'lodash';
+import { createFloorplan } from '../../../../src/headless';
+import triangulate from '../../../../src/utilities/triangulate';
+import { assert, assertEqual, nearlyEqual } from '../../test_helpers';
+
+const rectangle = (x, y, width, depth) => [
+  { x, y }, { x: x + width, y }, { x: x + width, y: y + depth }, { x, y: y + depth },
+];
+
+// the meshes of a scene, with the points of their triangles like [{ x, y, z }]
+function meshes(scene) {
+  const geometries = _.keyBy(scene.geometries, 'uuid');
+  const all = [];
+  const visit = (object) => {
+    if (object.type === 'Mesh') {
+      const { array } = geometries[object.geometry].data.attributes.position;
+      all.push({ ...object, points: _.chunk(array, 3).map(([x, y, z]) => ({ x, y, z })) });
+    }
+    (object.children || []).forEach(visit);
+  };
+  visit(scene.object);
+  return all;
+}
+
+const triangleArea = ([a, b, c]) => Math.abs(((b.x - a.x) * (c.y - a.y)) - ((c.x - a.x) * (b.y - a.y))) / 2;
+
+// a floorplan with a space on its first story, which has no plenums, and a pitched roof of type assigned to it
+function floorplanWithRoof(roof, points) {
+  const floorplan = createFloorplan({ units: 'si' });
+  const { store } = floorplan;
+  const story = store.state.models.stories[0];
+  store.dispatch('models/updateStoryWithData', {
+    story, floor_to_ceiling_height: 3, below_floor_plenum_height: 0, above_ceiling_plenum_height: 0,
+  });
+  store.dispatch('models/createObjectWithType', { type: 'pitched_roofs' });
+  const pitchedRoof = store.state.models.library.pitched_roofs[0];
+  store.dispatch('models/updateObjectWithData', { object: pitchedRoof, pitch: 6, ...roof });
+  const spaceId = story.spaces[0].id;
+  return floorplan.createSpace({ storyId: story.id, spaceId, points })
+    .then(() => floorplan.assignProperty({ spaceId, propertyId: pitchedRoof.id }))
+    .then(() => ({ floorplan, pitchedRoof }));
+}
+
+const roofMeshes = (scene, pitchedRoof) => meshes(scene).filter(m => m.name.indexOf(pitchedRoof.name) !== -1);
+
+describe('triangulate', () => {
+  it('cuts concave polygons into triangles covering them', () => {
+    const points = [
+      { x: 0, y: 0, z: 1 }, { x: 4, y: 0, z: 1 }, { x: 4, y: 1, z: 1 },
+      { x: 1, y: 1, z: 1 }, { x: 1, y: 3, z: 1 }, { x: 0, y: 3, z: 1 },
+    ];
+    const triangles = triangulate(points);
+    assertEqual(triangles.length, 4);
+    assert(nearlyEqual(_.sumBy(triangles, t => triangleArea(t.map(ix => points[ix]))), 6));
+  });
+});
+
+describe('exportThreeScene', () => {
+  it('draws each story as a group of meshes with the ids of what they were extruded from', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const { store } = floorplan;
+    const story = store.state.models.stories[0];
+    store.dispatch('models/createObjectWithType', { type: 'window_definitions' });
+    const windowDefinition = store.state.models.library.window_definitions[0];
+
+    return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points: rectangle(0, 0, 10, 10) })
+      .then(() => {
+        const
+          geometry = store.state.geometry[0],
+          vertex = id => _.find(geometry.vertices, { id }),
+          edge = _.find(geometry.edges, e => vertex(e.v1).y === 0 && vertex(e.v2).y === 0);
+        return floorplan.placeWindow({ edgeId: edge.id, definitionId: windowDefinition.id, alpha: 0.5 });
+      })
+      .then(() => {
+        const
+          scene = floorplan.exportThreeScene(),
+          all = meshes(scene),
+          [space] = story.spaces,
+          [windowMesh] = all.filter(m => m.userData.surfaceType === 'Window');
+        assertEqual(scene.metadata.type, 'Object');
+        assertEqual(scene.object.type, 'Scene');
+        // the same floorplan gives the same scene
+        assertEqual(floorplan.exportThreeScene(), scene);
+
+        const [stories] = scene.object.children.filter(o => o.type === 'Group');
+        assertEqual(stories.userData.units, 'si');
+        assertEqual(stories.children.map(group => group.userData.storyId), [story.id]);
+        assertEqual(_.countBy(all, 'userData.surfaceType'), { Floor: 1, RoofCeiling: 1, Wall: 4, Window: 1 });
+        all.forEach((mesh) => {
+          assert(_.find(scene.materials, { uuid: mesh.material }));
+          assertEqual(mesh.points.length % 3, 0);
+          assertEqual(mesh.userData.spaceId, space.id);
+        });
+        assertEqual(_.find(all, { userData: { surfaceType: 'Floor' } }).userData.boundary, 'Ground');
+        assertEqual(windowMesh.userData.windowId, story.windows[0].id);
+        assertEqual(windowMesh.userData.windowDefinitionId, windowDefinition.id);
+        assert(_.every(windowMesh.points, p => p.y === 0));
+        assert(nearlyEqual(_.sumBy(_.chunk(windowMesh.points, 3), ([a, b, c]) => triangleArea([
+          { x: a.x, y: a.z }, { x: b.x, y: b.z }, { x: c.x, y: c.z },
+        ])), windowDefinition.width * windowDefinition.height));
+        assert(_.find(scene.materials, { uuid: windowMesh.material }).transparent);
+      });
+  });
+
+  it('adds gable roofs with their ridge along the longer side of the space', () =>
+    floorplanWithRoof({ pitched_roof_type: 'Gable' }, rectangle(0, 0, 20, 10)).then(({ floorplan, pitchedRoof }) => {
+      const roof = roofMeshes(floorplan.exportThreeScene(), pitchedRoof);
+      assertEqual(_.countBy(roof, 'userData.surfaceType'), { RoofCeiling: 2, Wall: 2 });
+      roof.forEach(mesh => assertEqual(mesh.userData.pitchedRoofId, pitchedRoof.id));
+      const points = _.flatMap(roof, 'points');
+      // a 6 in 12 pitch rises 2.5 over the 5 from the eaves to the ridge
+      assert(nearlyEqual(_.maxBy(points, 'z').z, 5.5));
+      assert(_.every(points.filter(p => nearlyEqual(p.z, 5.5)), p => nearlyEqual(p.y, 5)));
+      // the gable ends are triangles
+      roof.filter(m => m.userData.surfaceType === 'Wall').forEach(m => assertEqual(m.points.length, 3));
+    }));
+
+  it('adds hip roofs sloping up from every side, and shed roofs rising toward their direction', () =>
+    floorplanWithRoof({ pitched_roof_type: 'Hip' }, rectangle(0, 0, 20, 10))
+      .then(({ floorplan, pitchedRoof }) => {
+        const roof = roofMeshes(floorplan.exportThreeScene(), pitchedRoof);
+        assertEqual(_.countBy(roof, 'userData.surfaceType'), { RoofCeiling: 4 });
+        assert(nearlyEqual(_.maxBy(_.flatMap(roof, 'points'), 'z').z, 5.5));
+      })
+      .then(() => floorplanWithRoof({ pitched_roof_type: 'Shed', shed_direction: 90 }, rectangle(0, 0, 20, 10)))
+      .then(({ floorplan, pitchedRoof }) => {
+        const
+          roof = roofMeshes(floorplan.exportThreeScene(), pitchedRoof),
+          points = _.flatMap(roof.filter(m => m.userData.surfaceType === 'RoofCeiling'), 'points');
+        assertEqual(_.countBy(roof, 'userData.surfaceType'), { RoofCeiling: 1, Wall: 3 });
+        // the roof rises toward positive x, 10 over the length of the space
+        assert(_.every(points, p => nearlyEqual(p.z, 3 + (p.x / 2))));
+      }));
+});
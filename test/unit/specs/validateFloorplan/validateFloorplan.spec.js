@@ -0,0 +1,67 @@
+import _ from 'lodash';
+import { schemaErrors, removeDanglingReferences } from '../../../../src/store/utilities/validateFloorplan';
+import { assert, assertEqual } from '../../test_helpers';
+import { simpleGeometry } from './../geometry/examples';
+
+const story = {
+  id: 's1',
+  geometry_id: simpleGeometry.id,
+  spaces: [
+    { id: 'sp1', face_id: 'top', daylighting_controls: [] },
+    { id: 'sp2', face_id: 'bottom', daylighting_controls: [{ id: 'dc1', vertex_id: 'f' }] },
+  ],
+  shading: [],
+  windows: [{ id: 'w1', edge_id: 'ab' }],
+  doors: [],
+};
+
+describe('removeDanglingReferences', () => {
+  it('reports nothing for valid geometry', () => {
+    const result = removeDanglingReferences([story], [simpleGeometry]);
+    assertEqual(result.errors, []);
+    assertEqual(result.stories, [story]);
+    assertEqual(result.geometry, [simpleGeometry]);
+  });
+
+  it('removes faces referencing missing edges, and unsets the face on their spaces', () => {
+    const geometry = _.cloneDeep(simpleGeometry);
+    geometry.edges = geometry.edges.filter(e => e.id !== 'bd');
+    const result = removeDanglingReferences([story], [geometry]);
+
+    assertEqual(_.map(result.geometry[0].faces, 'id'), ['bottom']);
+    assertEqual(result.stories[0].spaces[0].face_id, null);
+    assertEqual(_.map(result.errors, 'path'), [
+      'stories[0].geometry.faces[0].edge_ids',
+      'stories[0].spaces[0].face_id',
+    ]);
+  });
+
+  it('removes edges referencing missing vertices, and windows on them', () => {
+    const geometry = _.cloneDeep(simpleGeometry);
+    geometry.vertices = geometry.vertices.filter(v => v.id !== 'a');
+    const result = removeDanglingReferences([story], [geometry]);
+
+    assert(!_.find(result.geometry[0].edges, { id: 'ab' }));
+    assertEqual(result.stories[0].windows, []);
+    assert(_.find(result.errors, { path: 'stories[0].windows[0].edge_id' }));
+  });
+
+  it('removes daylighting controls on missing vertices', () => {
+    const newStory = _.cloneDeep(story);
+    newStory.spaces[1].daylighting_controls[0].vertex_id = 'z';
+    const result = removeDanglingReferences([newStory], [simpleGeometry]);
+
+    assertEqual(result.stories[0].spaces[1].daylighting_controls, []);
+    assertEqual(result.errors.length, 1);
+    assertEqual(result.errors[0].type, 'reference');
+  });
+});
+
+describe('schemaErrors', () => {
+  it('reports the path of each violation', () => {
+    const errors = schemaErrors({ stories: [] });
+    assert(errors.length > 0);
+    assert(_.every(errors, { type: 'schema' }));
+    assert(_.find(errors, { path: '' }));
+  });
+});
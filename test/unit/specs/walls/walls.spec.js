@@ -0,0 +1,96 @@
+import _ from 'lodash';
+import { createFloorplan } from '../../../../src/headless';
+import { edgeWalls, wallFaces, areaWithinWalls, wallBands } from '../../../../src/store/utilities/walls';
+import { convertState } from '../../../../src/store/utilities/unitConversion';
+import { assert, assertEqual, nearlyEqual, square } from '../../test_helpers';
+
+const project = walls => ({ walls: { exterior_wall_thickness: 1, interior_wall_thickness: 0.5, ...walls } });
+
+describe('walls', () => {
+  it('measures spaces to the interior face, centerline or exterior face of their walls', () => {
+    const
+      points = square(0, 0, 10),
+      walls = points.map(() => ({ thickness: 1, exterior: true })),
+      areas = drawnAt => ['Interior Face', 'Centerline', 'Exterior Face'].map(areaBasis =>
+        areaWithinWalls(points, walls, project({ drawn_at: drawnAt, area_basis: areaBasis })));
+
+    assert(_.every(_.zip(areas('Centerline'), [81, 100, 121]), ([area, expected]) => nearlyEqual(area, expected)));
+    assert(_.every(_.zip(areas('Interior Face'), [100, 121, 144]), ([area, expected]) => nearlyEqual(area, expected)));
+    // clockwise points are inset the same way
+    assert(nearlyEqual(
+      areaWithinWalls([...points].reverse(), walls, project({ area_basis: 'Interior Face' })), 81));
+  });
+
+  it('miters the corners of wall faces', () => {
+    const { interior, exterior } = wallFaces(square(0, 0, 10), [
+      { thickness: 2, exterior: true }, { thickness: 1, exterior: false },
+      { thickness: 1, exterior: false }, { thickness: 1, exterior: false },
+    ], project());
+    assertEqual(interior.map(p => _.mapValues(p, v => _.round(v, 6))), [
+      { x: 0.5, y: 1 }, { x: 9.5, y: 1 }, { x: 9.5, y: 9.5 }, { x: 0.5, y: 9.5 },
+    ]);
+    // interior walls have no exterior face
+    assertEqual(exterior.map(p => _.mapValues(p, v => _.round(v, 6))), [
+      { x: 0, y: -1 }, { x: 10, y: -1 }, { x: 10, y: 10 }, { x: 0, y: 10 },
+    ]);
+  });
+
+  it('takes wall thickness from construction sets, or the project when they have none', () => {
+    const
+      [left, right] = [{ id: 'a', construction_set_id: 'thick' }, { id: 'b', construction_set_id: 'plain' }],
+      sets = [
+        { id: 'thick', exterior_wall_thickness: 2, interior_wall_thickness: 0.75 },
+        { id: 'plain', exterior_wall_thickness: null, interior_wall_thickness: null },
+      ],
+      walls = edgeWalls([
+        { space: left, edgeIds: ['1', '2', '3', '4'] },
+        { space: right, edgeIds: ['3', '5', '6', '7'] },
+      ], sets, project());
+    assertEqual(walls['1'], { thickness: 2, exterior: true });
+    assertEqual(walls['5'], { thickness: 1, exterior: true });
+    // walls between spaces take the thicker of their walls
+    assertEqual(walls['3'], { thickness: 0.75, exterior: false });
+    // walls without thickness aren't drawn
+    assertEqual(wallBands(square(0, 0, 10), [walls['1'], walls['3'], null, null], project()).map(b => b.length),
+      [2, 1, 0, 0]);
+  });
+
+  it('exports wall thicknesses on edges, and space areas to the area basis', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const { store } = floorplan;
+    const story = store.state.models.stories[0];
+    store.dispatch('project/modifyWalls', { key: 'exterior_wall_thickness', val: '0.5' });
+    store.dispatch('project/modifyWalls', { key: 'interior_wall_thickness', val: '-1' });
+    store.dispatch('project/modifyWalls', { key: 'area_basis', val: 'Interior Face' });
+    store.dispatch('project/modifyWalls', { key: 'drawn_at', val: 'Somewhere' });
+    assertEqual(store.state.project.walls, {
+      exterior_wall_thickness: 0.5, interior_wall_thickness: 0, drawn_at: 'Centerline', area_basis: 'Interior Face',
+    });
+
+    return floorplan.createSpace({ storyId: story.id, spaceId: story.spaces[0].id, points: square(0, 0, 10) })
+      .then(() => floorplan.createSpace({ storyId: story.id, points: square(10, 0, 10) }))
+      .then(() => {
+        const { edges } = floorplan.store.getters.exportData.stories[0].geometry;
+        assertEqual(_.countBy(edges, 'thickness'), { 0: 1, 0.5: 6 });
+        // each space loses a quarter of its exterior walls, and none of the wall between them
+        const xml = floorplan.exportGbXML();
+        assertEqual(xml.match(/<Space [\s\S]*?<Area>([^<]*)<\/Area>/g).map(s => s.match(/<Area>([^<]*)</)[1]),
+          ['92.625', '92.625']);
+      });
+  });
+
+  it('are converted with the units of the project, and added to projects saved without them', () => {
+    const floorplan = createFloorplan({ units: 'si' });
+    const { store } = floorplan;
+    store.dispatch('project/modifyWalls', { key: 'exterior_wall_thickness', val: 0.3048 });
+    const converted = convertState(store.state, 'si', 'ip');
+    assert(nearlyEqual(converted.project.walls.exterior_wall_thickness, 1));
+
+    const data = store.getters.exportData;
+    delete data.project.walls;
+    return floorplan.openFloorplan(JSON.stringify(data)).then(() => {
+      assertEqual(store.state.project.walls.drawn_at, 'Centerline');
+      assertEqual(store.state.project.walls.exterior_wall_thickness, 0);
+    });
+  });
+});
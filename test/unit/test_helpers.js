@@ -31,6 +31,9 @@ export function nearlyEqual(a, b, epsilon = 0.000001) {
   return Math.abs(a - b) <= epsilon;
 }
 
+// the points of a square with its lower left corner at x, y, counterclockwise
+export const square = (x, y, size) => [{ x, y }, { x: x + size, y }, { x: x + size, y: y + size }, { x, y: y + size }];
+
 export function assertProperty(...args) {
   // if last parameter is not a function, assume it's config for call to check()
   const checkConfig = _.isFunction(args[args.length - 1]) ? {} : args.pop();